@@ -0,0 +1,65 @@
+// 🗂️ Registro de camadas sobrepostas ao zoneamento
+//
+// Cada camada é consultada no mesmo ponto do zoneamento e aparece na seção
+// "camadas" das respostas. Campos:
+//   id      identificador usado na resposta (letras, números e _)
+//   nome    nome legível
+//   tabela  tabela PostGIS (opcionalmente "schema.tabela")
+//   srid    SRID nativo da geometria
+//   geom    coluna de geometria (padrão: geom)
+//   colunas atributos expostos na resposta
+//   cidade  id da cidade em config/cidades.js (sem ele, a camada vale para todas)
+//
+// Para usar outro registro sem alterar o código, aponte CAMADAS_ARQUIVO para um
+// JSON com uma lista no mesmo formato. Camadas cuja tabela não existe no banco
+// são ignoradas (aparecem com "disponivel": false).
+module.exports = [
+  {
+    id: 'macroarea',
+    nome: 'Macroárea (PDE)',
+    tabela: 'macroareas',
+    srid: 31983,
+    cidade: 'sao-paulo',
+    colunas: ['mc_sigla', 'mc_nome'],
+  },
+  {
+    id: 'operacao_urbana',
+    nome: 'Operação Urbana Consorciada',
+    tabela: 'operacoes_urbanas',
+    srid: 31983,
+    cidade: 'sao-paulo',
+    colunas: ['ou_nome', 'ou_lei'],
+  },
+  {
+    id: 'zeis',
+    nome: 'Demarcação de ZEIS',
+    tabela: 'zeis',
+    srid: 31983,
+    cidade: 'sao-paulo',
+    colunas: ['zeis_tipo', 'zeis_id'],
+  },
+  {
+    id: 'tombamento_conpresp',
+    nome: 'Bem/área tombada (CONPRESP)',
+    tabela: 'tombamentos_conpresp',
+    srid: 31983,
+    cidade: 'sao-paulo',
+    colunas: ['nome', 'resolucao'],
+  },
+  {
+    id: 'tombamento_condephaat',
+    nome: 'Bem/área tombada (CONDEPHAAT)',
+    tabela: 'tombamentos_condephaat',
+    srid: 31983,
+    cidade: 'sao-paulo',
+    colunas: ['nome', 'resolucao'],
+  },
+  {
+    id: 'area_ambiental',
+    nome: 'Área de proteção ambiental',
+    tabela: 'areas_protecao_ambiental',
+    srid: 31983,
+    cidade: 'sao-paulo',
+    colunas: ['nome', 'categoria'],
+  },
+];
@@ -0,0 +1,97 @@
+// 🏙️ Registro de cidades atendidas
+//
+// Cada cidade aponta para a sua tabela de zoneamento e para os limites usados
+// pelos geocodificadores. Campos:
+//   id          identificador usado nas requisições e respostas
+//   nome, uf    usados para completar endereços sem cidade
+//   ibge        código IBGE do município
+//   zoneamento  { tabela, srid, geom, codigo, texto }: tabela PostGIS, SRID nativo
+//               (projetado, em metros), coluna de geometria e colunas com o
+//               código e a descrição da zona
+//   versoes     [{ id, lei, inicio, fim, tabela }]: versões do zoneamento com a
+//               vigência (AAAA-MM-DD, fim exclusivo, null = vigente) e a lei de
+//               origem; cada versão herda de "zoneamento" o que não informar.
+//               Sem versoes, a tabela de "zoneamento" vale para qualquer data.
+//   limites     { sul, oeste, norte, leste } em graus (WGS84): caixa que contém o
+//               município; orienta os geocodificadores e a detecção da cidade
+//   parametros  true quando parametros_urbanisticos e usos_por_zona trazem os
+//               quadros desta cidade
+//   padrao      cidade assumida para endereços sem cidade (apenas uma)
+//
+// Para usar outro registro sem alterar o código, aponte CIDADES_ARQUIVO para um
+// JSON com uma lista no mesmo formato.
+module.exports = [
+  {
+    id: 'sao-paulo',
+    nome: 'São Paulo',
+    uf: 'SP',
+    ibge: '3550308',
+    zoneamento: {
+      tabela: 'zoneamento',
+      srid: 31983,
+      geom: 'geom',
+      codigo: 'zl_zona',
+      texto: 'zl_txt_zon',
+    },
+    versoes: [
+      {
+        id: 'lpuos-2016',
+        lei: 'Lei 16.402/2016',
+        inicio: '2016-03-23',
+        fim: '2024-01-20',
+        tabela: 'zoneamento_2016',
+      },
+      {
+        id: 'lpuos-2024',
+        lei: 'Lei 16.402/2016, revisada pela Lei 18.081/2024',
+        inicio: '2024-01-20',
+        fim: null,
+      },
+    ],
+    limites: { sul: -24.01, oeste: -46.83, norte: -23.35, leste: -46.36 },
+    parametros: true,
+    padrao: true,
+  },
+  {
+    id: 'campinas',
+    nome: 'Campinas',
+    uf: 'SP',
+    ibge: '3509502',
+    zoneamento: {
+      tabela: 'zoneamento_campinas',
+      srid: 31983,
+      geom: 'geom',
+      codigo: 'zona',
+      texto: 'descricao',
+    },
+    limites: { sul: -23.07, oeste: -47.24, norte: -22.71, leste: -46.92 },
+  },
+  {
+    id: 'santo-andre',
+    nome: 'Santo André',
+    uf: 'SP',
+    ibge: '3547809',
+    zoneamento: {
+      tabela: 'zoneamento_santo_andre',
+      srid: 31983,
+      geom: 'geom',
+      codigo: 'zona',
+      texto: 'descricao',
+    },
+    limites: { sul: -23.85, oeste: -46.56, norte: -23.57, leste: -46.26 },
+  },
+  {
+    id: 'guarulhos',
+    nome: 'Guarulhos',
+    uf: 'SP',
+    ibge: '3518800',
+    zoneamento: {
+      tabela: 'zoneamento_guarulhos',
+      srid: 31983,
+      geom: 'geom',
+      codigo: 'zona',
+      texto: 'descricao',
+    },
+    limites: { sul: -23.51, oeste: -46.61, norte: -23.28, leste: -46.37 },
+  },
+];
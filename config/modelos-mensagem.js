@@ -0,0 +1,151 @@
+// 📝 Modelos de mensagem para o WhatsApp e explicações das zonas em linguagem simples
+//
+// modelos    [{ id, descricao, texto }]. texto é uma string ou uma lista de linhas
+//            (juntadas com quebra de linha), com a sintaxe de lib/modelosMensagem.js:
+//              {{campo}}                   valor do campo (vazio quando não há valor)
+//              {{#campo}} ... {{/campo}}   só quando o campo tem valor; com uma lista,
+//                                          repete o bloco por item ({{.}} é o item)
+//              {{^campo}} ... {{/campo}}   só quando o campo está vazio
+//            Formatação do WhatsApp: *negrito*, _itálico_, listas com "• ".
+// explicacoes { CODIGO: texto }. Vale o código exato ou, senão, a família (o prefixo
+//            mais longo: ZEIS explica ZEIS-1 e ZEIS-2). Para códigos que só existem
+//            numa cidade, use "cidade:CODIGO" (ex.: "campinas:ZM"), que tem prioridade.
+//
+// Para usar outro registro sem alterar o código, aponte MODELOS_MENSAGEM_ARQUIVO para
+// um JSON com { "modelos": [...], "explicacoes": {...} } no mesmo formato.
+module.exports = {
+  modelos: [
+    {
+      id: 'endereco',
+      descricao: 'Endereço, número e zona (mensagem do perfil "endereco")',
+      texto: [
+        '*Endereço:* {{endereco_formatado}}',
+        '{{#numero_imovel}}',
+        '*Número:* {{numero_imovel}}',
+        '{{/numero_imovel}}',
+        '{{#zona_encontrada}}',
+        '*Zoneamento:* {{cod_zoneamento}}',
+        '{{/zona_encontrada}}',
+        '{{^zona_encontrada}}',
+        '{{txt_zoneamento}}',
+        '{{/zona_encontrada}}',
+      ],
+    },
+    {
+      id: 'zona-completa',
+      descricao: 'Zona com descrição, explicação, lei, parâmetros, avisos e link do relatório',
+      texto: [
+        '📍 *{{endereco_formatado}}*',
+        '{{#precisao_baixa}}',
+        '_Localizamos o endereço de forma aproximada. Confira se o número está certo._',
+        '{{/precisao_baixa}}',
+        '',
+        '{{#zona_encontrada}}',
+        '🏙️ *Zoneamento: {{cod_zoneamento}}*',
+        '{{txt_zoneamento}}',
+        '{{#explicacao_zona}}',
+        '',
+        'ℹ️ {{explicacao_zona}}',
+        '{{/explicacao_zona}}',
+        '{{#lei_zoneamento}}',
+        '',
+        '📜 {{lei_zoneamento}}',
+        '{{/lei_zoneamento}}',
+        '{{#parametros_lista}}',
+        '• {{.}}',
+        '{{/parametros_lista}}',
+        '{{#perto_divisa}}',
+        '',
+        '⚠️ *Atenção:* o imóvel fica perto da divisa com a zona *{{zona_vizinha}}*. Confirme o zoneamento com um especialista.',
+        '{{/perto_divisa}}',
+        '{{#link_relatorio}}',
+        '',
+        '📄 Relatório em PDF: {{link_relatorio}}',
+        '{{/link_relatorio}}',
+        '{{/zona_encontrada}}',
+        '{{^zona_encontrada}}',
+        '😕 *Não encontramos o zoneamento deste endereço.*',
+        '{{txt_zoneamento}}',
+        '{{^cidade_atendida}}',
+        'Atendemos: {{cidades_atendidas}}.',
+        '{{/cidade_atendida}}',
+        '{{/zona_encontrada}}',
+      ],
+    },
+    {
+      id: 'conversa',
+      descricao: 'Resposta da conversa pelo WhatsApp depois da confirmação do endereço',
+      texto: [
+        '📍 {{endereco_formatado}}',
+        '{{#zona_encontrada}}',
+        '🏙️ Zoneamento: {{cod_zoneamento}} - {{txt_zoneamento}}',
+        '{{#explicacao_zona}}',
+        'ℹ️ {{explicacao_zona}}',
+        '{{/explicacao_zona}}',
+        '{{#lei_zoneamento}}',
+        '📜 {{lei_zoneamento}}',
+        '{{/lei_zoneamento}}',
+        '{{#parametros_lista}}',
+        '• {{.}}',
+        '{{/parametros_lista}}',
+        '{{/zona_encontrada}}',
+        '{{^zona_encontrada}}',
+        'ℹ️ {{txt_zoneamento}}',
+        '{{/zona_encontrada}}',
+        '{{#perto_divisa}}',
+        '⚠️ O imóvel fica perto da divisa com {{zona_vizinha}}. Confirme o zoneamento com um especialista.',
+        '{{/perto_divisa}}',
+        '{{#link_relatorio}}',
+        '📄 Relatório em PDF: {{link_relatorio}}',
+        '{{/link_relatorio}}',
+        '',
+        'Para consultar outro imóvel, é só enviar o endereço.',
+      ],
+    },
+    {
+      id: 'curto',
+      descricao: 'Uma linha: código e descrição da zona',
+      texto: [
+        '{{#zona_encontrada}}*{{cod_zoneamento}}* - {{txt_zoneamento}}{{/zona_encontrada}}',
+        '{{^zona_encontrada}}Zoneamento não encontrado para {{endereco_formatado}}.{{/zona_encontrada}}',
+      ],
+    },
+    {
+      id: 'confirmar-endereco',
+      descricao: 'Pede a confirmação do endereço quando a geocodificação é ambígua',
+      texto: [
+        '{{#ambiguo}}',
+        'Encontrei mais de um endereço parecido com *{{endereco_original}}*:',
+        '{{#candidatos}}',
+        '{{numero}}) {{endereco}} - *{{zona}}*',
+        '{{/candidatos}}',
+        '',
+        'Responda com o número da opção correta.',
+        '{{/ambiguo}}',
+        '{{^ambiguo}}',
+        'O endereço é *{{endereco_formatado}}*? Responda *SIM* ou *NÃO*.',
+        '{{/ambiguo}}',
+      ],
+    },
+  ],
+
+  explicacoes: {
+    ZC: 'Centro de bairro: moradia, comércio e serviços misturados, com prédios de altura limitada.',
+    ZCOR: 'Rua de comércio e serviços de bairro, ao lado de áreas só residenciais.',
+    ZEU: 'Área junto ao metrô, trem ou corredor de ônibus, onde a Prefeitura incentiva prédios maiores, com moradia, comércio e serviços.',
+    ZEUP: 'Área junto a uma linha de transporte planejada: o incentivo a prédios maiores vale quando a obra ficar pronta.',
+    ZEM: 'Área ao longo de eixos de transporte metropolitano, com incentivo a prédios maiores e uso misto.',
+    ZEMP: 'Eixo de transporte metropolitano planejado: o incentivo a prédios maiores vale quando a obra ficar pronta.',
+    ZER: 'Bairro estritamente residencial: casas e uso residencial, sem comércio e sem prédios altos.',
+    ZM: 'Zona mista: moradia convive com comércio e serviços de bairro, com prédios de altura média.',
+    ZMA: 'Zona mista com regras extras de proteção ambiental (áreas verdes e permeáveis).',
+    ZPI: 'Zona industrial: indústrias e atividades produtivas; moradia tem restrições.',
+    ZDE: 'Zona de desenvolvimento econômico: indústria, logística e serviços que geram empregos.',
+    ZPR: 'Bairro predominantemente residencial, com pouco comércio e de pequeno porte.',
+    ZEIS: 'Zona especial de interesse social: boa parte do que se constrói deve ser moradia popular.',
+    ZEPAM: 'Área de proteção ambiental: matas e áreas verdes onde quase não se pode construir.',
+    ZEP: 'Área de preservação, como parques: construção muito restrita.',
+    ZPDS: 'Área rural ou de mananciais: ocupação de baixa densidade e atividades sustentáveis.',
+    ZOE: 'Área de grandes equipamentos (aeroportos, campi, estádios), com regras próprias.',
+  },
+};
@@ -0,0 +1,115 @@
+// 💬 Perfis de resposta para o WATI e outros chatbots
+//
+// Cada perfil atende uma ou mais rotas por endereço e descreve só o que muda entre
+// integrações: de onde vem o endereço e como as chaves da resposta se chamam.
+// Campos:
+//   id        identificador do perfil (letras minúsculas, números e -)
+//   rotas     [{ metodo: 'get' | 'post', caminho }]
+//   entrada   apelidos aceitos, na ordem: { endereco: [...], cidade: [...], data: [...],
+//             telefone: [...], nome: [...], modelo: [...] }. Sem "cidade"/"data" o
+//             perfil ignora esses campos; telefone e nome do contato (para os leads)
+//             têm apelidos padrão (waId, senderName...) e o modelo de mensagem
+//             escolhido na requisição vem de modelo_mensagem. Os valores são lidos do
+//             body e da query string.
+//   saida     { chave_na_resposta: campo }, na ordem da resposta. Campos disponíveis:
+//             endereco_original, endereco_formatado, numero_imovel, lat, lng,
+//             cod_zoneamento, txt_zoneamento e as variáveis WATI (nome_cidade,
+//             parametros, aviso_divisa...). link_relatorio é o link curto do PDF da
+//             consulta (GET /r/:codigo); só é gerado para perfis que o usam
+//   padroes   { chave_na_resposta: texto } para quando o valor vier vazio
+//   fixos     chaves com valor fixo, no início da resposta (ex.: { success: true })
+//   variaveis inclui todas as variáveis WATI planas (padrão: true)
+//   detalhes  inclui geocoder, precisão, cidade, parâmetros, fronteira, camadas e
+//             candidatos (padrão: true)
+//   mensagens { chave_na_resposta: texto | { modelo: 'id' } }: um modelo inline, com
+//             {{campo}} e blocos {{#campo}}...{{/campo}}, ou um modelo registrado em
+//             config/modelos-mensagem.js. Os campos são os de saida e os dos blocos
+//             (zona_encontrada, precisao_baixa, explicacao_zona, parametros_lista...)
+//
+// Para usar outro registro sem alterar o código, aponte PERFIS_WATI_ARQUIVO para
+// um JSON com uma lista no mesmo formato. Nova integração = novo perfil, sem rota nova.
+const ZONA_PADRAO = 'Nao identificado';
+const TEXTO_PADRAO = 'Zoneamento nao encontrado';
+
+module.exports = [
+  {
+    // Chatbot antigo: nomes longos, aliases curtos e a mensagem pronta
+    id: 'endereco',
+    rotas: [{ metodo: 'post', caminho: '/zoneamento-endereco' }],
+    entrada: {
+      endereco: ['endereco', 'endereco_imovel'],
+      cidade: ['cidade', 'municipio'],
+      data: ['data_referencia'],
+    },
+    saida: {
+      endereco_formatado: 'endereco_formatado',
+      numero_imovel: 'numero_imovel',
+      zoneamento: 'cod_zoneamento',
+      zoneamento_texto: 'txt_zoneamento',
+      end_fmt: 'endereco_formatado',
+      num_imovel: 'numero_imovel',
+      zon_cod: 'cod_zoneamento',
+      zon_txt: 'txt_zoneamento',
+      endereco_original: 'endereco_original',
+      lat: 'lat',
+      lng: 'lng',
+    },
+    padroes: {
+      zoneamento: ZONA_PADRAO,
+      zoneamento_texto: TEXTO_PADRAO,
+      zon_cod: ZONA_PADRAO,
+      zon_txt: TEXTO_PADRAO,
+    },
+    mensagens: {
+      mensagem_whatsapp: { modelo: 'endereco' },
+    },
+  },
+  {
+    // Resposta completa com success e os códigos sem texto padrão
+    id: 'wati',
+    rotas: [{ metodo: 'post', caminho: '/zoneamento-wati' }],
+    entrada: {
+      endereco: ['endereco', 'endereco_imovel'],
+      cidade: ['cidade', 'municipio'],
+      data: ['data_referencia'],
+    },
+    fixos: { success: true },
+    saida: {
+      endereco_original: 'endereco_original',
+      endereco_formatado: 'endereco_formatado',
+      lat: 'lat',
+      lng: 'lng',
+      cod_zoneamento: 'cod_zoneamento',
+      txt_zoneamento: 'txt_zoneamento',
+      end_fmt: 'endereco_formatado',
+      zon_cod: 'cod_zoneamento',
+      zon_txt: 'txt_zoneamento',
+    },
+  },
+  {
+    // Variáveis WATI com nomes curtos (webhooks simples, GET com query string)
+    id: 'wati-variaveis',
+    rotas: [
+      { metodo: 'get', caminho: '/zoneamento-wati' },
+      { metodo: 'post', caminho: '/zoneamento-wati-v2' },
+      { metodo: 'get', caminho: '/zoneamento-endereco-get' },
+      { metodo: 'get', caminho: '/webhook/zoneamento' },
+      { metodo: 'post', caminho: '/webhook/zoneamento' },
+      { metodo: 'post', caminho: '/webhook/zoneamento-wati' },
+    ],
+    entrada: {
+      endereco: ['endereco', 'endereco_imovel'],
+      cidade: ['cidade', 'municipio'],
+      data: ['data_referencia'],
+    },
+    saida: {
+      endereco_formatado: 'endereco_formatado',
+      zoneamento: 'cod_zoneamento',
+      zoneamento_texto: 'txt_zoneamento',
+    },
+    padroes: {
+      zoneamento: ZONA_PADRAO,
+      zoneamento_texto: TEXTO_PADRAO,
+    },
+  },
+];
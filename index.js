@@ -1,116 +1,85 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
-const axios = require('axios');
 
 // 🔐 Variáveis de ambiente
 const {
-  DATABASE_URL,
-  GOOGLE_API_KEY,
   PORT,
+  CORS_ORIGENS,
 } = process.env;
 
-// 🗄️ Conexão com Postgres
-const pool = new Pool({
-  connectionString: DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false,
-  },
-});
-
-// 🧩 Função auxiliar para geocodificar um endereço usando Google Geocoding
-async function geocodeEndereco(endereco) {
-  if (!GOOGLE_API_KEY) {
-    throw new Error(
-      'GOOGLE_API_KEY não configurada no .env. Não é possível geocodificar.'
-    );
-  }
-
-  // 🔧 SOLUÇÃO v1: Pegar até primeira vírgula e adicionar ", São Paulo"
-  let enderecoProcessado = endereco;
-  let numeroImovel = '';
-  
-  // Extrair número do imóvel ANTES de remover parte após vírgula
-  const matchNumero = endereco.match(/(\d+)\s*(?:,|$)/);
-  if (matchNumero) {
-    numeroImovel = matchNumero[1];
-  }
-  
-  // Depois remover tudo após a vírgula
-  if (endereco.includes(',')) {
-    enderecoProcessado = endereco.split(',')[0].trim();
-  }
-  
-  enderecoProcessado = enderecoProcessado + ', São Paulo';
-
-  const url =
-    'https://maps.googleapis.com/maps/api/geocode/json?address=' +
-    encodeURIComponent(enderecoProcessado) +
-    '&components=administrative_area:SP|country:BR' +
-    '&key=' +
-    GOOGLE_API_KEY;
-
-  const resp = await axios.get(url);
-  if (resp.data.status !== 'OK' || !resp.data.results.length) {
-    throw new Error(
-      'Não foi possível geocodificar o endereço. Status: ' + resp.data.status
-    );
-  }
-
-  const { formatted_address, geometry } = resp.data.results[0];
-  const { lat, lng } = geometry.location;
-
-  return {
-    enderecoFormatado: formatted_address,
-    lat,
-    lng,
-    numeroImovel: numeroImovel,
-  };
-}
-
-// 🗺️ Função para consultar zoneamento por latitude/longitude
-async function consultarZoneamento(lat, lng) {
-  const client = await pool.connect();
-  try {
-    const query = `
-      SELECT
-        z.zl_zona AS cod_zoneamento,
-        z.zl_txt_zon AS texto_zoneamento
-      FROM zoneamento z
-      WHERE ST_Contains(
-        z.geom,
-        ST_Transform(
-          ST_SetSRID(ST_Point($1, $2), 4326),
-          31983
-        )
-      )
-      LIMIT 1;
-    `;
-
-    const values = [lng, lat]; // ordem: longitude, latitude
-    const result = await client.query(query, values);
-
-    if (result.rows.length === 0) {
-      return {
-        codigo: null,
-        texto: 'Zoneamento não encontrado para esse ponto.',
-      };
-    }
-
-    return {
-      codigo: result.rows[0].cod_zoneamento,
-      texto: result.rows[0].texto_zoneamento || 'Zoneamento não identificado.',
-    };
-  } finally {
-    client.release();
-  }
-}
+// 🗺️ Consulta de zoneamento (PostGIS) por ponto ou por endereço
+// (geocodificação pela cadeia de provedores em GEOCODER_PROVIDERS)
+const { consultarPonto, pontoParaResposta } = require('./lib/consulta');
+const {
+  carregarCidades,
+  cidadeDaRequisicao,
+  dataDaRequisicao,
+  cidadeParaResposta,
+  versaoParaResposta,
+} = require('./lib/cidades');
+const { carregarCamadas } = require('./lib/camadas');
+const { carregarPerfisWati } = require('./lib/perfisWati');
+const { carregarModelosMensagem } = require('./lib/modelosMensagem');
+const { iniciarOutboxLeads } = require('./lib/leads');
+const { auditarConsultas, iniciarLimpezaConsultas } = require('./lib/auditoria');
+const { exigirChave, ocultarChaves, autenticacaoHabilitada } = require('./lib/chavesApi');
+const { iniciarZoneamentoMemoria } = require('./lib/zoneamentoMemoria');
+const { iniciarLimpezaRelatorios } = require('./lib/relatorio');
+const { verificarProntidao } = require('./lib/saude');
+const { TIPO_PROMETHEUS, medirRequisicoes, textoMetricas } = require('./lib/metricas');
+
+// Valida os registros de cidades, camadas e perfis WATI já na subida do servidor
+carregarCidades();
+carregarCamadas();
+carregarModelosMensagem();
+carregarPerfisWati();
+
+// 🛠️ Rotas administrativas, por CEP, de usos permitidos, por área, por SQL, de histórico
+// e de consulta em massa
+const adminRoutes = require('./routes/admin');
+const cepRoutes = require('./routes/cep');
+const usosRoutes = require('./routes/usos');
+const areaRoutes = require('./routes/area');
+const lotesRoutes = require('./routes/lotes');
+const historicoRoutes = require('./routes/historico');
+const massaRoutes = require('./routes/massa');
+// 🗺️ Mapa do zoneamento: vector tiles e GeoJSON por caixa
+const mapaRoutes = require('./routes/mapa');
+// 📄 Relatório de zoneamento em PDF e links curtos (/r/:codigo)
+const relatorioRoutes = require('./routes/relatorio');
+// 💬 Rotas por endereço do WATI/chatbots (uma por rota dos perfis em config/perfis-wati.js)
+const watiRoutes = require('./routes/wati');
+// 📝 Modelos de mensagem do WhatsApp: lista e pré-visualização
+const mensagensRoutes = require('./routes/mensagens');
+// 🤖 Conversa por WhatsApp: mensagens recebidas do WATI, respostas pelo sendSessionMessage
+const conversaRoutes = require('./routes/conversa');
 
 // 🚀 Configuração do Express
 const app = express();
-app.use(cors());
+// No Render a API fica atrás de um proxy: req.ip (gravado na auditoria) vem do X-Forwarded-For
+app.set('trust proxy', 1);
+// CORS_ORIGENS: origens permitidas no navegador, separadas por vírgula (vazio = todas)
+app.use(
+  cors({
+    origin: CORS_ORIGENS ? CORS_ORIGENS.split(',').map((o) => o.trim()) : true,
+  })
+);
 app.use(express.json());
+// Requisições e latência por rota para o /metrics
+app.use(medirRequisicoes);
+app.use('/admin', adminRoutes);
+app.use(cepRoutes);
+app.use(usosRoutes);
+app.use(areaRoutes);
+app.use(lotesRoutes);
+app.use(historicoRoutes);
+app.use(massaRoutes);
+app.use(mapaRoutes);
+app.use(relatorioRoutes);
+app.use(watiRoutes);
+app.use(mensagensRoutes);
+app.use(conversaRoutes);
 
 // Rota raiz de healthcheck
 app.get('/', (req, res) => {
@@ -122,13 +91,31 @@ app.get('/', (req, res) => {
       version: '1.0.0',
       endpoints: [
         'GET /health',
+        'GET /health/ready',
+        'GET /cidades',
         'POST /zoneamento (lat, lng)',
-        'POST /zoneamento-endereco (endereco)'
+        'POST /zoneamento-endereco (endereco)',
+        'POST /zoneamento-cep (cep, numero)',
+        'GET /cep/:cep',
+        'POST /uso-permitido (lat, lng | endereco; uso | cnae)',
+        'POST /zoneamento-area (GeoJSON Polygon/MultiPolygon)',
+        'POST /zoneamento-sql (sql)',
+        'GET /lote/:sql',
+        'POST /zoneamento-historico (lat, lng | endereco)',
+        'POST /zoneamento-massa (arquivo CSV/XLSX | itens)',
+        'GET /zoneamento-massa/:id[/resultado]',
+        'GET /tiles/:z/:x/:y.mvt',
+        'GET /zonas.geojson (bbox, zoom)',
+        'POST /relatorio (lat, lng | endereco) - PDF',
+        'GET /r/:codigo (link curto do relatório)',
+        'GET /modelos-mensagem',
+        'POST /modelos-mensagem/previa (modelo | texto; endereco)',
+        'POST /webhook/wati-mensagens (webhook de mensagens do WATI)'
       ]
     });
 });
 
-// Rota de healthcheck
+// Rota de healthcheck (processo no ar; não verifica dependências)
 app.get('/health', (req, res) => {
   res.status(200).json({
     success: true,
@@ -136,246 +123,99 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Rota para consultar zoneamento a partir de lat/lng
-app.post('/zoneamento', async (req, res) => {
-  const { lat, lng } = req.body;
-
-  if (typeof lat !== 'number' || typeof lng !== 'number') {
-    return res.status(400).json({
-      success: false,
-      error: 'Parâmetros lat e lng são obrigatórios e devem ser numéricos.',
-    });
-  }
-
+// Prontidão: Postgres, PostGIS, tabelas de zoneamento e geocodificador (503 se falhar)
+app.get('/health/ready', async (req, res) => {
   try {
-    const resultado = await consultarZoneamento(lat, lng);
-
-    res.json({
-      success: true,
-      lat,
-      lng,
-      cod_zoneamento: resultado.codigo,
-      txt_zoneamento: resultado.texto,
+    const { pronto, verificacoes } = await verificarProntidao();
+    res.status(pronto ? 200 : 503).json({
+      success: pronto,
+      message: pronto ? 'pronto' : 'indisponivel',
+      verificacoes,
     });
   } catch (error) {
-    console.error('Erro ao consultar zoneamento:', error);
-    res.status(500).json({
+    console.error('Erro em GET /health/ready:', error);
+    res.status(503).json({
       success: false,
-      error: 'Erro ao consultar zoneamento.',
+      error: 'Erro ao verificar a prontidão da API.',
       details: error.message,
     });
   }
 });
 
-// Rota POST para /zoneamento-endereco (compativel com o chatbot antigo do WATI)
-app.post('/zoneamento-endereco', async (req, res) => {
-  // Aceita tanto 'endereco' quanto 'endereco_imovel' (nomes que o WATI pode enviar)
-  const endereco = req.body.endereco || req.body.endereco_imovel;
-
-  if (!endereco) {
-    return res.status(400).json({
-      success: false,
-      error: 'O campo "endereco" é obrigatório.',
-    });
-  }
-
-  try {
-    // 1) Geocodifica o endereço
-    const { enderecoFormatado, lat, lng, numeroImovel } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna com os NOMES DE VARIÁVEIS que o WATI espera mapear
-    // IMPORTANTE: O WATI mapeia as chaves da resposta para as variáveis de contato
-    res.json({
-      // Variáveis que o WATI vai mapear (conforme configurado no webhook)
-      endereco_formatado: enderecoFormatado,
-      numero_imovel: numeroImovel,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-      
-      // Aliases para compatibilidade
-      end_fmt: enderecoFormatado,
-      num_imovel: numeroImovel,
-      zon_cod: resultadoZoneamento.codigo || 'Nao identificado',
-      zon_txt: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-      
-      // Dados adicionais para referência
-      endereco_original: endereco,
-      lat,
-      lng,
-      mensagem_whatsapp: `Endereço: ${enderecoFormatado}\nNúmero: ${numeroImovel}\nZoneamento: ${resultadoZoneamento.codigo}`,
-    });
-  } catch (error) {
-    console.error('Erro em /zoneamento-endereco:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erro ao processar o endereço.',
-      details: error.message,
-    });
-  }
-});
-
-// Rota POST para /zoneamento-wati
-app.post('/zoneamento-wati', async (req, res) => {
-  // Aceita tanto 'endereco' quanto 'endereco_imovel' (nomes que o WATI pode enviar)
-  const endereco = req.body.endereco || req.body.endereco_imovel;
-
-  if (!endereco) {
-    return res.status(400).json({
-      success: false,
-      error: 'O campo "endereco" é obrigatório.',
-    });
-  }
-
-  try {
-    // 1) Geocodifica o endereço
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Responde para quem chamou
-    res.json({
-      success: true,
-      endereco_original: endereco,
-      endereco_formatado: enderecoFormatado,
-      lat,
-      lng,
-      cod_zoneamento: resultadoZoneamento.codigo,
-      txt_zoneamento: resultadoZoneamento.texto,
-      // Variáveis para WATI (formato esperado pelo chatbot)
-      end_fmt: enderecoFormatado,
-      zon_cod: resultadoZoneamento.codigo,
-      zon_txt: resultadoZoneamento.texto,
-    });
-  } catch (error) {
-    console.error('Erro em /zoneamento-endereco:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erro ao processar o endereço.',
-      details: error.message,
-    });
-  }
+// Métricas no formato do Prometheus
+app.get('/metrics', exigirChave('admin'), (req, res) => {
+  res.type(TIPO_PROMETHEUS).send(textoMetricas());
 });
 
-// Rota alternativa que retorna APENAS as variáveis WATI (para webhooks simples)
-app.post('/zoneamento-wati', async (req, res) => {
-  const { endereco } = req.body;
-
-  if (!endereco) {
-    return res.status(400).json({
-      success: false,
-      error: 'O campo "endereco" é obrigatório.',
-    });
-  }
-
-  try {
-    // 1) Geocodifica o endereço
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna com os nomes de variaveis esperados pelo WATI
-    res.json({
-      endereco_formatado: enderecoFormatado,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-    });
-  } catch (error) {
-    console.error('Erro em /zoneamento-wati:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erro ao processar o endereco.',
-      details: error.message,
-    });
-  }
+// Cidades atendidas (registro em config/cidades.js)
+app.get('/cidades', exigirChave('publico'), (req, res) => {
+  res.json({
+    success: true,
+    cidades: carregarCidades().map((cidade) => ({
+      ...cidadeParaResposta(cidade),
+      versoes_zoneamento: cidade.versoes.map(versaoParaResposta),
+    })),
+  });
 });
 
-// Rota GET para /zoneamento-wati (para WATI que usa GET com query parameters)
-app.get('/zoneamento-wati', async (req, res) => {
-  const { endereco } = req.query;
+// Rota para consultar zoneamento a partir de lat/lng
+app.post('/zoneamento', exigirChave('publico'), auditarConsultas, async (req, res) => {
+  // raio (opcional): raio em metros para listar as zonas vizinhas
+  // cidade (opcional): id ou nome da cidade; sem ela, é detectada pelo ponto
+  // data_referencia (opcional): AAAA-MM-DD, para consultar uma versão anterior
+  const { lat, lng, raio } = req.body;
 
-  if (!endereco) {
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
     return res.status(400).json({
       success: false,
-      error: 'O parametro "endereco" eh obrigatorio.',
-    });
-  }
-
-  try {
-    // 1) Geocodifica o endereco
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna com os nomes de variaveis esperados pelo WATI
-    res.json({
-      endereco_formatado: enderecoFormatado,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-    });
-  } catch (error) {
-    console.error('Erro em /zoneamento-wati (GET):', error);
-    res.status(500).json({
-      success: false,
-      error: 'Erro ao processar o endereco.',
-      details: error.message,
+      error: 'Parâmetros lat e lng são obrigatórios e devem ser numéricos.',
     });
   }
-});
-
-// Rota POST para /zoneamento-wati-v2 (versao alternativa que aceita body JSON)
-app.post('/zoneamento-wati-v2', async (req, res) => {
-  const { endereco } = req.body;
 
-  if (!endereco) {
+  const { cidade, erro } = cidadeDaRequisicao(req.body.cidade);
+  const { data, erro: erroData } = dataDaRequisicao(req.body.data_referencia);
+  if (erro || erroData) {
     return res.status(400).json({
       success: false,
-      error: 'O campo "endereco" eh obrigatorio.',
+      error: erro || erroData,
     });
   }
 
   try {
-    // 1) Geocodifica o endereco
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
+    const ponto = await consultarPonto(lat, lng, { raioVizinhanca: raio, cidade, data });
 
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna com os nomes de variaveis esperados pelo WATI
     res.json({
-      endereco_formatado: enderecoFormatado,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
+      success: true,
+      lat,
+      lng,
+      cod_zoneamento: ponto.zoneamento.codigo,
+      txt_zoneamento: ponto.zoneamento.texto,
+      ...pontoParaResposta(ponto),
     });
   } catch (error) {
-    console.error('Erro em /zoneamento-wati-v2 (POST):', error);
+    console.error('Erro ao consultar zoneamento:', error);
     res.status(500).json({
       success: false,
-      error: 'Erro ao processar o endereco.',
+      error: 'Erro ao consultar zoneamento.',
       details: error.message,
     });
   }
 });
 
 // Rota POST para /webhook/debug (para debugar o que está sendo recebido)
-app.post('/webhook/debug', async (req, res) => {
+app.post('/webhook/debug', exigirChave('admin'), async (req, res) => {
   console.log('\n========== DEBUG WEBHOOK WATI ==========');
   console.log('Timestamp:', new Date().toISOString());
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
+  console.log('Headers:', JSON.stringify(ocultarChaves(req.headers), null, 2));
   console.log('Body completo:', JSON.stringify(req.body, null, 2));
-  console.log('Query params:', JSON.stringify(req.query, null, 2));
+  console.log('Query params:', JSON.stringify(ocultarChaves(req.query), null, 2));
   console.log('========================================\n');
   
   res.json({
     debug: true,
     timestamp: new Date().toISOString(),
     body_recebido: req.body,
-    query_recebido: req.query,
+    query_recebido: ocultarChaves(req.query),
     endereco_em_body: req.body.endereco || req.body.endereco_imovel || 'NAO ENCONTRADO',
     endereco_em_query: req.query.endereco || 'NAO ENCONTRADO',
     todas_as_chaves: Object.keys(req.body),
@@ -383,167 +223,65 @@ app.post('/webhook/debug', async (req, res) => {
 });
 
 // Rota GET para /webhook/debug-get (para debugar GET requests)
-app.get('/webhook/debug-get', async (req, res) => {
+app.get('/webhook/debug-get', exigirChave('admin'), async (req, res) => {
   console.log('\n========== DEBUG WEBHOOK GET ==========');
   console.log('Timestamp:', new Date().toISOString());
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Query params:', JSON.stringify(req.query, null, 2));
+  console.log('Headers:', JSON.stringify(ocultarChaves(req.headers), null, 2));
+  console.log('Query params:', JSON.stringify(ocultarChaves(req.query), null, 2));
   console.log('========================================\n');
   
   res.json({
     debug: true,
     timestamp: new Date().toISOString(),
-    query_recebido: req.query,
+    query_recebido: ocultarChaves(req.query),
     endereco_em_query: req.query.endereco || 'NAO ENCONTRADO',
   });
 });
 
-// Rota GET para /zoneamento-endereco-get (RECOMENDADO para WATI - aceita variáveis em URL)
-app.get('/zoneamento-endereco-get', async (req, res) => {
-  try {
-    const { endereco } = req.query;
-
-    if (!endereco || endereco.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Parâmetro "endereco" eh obrigatorio',
-      });
-    }
-
-    // 1) Geocodifica
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna as variaveis WATI
-    res.json({
-      endereco_formatado: enderecoFormatado,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-    });
-  } catch (error) {
-    console.error('Erro em GET /zoneamento-endereco-get:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Erro ao processar endereco',
-    });
-  }
-});
-
-// Rota GET para /webhook/zoneamento (aceita endereco como query parameter)
-app.get('/webhook/zoneamento', async (req, res) => {
-  try {
-    const { endereco } = req.query;
-
-    if (!endereco || endereco.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Parâmetro "endereco" eh obrigatorio',
-      });
-    }
-
-    // 1) Geocodifica
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna as variaveis WATI
-    res.json({
-      endereco_formatado: enderecoFormatado,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-    });
-  } catch (error) {
-    console.error('Erro em GET /webhook/zoneamento:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Erro ao processar endereco',
-    });
-  }
-});
-
-// Rota POST para /webhook/zoneamento (novo endpoint simples para WATI)
-app.post('/webhook/zoneamento', async (req, res) => {
-  try {
-    const { endereco } = req.body;
-
-    if (!endereco || endereco.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Campo "endereco" eh obrigatorio',
-      });
-    }
-
-    // 1) Geocodifica
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna as variaveis WATI
-    res.json({
-      endereco_formatado: enderecoFormatado,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-    });
-  } catch (error) {
-    console.error('Erro em /webhook/zoneamento:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Erro ao processar endereco',
-    });
-  }
-});
-
-// Rota POST para /webhook/zoneamento-wati (compatível com WATI - aceita variáveis)
-app.post('/webhook/zoneamento-wati', async (req, res) => {
-  try {
-    // WATI pode enviar como 'endereco' ou 'endereco_imovel'
-    const endereco = req.body.endereco || req.body.endereco_imovel;
-
-    if (!endereco || endereco.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Campo "endereco" ou "endereco_imovel" eh obrigatorio',
-      });
-    }
-
-    // 1) Geocodifica
-    const { enderecoFormatado, lat, lng } = await geocodeEndereco(endereco);
-
-    // 2) Consulta zoneamento
-    const resultadoZoneamento = await consultarZoneamento(lat, lng);
-
-    // 3) Retorna com os nomes de variáveis esperados pelo WATI
-    res.json({
-      endereco_formatado: enderecoFormatado,
-      zoneamento: resultadoZoneamento.codigo || 'Nao identificado',
-      zoneamento_texto: resultadoZoneamento.texto || 'Zoneamento nao encontrado',
-    });
-  } catch (error) {
-    console.error('Erro em POST /webhook/zoneamento-wati:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Erro ao processar endereco',
-    });
-  }
-});
-
 // Sobe o servidor
 const porta = PORT || 3000;
 app.listen(porta, () => {
   console.log(`🚀 API Zoneamento rodando na porta ${porta}`);
+  if (!autenticacaoHabilitada()) {
+    console.warn('⚠️ API_CHAVES=false: rotas sem autenticação (use só em desenvolvimento).');
+  }
   console.log(`📍 Endpoints disponíveis:`);
   console.log(`   - GET  /`);
-  console.log(`   - GET  /health`);
+  console.log(`   - GET  /health | GET /health/ready (Postgres, PostGIS, zoneamento, geocoder)`);
+  console.log(`   - GET  /cidades`);
   console.log(`   - POST /zoneamento (lat, lng)`);
-  console.log(`   - POST /zoneamento-endereco (endereco)`);
-  console.log(`   - POST /zoneamento-wati (endereco) - Retorna variaveis WATI`);
-  console.log(`   - POST /zoneamento-wati-v2 (endereco) - Versao alternativa com body JSON`);
-  console.log(`   - POST /webhook/zoneamento (endereco) - Novo endpoint para WATI webhook`);
-  console.log(`   - POST /webhook/zoneamento-wati (endereco) - Compativel com WATI (RECOMENDADO)`);
+  console.log(`   - POST /zoneamento-cep (cep, numero)`);
+  console.log(`   - GET  /cep/:cep`);
+  console.log(`   - POST /uso-permitido (lat, lng | endereco; uso | cnae)`);
+  console.log(`   - POST /zoneamento-area (GeoJSON Polygon/MultiPolygon)`);
+  console.log(`   - POST /zoneamento-sql (sql) | GET /lote/:sql`);
+  console.log(`   - POST /zoneamento-historico (lat, lng | endereco)`);
+  console.log(`   - POST /zoneamento-massa (arquivo CSV/XLSX | itens) | GET /zoneamento-massa/:id[/resultado]`);
+  console.log(`   - GET  /tiles/:z/:x/:y.mvt | GET /zonas.geojson (bbox, zoom)`);
+  console.log(`   - POST /relatorio (lat, lng | endereco) - PDF | GET /r/:codigo - link curto`);
+  for (const perfil of carregarPerfisWati()) {
+    for (const rota of perfil.rotas) {
+      console.log(`   - ${rota.metodo.toUpperCase().padEnd(4)} ${rota.caminho} (endereco) - perfil WATI "${perfil.id}"`);
+    }
+  }
+  console.log(`   - GET  /modelos-mensagem | POST /modelos-mensagem/previa - modelos de mensagem WhatsApp`);
+  console.log(`   - POST /webhook/wati-mensagens - Conversa por WhatsApp (webhook de mensagens do WATI)`);
   console.log(`   - POST /webhook/debug - DEBUG: mostra o que WATI está enviando`);
   console.log(`   - GET  /webhook/debug-get - DEBUG: mostra query params`);
+  console.log(`   - GET|DELETE /admin/geocode-cache, POST /admin/geocode-cache/aquecer - ADMIN`);
+  console.log(`   - GET  /admin/leads.csv, GET /admin/leads/outbox, POST /admin/leads/outbox/processar - ADMIN`);
+  console.log(`   - GET|POST /admin/chaves, DELETE /admin/chaves/:id, GET /admin/chaves/:id/uso - ADMIN`);
+  console.log(`   - GET  /admin/estatisticas/{resumo,consultas-por-dia,zonas,geocodificacao,enderecos-com-falha} - ADMIN`);
+  console.log(`   - GET  /admin/zoneamento-memoria, POST /admin/zoneamento-memoria/recarregar - ADMIN`);
+  console.log(`   - DELETE /admin/mapa-cache - ADMIN`);
+  console.log(`   - GET  /metrics - Prometheus - ADMIN`);
+
+  // Envio periódico dos leads para o Google Sheets (só com GOOGLE_SHEETS_WEBHOOK_URL)
+  iniciarOutboxLeads();
+  // Limpeza diária das consultas auditadas além de CONSULTAS_RETENCAO_DIAS
+  iniciarLimpezaConsultas();
+  // Zoneamento em memória (só com ZONEAMENTO_MEMORIA=true); SIGHUP recarrega
+  iniciarZoneamentoMemoria();
+  // Limpeza diária dos links de relatório além de RELATORIOS_RETENCAO_DIAS
+  iniciarLimpezaRelatorios();
 });
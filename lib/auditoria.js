@@ -0,0 +1,341 @@
+// 🧾 Auditoria das consultas e estatísticas de uso
+//
+// Cada consulta de zoneamento vira uma linha na tabela consultas (sql/consultas.sql):
+// rota, quem consultou (chave de API, IP ou telefone), entrada, resultado da geocodificação, zona, latência e erro.
+// As rotas HTTP usam o middleware auditarConsultas; fluxos fora do HTTP (conversa
+// pelo WhatsApp, linhas da consulta em massa) usam auditar(). O geocodificador e a
+// consulta de zoneamento anotam o que encontraram com anotarConsulta, que escreve
+// no registro da consulta em andamento (AsyncLocalStorage) e não faz nada fora dela.
+// A gravação é em segundo plano: uma falha no Postgres nunca afeta a resposta.
+const { AsyncLocalStorage } = require('async_hooks');
+const pool = require('./db');
+
+// As datas das estatísticas (dias, filtros desde/ate) são as de Brasília
+const FUSO = 'America/Sao_Paulo';
+const DIAS_PADRAO = 30;
+
+// Valores maiores que isso (geometrias, listas) são resumidos na entrada gravada
+const TAMANHO_MAXIMO_CAMPO = 500;
+const CAMPOS_OMITIDOS = ['token', 'api_key'];
+
+const COLUNAS = {
+  endereco: 'endereco',
+  geocodificacao: 'geocodificacao',
+  geocoder: 'geocoder',
+  enderecoFormatado: 'endereco_formatado',
+  precisao: 'precisao',
+  lat: 'lat',
+  lng: 'lng',
+  cidade: 'cidade',
+  codZoneamento: 'cod_zoneamento',
+};
+
+const contexto = new AsyncLocalStorage();
+let temporizadorLimpeza = null;
+
+function auditoriaHabilitada() {
+  return Boolean(process.env.DATABASE_URL) && process.env.CONSULTAS_AUDITORIA !== 'false';
+}
+
+// Anota dados da consulta em andamento (vale o primeiro valor de cada campo: os
+// candidatos de um endereço ambíguo não sobrescrevem o resultado principal).
+// dados: { endereco, geocodificacao, geocoder, enderecoFormatado, precisao, lat,
+// lng, cidade, codZoneamento }
+function anotarConsulta(dados) {
+  const registro = contexto.getStore();
+  if (!registro) {
+    return;
+  }
+  for (const [campo, valor] of Object.entries(dados)) {
+    if (COLUNAS[campo] && registro[campo] === undefined && valor !== undefined) {
+      registro[campo] = valor;
+    }
+  }
+}
+
+// Body + query sem segredos e com os campos grandes resumidos
+function resumirEntrada(entrada) {
+  const resumo = {};
+  for (const [campo, valor] of Object.entries(entrada)) {
+    if (CAMPOS_OMITIDOS.includes(campo)) {
+      continue;
+    }
+    const json = JSON.stringify(valor);
+    resumo[campo] =
+      json !== undefined && json.length > TAMANHO_MAXIMO_CAMPO
+        ? `[${json.length} caracteres omitidos]`
+        : valor;
+  }
+  return resumo;
+}
+
+function gravarConsulta(registro) {
+  const colunas = ['rota', 'cliente', 'entrada', 'status', 'erro', 'latencia_ms'];
+  const valores = [
+    registro.rota.slice(0, 80),
+    registro.cliente ? String(registro.cliente).slice(0, 80) : null,
+    JSON.stringify(resumirEntrada(registro.entrada || {})),
+    registro.status || null,
+    registro.erro ? String(registro.erro).slice(0, 1000) : null,
+    registro.latenciaMs,
+  ];
+  for (const [campo, coluna] of Object.entries(COLUNAS)) {
+    if (registro[campo] !== undefined && registro[campo] !== null) {
+      colunas.push(coluna);
+      valores.push(registro[campo]);
+    }
+  }
+
+  const marcadores = valores.map((_, i) => `$${i + 1}`).join(', ');
+  pool
+    .query(`INSERT INTO consultas (${colunas.join(', ')}) VALUES (${marcadores});`, valores)
+    .catch((error) => {
+      console.error('Erro ao gravar a auditoria da consulta:', error.message);
+    });
+}
+
+// Mensagem de erro de uma resposta da API ({ success: false, error, details })
+function erroDaResposta(status, corpo) {
+  if (corpo && corpo.success === false) {
+    return [corpo.error, corpo.details].filter(Boolean).join(' - ');
+  }
+  return status >= 400 ? `HTTP ${status}` : null;
+}
+
+// Middleware das rotas de consulta: grava a requisição quando a resposta termina
+function auditarConsultas(req, res, next) {
+  if (!auditoriaHabilitada()) {
+    return next();
+  }
+
+  const registro = {};
+  const inicio = Date.now();
+  let corpo = null;
+  const json = res.json.bind(res);
+  res.json = (valor) => {
+    corpo = valor;
+    return json(valor);
+  };
+
+  res.on('finish', () => {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    gravarConsulta({
+      ...registro,
+      rota: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`,
+      cliente: req.chaveApi ? `chave ${req.chaveApi.prefixo}` : req.ip,
+      entrada: { ...req.query, ...req.params, ...body },
+      status: res.statusCode,
+      erro: erroDaResposta(res.statusCode, corpo),
+      latenciaMs: Date.now() - inicio,
+    });
+  });
+
+  contexto.run(registro, next);
+}
+
+// Executa uma consulta fora do HTTP e a grava. Execuções que não chegaram a
+// consultar nada (ex.: um "oi" na conversa) e terminaram sem erro não são gravadas.
+// origem: { rota, cliente, entrada }
+async function auditar(origem, funcao) {
+  if (!auditoriaHabilitada()) {
+    return funcao();
+  }
+
+  const registro = {};
+  const inicio = Date.now();
+  try {
+    const resultado = await contexto.run(registro, funcao);
+    if (Object.keys(registro).length > 0) {
+      gravarConsulta({ ...registro, ...origem, latenciaMs: Date.now() - inicio });
+    }
+    return resultado;
+  } catch (error) {
+    gravarConsulta({ ...registro, ...origem, erro: error.message, latenciaMs: Date.now() - inicio });
+    throw error;
+  }
+}
+
+// Apaga as consultas mais antigas que CONSULTAS_RETENCAO_DIAS (padrão: 180), na
+// subida do servidor e uma vez por dia
+function iniciarLimpezaConsultas() {
+  if (temporizadorLimpeza || !auditoriaHabilitada()) {
+    return;
+  }
+  const limpar = () => {
+    const dias = Number(process.env.CONSULTAS_RETENCAO_DIAS) || 180;
+    pool
+      .query('DELETE FROM consultas WHERE criado_em < NOW() - make_interval(days => $1);', [dias])
+      .catch((error) => {
+        console.error('Erro ao limpar a auditoria de consultas:', error.message);
+      });
+  };
+  limpar();
+  temporizadorLimpeza = setInterval(limpar, 24 * 60 * 60 * 1000);
+  temporizadorLimpeza.unref();
+}
+
+// 📊 Estatísticas
+
+// "2026-10-19" (data de hoje, ou de dias atrás, no fuso de Brasília)
+function dataLocal(diasAtras = 0) {
+  const instante = new Date(Date.now() - diasAtras * 24 * 60 * 60 * 1000);
+  return new Intl.DateTimeFormat('en-CA', { timeZone: FUSO }).format(instante);
+}
+
+// Período das estatísticas: desde/ate em AAAA-MM-DD (padrão: os últimos 30 dias)
+function periodo({ desde = null, ate = null } = {}) {
+  return {
+    desde: desde || dataLocal(DIAS_PADRAO - 1),
+    ate: ate || dataLocal(),
+  };
+}
+
+// Filtro comum: $1 = desde, $2 = ate (inclusive), $3 = rota (opcional)
+const FILTRO = `
+  criado_em >= ($1::date::timestamp AT TIME ZONE '${FUSO}')
+  AND criado_em < (($2::date + 1)::timestamp AT TIME ZONE '${FUSO}')
+  AND ($3::text IS NULL OR rota = $3)`;
+
+function parametrosDoFiltro(filtros) {
+  const { desde, ate } = periodo(filtros);
+  return [desde, ate, filtros.rota || null];
+}
+
+function taxa(parte, total) {
+  return total > 0 ? Math.round((parte / total) * 10000) / 100 : 0;
+}
+
+// Totais, erros e latência do período, no geral e por rota
+async function resumoConsultas(filtros = {}) {
+  const colunas = `
+    COUNT(*)::int AS total,
+    COUNT(erro)::int AS erros,
+    ROUND(AVG(latencia_ms))::int AS latencia_media_ms,
+    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY latencia_ms)::int AS latencia_p50_ms,
+    PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY latencia_ms)::int AS latencia_p95_ms`;
+  const parametros = parametrosDoFiltro(filtros);
+
+  const geral = await pool.query(`SELECT ${colunas} FROM consultas WHERE ${FILTRO};`, parametros);
+  const porRota = await pool.query(
+    `SELECT rota, ${colunas} FROM consultas WHERE ${FILTRO} GROUP BY rota ORDER BY total DESC;`,
+    parametros
+  );
+
+  const resumo = geral.rows[0];
+  return {
+    ...resumo,
+    taxa_erro: taxa(resumo.erros, resumo.total),
+    por_rota: porRota.rows.map((r) => ({ ...r, taxa_erro: taxa(r.erros, r.total) })),
+  };
+}
+
+// Uma linha por dia do período (dias sem consultas aparecem zerados)
+async function consultasPorDia(filtros = {}) {
+  const result = await pool.query(
+    `WITH dias AS (
+       SELECT generate_series($1::date, $2::date, INTERVAL '1 day')::date AS dia
+     ),
+     contagem AS (
+       SELECT
+         (criado_em AT TIME ZONE '${FUSO}')::date AS dia,
+         COUNT(*)::int AS total,
+         COUNT(erro)::int AS erros,
+         COUNT(*) FILTER (WHERE geocodificacao = 'falha')::int AS falhas_geocodificacao,
+         ROUND(AVG(latencia_ms))::int AS latencia_media_ms
+       FROM consultas
+       WHERE ${FILTRO}
+       GROUP BY 1
+     )
+     SELECT
+       to_char(dias.dia, 'YYYY-MM-DD') AS dia,
+       COALESCE(c.total, 0) AS total,
+       COALESCE(c.erros, 0) AS erros,
+       COALESCE(c.falhas_geocodificacao, 0) AS falhas_geocodificacao,
+       c.latencia_media_ms
+     FROM dias
+     LEFT JOIN contagem c ON c.dia = dias.dia
+     ORDER BY dias.dia;`,
+    parametrosDoFiltro(filtros)
+  );
+  return result.rows;
+}
+
+// Zonas mais consultadas no período
+async function zonasMaisConsultadas(filtros = {}, limite = 20) {
+  const result = await pool.query(
+    `SELECT cidade, cod_zoneamento, COUNT(*)::int AS total
+     FROM consultas
+     WHERE ${FILTRO} AND cod_zoneamento IS NOT NULL
+     GROUP BY cidade, cod_zoneamento
+     ORDER BY total DESC, cod_zoneamento
+     LIMIT $4;`,
+    [...parametrosDoFiltro(filtros), limite]
+  );
+  return result.rows;
+}
+
+// Tentativas e falhas de geocodificação, com a distribuição por provedor e precisão
+async function estatisticasGeocodificacao(filtros = {}) {
+  const parametros = parametrosDoFiltro(filtros);
+  const totais = await pool.query(
+    `SELECT
+       COUNT(*)::int AS tentativas,
+       COUNT(*) FILTER (WHERE geocodificacao = 'falha')::int AS falhas
+     FROM consultas
+     WHERE ${FILTRO} AND geocodificacao IS NOT NULL;`,
+    parametros
+  );
+  const agrupar = async (coluna) => {
+    const result = await pool.query(
+      `SELECT ${coluna}, COUNT(*)::int AS total
+       FROM consultas
+       WHERE ${FILTRO} AND geocodificacao = 'ok'
+       GROUP BY ${coluna}
+       ORDER BY total DESC;`,
+      parametros
+    );
+    return result.rows;
+  };
+
+  const { tentativas, falhas } = totais.rows[0];
+  return {
+    tentativas,
+    falhas,
+    taxa_falha: taxa(falhas, tentativas),
+    por_geocoder: await agrupar('geocoder'),
+    por_precisao: await agrupar('precisao'),
+  };
+}
+
+// Endereços que mais falharam na geocodificação (agrupados sem diferenciar caixa
+// e espaços), com o último erro e as rotas de origem
+async function enderecosComFalha(filtros = {}, limite = 50) {
+  const result = await pool.query(
+    `SELECT
+       MIN(endereco) AS endereco,
+       COUNT(*)::int AS falhas,
+       MAX(criado_em) AS ultima_falha,
+       (ARRAY_AGG(erro ORDER BY criado_em DESC))[1] AS ultimo_erro,
+       ARRAY_AGG(DISTINCT rota) AS rotas
+     FROM consultas
+     WHERE ${FILTRO} AND geocodificacao = 'falha'
+     GROUP BY LOWER(REGEXP_REPLACE(TRIM(endereco), '\\s+', ' ', 'g'))
+     ORDER BY falhas DESC, ultima_falha DESC
+     LIMIT $4;`,
+    [...parametrosDoFiltro(filtros), limite]
+  );
+  return result.rows.map((row) => ({ ...row, ultima_falha: row.ultima_falha.toISOString() }));
+}
+
+module.exports = {
+  anotarConsulta,
+  auditarConsultas,
+  auditar,
+  iniciarLimpezaConsultas,
+  periodo,
+  resumoConsultas,
+  consultasPorDia,
+  zonasMaisConsultadas,
+  estatisticasGeocodificacao,
+  enderecosComFalha,
+};
@@ -0,0 +1,179 @@
+// 🗂️ Camadas sobrepostas ao zoneamento (macroárea, operação urbana, ZEIS, tombamento...)
+//
+// O registro vem de config/camadas.js ou do JSON apontado por CAMADAS_ARQUIVO.
+// Todas as camadas disponíveis são consultadas numa única query (UNION ALL).
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+const { identificadorValido, aspas } = require('./identificadores');
+
+// A existência das tabelas é verificada de tempos em tempos, não a cada consulta
+const TTL_DISPONIBILIDADE_MS = 5 * 60 * 1000;
+
+let registro = null;
+let disponibilidade = null;
+
+function validarCamada(camada, indice) {
+  const problema = (msg) => new Error(`Camada ${camada.id || indice}: ${msg}`);
+
+  if (!identificadorValido(camada.id)) {
+    throw problema('id inválido (use letras, números e _).');
+  }
+  if (!identificadorValido(camada.tabela, { permitirSchema: true })) {
+    throw problema(`tabela inválida "${camada.tabela}".`);
+  }
+  if (!Number.isInteger(Number(camada.srid))) {
+    throw problema('srid inválido.');
+  }
+  const colunas = camada.colunas || [];
+  if (!Array.isArray(colunas) || !colunas.every((c) => identificadorValido(c))) {
+    throw problema('colunas inválidas.');
+  }
+  const geom = camada.geom || 'geom';
+  if (!identificadorValido(geom)) {
+    throw problema(`coluna de geometria inválida "${geom}".`);
+  }
+
+  return {
+    id: camada.id,
+    nome: camada.nome || camada.id,
+    tabela: camada.tabela,
+    srid: Number(camada.srid),
+    geom,
+    colunas,
+    cidade: camada.cidade || null,
+  };
+}
+
+// Lê e valida o registro uma única vez (erros de configuração aparecem no boot)
+function carregarCamadas() {
+  if (registro) {
+    return registro;
+  }
+
+  const arquivo = process.env.CAMADAS_ARQUIVO;
+  const lista = arquivo
+    ? JSON.parse(fs.readFileSync(path.resolve(arquivo), 'utf8'))
+    : require('../config/camadas');
+
+  if (!Array.isArray(lista)) {
+    throw new Error('O registro de camadas deve ser uma lista.');
+  }
+
+  const camadas = lista.map(validarCamada);
+  const ids = new Set();
+  for (const camada of camadas) {
+    if (ids.has(camada.id)) {
+      throw new Error(`Camada ${camada.id} registrada mais de uma vez.`);
+    }
+    ids.add(camada.id);
+  }
+
+  registro = camadas;
+  return registro;
+}
+
+// Conjunto de ids cujas tabelas existem no banco
+async function camadasDisponiveis() {
+  if (disponibilidade && disponibilidade.expiraEm > Date.now()) {
+    return disponibilidade.ids;
+  }
+
+  const camadas = carregarCamadas();
+  if (camadas.length === 0) {
+    return new Set();
+  }
+
+  const result = await pool.query(
+    'SELECT t.tabela, to_regclass(t.tabela) IS NOT NULL AS existe FROM unnest($1::text[]) AS t(tabela);',
+    [camadas.map((c) => c.tabela)]
+  );
+  const existentes = new Set(result.rows.filter((r) => r.existe).map((r) => r.tabela));
+  const ids = new Set(camadas.filter((c) => existentes.has(c.tabela)).map((c) => c.id));
+
+  disponibilidade = { ids, expiraEm: Date.now() + TTL_DISPONIBILIDADE_MS };
+  return ids;
+}
+
+// Força uma nova verificação das tabelas (ex.: depois de importar uma camada)
+function limparCacheCamadas() {
+  disponibilidade = null;
+}
+
+// Consulta no ponto todas as camadas da cidade (camadas sem "cidade" valem para todas).
+// Retorna [{ id, nome, disponivel, feicoes: [{ coluna: valor }] }] na ordem do registro.
+async function consultarCamadas(lat, lng, { cidade = null } = {}) {
+  const camadas = carregarCamadas().filter(
+    (c) => !c.cidade || (cidade !== null && c.cidade === cidade.id)
+  );
+  const disponiveis = await camadasDisponiveis();
+  const consultadas = camadas.filter((c) => disponiveis.has(c.id));
+
+  const feicoesPorCamada = {};
+  if (consultadas.length > 0) {
+    const partes = consultadas.map((camada) => {
+      const atributos = camada.colunas.map((c) => `'${c}', t.${aspas(c)}`).join(', ');
+      return `SELECT '${camada.id}' AS camada, json_build_object(${atributos}) AS atributos
+              FROM ${aspas(camada.tabela)} t
+              WHERE ST_Intersects(
+                t.${aspas(camada.geom)},
+                ST_Transform(ST_SetSRID(ST_Point($1, $2), 4326), ${camada.srid})
+              )`;
+    });
+
+    const result = await pool.query(partes.join('\nUNION ALL\n') + ';', [lng, lat]);
+    for (const row of result.rows) {
+      (feicoesPorCamada[row.camada] = feicoesPorCamada[row.camada] || []).push(row.atributos);
+    }
+  }
+
+  return camadas.map((camada) => ({
+    id: camada.id,
+    nome: camada.nome,
+    disponivel: disponiveis.has(camada.id),
+    feicoes: feicoesPorCamada[camada.id] || [],
+  }));
+}
+
+// Camadas da cidade marcadas como indisponíveis, para quando a consulta ao banco falha
+function camadasIndisponiveis({ cidade = null } = {}) {
+  return carregarCamadas()
+    .filter((c) => !c.cidade || (cidade !== null && c.cidade === cidade.id))
+    .map((camada) => ({ id: camada.id, nome: camada.nome, disponivel: false, feicoes: [] }));
+}
+
+// Seção "camadas" da resposta, indexada pelo id da camada
+function camadasParaResposta(camadas) {
+  const resposta = {};
+  for (const camada of camadas || []) {
+    resposta[camada.id] = {
+      nome: camada.nome,
+      disponivel: camada.disponivel,
+      incide: camada.feicoes.length > 0,
+      feicoes: camada.feicoes,
+    };
+  }
+  return resposta;
+}
+
+// Resumo em uma linha por camada incidente, para o WATI
+function camadasParaTexto(camadas) {
+  return (camadas || [])
+    .filter((c) => c.feicoes.length > 0)
+    .map((c) => {
+      const valores = c.feicoes
+        .map((f) => Object.values(f).filter((v) => v !== null && v !== '').join(' - '))
+        .filter(Boolean);
+      return valores.length ? `${c.nome}: ${valores.join('; ')}` : c.nome;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  carregarCamadas,
+  consultarCamadas,
+  camadasIndisponiveis,
+  limparCacheCamadas,
+  camadasParaResposta,
+  camadasParaTexto,
+};
@@ -0,0 +1,101 @@
+// 📮 Consulta de CEP na tabela local (carregada do DNE dos Correios)
+const pool = require('./db');
+const { sqlZoneamento } = require('./cidades');
+
+// Raio usado para listar as zonas candidatas quando não há pontos do CEP na
+// tabela enderecos (ex.: CEP de logradouro inteiro sem numeração cadastrada)
+const RAIO_PADRAO_METROS = 100;
+// Folga aplicada ao contorno formado pelos pontos do CEP
+const BUFFER_CONTORNO_METROS = 30;
+
+// Aceita "01310-200", "01310200" ou número; retorna 8 dígitos ou null
+function normalizarCep(valor) {
+  const digitos = String(valor || '').replace(/\D/g, '');
+  return digitos.length === 8 ? digitos : null;
+}
+
+function formatarCep(cep) {
+  return cep.slice(0, 5) + '-' + cep.slice(5);
+}
+
+async function buscarCep(cep) {
+  const result = await pool.query(
+    `SELECT cep, tipo_logradouro, logradouro, complemento, bairro, cidade, uf
+     FROM ceps
+     WHERE cep = $1;`,
+    [cep]
+  );
+  return result.rows[0] || null;
+}
+
+// Texto do endereço para o geocodificador, ex.:
+// "Avenida Paulista, 1578 - Bela Vista, São Paulo - SP, 01310-200"
+function montarEnderecoDoCep(registro, numero) {
+  const rua = [
+    [registro.tipo_logradouro, registro.logradouro].filter(Boolean).join(' '),
+    numero,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+  return [
+    [rua, registro.bairro].filter(Boolean).join(' - '),
+    `${registro.cidade} - ${registro.uf}`,
+    formatarCep(registro.cep),
+  ].join(', ');
+}
+
+// Lista as zonas que o CEP pode abranger. Usa o contorno dos pontos com esse CEP
+// na tabela enderecos; sem pontos, usa um raio em torno do ponto geocodificado.
+// As zonas vêm da versão do zoneamento usada para o ponto (null = fora da cobertura).
+// Retorna { criterio: 'enderecos_do_cep' | 'raio', zonas: [{ codigo, texto }] }
+async function zonasCandidatasDoCep(cep, lat, lng, versao) {
+  if (!versao) {
+    return { criterio: 'raio', zonas: [] };
+  }
+
+  const z = sqlZoneamento(versao);
+  try {
+    const result = await pool.query(
+      `WITH contorno AS (
+         SELECT ST_Buffer(
+           ST_ConvexHull(ST_Collect(ST_Transform(ST_SetSRID(ST_Point(e.lng, e.lat), 4326), ${z.srid}))),
+           $2
+         ) AS geom
+         FROM enderecos e
+         WHERE e.cep = $1
+       )
+       SELECT DISTINCT z.${z.codigo} AS codigo, z.${z.texto} AS texto
+       FROM ${z.tabela} z, contorno c
+       WHERE c.geom IS NOT NULL AND ST_Intersects(z.${z.geom}, c.geom)
+       ORDER BY 1;`,
+      [cep, BUFFER_CONTORNO_METROS]
+    );
+    if (result.rows.length > 0) {
+      return { criterio: 'enderecos_do_cep', zonas: result.rows };
+    }
+  } catch (error) {
+    // 42P01 = tabela enderecos não existe; segue para o critério por raio
+    if (error.code !== '42P01') {
+      throw error;
+    }
+  }
+
+  const raio = Number(process.env.CEP_RAIO_METROS || RAIO_PADRAO_METROS);
+  const result = await pool.query(
+    `SELECT DISTINCT ${z.codigo} AS codigo, ${z.texto} AS texto
+     FROM ${z.tabela}
+     WHERE ST_DWithin(${z.geom}, ST_Transform(ST_SetSRID(ST_Point($1, $2), 4326), ${z.srid}), $3)
+     ORDER BY 1;`,
+    [lng, lat, raio]
+  );
+  return { criterio: 'raio', zonas: result.rows };
+}
+
+module.exports = {
+  normalizarCep,
+  formatarCep,
+  buscarCep,
+  montarEnderecoDoCep,
+  zonasCandidatasDoCep,
+};
@@ -0,0 +1,415 @@
+// 🔑 Chaves de API: autenticação por grupo de rotas, limite por minuto e cota mensal
+//
+// As chaves ficam na tabela chaves_api (sql/chaves_api.sql) só como hash SHA-256:
+// são aleatórias e longas, então o hash simples basta e permite a busca direta.
+// Cada chave tem escopos (publico, wati, admin; admin vale para todos), um limite
+// de requisições por minuto (contado em memória, por instância) e uma cota mensal
+// opcional (contada no Postgres, em chaves_api_uso). Com API_CHAVES=false a
+// autenticação fica desligada (só para desenvolvimento local).
+//
+// Com o Postgres fora do ar, as chaves já validadas continuam aceitas e o uso é
+// contado em memória e gravado em segundo plano quando ele volta; só chaves
+// nunca vistas pela instância recebem 503.
+const crypto = require('crypto');
+const pool = require('./db');
+const LRUCache = require('./lru');
+
+const ESCOPOS = ['publico', 'wati', 'admin'];
+const PREFIXO_CHAVE = 'sitka_';
+const TAMANHO_PREFIXO = 12;
+
+// Chaves (e chaves inexistentes) ficam 1 min em memória: revogar leva até 1 min
+// para valer nas outras instâncias
+const TTL_CACHE_MS = 60 * 1000;
+const cache = new LRUCache(1000);
+
+// Última leitura de cada chave ativa, sem expiração: vale só quando o Postgres
+// falha (revogações feitas nesse período valem quando ele volta)
+const validadas = new LRUCache(1000);
+
+// Requisições aceitas sem conseguir contá-las no Postgres: "chave_id|mes" → quantidade
+const usoPendente = new Map();
+const INTERVALO_USO_PENDENTE_MS = 30 * 1000;
+let temporizadorUsoPendente = null;
+let gravandoUsoPendente = false;
+
+// Janela de 1 min do limite de requisições, por chave: { inicio, contagem }
+const janelas = new Map();
+
+// Meses da cota são os de Brasília (UTC-3, sem horário de verão)
+const FUSO = 'America/Sao_Paulo';
+const DESLOCAMENTO_FUSO_HORAS = 3;
+
+function autenticacaoHabilitada() {
+  return process.env.API_CHAVES !== 'false';
+}
+
+function limitePadrao() {
+  return Number(process.env.API_LIMITE_POR_MINUTO) || 60;
+}
+
+function hashChave(texto) {
+  return crypto.createHash('sha256').update(texto).digest('hex');
+}
+
+function chaveParaResposta(row) {
+  return {
+    id: row.id,
+    nome: row.nome,
+    prefixo: row.prefixo,
+    escopos: row.escopos,
+    limite_por_minuto: row.limite_por_minuto,
+    cota_mensal: row.cota_mensal,
+    criada_em: row.criada_em,
+    revogada_em: row.revogada_em,
+    ...(row.requisicoes_mes !== undefined && {
+      requisicoes_mes: row.requisicoes_mes,
+      ultimo_uso_em: row.ultimo_uso_em,
+    }),
+  };
+}
+
+// { dados } ou { erro } para criar uma chave. dados: { nome, escopos, limitePorMinuto,
+// cotaMensal } (escopos em lista ou "wati,publico"; limite e cota opcionais)
+function validarNovaChave({ nome, escopos, limitePorMinuto = null, cotaMensal = null }) {
+  if (!nome || !String(nome).trim()) {
+    return { erro: 'O campo "nome" é obrigatório.' };
+  }
+  const lista = (Array.isArray(escopos) ? escopos : String(escopos || '').split(','))
+    .map((e) => String(e).trim())
+    .filter(Boolean);
+  if (lista.length === 0 || !lista.every((e) => ESCOPOS.includes(e))) {
+    return { erro: `Informe os escopos da chave: ${ESCOPOS.join(', ')}.` };
+  }
+  for (const [campo, valor] of Object.entries({ limite_por_minuto: limitePorMinuto, cota_mensal: cotaMensal })) {
+    if (valor !== null && valor !== undefined && !(Number.isInteger(Number(valor)) && Number(valor) > 0)) {
+      return { erro: `O campo "${campo}" deve ser um inteiro positivo.` };
+    }
+  }
+
+  return {
+    dados: {
+      nome: String(nome).trim().slice(0, 120),
+      escopos: [...new Set(lista)],
+      limitePorMinuto: limitePorMinuto ? Number(limitePorMinuto) : null,
+      cotaMensal: cotaMensal ? Number(cotaMensal) : null,
+    },
+  };
+}
+
+// Cria a chave e devolve o texto dela (a única vez em que ele aparece)
+async function criarChave(dados) {
+  const texto = PREFIXO_CHAVE + crypto.randomBytes(24).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO chaves_api (nome, prefixo, hash, escopos, limite_por_minuto, cota_mensal)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *;`,
+    [
+      dados.nome,
+      texto.slice(0, TAMANHO_PREFIXO),
+      hashChave(texto),
+      dados.escopos,
+      dados.limitePorMinuto,
+      dados.cotaMensal,
+    ]
+  );
+  return { chave: texto, ...chaveParaResposta(result.rows[0]) };
+}
+
+const MES_ATUAL = `date_trunc('month', NOW() AT TIME ZONE '${FUSO}')::date`;
+
+// Todas as chaves, com as requisições do mês atual
+async function listarChaves() {
+  const result = await pool.query(
+    `SELECT c.*, COALESCE(u.requisicoes, 0) AS requisicoes_mes, u.ultimo_uso_em
+     FROM chaves_api c
+     LEFT JOIN chaves_api_uso u ON u.chave_id = c.id AND u.mes = ${MES_ATUAL}
+     ORDER BY c.revogada_em IS NOT NULL, c.id;`
+  );
+  return result.rows.map(chaveParaResposta);
+}
+
+// Revoga a chave; retorna false se ela não existe ou já estava revogada
+async function revogarChave(id) {
+  const result = await pool.query(
+    'UPDATE chaves_api SET revogada_em = NOW() WHERE id = $1 AND revogada_em IS NULL RETURNING hash;',
+    [id]
+  );
+  cache.clear();
+  for (const { hash } of result.rows) {
+    validadas.delete(hash);
+  }
+  return result.rowCount > 0;
+}
+
+// Requisições por mês de uma chave, do mais recente ao mais antigo
+async function usoDaChave(id) {
+  const result = await pool.query(
+    `SELECT to_char(mes, 'YYYY-MM') AS mes, requisicoes, ultimo_uso_em
+     FROM chaves_api_uso
+     WHERE chave_id = $1
+     ORDER BY mes DESC;`,
+    [id]
+  );
+  return result.rows;
+}
+
+// Chave ativa com esse texto, ou null. Se o Postgres falhar, vale a última leitura
+// da chave; sem ela, o erro é repassado.
+async function buscarChave(texto) {
+  const hash = hashChave(texto);
+  const emCache = cache.get(hash);
+  if (emCache !== undefined) {
+    return emCache;
+  }
+
+  let result;
+  try {
+    result = await pool.query(
+      `SELECT id, nome, prefixo, escopos, limite_por_minuto, cota_mensal
+       FROM chaves_api
+       WHERE hash = $1 AND revogada_em IS NULL;`,
+      [hash]
+    );
+  } catch (error) {
+    const validada = validadas.get(hash);
+    if (validada) {
+      console.error('Chave de API aceita pela última validação (Postgres indisponível):', error.message);
+      return validada;
+    }
+    throw error;
+  }
+  const row = result.rows[0];
+  const chave = row
+    ? {
+        id: row.id,
+        nome: row.nome,
+        prefixo: row.prefixo,
+        escopos: row.escopos,
+        limitePorMinuto: row.limite_por_minuto,
+        cotaMensal: row.cota_mensal,
+      }
+    : null;
+  cache.set(hash, chave, TTL_CACHE_MS);
+  if (chave) {
+    validadas.set(hash, chave);
+  } else {
+    validadas.delete(hash);
+  }
+  return chave;
+}
+
+// Conta a requisição na janela do minuto. Retorna { permitida, restantes, reiniciaEmS }
+function consumirLimite(chave) {
+  const limite = chave.limitePorMinuto || limitePadrao();
+  const agora = Date.now();
+  let janela = janelas.get(chave.id);
+  if (!janela || agora - janela.inicio >= 60 * 1000) {
+    janela = { inicio: agora, contagem: 0 };
+    janelas.set(chave.id, janela);
+  }
+
+  const permitida = janela.contagem < limite;
+  if (permitida) {
+    janela.contagem++;
+  }
+  return {
+    limite,
+    permitida,
+    restantes: limite - janela.contagem,
+    reiniciaEmS: Math.ceil((janela.inicio + 60 * 1000 - agora) / 1000),
+  };
+}
+
+// Conta a requisição no mês. Com a cota esgotada nada é contado e retorna null;
+// senão, as requisições do mês
+async function registrarUso(chave) {
+  const result = await pool.query(
+    `INSERT INTO chaves_api_uso (chave_id, mes, requisicoes)
+     VALUES ($1, ${MES_ATUAL}, 1)
+     ON CONFLICT (chave_id, mes) DO UPDATE SET
+       requisicoes = chaves_api_uso.requisicoes + 1,
+       ultimo_uso_em = NOW()
+     WHERE $2::int IS NULL OR chaves_api_uso.requisicoes < $2::int
+     RETURNING requisicoes;`,
+    [chave.id, chave.cotaMensal]
+  );
+  return result.rows.length ? result.rows[0].requisicoes : null;
+}
+
+// Ano e mês atuais em Brasília, ex.: [2024, 5]
+function mesAtual() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: FUSO, year: 'numeric', month: '2-digit' })
+    .format(new Date())
+    .split('-')
+    .map(Number);
+}
+
+// Conta em memória uma requisição que o Postgres não conseguiu registrar; a
+// gravação é tentada a cada INTERVALO_USO_PENDENTE_MS até dar certo
+function anotarUsoPendente(chave) {
+  const [ano, mes] = mesAtual();
+  const chaveMes = `${chave.id}|${ano}-${String(mes).padStart(2, '0')}-01`;
+  usoPendente.set(chaveMes, (usoPendente.get(chaveMes) || 0) + 1);
+
+  if (!temporizadorUsoPendente) {
+    temporizadorUsoPendente = setInterval(() => {
+      gravarUsoPendente().catch((error) => {
+        console.error('Erro ao gravar o uso pendente das chaves de API:', error.message);
+      });
+    }, INTERVALO_USO_PENDENTE_MS);
+    temporizadorUsoPendente.unref();
+  }
+}
+
+// Soma o uso pendente em chaves_api_uso (sem checar a cota: as requisições já
+// foram atendidas). Para na primeira falha, mantendo o restante para a próxima vez.
+async function gravarUsoPendente() {
+  if (gravandoUsoPendente) {
+    return;
+  }
+  gravandoUsoPendente = true;
+  try {
+    for (const [chaveMes, quantidade] of [...usoPendente]) {
+      const [chaveId, mes] = chaveMes.split('|');
+      await pool.query(
+        `INSERT INTO chaves_api_uso (chave_id, mes, requisicoes)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (chave_id, mes) DO UPDATE SET
+           requisicoes = chaves_api_uso.requisicoes + EXCLUDED.requisicoes,
+           ultimo_uso_em = NOW();`,
+        [chaveId, mes, quantidade]
+      );
+      // Requisições anotadas durante o INSERT ficam para a próxima vez
+      const restante = usoPendente.get(chaveMes) - quantidade;
+      if (restante > 0) {
+        usoPendente.set(chaveMes, restante);
+      } else {
+        usoPendente.delete(chaveMes);
+      }
+    }
+  } finally {
+    gravandoUsoPendente = false;
+  }
+
+  if (usoPendente.size === 0 && temporizadorUsoPendente) {
+    clearInterval(temporizadorUsoPendente);
+    temporizadorUsoPendente = null;
+  }
+}
+
+// Segundos até a virada do mês (quando a cota recomeça)
+function segundosAteProximoMes() {
+  const [ano, mes] = mesAtual();
+  const virada = Date.UTC(ano, mes, 1, DESLOCAMENTO_FUSO_HORAS);
+  return Math.max(Math.ceil((virada - Date.now()) / 1000), 1);
+}
+
+// Texto da chave: header x-api-key, Authorization: Bearer ou ?api_key= (para
+// webhooks que não permitem configurar headers, como os do WATI)
+function chaveDaRequisicao(req) {
+  const autorizacao = req.get('authorization') || '';
+  const bearer = autorizacao.match(/^Bearer\s+(\S+)$/i);
+  return req.get('x-api-key') || (bearer && bearer[1]) || req.query.api_key || null;
+}
+
+// Cópia de headers/query com o texto das chaves trocado por "***" (para logs)
+function ocultarChaves(objeto) {
+  const copia = { ...objeto };
+  for (const campo of ['x-api-key', 'authorization', 'api_key']) {
+    if (copia[campo] !== undefined) {
+      copia[campo] = '***';
+    }
+  }
+  return copia;
+}
+
+// Middleware: exige uma chave ativa com o escopo do grupo de rotas, aplica o limite
+// por minuto e a cota mensal e deixa a chave em req.chaveApi
+function exigirChave(escopo) {
+  return async (req, res, next) => {
+    if (!autenticacaoHabilitada()) {
+      return next();
+    }
+
+    const texto = chaveDaRequisicao(req);
+    if (!texto) {
+      return res.status(401).json({
+        success: false,
+        error: 'Chave de API ausente. Envie o header x-api-key.',
+      });
+    }
+
+    let chave;
+    try {
+      chave = await buscarChave(String(texto));
+    } catch (error) {
+      console.error('Erro ao validar chave de API:', error);
+      return res.status(503).json({
+        success: false,
+        error: 'Não foi possível validar a chave de API.',
+        details: error.message,
+      });
+    }
+    if (!chave) {
+      return res.status(401).json({
+        success: false,
+        error: 'Chave de API inválida ou revogada.',
+      });
+    }
+    if (!chave.escopos.includes(escopo) && !chave.escopos.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        error: `A chave de API não tem acesso às rotas do grupo "${escopo}".`,
+      });
+    }
+
+    const { limite, permitida, restantes, reiniciaEmS } = consumirLimite(chave);
+    res.set('X-RateLimit-Limit', String(limite));
+    res.set('X-RateLimit-Remaining', String(restantes));
+    if (!permitida) {
+      res.set('Retry-After', String(reiniciaEmS));
+      return res.status(429).json({
+        success: false,
+        error: `Limite de ${limite} requisições por minuto excedido. Tente de novo em ${reiniciaEmS} s.`,
+      });
+    }
+
+    // Sem o Postgres, a requisição segue e é contada em memória (sem checar a cota)
+    let requisicoes;
+    try {
+      requisicoes = await registrarUso(chave);
+    } catch (error) {
+      console.error('Uso da chave de API contado em memória (Postgres indisponível):', error.message);
+      anotarUsoPendente(chave);
+      req.chaveApi = chave;
+      return next();
+    }
+    if (requisicoes === null) {
+      res.set('Retry-After', String(segundosAteProximoMes()));
+      return res.status(429).json({
+        success: false,
+        error: `Cota mensal de ${chave.cotaMensal} requisições esgotada.`,
+      });
+    }
+    if (chave.cotaMensal) {
+      res.set('X-Quota-Limit', String(chave.cotaMensal));
+      res.set('X-Quota-Remaining', String(chave.cotaMensal - requisicoes));
+    }
+
+    req.chaveApi = chave;
+    next();
+  };
+}
+
+module.exports = {
+  ESCOPOS,
+  autenticacaoHabilitada,
+  validarNovaChave,
+  criarChave,
+  listarChaves,
+  revogarChave,
+  usoDaChave,
+  ocultarChaves,
+  exigirChave,
+};
@@ -0,0 +1,272 @@
+// 🏙️ Cidades atendidas: versões do zoneamento (tabela, SRID, colunas, vigência) e
+// limites por município
+//
+// O registro vem de config/cidades.js ou do JSON apontado por CIDADES_ARQUIVO.
+const fs = require('fs');
+const path = require('path');
+const { normalizarTexto } = require('./texto');
+const { identificadorValido, aspas } = require('./identificadores');
+
+const ID_CIDADE = /^[a-z0-9-]+$/;
+const DATA = /^\d{4}-\d{2}-\d{2}$/;
+
+let registro = null;
+
+// Versão do zoneamento: { id, lei, inicio, fim } mais os campos de cidade.zoneamento
+// que ela sobrescreve (normalmente só a tabela). inicio/fim em AAAA-MM-DD; fim é
+// exclusivo e null = ainda vigente.
+function validarVersao(versao, base, problema) {
+  const fonte = { ...base, ...versao };
+  if (!versao.id || !ID_CIDADE.test(versao.id)) {
+    throw problema('id de versão inválido (use letras minúsculas, números e -).');
+  }
+  if (!identificadorValido(fonte.tabela, { permitirSchema: true })) {
+    throw problema(`tabela de zoneamento inválida "${fonte.tabela}" (versão ${versao.id}).`);
+  }
+  for (const campo of ['geom', 'codigo', 'texto']) {
+    if (!identificadorValido(fonte[campo])) {
+      throw problema(`coluna "${campo}" do zoneamento inválida (versão ${versao.id}).`);
+    }
+  }
+  if (!Number.isInteger(Number(fonte.srid))) {
+    throw problema(`srid do zoneamento inválido (versão ${versao.id}).`);
+  }
+  const inicio = versao.inicio || null;
+  const fim = versao.fim || null;
+  if ((inicio && !DATA.test(inicio)) || (fim && !DATA.test(fim)) || (inicio && fim && inicio >= fim)) {
+    throw problema(`vigência inválida na versão ${versao.id} (use AAAA-MM-DD, inicio < fim).`);
+  }
+
+  return {
+    id: versao.id,
+    lei: versao.lei || null,
+    inicio,
+    fim,
+    tabela: fonte.tabela,
+    srid: Number(fonte.srid),
+    geom: fonte.geom,
+    codigo: fonte.codigo,
+    texto: fonte.texto,
+  };
+}
+
+function validarCidade(cidade, indice) {
+  const problema = (msg) => new Error(`Cidade ${cidade.id || indice}: ${msg}`);
+
+  if (!cidade.id || !ID_CIDADE.test(cidade.id)) {
+    throw problema('id inválido (use letras minúsculas, números e -).');
+  }
+  if (!cidade.nome || !/^[A-Z]{2}$/.test(cidade.uf || '')) {
+    throw problema('nome e uf (2 letras) são obrigatórios.');
+  }
+
+  const base = { geom: 'geom', ...cidade.zoneamento };
+  const versoes = (cidade.versoes || [{ id: 'atual' }])
+    .map((versao) => validarVersao(versao, base, problema))
+    .sort((a, b) => (a.inicio || '').localeCompare(b.inicio || ''));
+  for (let i = 1; i < versoes.length; i++) {
+    const anterior = versoes[i - 1];
+    if (anterior.fim === null || anterior.fim > (versoes[i].inicio || '')) {
+      throw problema(`as vigências das versões ${anterior.id} e ${versoes[i].id} se sobrepõem.`);
+    }
+  }
+
+  const limites = cidade.limites || {};
+  const { sul, oeste, norte, leste } = limites;
+  if (![sul, oeste, norte, leste].every(Number.isFinite) || sul >= norte || oeste >= leste) {
+    throw problema('limites devem ter sul < norte e oeste < leste, em graus.');
+  }
+
+  return {
+    id: cidade.id,
+    nome: cidade.nome,
+    uf: cidade.uf,
+    ibge: cidade.ibge || null,
+    versoes,
+    limites: { sul, oeste, norte, leste },
+    parametros: Boolean(cidade.parametros),
+    padrao: Boolean(cidade.padrao),
+  };
+}
+
+// Lê e valida o registro uma única vez (erros de configuração aparecem no boot)
+function carregarCidades() {
+  if (registro) {
+    return registro;
+  }
+
+  const arquivo = process.env.CIDADES_ARQUIVO;
+  const lista = arquivo
+    ? JSON.parse(fs.readFileSync(path.resolve(arquivo), 'utf8'))
+    : require('../config/cidades');
+
+  if (!Array.isArray(lista) || lista.length === 0) {
+    throw new Error('O registro de cidades deve ser uma lista com ao menos uma cidade.');
+  }
+
+  const cidades = lista.map(validarCidade);
+  const ids = new Set();
+  for (const cidade of cidades) {
+    if (ids.has(cidade.id)) {
+      throw new Error(`Cidade ${cidade.id} registrada mais de uma vez.`);
+    }
+    ids.add(cidade.id);
+  }
+  if (cidades.filter((c) => c.padrao).length > 1) {
+    throw new Error('Apenas uma cidade pode ser marcada como padrão.');
+  }
+
+  registro = cidades;
+  return registro;
+}
+
+// Cidade para endereços sem cidade: a marcada como padrão ou a primeira do registro
+function cidadePadrao() {
+  const cidades = carregarCidades();
+  return cidades.find((c) => c.padrao) || cidades[0];
+}
+
+// Busca pelo id ("santo-andre") ou pelo nome, sem diferenciar acentos e caixa
+function buscarCidade(valor) {
+  if (!valor) {
+    return null;
+  }
+  const chave = normalizarTexto(String(valor)).replace(/-/g, ' ');
+  return (
+    carregarCidades().find(
+      (c) => c.id.replace(/-/g, ' ') === chave || normalizarTexto(c.nome) === chave
+    ) || null
+  );
+}
+
+// Lê o campo "cidade" de uma requisição. Retorna { cidade } (null quando não
+// informado) ou { erro } com a mensagem para o cliente.
+function cidadeDaRequisicao(valor) {
+  if (valor === undefined || valor === null || valor === '') {
+    return { cidade: null };
+  }
+  const cidade = buscarCidade(valor);
+  if (!cidade) {
+    const ids = carregarCidades().map((c) => c.id).join(', ');
+    return { erro: `Cidade "${valor}" não atendida. Opções: ${ids}.` };
+  }
+  return { cidade };
+}
+
+function dentroDosLimites(limites, lat, lng) {
+  return lat >= limites.sul && lat <= limites.norte && lng >= limites.oeste && lng <= limites.leste;
+}
+
+// Cidades cujos limites contêm o ponto, na ordem do registro. Os limites são
+// caixas e podem se sobrepor entre vizinhas; a tabela de zoneamento desempata.
+function cidadesNoPonto(lat, lng) {
+  return carregarCidades().filter((c) => dentroDosLimites(c.limites, lat, lng));
+}
+
+// Cidades cujos limites cruzam a caixa { sul, oeste, norte, leste }
+function cidadesNaCaixa(caixa) {
+  return carregarCidades().filter(
+    ({ limites }) =>
+      caixa.sul <= limites.norte &&
+      caixa.norte >= limites.sul &&
+      caixa.oeste <= limites.leste &&
+      caixa.leste >= limites.oeste
+  );
+}
+
+function hoje() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Versão do zoneamento da cidade vigente na data (AAAA-MM-DD; padrão: hoje) ou null
+function versaoVigente(cidade, data = null) {
+  const referencia = data || hoje();
+  return (
+    cidade.versoes.find(
+      (v) => (!v.inicio || v.inicio <= referencia) && (!v.fim || referencia < v.fim)
+    ) || null
+  );
+}
+
+// Lê o campo "data_referencia" de uma requisição. Retorna { data } (null quando
+// não informada) ou { erro } com a mensagem para o cliente.
+function dataDaRequisicao(valor) {
+  if (valor === undefined || valor === null || valor === '') {
+    return { data: null };
+  }
+  const data = String(valor).trim();
+  if (!DATA.test(data) || Number.isNaN(Date.parse(data))) {
+    return { erro: 'data_referencia inválida. Use AAAA-MM-DD.' };
+  }
+  return { data };
+}
+
+// Lê lat/lng de uma requisição: números no body ou texto na query string.
+// Retorna null quando ausente ou não numérico.
+function lerCoordenada(valor) {
+  if (valor === undefined || valor === null || valor === '') {
+    return null;
+  }
+  const numero = Number(valor);
+  return Number.isFinite(numero) ? numero : null;
+}
+
+// Trechos de SQL (já entre aspas) da tabela de uma versão do zoneamento
+function sqlZoneamento(versao) {
+  const { tabela, geom, codigo, texto, srid } = versao;
+  return {
+    tabela: aspas(tabela),
+    geom: aspas(geom),
+    codigo: aspas(codigo),
+    texto: aspas(texto),
+    srid,
+  };
+}
+
+// "São Paulo, Campinas e Guarulhos"
+function nomesDasCidades() {
+  const nomes = carregarCidades().map((c) => c.nome);
+  return nomes.length > 1
+    ? `${nomes.slice(0, -1).join(', ')} e ${nomes[nomes.length - 1]}`
+    : nomes[0];
+}
+
+function versaoParaResposta(versao) {
+  if (!versao) {
+    return null;
+  }
+  return {
+    id: versao.id,
+    lei: versao.lei,
+    vigencia_inicio: versao.inicio,
+    vigencia_fim: versao.fim,
+  };
+}
+
+function cidadeParaResposta(cidade) {
+  if (!cidade) {
+    return null;
+  }
+  return {
+    id: cidade.id,
+    nome: cidade.nome,
+    uf: cidade.uf,
+    ibge: cidade.ibge,
+  };
+}
+
+module.exports = {
+  carregarCidades,
+  cidadePadrao,
+  buscarCidade,
+  cidadeDaRequisicao,
+  cidadesNoPonto,
+  cidadesNaCaixa,
+  versaoVigente,
+  dataDaRequisicao,
+  lerCoordenada,
+  sqlZoneamento,
+  nomesDasCidades,
+  versaoParaResposta,
+  cidadeParaResposta,
+};
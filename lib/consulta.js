@@ -0,0 +1,195 @@
+// 🔎 Consultas completas: zoneamento + parâmetros + fronteira + camadas
+//
+// consultarPonto reúne tudo o que se sabe sobre um ponto; consultarEndereco
+// geocodifica antes. Quando a geocodificação é ambígua ou de baixa precisão, cada
+// candidato também recebe o seu zoneamento, para que o chatbot possa pedir a
+// confirmação do usuário.
+//
+// A zona do ponto é o essencial da consulta. Parâmetros, fronteira e camadas são
+// complementares: se o Postgres falhar neles (ex.: fora do ar com o zoneamento em
+// memória), a resposta sai mesmo assim, com a seção em "secoes_indisponiveis".
+const { geocodeEndereco } = require('./geocoder');
+const {
+  consultarZoneamento,
+  analisarFronteira,
+  fronteiraParaResposta,
+} = require('./zoneamento');
+const { enderecoParaResposta } = require('./enderecoParser');
+const {
+  buscarParametros,
+  parametrosParaResposta,
+  parametrosParaWati,
+} = require('./parametros');
+const {
+  consultarCamadas,
+  camadasIndisponiveis,
+  camadasParaResposta,
+  camadasParaTexto,
+} = require('./camadas');
+const {
+  versaoVigente,
+  versaoParaResposta,
+  cidadeParaResposta,
+} = require('./cidades');
+
+// Os quadros de parâmetros carregados são os da versão vigente do zoneamento, e só
+// das cidades marcadas no registro
+function temParametros({ cidade, versao }) {
+  return Boolean(cidade && cidade.parametros && versao === versaoVigente(cidade));
+}
+
+// Seção complementar da consulta: se falhar, entra em "indisponiveis" e vale o padrão
+async function secaoComplementar(nome, indisponiveis, consultar, padrao) {
+  try {
+    return await consultar();
+  } catch (error) {
+    console.error(`Consulta sem ${nome}:`, error.message);
+    indisponiveis.push(nome);
+    return padrao;
+  }
+}
+
+// opcoes.raioVizinhanca: raio (m) para zonas vizinhas (padrão: ZONAS_VIZINHAS_RAIO_METROS)
+// opcoes.cidade: cidade do registro; sem ela, é detectada pelo ponto
+// opcoes.data: data de referência (AAAA-MM-DD) para escolher a versão do zoneamento
+async function consultarPonto(lat, lng, { raioVizinhanca, cidade: cidadePedida, data } = {}) {
+  const zoneamento = await consultarZoneamento(lat, lng, { cidade: cidadePedida, data });
+  const { cidade } = zoneamento;
+  const indisponiveis = [];
+
+  const parametros = temParametros(zoneamento)
+    ? await secaoComplementar(
+        'parametros',
+        indisponiveis,
+        () => buscarParametros(zoneamento.codigo),
+        null
+      )
+    : null;
+  const fronteira = await secaoComplementar(
+    'fronteira',
+    indisponiveis,
+    () =>
+      analisarFronteira(lat, lng, {
+        codigoAtual: zoneamento.codigo,
+        raio: raioVizinhanca,
+        versao: zoneamento.versao,
+      }),
+    { distanciaM: null, nearBoundary: false, raioM: null, vizinhas: [] }
+  );
+  const camadas = await secaoComplementar(
+    'camadas',
+    indisponiveis,
+    () => consultarCamadas(lat, lng, { cidade }),
+    camadasIndisponiveis({ cidade })
+  );
+
+  return {
+    zoneamento,
+    parametros,
+    fronteira,
+    camadas,
+    indisponiveis,
+  };
+}
+
+// opcoes.cidade orienta a geocodificação de endereços sem cidade; a cidade do
+// zoneamento é a do ponto encontrado
+async function consultarEndereco(endereco, { raioVizinhanca, cidade, data } = {}) {
+  const geo = await geocodeEndereco(endereco, { cidade });
+  const ponto = await consultarPonto(geo.lat, geo.lng, { raioVizinhanca, data });
+  const { zoneamento } = ponto;
+
+  const candidatos = [];
+  if (geo.precisao.ambiguo) {
+    for (const candidato of geo.candidatos) {
+      const mesmoPonto = candidato.lat === geo.lat && candidato.lng === geo.lng;
+      candidatos.push({
+        ...candidato,
+        zoneamento: mesmoPonto
+          ? zoneamento
+          : await consultarZoneamento(candidato.lat, candidato.lng, { data, registrar: false }),
+      });
+    }
+  }
+
+  return {
+    ...geo,
+    ...ponto,
+    candidatos,
+  };
+}
+
+// Cidade, parâmetros, fronteira e camadas de um ponto já consultado
+function pontoParaResposta(ponto) {
+  return {
+    cidade: cidadeParaResposta(ponto.zoneamento.cidade),
+    coberto: ponto.zoneamento.coberto,
+    versao_zoneamento: versaoParaResposta(ponto.zoneamento.versao),
+    parametros_urbanisticos: parametrosParaResposta(ponto.parametros),
+    fronteira: fronteiraParaResposta(ponto.fronteira),
+    near_boundary: ponto.fronteira.nearBoundary,
+    camadas: camadasParaResposta(ponto.camadas),
+    // Seções que não puderam ser consultadas (ex.: Postgres fora do ar)
+    secoes_indisponiveis: ponto.indisponiveis || [],
+  };
+}
+
+// Campos de geocodificação/precisão comuns às respostas por endereço
+function detalhesParaResposta(consulta) {
+  const { precisao } = consulta;
+
+  return {
+    geocoder: consulta.provedor,
+    endereco_estruturado: enderecoParaResposta(consulta.enderecoEstruturado),
+    precisao: {
+      nivel: precisao.nivel,
+      location_type: precisao.locationType,
+      partial_match: precisao.partialMatch,
+      cidade_divergente: precisao.cidadeDivergente,
+      total_candidatos: precisao.totalCandidatos,
+    },
+    ambiguo: precisao.ambiguo,
+    ...pontoParaResposta(consulta),
+    candidatos: consulta.candidatos.map((c) => ({
+      endereco_formatado: c.enderecoFormatado,
+      lat: c.lat,
+      lng: c.lng,
+      location_type: c.locationType,
+      partial_match: c.partialMatch,
+      cod_zoneamento: c.zoneamento.codigo,
+      txt_zoneamento: c.zoneamento.texto,
+    })),
+  };
+}
+
+// Variáveis "planas" para o WATI, que só mapeia chaves de primeiro nível
+function variaveisWati(consulta) {
+  const { fronteira } = consulta;
+
+  return {
+    nome_cidade: consulta.zoneamento.cidade ? consulta.zoneamento.cidade.nome : '',
+    cidade_atendida: consulta.zoneamento.coberto ? 'sim' : 'nao',
+    lei_zoneamento: consulta.zoneamento.versao ? consulta.zoneamento.versao.lei || '' : '',
+    ...parametrosParaWati(consulta.parametros),
+    perto_divisa: fronteira.nearBoundary ? 'sim' : 'nao',
+    aviso_divisa: fronteira.nearBoundary
+      ? `Atenção: o imóvel fica perto da divisa com ${fronteira.vizinhas[0].codigo}. ` +
+        'Confirme o zoneamento com um especialista.'
+      : '',
+    camadas_texto: camadasParaTexto(consulta.camadas),
+    precisao_geocoder: consulta.precisao.nivel,
+    confirmar_endereco: consulta.precisao.ambiguo ? 'sim' : 'nao',
+    candidatos_texto: consulta.candidatos
+      .map((c, i) => `${i + 1}) ${c.enderecoFormatado} - ${c.zoneamento.codigo || 'Nao identificado'}`)
+      .join('\n'),
+  };
+}
+
+module.exports = {
+  temParametros,
+  consultarPonto,
+  consultarEndereco,
+  pontoParaResposta,
+  detalhesParaResposta,
+  variaveisWati,
+};
@@ -0,0 +1,262 @@
+// 🤖 Conversa de consulta de zoneamento pelo WhatsApp (mensagens recebidas do WATI)
+//
+// Máquina de estados por contato, guardada em memória:
+//   (início)             → pede o endereço (ou já o usa, se a mensagem parece um)
+//   aguardando_endereco  → geocodifica e pede confirmação
+//   confirmando_endereco → "sim" ou o número da opção: responde zona e parâmetros;
+//                          "não": pede o endereço de novo
+// "menu", "reiniciar" ou "cancelar" voltam ao início. Conversas paradas há mais de
+// CONVERSA_EXPIRACAO_MINUTOS recomeçam do zero. A resposta com a zona usa o modelo
+// de mensagem CONVERSA_MODELO_MENSAGEM (padrão: conversa, em config/modelos-mensagem.js).
+// As respostas saem pelo WATI (lib/wati.js); as mensagens de um mesmo contato são
+// tratadas em ordem.
+const LRUCache = require('./lru');
+const { geocodeEndereco } = require('./geocoder');
+const { parseEndereco } = require('./enderecoParser');
+const { consultarPonto } = require('./consulta');
+const { nomesDasCidades } = require('./cidades');
+const { normalizarTexto } = require('./texto');
+const { enviarMensagemWati } = require('./wati');
+const { registrarLeadEmSegundoPlano } = require('./leads');
+const { dadosDoRelatorio, linkDoRelatorio } = require('./relatorio');
+const { auditar } = require('./auditoria');
+const { buscarModelo, renderizarModelo, camposDaConsulta } = require('./modelosMensagem');
+
+const ESTADOS = {
+  AGUARDANDO_ENDERECO: 'aguardando_endereco',
+  CONFIRMANDO_ENDERECO: 'confirmando_endereco',
+};
+
+const RESPOSTAS_SIM = ['sim', 's', 'isso', 'correto', 'certo', 'confirmo', 'ok', 'yes'];
+const RESPOSTAS_NAO = ['nao', 'n', 'errado', 'incorreto', 'no'];
+const REINICIAR = ['menu', 'reiniciar', 'recomecar', 'cancelar', 'inicio', 'oi', 'ola'];
+
+const conversas = new LRUCache(5000);
+const filas = new Map();
+
+function expiracaoMs() {
+  return (Number(process.env.CONVERSA_EXPIRACAO_MINUTOS) || 30) * 60 * 1000;
+}
+
+function mensagemBoasVindas() {
+  return (
+    `Olá! Eu consulto o zoneamento de imóveis em ${nomesDasCidades()}.\n` +
+    'Envie o endereço do imóvel com número e cidade (ex.: Av. Paulista, 1578, São Paulo).'
+  );
+}
+
+// Mensagem com "Rua X, 100" já vale como endereço, sem esperar a pergunta
+function pareceEndereco(texto) {
+  const endereco = parseEndereco(texto);
+  return Boolean(endereco.tipoLogradouro && endereco.logradouro && endereco.numero);
+}
+
+function mensagemConfirmacao(opcoes) {
+  if (opcoes.length === 1) {
+    return (
+      `Encontrei este endereço:\n${opcoes[0].enderecoFormatado}\n\n` +
+      'Está correto? Responda *SIM* ou *NÃO*.'
+    );
+  }
+  const lista = opcoes.map((o, i) => `${i + 1}) ${o.enderecoFormatado}`).join('\n');
+  return (
+    `Encontrei mais de um endereço parecido:\n${lista}\n\n` +
+    'Responda com o número da opção correta ou *NÃO* para digitar de novo.'
+  );
+}
+
+// Mensagem com a zona do endereço confirmado, pelo modelo CONVERSA_MODELO_MENSAGEM,
+// com os mesmos campos da pré-visualização (POST /modelos-mensagem/previa).
+// linkRelatorio: link curto do PDF (só com URL_PUBLICA e banco configurados)
+function mensagemResultado(enderecoOriginal, opcao, ponto, linkRelatorio = null) {
+  const id = process.env.CONVERSA_MODELO_MENSAGEM || 'conversa';
+  const modelo = buscarModelo(id);
+  if (!modelo) {
+    throw new Error(`Modelo de mensagem "${id}" (CONVERSA_MODELO_MENSAGEM) não encontrado.`);
+  }
+
+  // O endereço já foi confirmado pelo contato: não há mais ambiguidade
+  const consulta = {
+    ...ponto,
+    enderecoFormatado: opcao.enderecoFormatado,
+    numeroImovel: opcao.numeroImovel,
+    lat: opcao.lat,
+    lng: opcao.lng,
+    precisao: { nivel: opcao.precisao, ambiguo: false },
+    candidatos: [],
+  };
+  return renderizarModelo(modelo, camposDaConsulta(enderecoOriginal, consulta, linkRelatorio));
+}
+
+async function receberEndereco(texto) {
+  try {
+    const geo = await geocodeEndereco(texto);
+    const opcoes = (geo.precisao.ambiguo ? geo.candidatos : [geo]).map((o) => ({
+      enderecoFormatado: o.enderecoFormatado,
+      numeroImovel: o.numeroImovel || geo.numeroImovel,
+      lat: o.lat,
+      lng: o.lng,
+      precisao: geo.precisao.nivel,
+    }));
+    return {
+      conversa: { estado: ESTADOS.CONFIRMANDO_ENDERECO, enderecoOriginal: texto, opcoes },
+      respostas: [mensagemConfirmacao(opcoes)],
+    };
+  } catch (error) {
+    console.error('Erro ao geocodificar endereço da conversa:', error.message);
+    return {
+      conversa: { estado: ESTADOS.AGUARDANDO_ENDERECO },
+      respostas: [
+        'Não consegui localizar esse endereço. Pode enviar de novo com rua, número e cidade?',
+      ],
+    };
+  }
+}
+
+// Opção escolhida na confirmação: "sim" (opção única) ou o número da lista
+function opcaoEscolhida(resposta, opcoes) {
+  if (opcoes.length === 1 && RESPOSTAS_SIM.includes(resposta)) {
+    return opcoes[0];
+  }
+  const numero = Number(resposta);
+  return Number.isInteger(numero) && numero >= 1 && numero <= opcoes.length
+    ? opcoes[numero - 1]
+    : null;
+}
+
+async function confirmarEndereco(conversa, resposta) {
+  if (RESPOSTAS_NAO.includes(resposta)) {
+    return {
+      conversa: { estado: ESTADOS.AGUARDANDO_ENDERECO },
+      respostas: ['Sem problemas. Envie o endereço completo de novo, com número e cidade.'],
+    };
+  }
+
+  const opcao = opcaoEscolhida(resposta, conversa.opcoes);
+  if (!opcao) {
+    return {
+      conversa,
+      respostas: [
+        conversa.opcoes.length === 1
+          ? 'Não entendi. Responda *SIM* se o endereço está correto ou *NÃO* para digitar de novo.'
+          : `Não entendi. Responda com um número de 1 a ${conversa.opcoes.length} ou *NÃO*.`,
+      ],
+    };
+  }
+
+  const ponto = await consultarPonto(opcao.lat, opcao.lng);
+  const linkRelatorio = ponto.zoneamento.coberto
+    ? await linkDoRelatorio(
+        dadosDoRelatorio({ ...ponto, ...opcao }, conversa.enderecoOriginal),
+        { origem: 'WHATSAPP conversa' }
+      )
+    : null;
+  return {
+    conversa: { estado: ESTADOS.AGUARDANDO_ENDERECO },
+    respostas: [mensagemResultado(conversa.enderecoOriginal, opcao, ponto, linkRelatorio)],
+    consulta: { enderecoOriginal: conversa.enderecoOriginal, opcao, zoneamento: ponto.zoneamento },
+  };
+}
+
+// Próximo estado e respostas para a mensagem recebida (conversa null = início).
+// Quando a conversa chega ao zoneamento, "consulta" traz o endereço confirmado.
+async function responder(conversa, texto) {
+  const resposta = normalizarTexto(texto).trim();
+
+  if (!conversa || REINICIAR.includes(resposta)) {
+    if (conversa === null && pareceEndereco(texto)) {
+      return receberEndereco(texto);
+    }
+    return {
+      conversa: { estado: ESTADOS.AGUARDANDO_ENDERECO },
+      respostas: [mensagemBoasVindas()],
+    };
+  }
+
+  if (conversa.estado === ESTADOS.CONFIRMANDO_ENDERECO) {
+    // Um endereço novo no lugar da confirmação recomeça a busca
+    if (!opcaoEscolhida(resposta, conversa.opcoes) && pareceEndereco(texto)) {
+      return receberEndereco(texto);
+    }
+    return confirmarEndereco(conversa, resposta);
+  }
+
+  return receberEndereco(texto);
+}
+
+async function processarMensagem({ numero, nome, texto }) {
+  const conversa = conversas.get(numero) || null;
+  let resultado;
+  try {
+    // Só as mensagens que geocodificam ou consultam a zona entram na auditoria
+    resultado = await auditar(
+      {
+        rota: 'WHATSAPP conversa',
+        cliente: numero,
+        entrada: { texto, estado: conversa ? conversa.estado : null },
+      },
+      () => responder(conversa, texto)
+    );
+  } catch (error) {
+    // Falha na consulta (banco, zoneamento...): o estado fica como estava, para o
+    // contato repetir a resposta (ex.: o "sim" da confirmação) quando voltar
+    console.error(`Erro ao consultar o zoneamento na conversa com ${numero}:`, error);
+    resultado = {
+      conversa: conversa || { estado: ESTADOS.AGUARDANDO_ENDERECO },
+      respostas: [
+        'Desculpe, tive um problema para consultar o zoneamento agora. ' +
+          'Tente de novo em alguns minutos, repetindo a sua última mensagem.',
+      ],
+    };
+  }
+  const { conversa: proxima, respostas, consulta } = resultado;
+  conversas.set(numero, { ...proxima, atualizadaEm: new Date() }, expiracaoMs());
+
+  if (consulta) {
+    registrarLeadEmSegundoPlano({
+      telefone: numero,
+      nome,
+      enderecoOriginal: consulta.enderecoOriginal,
+      enderecoFormatado: consulta.opcao.enderecoFormatado,
+      lat: consulta.opcao.lat,
+      lng: consulta.opcao.lng,
+      zoneamento: consulta.zoneamento,
+      origem: 'conversa whatsapp',
+    });
+  }
+
+  for (const resposta of respostas) {
+    await enviarMensagemWati(numero, resposta);
+  }
+}
+
+// Trata uma mensagem de texto recebida. Mensagens do mesmo contato entram numa
+// fila, para que a segunda resposta nunca saia antes da primeira.
+function tratarMensagem(mensagem) {
+  const anterior = filas.get(mensagem.numero) || Promise.resolve();
+  const atual = anterior
+    .then(() => processarMensagem(mensagem))
+    .catch((error) => {
+      console.error(`Erro na conversa com ${mensagem.numero}:`, error);
+    });
+
+  filas.set(mensagem.numero, atual);
+  atual.then(() => {
+    if (filas.get(mensagem.numero) === atual) {
+      filas.delete(mensagem.numero);
+    }
+  });
+  return atual;
+}
+
+// Estado atual da conversa de um contato (ou null), para inspeção
+function conversaDoContato(numero) {
+  return conversas.get(numero) || null;
+}
+
+module.exports = {
+  ESTADOS,
+  responder,
+  tratarMensagem,
+  conversaDoContato,
+};
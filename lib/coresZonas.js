@@ -0,0 +1,107 @@
+// 🎨 Paleta estável de cores das zonas, para os mapas (tiles e GeoJSON)
+//
+// Cada família de zonas tem uma cor fixa (ZEU roxo, ZER amarelo, ZEPAM verde...),
+// igual em todas as cidades; variantes da família (ZEIS-1, ZEIS-2, ZEUa...) ganham
+// tons mais claros da mesma cor. Códigos fora das famílias recebem uma cor da
+// paleta reserva escolhida pelo hash do código: a mesma zona tem sempre a mesma cor.
+
+// Prefixo → cor; o prefixo mais longo vence (ZEPAM antes de ZEP)
+const FAMILIAS = {
+  ZC: '#e4572e',
+  ZCOR: '#f08a5d',
+  ZCA: '#b5838d',
+  ZEU: '#7b2cbf',
+  ZEUP: '#9d4edd',
+  ZEM: '#3a0ca3',
+  ZEMP: '#5a4fcf',
+  ZER: '#f9c74f',
+  ZERA: '#f4d58d',
+  ZM: '#f3722c',
+  ZMA: '#f8961e',
+  ZPI: '#6c757d',
+  ZDE: '#8d99ae',
+  ZPR: '#ffe66d',
+  ZEIS: '#e5383b',
+  ZEPAM: '#2d6a4f',
+  ZEP: '#52b788',
+  ZPDS: '#95d5b2',
+  ZOE: '#4895ef',
+};
+
+const PREFIXOS = Object.keys(FAMILIAS).sort((a, b) => b.length - a.length);
+
+const PALETA_RESERVA = [
+  '#1f77b4',
+  '#ff7f0e',
+  '#2ca02c',
+  '#d62728',
+  '#9467bd',
+  '#8c564b',
+  '#e377c2',
+  '#7f7f7f',
+  '#bcbd22',
+  '#17becf',
+  '#393b79',
+  '#637939',
+];
+
+const COR_SEM_CODIGO = '#cccccc';
+
+// FNV-1a de 32 bits: estável entre versões do Node e instâncias
+function hashTexto(texto) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < texto.length; i++) {
+    hash ^= texto.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Mistura a cor com branco (fracao 0 = a própria cor, 1 = branco)
+function clarear(hex, fracao) {
+  const canais = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return (
+    '#' +
+    canais
+      .map((c) => Math.round(c + (255 - c) * fracao).toString(16).padStart(2, '0'))
+      .join('')
+  );
+}
+
+// "ZEIS-2" → { prefixo: 'ZEIS', resto: '-2' }; "ZEUa" → { prefixo: 'ZEU', resto: 'a' }.
+// Depois do prefixo não pode vir outra maiúscula (ZM não pega ZPI nem ZMA).
+// prefixos: famílias em maiúsculas, da mais longa para a mais curta (padrão: as da paleta)
+function familiaDoCodigo(codigo, prefixos = PREFIXOS) {
+  const maiusculo = codigo.toUpperCase();
+  if (prefixos.includes(maiusculo)) {
+    return { prefixo: maiusculo, resto: '' };
+  }
+  const prefixo = prefixos.find(
+    (p) => maiusculo.startsWith(p) && !/[A-Z]/.test(codigo.charAt(p.length))
+  );
+  return prefixo ? { prefixo, resto: codigo.slice(prefixo.length) } : null;
+}
+
+// Cor (#rrggbb) de um código de zona
+function corDaZona(codigo) {
+  if (codigo === null || codigo === undefined || String(codigo).trim() === '') {
+    return COR_SEM_CODIGO;
+  }
+  const normalizado = String(codigo).replace(/\s+/g, '');
+  const familia = familiaDoCodigo(normalizado);
+  const chave = normalizado.toUpperCase();
+  if (!familia) {
+    return PALETA_RESERVA[hashTexto(chave) % PALETA_RESERVA.length];
+  }
+  if (!familia.resto) {
+    return FAMILIAS[familia.prefixo];
+  }
+  // Variantes: três tons mais claros, sempre o mesmo para o mesmo código
+  return clarear(FAMILIAS[familia.prefixo], 0.15 * (1 + (hashTexto(chave) % 3)));
+}
+
+module.exports = {
+  corDaZona,
+  clarear,
+  familiaDoCodigo,
+};
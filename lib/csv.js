@@ -0,0 +1,129 @@
+// 📄 Leitura e escrita de CSV (planilhas exportadas do Excel/Google Sheets)
+//
+// Detecta o separador (";" é o padrão do Excel em pt-BR, "," nos demais) e trata
+// campos entre aspas, aspas duplicadas ("") e quebras de linha dentro de aspas.
+const { normalizarTexto } = require('./texto');
+
+function detectarSeparador(texto) {
+  const primeiraLinha = texto.split(/\r?\n/, 1)[0] || '';
+  const pontoEVirgula = (primeiraLinha.match(/;/g) || []).length;
+  const virgulas = (primeiraLinha.match(/,/g) || []).length;
+  return pontoEVirgula >= virgulas && pontoEVirgula > 0 ? ';' : ',';
+}
+
+// Retorna uma matriz de linhas (arrays de strings), sem linhas vazias
+function parseCsv(texto, separador = detectarSeparador(texto)) {
+  const linhas = [];
+  let linha = [];
+  let campo = '';
+  let entreAspas = false;
+
+  // Remove BOM do UTF-8 gravado pelo Excel
+  const conteudo = texto.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < conteudo.length; i++) {
+    const c = conteudo[i];
+
+    if (entreAspas) {
+      if (c === '"' && conteudo[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (c === '"') {
+        entreAspas = false;
+      } else {
+        campo += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      entreAspas = true;
+    } else if (c === separador) {
+      linha.push(campo);
+      campo = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && conteudo[i + 1] === '\n') {
+        i++;
+      }
+      linha.push(campo);
+      linhas.push(linha);
+      linha = [];
+      campo = '';
+    } else {
+      campo += c;
+    }
+  }
+
+  if (campo !== '' || linha.length) {
+    linha.push(campo);
+    linhas.push(linha);
+  }
+
+  return linhas.filter((l) => l.some((v) => v.trim() !== ''));
+}
+
+// Converte linhas (de parseCsv ou de uma planilha) em objetos usando a primeira
+// linha como cabeçalho
+function registrosComCabecalho([cabecalho, ...linhas]) {
+  if (!cabecalho) {
+    return [];
+  }
+  const colunas = cabecalho.map((c) => c.trim());
+  return linhas.map((linha) =>
+    Object.fromEntries(colunas.map((coluna, i) => [coluna, (linha[i] || '').trim()]))
+  );
+}
+
+// Converte o CSV em objetos usando a primeira linha como cabeçalho
+function parseCsvComCabecalho(texto, separador) {
+  return registrosComCabecalho(parseCsv(texto, separador));
+}
+
+function escaparCampo(valor, separador) {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+  const texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+  if (texto.includes(separador) || texto.includes('"') || /[\r\n]/.test(texto)) {
+    return '"' + texto.replace(/"/g, '""') + '"';
+  }
+  return texto;
+}
+
+// Gera CSV a partir de uma lista de objetos, na ordem das colunas informadas
+function gerarCsv(registros, colunas, separador = ',') {
+  const linhas = [colunas.join(separador)];
+  for (const registro of registros) {
+    linhas.push(colunas.map((c) => escaparCampo(registro[c], separador)).join(separador));
+  }
+  return linhas.join('\n') + '\n';
+}
+
+// Forma canônica de um cabeçalho para comparar com apelidos conhecidos:
+// "C.A. básico", "CA_BASICO" e "ca basico" viram "cabasico"
+function chaveCabecalho(cabecalho) {
+  return normalizarTexto(cabecalho).replace(/[^a-z0-9]/g, '');
+}
+
+// "1,5" / "1.5" → 1.5; vazio, "-", "NA", "n/a" → null
+function parseNumeroBr(valor) {
+  const texto = String(valor === undefined || valor === null ? '' : valor).trim();
+  if (!texto || /^(-|–|na|n\/a|nd|n\/d)$/i.test(texto)) {
+    return null;
+  }
+  // Remove notas como "(a)" ou "*" que acompanham os valores nos quadros da lei
+  const limpo = texto.replace(/\(.*?\)|\*/g, '').trim();
+  const normalizado = limpo.includes(',') ? limpo.replace(/\./g, '').replace(',', '.') : limpo;
+  const numero = Number(normalizado);
+  return Number.isFinite(numero) ? numero : null;
+}
+
+module.exports = {
+  detectarSeparador,
+  parseCsv,
+  parseCsvComCabecalho,
+  registrosComCabecalho,
+  gerarCsv,
+  chaveCabecalho,
+  parseNumeroBr,
+};
@@ -0,0 +1,11 @@
+// 🗄️ Conexão compartilhada com Postgres (usada pela API e pelos scripts)
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+  },
+});
+
+module.exports = pool;
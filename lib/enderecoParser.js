@@ -0,0 +1,292 @@
+// 🏠 Parser de endereços brasileiros
+//
+// Transforma textos livres como "R. Augusta 1500 apto 32" ou
+// "Av. Paulista, 1578 - Bela Vista, São Paulo - SP, 01310-200" em:
+// { tipoLogradouro, logradouro, numero, complemento, bairro, cidade, uf, cep }
+// Campos não identificados ficam null.
+const { normalizarTexto } = require('./texto');
+
+// Abreviações de tipo de logradouro (chave normalizada, sem ponto) → forma por extenso
+const TIPOS_LOGRADOURO = {
+  r: 'Rua',
+  rua: 'Rua',
+  av: 'Avenida',
+  ave: 'Avenida',
+  avenida: 'Avenida',
+  al: 'Alameda',
+  alam: 'Alameda',
+  alameda: 'Alameda',
+  trav: 'Travessa',
+  tv: 'Travessa',
+  travessa: 'Travessa',
+  pc: 'Praça',
+  pca: 'Praça',
+  praca: 'Praça',
+  lgo: 'Largo',
+  largo: 'Largo',
+  estr: 'Estrada',
+  est: 'Estrada',
+  estrada: 'Estrada',
+  rod: 'Rodovia',
+  rodovia: 'Rodovia',
+  vd: 'Viaduto',
+  viaduto: 'Viaduto',
+  lad: 'Ladeira',
+  ladeira: 'Ladeira',
+  vl: 'Vila',
+  pq: 'Parque',
+  parque: 'Parque',
+  bc: 'Beco',
+  beco: 'Beco',
+  via: 'Via',
+  viela: 'Viela',
+  pass: 'Passagem',
+  passagem: 'Passagem',
+};
+
+const UFS = [
+  'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+  'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO',
+];
+
+// Cidades reconhecidas mesmo sem UF ao lado (ex.: "Rua X, 100, Campinas")
+const CIDADES_CONHECIDAS = [
+  'sao paulo',
+  'campinas',
+  'santo andre',
+  'sao bernardo do campo',
+  'sao caetano do sul',
+  'guarulhos',
+  'osasco',
+  'barueri',
+  'diadema',
+  'maua',
+];
+
+const REGEX_CEP = /\b(\d{5})-?(\d{3})\b/;
+const REGEX_COMPLEMENTO =
+  /^(apto?|apartamento|bl|bloco|casa|cj|conj|conjunto|sala|sl|loja|lj|andar|fundos|frente|torre|galpao|box|lote|lt|quadra|qd|km)\b/;
+const REGEX_NUMERO = /^\d+[a-z]?$/i;
+const REGEX_PREFIXO_NUMERO = /^(n[º°o]?\.?|numero|número)$/i;
+const REGEX_SEM_NUMERO = /^s\/?n[º°o]?$/i;
+
+function ehComplemento(texto) {
+  return REGEX_COMPLEMENTO.test(normalizarTexto(texto));
+}
+
+// Separa "Augusta 1500 apto 32" em { nome, numero, complemento }.
+// Números no começo do nome ou seguidos de "de" fazem parte dele ("Rua 25 de Março").
+function separarNomeNumero(texto) {
+  const tokens = texto.split(/\s+/).filter(Boolean);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i].replace(/,$/, '');
+    const proximo = (tokens[i + 1] || '').toLowerCase();
+
+    if (REGEX_SEM_NUMERO.test(token) && i > 0) {
+      return {
+        nome: tokens.slice(0, i).join(' '),
+        numero: null,
+        complemento: tokens.slice(i + 1).join(' ') || null,
+      };
+    }
+
+    if (REGEX_PREFIXO_NUMERO.test(token) && REGEX_NUMERO.test(tokens[i + 1] || '') && i > 0) {
+      return {
+        nome: tokens.slice(0, i).join(' '),
+        numero: tokens[i + 1],
+        complemento: tokens.slice(i + 2).join(' ') || null,
+      };
+    }
+
+    if (REGEX_NUMERO.test(token) && i > 0 && !['de', 'do', 'da'].includes(proximo)) {
+      return {
+        nome: tokens.slice(0, i).join(' '),
+        numero: token,
+        complemento: tokens.slice(i + 1).join(' ') || null,
+      };
+    }
+  }
+
+  return { nome: texto.trim(), numero: null, complemento: null };
+}
+
+// Separa uma cidade conhecida (e a UF depois dela, se houver) do fim do texto:
+// "casa 2 Campinas SP" → { resto: 'casa 2', cidade: 'Campinas', uf: 'SP' }.
+// Sem cidade conhecida no fim, cidade e uf são null e o texto fica inteiro.
+function separarLocalidadeDoFim(texto) {
+  const tokens = String(texto || '').split(/\s+/).filter(Boolean);
+  const ultimo = tokens[tokens.length - 1] || '';
+  const uf = /^[A-Za-z]{2}$/.test(ultimo) && UFS.includes(ultimo.toUpperCase()) ? ultimo.toUpperCase() : null;
+  const semUf = uf ? tokens.slice(0, -1) : tokens;
+
+  for (let i = 0; i < semUf.length; i++) {
+    const candidata = semUf.slice(i).join(' ');
+    if (CIDADES_CONHECIDAS.includes(normalizarTexto(candidata))) {
+      return { resto: semUf.slice(0, i).join(' '), cidade: candidata, uf };
+    }
+  }
+  return { resto: texto, cidade: null, uf: null };
+}
+
+// Separa o tipo do logradouro ("R.", "Av", "Alameda"...) do restante do nome
+function separarTipo(texto) {
+  const match = texto.match(/^([A-Za-zÀ-ú]+)\.?\s+(.+)$/);
+  if (match) {
+    const tipo = TIPOS_LOGRADOURO[normalizarTexto(match[1])];
+    if (tipo) {
+      return { tipoLogradouro: tipo, resto: match[2] };
+    }
+  }
+  return { tipoLogradouro: null, resto: texto };
+}
+
+function parseEndereco(texto) {
+  const endereco = {
+    tipoLogradouro: null,
+    logradouro: null,
+    numero: null,
+    complemento: null,
+    bairro: null,
+    cidade: null,
+    uf: null,
+    cep: null,
+  };
+
+  let restante = String(texto || '').trim();
+
+  // CEP em qualquer posição
+  const matchCep = restante.match(REGEX_CEP);
+  if (matchCep) {
+    endereco.cep = matchCep[1] + matchCep[2];
+    restante = restante.replace(matchCep[0], ' ');
+  }
+
+  // "Cidade/UF" vira "Cidade - UF" para cair na separação abaixo
+  restante = restante.replace(/\s*\/\s*([A-Za-z]{2})\b/g, ' - $1');
+
+  const segmentos = restante
+    .split(/\s*[,;]\s*|\s+[-–]\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s && !/^(brasil|brazil)$/i.test(s));
+
+  // UF como último segmento
+  const ultimo = segmentos[segmentos.length - 1];
+  if (segmentos.length > 1 && ultimo && UFS.includes(ultimo.toUpperCase()) && ultimo.length === 2) {
+    endereco.uf = ultimo.toUpperCase();
+    segmentos.pop();
+  }
+
+  if (segmentos.length === 0) {
+    return endereco;
+  }
+
+  // 1º segmento: tipo + logradouro (+ número e complemento quando vêm sem vírgula)
+  const { tipoLogradouro, resto } = separarTipo(segmentos.shift());
+  const { nome, numero, complemento } = separarNomeNumero(resto);
+  endereco.tipoLogradouro = tipoLogradouro;
+  endereco.logradouro = nome || null;
+  endereco.numero = numero;
+
+  // Sem separadores ("Rua das Flores 12 casa 2 Campinas SP"), cidade e UF ficam no
+  // fim do texto depois do número: saem dele antes de ele virar complemento
+  const localidade = separarLocalidadeDoFim(complemento);
+  if (localidade.cidade) {
+    endereco.cidade = localidade.cidade;
+    endereco.uf = endereco.uf || localidade.uf;
+  }
+  endereco.complemento = localidade.resto || null;
+
+  // Demais segmentos: número, complemento, bairro e cidade
+  const locais = [];
+  for (const segmento of segmentos) {
+    if (!endereco.numero) {
+      const { nome: antes, numero: num, complemento: comp } = separarNomeNumero('_ ' + segmento);
+      if (num && antes === '_') {
+        endereco.numero = num;
+        if (comp) {
+          endereco.complemento = [endereco.complemento, comp].filter(Boolean).join(' ');
+        }
+        continue;
+      }
+      if (REGEX_SEM_NUMERO.test(segmento)) {
+        continue;
+      }
+    }
+
+    if (ehComplemento(segmento)) {
+      endereco.complemento = [endereco.complemento, segmento].filter(Boolean).join(' ');
+      continue;
+    }
+
+    locais.push(segmento);
+  }
+
+  if (locais.length >= 2) {
+    endereco.bairro = locais[0];
+    endereco.cidade = locais[locais.length - 1];
+  } else if (locais.length === 1) {
+    if (!endereco.cidade && (endereco.uf || CIDADES_CONHECIDAS.includes(normalizarTexto(locais[0])))) {
+      endereco.cidade = locais[0];
+    } else {
+      endereco.bairro = locais[0];
+    }
+  }
+
+  // Sem número, a cidade pode estar no fim do nome ("Rua Vergueiro São Paulo/SP"):
+  // só com a UF presente e sem deixar o nome vazio
+  if (!endereco.cidade && !endereco.numero && endereco.logradouro) {
+    const { resto, cidade, uf } = separarLocalidadeDoFim(endereco.logradouro);
+    if (cidade && resto && (endereco.uf || uf)) {
+      endereco.cidade = cidade;
+      endereco.uf = endereco.uf || uf;
+      endereco.logradouro = resto;
+    }
+  }
+
+  return endereco;
+}
+
+// Logradouro completo, ex.: "Rua Augusta"
+function logradouroCompleto(endereco) {
+  return [endereco.tipoLogradouro, endereco.logradouro].filter(Boolean).join(' ');
+}
+
+// Monta o texto enviado aos geocodificadores. O complemento fica de fora porque
+// só atrapalha a busca; cidade e UF recebem os valores padrão quando ausentes.
+function montarConsulta(endereco, padrao = {}) {
+  const rua = [logradouroCompleto(endereco), endereco.numero].filter(Boolean).join(', ');
+  const cidade = endereco.cidade || padrao.cidade;
+  const uf = endereco.uf || padrao.uf;
+  const cep = endereco.cep ? endereco.cep.slice(0, 5) + '-' + endereco.cep.slice(5) : null;
+
+  return [
+    [rua, endereco.bairro].filter(Boolean).join(' - '),
+    [cidade, uf].filter(Boolean).join(' - '),
+    cep,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Formato usado nas respostas da API (chaves em snake_case)
+function enderecoParaResposta(endereco) {
+  return {
+    tipo_logradouro: endereco.tipoLogradouro,
+    logradouro: endereco.logradouro,
+    numero: endereco.numero,
+    complemento: endereco.complemento,
+    bairro: endereco.bairro,
+    cidade: endereco.cidade,
+    uf: endereco.uf,
+    cep: endereco.cep,
+  };
+}
+
+module.exports = {
+  parseEndereco,
+  logradouroCompleto,
+  montarConsulta,
+  enderecoParaResposta,
+  UFS,
+};
@@ -0,0 +1,178 @@
+// 💾 Cache de geocodificação: LRU em memória na frente de uma tabela no Postgres
+//
+// A chave é o endereço normalizado (sem acentos, caixa ou pontuação), então
+// "Av. Paulista, 1578" e "av paulista 1578" caem na mesma entrada.
+// Falhas no Postgres nunca impedem a geocodificação: apenas são registradas no log.
+const pool = require('../db');
+const LRUCache = require('../lru');
+const { normalizarTexto } = require('../texto');
+
+// Incrementar quando o formato do resultado de geocodeEndereco mudar
+const VERSAO = 3;
+
+const HORA_MS = 60 * 60 * 1000;
+const ttlMs = Number(process.env.GEOCODE_CACHE_TTL_HORAS || 24 * 30) * HORA_MS;
+const memoria = new LRUCache(Number(process.env.GEOCODE_CACHE_MAX_ITENS || 1000));
+
+const contadores = {
+  hitsMemoria: 0,
+  hitsPostgres: 0,
+  misses: 0,
+};
+
+function habilitado() {
+  return process.env.GEOCODE_CACHE !== 'false';
+}
+
+function usaPostgres() {
+  return Boolean(process.env.DATABASE_URL);
+}
+
+function chaveDoEndereco(endereco) {
+  return normalizarTexto(endereco)
+    .replace(/[,-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Retorna { resultado, origem } ou null
+async function buscar(endereco) {
+  const chave = chaveDoEndereco(endereco);
+
+  const emMemoria = memoria.get(chave);
+  if (emMemoria) {
+    contadores.hitsMemoria++;
+    return { resultado: emMemoria, origem: 'memoria' };
+  }
+
+  if (usaPostgres()) {
+    try {
+      const result = await pool.query(
+        `UPDATE geocode_cache
+         SET acessos = acessos + 1, ultimo_acesso = NOW()
+         WHERE chave = $1 AND versao = $2 AND expira_em > NOW()
+         RETURNING resultado, expira_em;`,
+        [chave, VERSAO]
+      );
+      if (result.rows.length > 0) {
+        const { resultado, expira_em } = result.rows[0];
+        memoria.set(chave, resultado, new Date(expira_em).getTime() - Date.now());
+        contadores.hitsPostgres++;
+        return { resultado, origem: 'postgres' };
+      }
+    } catch (error) {
+      console.error('Erro ao ler cache de geocodificação:', error.message);
+    }
+  }
+
+  contadores.misses++;
+  return null;
+}
+
+async function salvar(endereco, resultado) {
+  const chave = chaveDoEndereco(endereco);
+  memoria.set(chave, resultado, ttlMs);
+
+  if (!usaPostgres()) {
+    return;
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO geocode_cache (chave, versao, endereco_original, resultado, provedor, expira_em)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (chave) DO UPDATE SET
+         versao = EXCLUDED.versao,
+         endereco_original = EXCLUDED.endereco_original,
+         resultado = EXCLUDED.resultado,
+         provedor = EXCLUDED.provedor,
+         criado_em = NOW(),
+         expira_em = EXCLUDED.expira_em;`,
+      [chave, VERSAO, endereco, JSON.stringify(resultado), resultado.provedor || null, new Date(Date.now() + ttlMs)]
+    );
+  } catch (error) {
+    console.error('Erro ao gravar cache de geocodificação:', error.message);
+  }
+}
+
+// Lista entradas persistidas (para inspeção via /admin)
+async function listar({ busca, limite = 50 } = {}) {
+  if (!usaPostgres()) {
+    return [];
+  }
+
+  const values = [Math.min(Number(limite) || 50, 500)];
+  let filtro = '';
+  if (busca) {
+    values.push('%' + chaveDoEndereco(busca) + '%');
+    filtro = 'WHERE chave LIKE $2';
+  }
+
+  const result = await pool.query(
+    `SELECT chave, versao, endereco_original, resultado, provedor,
+            criado_em, expira_em, acessos, ultimo_acesso,
+            expira_em <= NOW() AS expirado
+     FROM geocode_cache
+     ${filtro}
+     ORDER BY ultimo_acesso DESC NULLS LAST, criado_em DESC
+     LIMIT $1;`,
+    values
+  );
+  return result.rows;
+}
+
+// Remove entradas: um endereço específico, apenas as expiradas, ou tudo.
+// Retorna a quantidade removida do Postgres.
+async function purgar({ endereco, expirados } = {}) {
+  if (endereco) {
+    const chave = chaveDoEndereco(endereco);
+    memoria.delete(chave);
+    if (!usaPostgres()) {
+      return 0;
+    }
+    const result = await pool.query('DELETE FROM geocode_cache WHERE chave = $1;', [chave]);
+    return result.rowCount;
+  }
+
+  if (expirados) {
+    if (!usaPostgres()) {
+      return 0;
+    }
+    // A memória descarta itens expirados sozinha na próxima leitura
+    const result = await pool.query(
+      'DELETE FROM geocode_cache WHERE expira_em <= NOW() OR versao <> $1;',
+      [VERSAO]
+    );
+    return result.rowCount;
+  }
+
+  memoria.clear();
+  if (!usaPostgres()) {
+    return 0;
+  }
+  const result = await pool.query('DELETE FROM geocode_cache;');
+  return result.rowCount;
+}
+
+function estatisticas() {
+  return {
+    habilitado: habilitado(),
+    persistente: usaPostgres(),
+    versao: VERSAO,
+    ttl_horas: ttlMs / HORA_MS,
+    itens_memoria: memoria.size,
+    max_itens_memoria: memoria.maxItens,
+    hits_memoria: contadores.hitsMemoria,
+    hits_postgres: contadores.hitsPostgres,
+    misses: contadores.misses,
+  };
+}
+
+module.exports = {
+  habilitado,
+  buscar,
+  salvar,
+  listar,
+  purgar,
+  estatisticas,
+};
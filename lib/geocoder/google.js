@@ -0,0 +1,63 @@
+// 🌎 Provedor de geocodificação: Google Geocoding API
+const axios = require('axios');
+
+const nome = 'google';
+
+function configurado() {
+  return Boolean(process.env.GOOGLE_API_KEY);
+}
+
+// Cidade do resultado, a partir dos address_components do Google
+function cidadeDoResultado(resultado) {
+  const componente = (resultado.address_components || []).find(
+    (c) => c.types.includes('administrative_area_level_2') || c.types.includes('locality')
+  );
+  return componente ? componente.long_name : null;
+}
+
+// Restringe ao país e à UF e, havendo cidade do registro, favorece os seus limites
+function parametrosDeRegiao(cidade, endereco = {}) {
+  const uf = (cidade && cidade.uf) || endereco.uf;
+  let parametros = '&components=' + (uf ? `administrative_area:${uf}|` : '') + 'country:BR';
+  if (cidade) {
+    const { sul, oeste, norte, leste } = cidade.limites;
+    parametros += `&bounds=${sul},${oeste}|${norte},${leste}`;
+  }
+  return parametros;
+}
+
+// Retorna a lista de resultados do Google (vazia quando não encontra o endereço),
+// cada um com { enderecoFormatado, lat, lng, locationType, partialMatch, cidade }.
+// Erros de cota/chave (OVER_QUERY_LIMIT, REQUEST_DENIED...) são lançados para que
+// a cadeia passe para o próximo provedor.
+async function geocodificar(consulta, { cidade, endereco } = {}) {
+  const url =
+    'https://maps.googleapis.com/maps/api/geocode/json?address=' +
+    encodeURIComponent(consulta) +
+    parametrosDeRegiao(cidade, endereco) +
+    '&key=' +
+    process.env.GOOGLE_API_KEY;
+
+  const resp = await axios.get(url);
+  if (resp.data.status === 'ZERO_RESULTS') {
+    return [];
+  }
+  if (resp.data.status !== 'OK' || !resp.data.results.length) {
+    throw new Error('Status: ' + resp.data.status);
+  }
+
+  return resp.data.results.map((resultado) => ({
+    enderecoFormatado: resultado.formatted_address,
+    lat: resultado.geometry.location.lat,
+    lng: resultado.geometry.location.lng,
+    locationType: resultado.geometry.location_type,
+    partialMatch: Boolean(resultado.partial_match),
+    cidade: cidadeDoResultado(resultado),
+  }));
+}
+
+module.exports = {
+  nome,
+  configurado,
+  geocodificar,
+};
@@ -0,0 +1,154 @@
+// 🧭 Geocodificação com cadeia de provedores e fallback automático
+//
+// Os provedores são escolhidos pela variável GEOCODER_PROVIDERS (lista separada
+// por vírgula, na ordem de tentativa). Padrão: "google".
+// Cada provedor expõe { nome, configurado(), geocodificar(consulta, opcoes) }, onde
+// opcoes = { numero, endereco, cidade } traz o endereço já estruturado pelo parser
+// e a cidade do registro (config/cidades.js) que orienta a busca, e
+// retorna a lista de resultados { enderecoFormatado, lat, lng, locationType,
+// partialMatch, cidade } (vazia quando não encontra o endereço).
+const google = require('./google');
+const nominatim = require('./nominatim');
+const postgres = require('./postgres');
+const cache = require('./cache');
+const { parseEndereco, montarConsulta } = require('../enderecoParser');
+const { avaliarPrecisao } = require('./precisao');
+const { buscarCidade, cidadePadrao } = require('../cidades');
+const { anotarConsulta } = require('../auditoria');
+const { registrarGeocodificacao } = require('../metricas');
+
+// Quantos resultados alternativos devolver como candidatos
+const MAX_CANDIDATOS = 5;
+
+const PROVEDORES = {
+  [google.nome]: google,
+  [nominatim.nome]: nominatim,
+  [postgres.nome]: postgres,
+};
+
+// Lista os provedores ativos, na ordem configurada
+function provedoresAtivos() {
+  const nomes = (process.env.GEOCODER_PROVIDERS || 'google')
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  return nomes.map((n) => {
+    const provedor = PROVEDORES[n];
+    if (!provedor) {
+      throw new Error(
+        `Provedor de geocodificação desconhecido em GEOCODER_PROVIDERS: "${n}". ` +
+          `Opções: ${Object.keys(PROVEDORES).join(', ')}.`
+      );
+    }
+    return provedor;
+  });
+}
+
+// Cidade que orienta a geocodificação: a escrita no endereço (se atendida), a
+// pedida na requisição ou a padrão do registro. Endereço com cidade não atendida
+// fica sem cidade: é geocodificado sem limites e cai fora da cobertura.
+function cidadeDaBusca(enderecoEstruturado, cidadePedida) {
+  if (enderecoEstruturado.cidade) {
+    return buscarCidade(enderecoEstruturado.cidade);
+  }
+  return cidadePedida || cidadePadrao();
+}
+
+// 🧩 Geocodifica um endereço tentando cada provedor em ordem
+async function geocodificarComProvedores(endereco, { cidade: cidadePedida = null } = {}) {
+  // Interpreta o texto livre (logradouro, número, complemento, bairro, CEP...)
+  const enderecoEstruturado = parseEndereco(endereco);
+  const numeroImovel = enderecoEstruturado.numero || '';
+  const cidade = cidadeDaBusca(enderecoEstruturado, cidadePedida);
+  const consulta = montarConsulta(enderecoEstruturado, cidade ? { cidade: cidade.nome, uf: cidade.uf } : {});
+
+  const falhas = [];
+  for (const provedor of provedoresAtivos()) {
+    if (!provedor.configurado()) {
+      registrarGeocodificacao(provedor.nome, 'nao_configurado');
+      falhas.push(`${provedor.nome}: não configurado`);
+      continue;
+    }
+
+    try {
+      const resultados = await provedor.geocodificar(consulta, {
+        numero: numeroImovel,
+        endereco: enderecoEstruturado,
+        cidade,
+      });
+      if (resultados.length > 0) {
+        registrarGeocodificacao(provedor.nome, 'ok');
+        const [principal] = resultados;
+        return {
+          enderecoFormatado: principal.enderecoFormatado,
+          lat: principal.lat,
+          lng: principal.lng,
+          numeroImovel: numeroImovel,
+          enderecoEstruturado,
+          provedor: provedor.nome,
+          precisao: avaliarPrecisao(resultados, {
+            cidade: enderecoEstruturado.cidade || (cidadePedida && cidadePedida.nome),
+          }),
+          candidatos: resultados.slice(0, MAX_CANDIDATOS),
+        };
+      }
+      registrarGeocodificacao(provedor.nome, 'nao_encontrado');
+      falhas.push(`${provedor.nome}: endereço não encontrado`);
+    } catch (error) {
+      console.error(`Erro no geocodificador ${provedor.nome}:`, error.message);
+      registrarGeocodificacao(provedor.nome, 'erro');
+      falhas.push(`${provedor.nome}: ${error.message}`);
+    }
+  }
+
+  throw new Error(
+    'Não foi possível geocodificar o endereço. ' + falhas.join('; ')
+  );
+}
+
+// 💾 Geocodifica usando o cache (memória → Postgres) antes de chamar os provedores
+async function geocodificarComCache(endereco, opcoes) {
+  if (!cache.habilitado()) {
+    return { ...(await geocodificarComProvedores(endereco, opcoes)), cache: null };
+  }
+
+  // A cidade pedida entra na chave: "Rua X, 10" em Campinas não é o de São Paulo
+  const chave = opcoes.cidade ? `${endereco}, ${opcoes.cidade.nome}` : endereco;
+  const emCache = await cache.buscar(chave);
+  if (emCache) {
+    return { ...emCache.resultado, cache: emCache.origem };
+  }
+
+  const resultado = await geocodificarComProvedores(endereco, opcoes);
+  await cache.salvar(chave, resultado);
+  return { ...resultado, cache: null };
+}
+
+// Geocodifica um endereço (cache → provedores) e anota o resultado na auditoria da
+// consulta em andamento. O campo "cache" do retorno indica de onde veio o resultado
+// (null = provedor). opcoes.cidade: cidade do registro para endereços sem cidade.
+async function geocodeEndereco(endereco, opcoes = {}) {
+  try {
+    const resultado = await geocodificarComCache(endereco, opcoes);
+    anotarConsulta({
+      endereco,
+      geocodificacao: 'ok',
+      geocoder: resultado.provedor,
+      enderecoFormatado: resultado.enderecoFormatado,
+      precisao: resultado.precisao.nivel,
+      lat: resultado.lat,
+      lng: resultado.lng,
+    });
+    return resultado;
+  } catch (error) {
+    anotarConsulta({ endereco, geocodificacao: 'falha' });
+    throw error;
+  }
+}
+
+module.exports = {
+  geocodeEndereco,
+  provedoresAtivos,
+  PROVEDORES,
+};
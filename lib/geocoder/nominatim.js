@@ -0,0 +1,74 @@
+// 🗺️ Provedor de geocodificação: Nominatim (OpenStreetMap)
+// Usa o servidor público por padrão; em produção prefira uma instância própria
+// (NOMINATIM_URL), pois o público limita a 1 requisição por segundo.
+const axios = require('axios');
+
+const nome = 'nominatim';
+
+function configurado() {
+  return true;
+}
+
+// O Nominatim não informa location_type; ele é deduzido do tipo do objeto encontrado
+// para manter a mesma escala de precisão do Google.
+function locationTypeDoResultado(resultado) {
+  if ((resultado.address && resultado.address.house_number) ||
+      ['house', 'building'].includes(resultado.addresstype)) {
+    return 'ROOFTOP';
+  }
+  if (resultado.addresstype === 'road') {
+    return 'GEOMETRIC_CENTER';
+  }
+  return 'APPROXIMATE';
+}
+
+// Limites da cidade como viewbox (oeste,norte,leste,sul): favorece, sem restringir
+function viewboxDaCidade(cidade) {
+  if (!cidade) {
+    return undefined;
+  }
+  const { sul, oeste, norte, leste } = cidade.limites;
+  return `${oeste},${norte},${leste},${sul}`;
+}
+
+async function geocodificar(consulta, { numero, cidade } = {}) {
+  const baseUrl = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+  const resp = await axios.get(baseUrl + '/search', {
+    params: {
+      q: consulta,
+      format: 'jsonv2',
+      countrycodes: 'br',
+      addressdetails: 1,
+      limit: 5,
+      viewbox: viewboxDaCidade(cidade),
+    },
+    headers: {
+      // A política de uso do Nominatim exige um User-Agent identificável
+      'User-Agent': process.env.NOMINATIM_USER_AGENT || 'sitka-zoneamento-api',
+    },
+  });
+
+  if (!Array.isArray(resp.data)) {
+    return [];
+  }
+
+  return resp.data.map((resultado) => {
+    const address = resultado.address || {};
+    return {
+      enderecoFormatado: resultado.display_name,
+      lat: Number(resultado.lat),
+      lng: Number(resultado.lon),
+      locationType: locationTypeDoResultado(resultado),
+      // Pedimos um número e o resultado não tem: casou só o logradouro
+      partialMatch: Boolean(numero) && address.house_number !== String(numero),
+      cidade: address.city || address.town || address.municipality || null,
+    };
+  });
+}
+
+module.exports = {
+  nome,
+  configurado,
+  geocodificar,
+};
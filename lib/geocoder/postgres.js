@@ -0,0 +1,64 @@
+// 🗄️ Provedor de geocodificação: tabela local de endereços no Postgres
+// Útil como último recurso (sem custo e sem dependência externa). A estrutura
+// esperada da tabela está em sql/enderecos.sql.
+const pool = require('../db');
+const { normalizarTexto } = require('../texto');
+const { logradouroCompleto } = require('../enderecoParser');
+
+const nome = 'postgres';
+
+function configurado() {
+  return Boolean(process.env.DATABASE_URL);
+}
+
+// Compara apenas o logradouro normalizado (tipo + nome, ex.: "rua augusta") e,
+// havendo número, escolhe o ponto com a numeração mais próxima.
+async function geocodificar(consulta, { numero, endereco } = {}) {
+  const logradouro = normalizarTexto(
+    endereco ? logradouroCompleto(endereco) : String(consulta).split(',')[0]
+  );
+  if (!logradouro) {
+    return [];
+  }
+
+  const query = `
+    SELECT logradouro, numero, bairro, cidade, uf, lat, lng
+    FROM enderecos
+    WHERE logradouro_normalizado = $1
+    ORDER BY ABS(COALESCE(numero, 0) - COALESCE($2::int, 0))
+    LIMIT 1;
+  `;
+
+  const numeroInt = numero ? parseInt(numero, 10) : null;
+  const result = await pool.query(query, [logradouro, numeroInt]);
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  const row = result.rows[0];
+  const partes = [
+    [row.logradouro, row.numero].filter(Boolean).join(', '),
+    row.bairro,
+    [row.cidade, row.uf].filter(Boolean).join(' - '),
+  ].filter(Boolean);
+
+  // Número exato → ponto do imóvel; número vizinho → aproximação no mesmo logradouro
+  const numeroExato = numeroInt !== null && row.numero === numeroInt;
+
+  return [
+    {
+      enderecoFormatado: partes.join(' - '),
+      lat: Number(row.lat),
+      lng: Number(row.lng),
+      locationType: numeroExato ? 'ROOFTOP' : 'RANGE_INTERPOLATED',
+      partialMatch: numeroInt !== null && !numeroExato,
+      cidade: row.cidade || null,
+    },
+  ];
+}
+
+module.exports = {
+  nome,
+  configurado,
+  geocodificar,
+};
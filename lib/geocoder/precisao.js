@@ -0,0 +1,56 @@
+// 🎯 Classificação da precisão de um resultado de geocodificação
+//
+// Nível (alta | media | baixa) a partir do location_type do Google (ou equivalente):
+//   ROOFTOP            → alta  (ponto do imóvel)
+//   RANGE_INTERPOLATED → media (interpolado na numeração do logradouro)
+//   GEOMETRIC_CENTER   → baixa (centro do logradouro/bairro)
+//   APPROXIMATE        → baixa
+// partial_match ou cidade diferente da pedida rebaixam o resultado.
+const { normalizarTexto } = require('../texto');
+
+const NIVEL_POR_LOCATION_TYPE = {
+  ROOFTOP: 'alta',
+  RANGE_INTERPOLATED: 'media',
+  GEOMETRIC_CENTER: 'baixa',
+  APPROXIMATE: 'baixa',
+};
+
+const REBAIXAR = {
+  alta: 'media',
+  media: 'baixa',
+  baixa: 'baixa',
+};
+
+// resultados: lista do provedor (o primeiro é o escolhido)
+// esperado.cidade: cidade escrita no endereço ou pedida na requisição, para conferência
+function avaliarPrecisao(resultados, esperado = {}) {
+  const principal = resultados[0];
+  let nivel = NIVEL_POR_LOCATION_TYPE[principal.locationType] || 'baixa';
+
+  if (principal.partialMatch) {
+    nivel = REBAIXAR[nivel];
+  }
+
+  const cidadeDivergente = Boolean(
+    esperado.cidade &&
+      principal.cidade &&
+      normalizarTexto(esperado.cidade) !== normalizarTexto(principal.cidade)
+  );
+  if (cidadeDivergente) {
+    nivel = 'baixa';
+  }
+
+  return {
+    nivel,
+    locationType: principal.locationType || null,
+    partialMatch: Boolean(principal.partialMatch),
+    cidadeDivergente,
+    totalCandidatos: resultados.length,
+    // Mais de um resultado ou precisão baixa: o usuário deve confirmar o endereço
+    ambiguo: resultados.length > 1 || nivel === 'baixa',
+  };
+}
+
+module.exports = {
+  avaliarPrecisao,
+};
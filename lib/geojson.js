@@ -0,0 +1,100 @@
+// 🧾 Validação de geometrias GeoJSON recebidas nas rotas (sempre em WGS84) e
+// leitura do SRID de arquivos GeoJSON de zoneamento
+
+function posicaoValida(posicao) {
+  return (
+    Array.isArray(posicao) &&
+    posicao.length >= 2 &&
+    Number.isFinite(posicao[0]) &&
+    Number.isFinite(posicao[1]) &&
+    Math.abs(posicao[0]) <= 180 &&
+    Math.abs(posicao[1]) <= 90
+  );
+}
+
+// Anel linear: ao menos 4 posições e o primeiro ponto igual ao último
+function anelValido(anel) {
+  if (!Array.isArray(anel) || anel.length < 4 || !anel.every(posicaoValida)) {
+    return false;
+  }
+  const primeiro = anel[0];
+  const ultimo = anel[anel.length - 1];
+  return primeiro[0] === ultimo[0] && primeiro[1] === ultimo[1];
+}
+
+function poligonoValido(coordenadas) {
+  return Array.isArray(coordenadas) && coordenadas.length > 0 && coordenadas.every(anelValido);
+}
+
+// Aceita uma geometria, uma Feature ou uma FeatureCollection com uma única feição.
+// Retorna { geometria } ou { erro } com a mensagem para o cliente.
+function extrairPoligono(entrada) {
+  let geometria = entrada;
+
+  if (geometria && geometria.type === 'FeatureCollection') {
+    if (!Array.isArray(geometria.features) || geometria.features.length !== 1) {
+      return { erro: 'A FeatureCollection deve conter exatamente uma feição.' };
+    }
+    geometria = geometria.features[0];
+  }
+  if (geometria && geometria.type === 'Feature') {
+    geometria = geometria.geometry;
+  }
+
+  if (!geometria || !['Polygon', 'MultiPolygon'].includes(geometria.type)) {
+    return { erro: 'A geometria deve ser um GeoJSON do tipo Polygon ou MultiPolygon.' };
+  }
+
+  const valido =
+    geometria.type === 'Polygon'
+      ? poligonoValido(geometria.coordinates)
+      : Array.isArray(geometria.coordinates) &&
+        geometria.coordinates.length > 0 &&
+        geometria.coordinates.every(poligonoValido);
+
+  if (!valido) {
+    return {
+      erro:
+        'Coordenadas inválidas: use [longitude, latitude] em WGS84 e anéis fechados com ao menos 4 pontos.',
+    };
+  }
+
+  return { geometria: { type: geometria.type, coordinates: geometria.coordinates } };
+}
+
+// Caixa envolvente { sul, oeste, norte, leste } de um Polygon/MultiPolygon
+function caixaDaGeometria(geometria) {
+  const poligonos = geometria.type === 'Polygon' ? [geometria.coordinates] : geometria.coordinates;
+  const caixa = { sul: Infinity, oeste: Infinity, norte: -Infinity, leste: -Infinity };
+
+  for (const poligono of poligonos) {
+    for (const anel of poligono) {
+      for (const [lng, lat] of anel) {
+        caixa.sul = Math.min(caixa.sul, lat);
+        caixa.norte = Math.max(caixa.norte, lat);
+        caixa.oeste = Math.min(caixa.oeste, lng);
+        caixa.leste = Math.max(caixa.leste, lng);
+      }
+    }
+  }
+  return caixa;
+}
+
+// SRID declarado no membro "crs" (GeoJSON antigo), ex.: urn:ogc:def:crs:EPSG::31983
+function sridDoCrs(colecao) {
+  const nome = colecao.crs && colecao.crs.properties && colecao.crs.properties.name;
+  if (!nome) {
+    return null;
+  }
+  if (/CRS84$/i.test(nome)) {
+    return 4326;
+  }
+  const match = String(nome).match(/EPSG:+(\d+)$/i);
+  return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+  extrairPoligono,
+  caixaDaGeometria,
+  sridDoCrs,
+};
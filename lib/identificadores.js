@@ -0,0 +1,24 @@
+// 🔤 Identificadores SQL vindos de configuração (tabelas e colunas dos registros
+// de cidades e camadas). Só aceitamos nomes simples, sempre entre aspas no SQL.
+const IDENTIFICADOR = /^[a-z_][a-z0-9_]*$/i;
+
+// "coluna" ou, com permitirSchema, "schema.tabela"
+function identificadorValido(nome, { permitirSchema = false } = {}) {
+  const partes = String(nome || '').split('.');
+  if (partes.length > (permitirSchema ? 2 : 1)) {
+    return false;
+  }
+  return partes.every((parte) => IDENTIFICADOR.test(parte));
+}
+
+function aspas(identificador) {
+  return identificador
+    .split('.')
+    .map((parte) => `"${parte}"`)
+    .join('.');
+}
+
+module.exports = {
+  identificadorValido,
+  aspas,
+};
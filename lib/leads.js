@@ -0,0 +1,268 @@
+// 📇 Leads das consultas por WhatsApp e envio para o Google Sheets
+//
+// Cada consulta com telefone vira (ou atualiza) o lead do contato na tabela leads
+// e entra na fila leads_outbox na mesma transação. Um processo periódico envia a
+// fila para GOOGLE_SHEETS_WEBHOOK_URL; falhas são reenviadas com espera crescente
+// até LEADS_OUTBOX_MAX_TENTATIVAS. Falhas no Postgres nunca impedem a resposta ao
+// WATI: apenas são registradas no log.
+const axios = require('axios');
+const pool = require('./db');
+
+const LOTE_OUTBOX = 20;
+const TIMEOUT_ENVIO_MS = 10000;
+// Reserva dos itens de um lote: cobre os envios em sequência (LOTE_OUTBOX × 10 s) com
+// folga. Se a instância cair no meio, os itens voltam para a fila quando ela expira.
+const RESERVA_MINUTOS = 5;
+
+// Colunas do CSV de exportação, na ordem
+const COLUNAS_CSV = [
+  'telefone',
+  'nome',
+  'endereco_original',
+  'endereco_formatado',
+  'cod_zoneamento',
+  'txt_zoneamento',
+  'cidade',
+  'lat',
+  'lng',
+  'origem',
+  'consultas',
+  'criado_em',
+  'atualizado_em',
+];
+
+let processando = false;
+let temporizador = null;
+
+function maxTentativas() {
+  return Number(process.env.LEADS_OUTBOX_MAX_TENTATIVAS) || 10;
+}
+
+// "+55 (11) 98888-7777" → "5511988887777"; null sem dígitos suficientes
+function normalizarTelefone(valor) {
+  const digitos = String(valor || '').replace(/\D/g, '');
+  return digitos.length >= 10 && digitos.length <= 20 ? digitos : null;
+}
+
+function texto(valor, tamanho) {
+  if (valor === undefined || valor === null || String(valor).trim() === '') {
+    return null;
+  }
+  return String(valor).trim().slice(0, tamanho);
+}
+
+// Registra a consulta do contato. dados: { telefone, nome, enderecoOriginal,
+// enderecoFormatado, lat, lng, zoneamento, origem }. Sem telefone válido não há
+// lead. Retorna o lead gravado ou null.
+async function registrarLead(dados) {
+  const telefone = normalizarTelefone(dados.telefone);
+  if (!telefone || !process.env.DATABASE_URL) {
+    return null;
+  }
+
+  const { zoneamento } = dados;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO leads (telefone, nome, endereco_original, endereco_formatado, cod_zoneamento,
+                          txt_zoneamento, cidade, lat, lng, origem)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (telefone) DO UPDATE SET
+         nome = COALESCE(EXCLUDED.nome, leads.nome),
+         endereco_original = EXCLUDED.endereco_original,
+         endereco_formatado = EXCLUDED.endereco_formatado,
+         cod_zoneamento = EXCLUDED.cod_zoneamento,
+         txt_zoneamento = EXCLUDED.txt_zoneamento,
+         cidade = EXCLUDED.cidade,
+         lat = EXCLUDED.lat,
+         lng = EXCLUDED.lng,
+         origem = EXCLUDED.origem,
+         consultas = leads.consultas + 1,
+         atualizado_em = NOW()
+       RETURNING *;`,
+      [
+        telefone,
+        texto(dados.nome, 120),
+        texto(dados.enderecoOriginal),
+        texto(dados.enderecoFormatado),
+        zoneamento ? texto(zoneamento.codigo, 30) : null,
+        zoneamento ? texto(zoneamento.texto) : null,
+        zoneamento && zoneamento.cidade ? zoneamento.cidade.id : null,
+        Number.isFinite(dados.lat) ? dados.lat : null,
+        Number.isFinite(dados.lng) ? dados.lng : null,
+        texto(dados.origem, 60),
+      ]
+    );
+    const lead = result.rows[0];
+
+    if (process.env.GOOGLE_SHEETS_WEBHOOK_URL) {
+      await client.query('INSERT INTO leads_outbox (lead_id, payload) VALUES ($1, $2);', [
+        lead.id,
+        JSON.stringify(leadParaPlanilha(lead)),
+      ]);
+    }
+    await client.query('COMMIT');
+
+    processarOutbox().catch((error) => {
+      console.error('Erro ao enviar leads para o Google Sheets:', error.message);
+    });
+    return lead;
+  } catch (error) {
+    // O ROLLBACK falhar (ex.: conexão perdida) não pode esconder o erro original
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Registra sem atrasar nem derrubar a resposta ao WATI
+function registrarLeadEmSegundoPlano(dados) {
+  registrarLead(dados).catch((error) => {
+    console.error('Erro ao registrar lead:', error.message);
+  });
+}
+
+// Linha enviada ao webhook da planilha (o Apps Script decide se insere ou atualiza
+// pelo telefone)
+function leadParaPlanilha(lead) {
+  return {
+    telefone: lead.telefone,
+    nome: lead.nome,
+    endereco_original: lead.endereco_original,
+    endereco_formatado: lead.endereco_formatado,
+    cod_zoneamento: lead.cod_zoneamento,
+    txt_zoneamento: lead.txt_zoneamento,
+    cidade: lead.cidade,
+    lat: lead.lat,
+    lng: lead.lng,
+    origem: lead.origem,
+    consultas: lead.consultas,
+    data_hora: new Date(lead.atualizado_em).toISOString(),
+  };
+}
+
+// Envia um lote da fila. Os itens são reservados num UPDATE curto (SKIP LOCKED, com
+// proxima_tentativa_em adiada por RESERVA_MINUTOS), então várias instâncias da API
+// podem processar a fila ao mesmo tempo. Os envios acontecem fora de transação e
+// cada item é atualizado logo depois do seu envio: uma falha no Postgres no meio
+// do lote não desfaz os envios que já deram certo.
+async function processarOutbox() {
+  const url = process.env.GOOGLE_SHEETS_WEBHOOK_URL;
+  if (!url || !process.env.DATABASE_URL || processando) {
+    return { enviados: 0, falhas: 0 };
+  }
+
+  processando = true;
+  let enviados = 0;
+  let falhas = 0;
+  try {
+    const reservados = await pool.query(
+      `UPDATE leads_outbox
+       SET proxima_tentativa_em = NOW() + make_interval(mins => $3)
+       WHERE id IN (
+         SELECT id
+         FROM leads_outbox
+         WHERE enviado_em IS NULL AND proxima_tentativa_em <= NOW() AND tentativas < $1
+         ORDER BY id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, payload, tentativas;`,
+      [maxTentativas(), LOTE_OUTBOX, RESERVA_MINUTOS]
+    );
+    const itens = reservados.rows.sort((a, b) => Number(a.id) - Number(b.id));
+
+    for (const item of itens) {
+      let erroEnvio = null;
+      try {
+        await axios.post(url, item.payload, { timeout: TIMEOUT_ENVIO_MS });
+      } catch (error) {
+        erroEnvio = error;
+      }
+
+      if (!erroEnvio) {
+        await pool.query('UPDATE leads_outbox SET enviado_em = NOW(), ultimo_erro = NULL WHERE id = $1;', [
+          item.id,
+        ]);
+        enviados++;
+        continue;
+      }
+
+      // Espera 1, 2, 4, 8... minutos (até 1 dia) antes da próxima tentativa
+      const esperaMinutos = Math.min(2 ** item.tentativas, 24 * 60);
+      await pool.query(
+        `UPDATE leads_outbox
+         SET tentativas = tentativas + 1,
+             proxima_tentativa_em = NOW() + make_interval(mins => $2),
+             ultimo_erro = $3
+         WHERE id = $1;`,
+        [item.id, esperaMinutos, erroEnvio.message.slice(0, 500)]
+      );
+      falhas++;
+    }
+  } finally {
+    processando = false;
+  }
+
+  if (falhas > 0) {
+    console.error(`Leads: ${falhas} envio(s) para o Google Sheets falharam; nova tentativa agendada.`);
+  }
+  return { enviados, falhas };
+}
+
+// Processa a fila a cada LEADS_OUTBOX_INTERVALO_SEGUNDOS (sem webhook configurado, não faz nada)
+function iniciarOutboxLeads() {
+  if (temporizador || !process.env.GOOGLE_SHEETS_WEBHOOK_URL || !process.env.DATABASE_URL) {
+    return;
+  }
+  const intervaloMs = (Number(process.env.LEADS_OUTBOX_INTERVALO_SEGUNDOS) || 60) * 1000;
+  temporizador = setInterval(() => {
+    processarOutbox().catch((error) => {
+      console.error('Erro ao processar a fila de leads:', error.message);
+    });
+  }, intervaloMs);
+  temporizador.unref();
+}
+
+// Leads atualizados no período (desde/ate em AAAA-MM-DD, ambos opcionais), mais recentes primeiro
+async function listarLeads({ desde = null, ate = null } = {}) {
+  const result = await pool.query(
+    `SELECT ${COLUNAS_CSV.join(', ')}
+     FROM leads
+     WHERE ($1::date IS NULL OR atualizado_em >= $1::date)
+       AND ($2::date IS NULL OR atualizado_em < $2::date + 1)
+     ORDER BY atualizado_em DESC;`,
+    [desde, ate]
+  );
+  return result.rows.map((lead) => ({
+    ...lead,
+    criado_em: lead.criado_em.toISOString(),
+    atualizado_em: lead.atualizado_em.toISOString(),
+  }));
+}
+
+// Situação da fila de envio (para /admin)
+async function estatisticasOutbox() {
+  const result = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE enviado_em IS NOT NULL)::int AS enviados,
+       COUNT(*) FILTER (WHERE enviado_em IS NULL AND tentativas < $1)::int AS pendentes,
+       COUNT(*) FILTER (WHERE enviado_em IS NULL AND tentativas >= $1)::int AS desistidos
+     FROM leads_outbox;`,
+    [maxTentativas()]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  COLUNAS_CSV,
+  normalizarTelefone,
+  registrarLead,
+  registrarLeadEmSegundoPlano,
+  processarOutbox,
+  iniciarOutboxLeads,
+  listarLeads,
+  estatisticasOutbox,
+};
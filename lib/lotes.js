@@ -0,0 +1,69 @@
+// 🧾 Lotes fiscais do IPTU de São Paulo, identificados pelo SQL (setor-quadra-lote)
+const pool = require('./db');
+
+// Dígito verificador do SQL: pesos 1 a 10 sobre setor+quadra+lote, módulo 11
+// (resto 10 vira 1)
+function calcularDigitoSql(codigo) {
+  const soma = codigo
+    .split('')
+    .reduce((total, digito, i) => total + Number(digito) * (i + 1), 0);
+  const resto = soma % 11;
+  return String(resto === 10 ? 1 : resto);
+}
+
+// Aceita "008.045.0123-4", "0080450123-4", "00804501234" ou "0080450123".
+// Retorna { codigo, digitoInformado, digitoCalculado, formatado } ou null.
+function normalizarSql(valor) {
+  const digitos = String(valor || '').replace(/\D/g, '');
+  if (digitos.length !== 10 && digitos.length !== 11) {
+    return null;
+  }
+
+  const codigo = digitos.slice(0, 10);
+  const digitoCalculado = calcularDigitoSql(codigo);
+  return {
+    codigo,
+    digitoInformado: digitos.length === 11 ? digitos[10] : null,
+    digitoCalculado,
+    formatado: `${codigo.slice(0, 3)}.${codigo.slice(3, 6)}.${codigo.slice(6)}-${digitoCalculado}`,
+  };
+}
+
+// Retorna o lote com a geometria em GeoJSON (WGS84) e o centroide, ou null
+async function buscarLote(codigo) {
+  const result = await pool.query(
+    `SELECT
+       sql, digito, logradouro, numero, complemento, bairro, cep,
+       ST_AsGeoJSON(ST_Transform(geom, 4326)) AS geometria,
+       ST_Y(ST_Transform(ST_PointOnSurface(geom), 4326)) AS lat,
+       ST_X(ST_Transform(ST_PointOnSurface(geom), 4326)) AS lng
+     FROM lotes_fiscais
+     WHERE sql = $1;`,
+    [codigo]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    ...row,
+    geometria: JSON.parse(row.geometria),
+    lat: Number(row.lat),
+    lng: Number(row.lng),
+  };
+}
+
+// "Rua Augusta, 1500 - Consolação" a partir dos campos do lote
+function enderecoDoLote(lote) {
+  const rua = [lote.logradouro, lote.numero].filter(Boolean).join(', ');
+  return [rua, lote.complemento, lote.bairro].filter(Boolean).join(' - ') || null;
+}
+
+module.exports = {
+  calcularDigitoSql,
+  normalizarSql,
+  buscarLote,
+  enderecoDoLote,
+};
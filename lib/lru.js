@@ -0,0 +1,48 @@
+// ♻️ Cache LRU em memória com expiração por item
+// Usa a ordem de inserção do Map: o primeiro item é sempre o menos usado.
+class LRUCache {
+  constructor(maxItens = 1000) {
+    this.maxItens = maxItens;
+    this.itens = new Map();
+  }
+
+  get(chave) {
+    const item = this.itens.get(chave);
+    if (!item) {
+      return undefined;
+    }
+    if (item.expiraEm && item.expiraEm <= Date.now()) {
+      this.itens.delete(chave);
+      return undefined;
+    }
+    // Reinsere para marcar como usado recentemente
+    this.itens.delete(chave);
+    this.itens.set(chave, item);
+    return item.valor;
+  }
+
+  set(chave, valor, ttlMs) {
+    this.itens.delete(chave);
+    this.itens.set(chave, {
+      valor,
+      expiraEm: ttlMs ? Date.now() + ttlMs : null,
+    });
+    while (this.itens.size > this.maxItens) {
+      this.itens.delete(this.itens.keys().next().value);
+    }
+  }
+
+  delete(chave) {
+    return this.itens.delete(chave);
+  }
+
+  clear() {
+    this.itens.clear();
+  }
+
+  get size() {
+    return this.itens.size;
+  }
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,250 @@
+// 🗺️ Zoneamento para mapas: vector tiles (MVT) e GeoJSON por caixa
+//
+// As feições vêm das tabelas da versão vigente (ou da data pedida) de cada cidade
+// que cruza a área pedida, sempre com zl_zona, zl_txt_zon, cor (lib/coresZonas.js)
+// e cidade, qualquer que seja o nome das colunas na tabela da cidade. Os tiles
+// ficam num cache LRU em memória.
+const pool = require('./db');
+const LRUCache = require('./lru');
+const { cidadesNaCaixa, versaoVigente, sqlZoneamento } = require('./cidades');
+const { corDaZona } = require('./coresZonas');
+
+const TIPO_MVT = 'application/vnd.mapbox-vector-tile';
+const CAMADA_MVT = 'zoneamento';
+const EXTENSAO_MVT = 4096;
+const BORDA_MVT = 64;
+const ZOOM_MAXIMO = 22;
+
+// Metros por pixel no equador no zoom 0 (tiles de 256 px em Web Mercator)
+const METROS_POR_PIXEL_Z0 = 156543.03392;
+// Maior lado (graus) aceito no GeoJSON por caixa
+const LADO_MAXIMO_CAIXA_GRAUS = 0.5;
+
+// Existência e códigos das tabelas são verificados de tempos em tempos
+const TTL_TABELAS_MS = 5 * 60 * 1000;
+const tabelas = new Map();
+
+let cacheTiles = null;
+
+function zoomMinimo() {
+  return Number(process.env.MAPA_ZOOM_MINIMO) || 10;
+}
+
+function ttlTilesMs() {
+  return (Number(process.env.MAPA_TILES_CACHE_TTL_MINUTOS) || 60) * 60 * 1000;
+}
+
+function obterCacheTiles() {
+  if (!cacheTiles) {
+    cacheTiles = new LRUCache(Number(process.env.MAPA_TILES_CACHE_MAX_ITENS) || 1000);
+  }
+  return cacheTiles;
+}
+
+// Descarta os tiles em cache (ex.: depois de importar uma tabela de zoneamento)
+function limparCacheMapa() {
+  obterCacheTiles().clear();
+  tabelas.clear();
+}
+
+// { existe, cores: { codigo: cor } } da tabela de uma versão (as cores vão para o
+// SQL dos tiles, que não tem como calcular a paleta)
+async function tabelaDoMapa(versao) {
+  const emCache = tabelas.get(versao.tabela);
+  if (emCache && emCache.expiraEm > Date.now()) {
+    return emCache;
+  }
+
+  const existe = await pool.query('SELECT to_regclass($1) IS NOT NULL AS existe;', [versao.tabela]);
+  const entrada = { existe: existe.rows[0].existe, cores: {}, expiraEm: Date.now() + TTL_TABELAS_MS };
+  if (entrada.existe) {
+    const z = sqlZoneamento(versao);
+    const codigos = await pool.query(`SELECT DISTINCT z.${z.codigo}::text AS codigo FROM ${z.tabela} z;`);
+    for (const { codigo } of codigos.rows) {
+      if (codigo !== null) {
+        entrada.cores[codigo] = corDaZona(codigo);
+      }
+    }
+  }
+  tabelas.set(versao.tabela, entrada);
+  return entrada;
+}
+
+// [{ cidade, versao, cores }] das cidades que cruzam a caixa, com a tabela carregada
+async function fontesNaCaixa(caixa, { cidade = null, data = null } = {}) {
+  const cidades = cidadesNaCaixa(caixa).filter((c) => !cidade || c.id === cidade.id);
+  const fontes = [];
+  for (const c of cidades) {
+    const versao = versaoVigente(c, data);
+    if (!versao) {
+      continue;
+    }
+    const { existe, cores } = await tabelaDoMapa(versao);
+    if (existe) {
+      fontes.push({ cidade: c, versao, cores });
+    }
+  }
+  return fontes;
+}
+
+// Lê z/x/y da rota. Retorna { z, x, y } ou { erro }
+function tileDaRequisicao(params) {
+  const [z, x, y] = [params.z, params.x, params.y].map(Number);
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > ZOOM_MAXIMO) {
+    return { erro: `Tile inválido: z deve ser inteiro entre 0 e ${ZOOM_MAXIMO}.` };
+  }
+  const limite = 2 ** z;
+  if (x < 0 || x >= limite || y < 0 || y >= limite) {
+    return { erro: `Tile inválido: no zoom ${z}, x e y vão de 0 a ${limite - 1}.` };
+  }
+  return { z, x, y };
+}
+
+// Caixa { sul, oeste, norte, leste } (graus) de um tile XYZ
+function caixaDoTile(z, x, y) {
+  const n = 2 ** z;
+  const latitude = (linha) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * linha) / n))) * 180) / Math.PI;
+  return {
+    oeste: (x / n) * 360 - 180,
+    leste: ((x + 1) / n) * 360 - 180,
+    norte: latitude(y),
+    sul: latitude(y + 1),
+  };
+}
+
+// Tile MVT (Buffer, vazio quando não há zonas) com a camada "zoneamento".
+// Abaixo de MAPA_ZOOM_MINIMO o tile é sempre vazio.
+async function tileZoneamento(z, x, y, { data = null } = {}) {
+  if (z < zoomMinimo()) {
+    return Buffer.alloc(0);
+  }
+
+  const fontes = await fontesNaCaixa(caixaDoTile(z, x, y), { data });
+  if (fontes.length === 0) {
+    return Buffer.alloc(0);
+  }
+
+  // A chave leva as versões: com outra data, ou na troca de versão, o tile muda
+  const chave = `${z}/${x}/${y}|${fontes.map((f) => `${f.cidade.id}:${f.versao.id}`).join(',')}`;
+  const cache = obterCacheTiles();
+  const emCache = cache.get(chave);
+  if (emCache) {
+    return emCache;
+  }
+
+  const values = [z, x, y];
+  const partes = fontes.map(({ cidade, versao, cores }) => {
+    const zs = sqlZoneamento(versao);
+    values.push(JSON.stringify(cores), cidade.id);
+    const parametroCores = `$${values.length - 1}`;
+    const parametroCidade = `$${values.length}`;
+    return `
+      SELECT
+        ST_AsMVTGeom(ST_Transform(z.${zs.geom}, 3857), t.env, ${EXTENSAO_MVT}, ${BORDA_MVT}, true) AS geom,
+        z.${zs.codigo}::text AS zl_zona,
+        z.${zs.texto}::text AS zl_txt_zon,
+        ${parametroCores}::jsonb ->> z.${zs.codigo}::text AS cor,
+        ${parametroCidade}::text AS cidade
+      FROM ${zs.tabela} z, t
+      WHERE z.${zs.geom} && ST_Transform(t.env_borda, ${zs.srid})`;
+  });
+
+  const result = await pool.query(
+    `WITH t AS (
+       SELECT env, ST_Expand(env, (ST_XMax(env) - ST_XMin(env)) * ${BORDA_MVT} / ${EXTENSAO_MVT}) AS env_borda
+       FROM (SELECT ST_TileEnvelope($1, $2, $3) AS env) e
+     ),
+     feicoes AS (${partes.join('\n      UNION ALL')}
+     )
+     SELECT ST_AsMVT(feicoes, '${CAMADA_MVT}', ${EXTENSAO_MVT}, 'geom') AS tile
+     FROM feicoes
+     WHERE geom IS NOT NULL;`,
+    values
+  );
+
+  const tile = result.rows[0].tile || Buffer.alloc(0);
+  cache.set(chave, tile, ttlTilesMs());
+  return tile;
+}
+
+// Lê "oeste,sul,leste,norte" (graus). Retorna { caixa } ou { erro }
+function caixaDaRequisicao(valor) {
+  const numeros = String(valor || '')
+    .split(',')
+    .map((v) => Number(v.trim()));
+  if (numeros.length !== 4 || !numeros.every(Number.isFinite)) {
+    return { erro: 'Informe bbox=oeste,sul,leste,norte em graus (WGS84).' };
+  }
+  const [oeste, sul, leste, norte] = numeros;
+  const foraDoGlobo = [oeste, leste].some((v) => Math.abs(v) > 180) || [sul, norte].some((v) => Math.abs(v) > 90);
+  if (oeste >= leste || sul >= norte || foraDoGlobo) {
+    return { erro: 'bbox inválida: use oeste < leste e sul < norte, em graus.' };
+  }
+  if (leste - oeste > LADO_MAXIMO_CAIXA_GRAUS || norte - sul > LADO_MAXIMO_CAIXA_GRAUS) {
+    return { erro: `bbox grande demais: cada lado pode ter no máximo ${LADO_MAXIMO_CAIXA_GRAUS} grau.` };
+  }
+  return { caixa: { oeste, sul, leste, norte } };
+}
+
+// Tolerância (m) de simplificação no zoom: meio pixel na latitude da caixa
+function toleranciaDoZoom(zoom, latitude) {
+  return (METROS_POR_PIXEL_Z0 * Math.cos((latitude * Math.PI) / 180)) / 2 ** zoom / 2;
+}
+
+// 🧩 FeatureCollection (WGS84) das zonas que cruzam a caixa, simplificadas para o
+// zoom. Com mais de MAPA_GEOJSON_MAX_FEICOES feições, a coleção vem truncada.
+async function zonasNaCaixa(caixa, zoom, { cidade = null, data = null } = {}) {
+  const maximo = Number(process.env.MAPA_GEOJSON_MAX_FEICOES) || 5000;
+  const tolerancia = toleranciaDoZoom(zoom, (caixa.sul + caixa.norte) / 2);
+  const fontes = await fontesNaCaixa(caixa, { cidade, data });
+
+  const features = [];
+  for (const { cidade: c, versao } of fontes) {
+    if (features.length > maximo) {
+      break;
+    }
+    const z = sqlZoneamento(versao);
+    const result = await pool.query(
+      `SELECT
+         z.${z.codigo}::text AS zl_zona,
+         z.${z.texto}::text AS zl_txt_zon,
+         ST_AsGeoJSON(
+           ST_Transform(ST_SimplifyPreserveTopology(z.${z.geom}, $5), 4326),
+           6
+         ) AS geojson
+       FROM ${z.tabela} z
+       WHERE ST_Intersects(z.${z.geom}, ST_Transform(ST_MakeEnvelope($1, $2, $3, $4, 4326), ${z.srid}))
+       LIMIT $6;`,
+      [caixa.oeste, caixa.sul, caixa.leste, caixa.norte, tolerancia, maximo + 1 - features.length]
+    );
+    for (const row of result.rows) {
+      features.push({
+        type: 'Feature',
+        geometry: JSON.parse(row.geojson),
+        properties: {
+          zl_zona: row.zl_zona,
+          zl_txt_zon: row.zl_txt_zon,
+          cor: corDaZona(row.zl_zona),
+          cidade: c.id,
+          versao: versao.id,
+        },
+      });
+    }
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: features.slice(0, maximo),
+    truncado: features.length > maximo,
+  };
+}
+
+module.exports = {
+  TIPO_MVT,
+  ZOOM_MAXIMO,
+  tileDaRequisicao,
+  tileZoneamento,
+  caixaDaRequisicao,
+  zonasNaCaixa,
+  limparCacheMapa,
+};
@@ -0,0 +1,281 @@
+// 📦 Consultas em massa: planilhas (CSV/XLSX) ou listas JSON de endereços/coordenadas
+//
+// Cada envio vira uma tarefa em memória, processada em segundo plano com
+// concorrência limitada (MASSA_CONCORRENCIA). As tarefas rodam uma de cada vez,
+// na ordem de chegada, para não multiplicar as chamadas aos geocodificadores; o
+// resultado fica disponível por MASSA_RETENCAO_HORAS e se perde num restart.
+const crypto = require('crypto');
+const { geocodeEndereco } = require('./geocoder');
+const { consultarZoneamento } = require('./zoneamento');
+const { chaveCabecalho, parseNumeroBr, parseCsv, registrosComCabecalho } = require('./csv');
+const { parseXlsx } = require('./xlsx');
+const { cidadeDaRequisicao } = require('./cidades');
+const { auditar } = require('./auditoria');
+const { parseEndereco } = require('./enderecoParser');
+
+const COLUNAS = {
+  id: ['id', 'codigo', 'referencia', 'ref'],
+  endereco: ['endereco', 'enderecoimovel', 'enderecocompleto', 'logradouro'],
+  numero: ['numero', 'nro', 'num', 'numeroimovel'],
+  cidade: ['cidade', 'municipio'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+};
+
+// Colunas do CSV de resultado, na ordem
+const COLUNAS_RESULTADO = [
+  'linha',
+  'id',
+  'entrada',
+  'status',
+  'erro',
+  'endereco_formatado',
+  'lat',
+  'lng',
+  'precisao',
+  'ambiguo',
+  'geocoder',
+  'cidade',
+  'coberto',
+  'cod_zoneamento',
+  'txt_zoneamento',
+  'versao_zoneamento',
+];
+
+const tarefas = new Map();
+let fila = Promise.resolve();
+
+function concorrencia() {
+  return Math.max(1, Number(process.env.MASSA_CONCORRENCIA) || 4);
+}
+
+function maxLinhas() {
+  return Number(process.env.MASSA_MAX_LINHAS) || 1000;
+}
+
+function retencaoMs() {
+  return (Number(process.env.MASSA_RETENCAO_HORAS) || 24) * 60 * 60 * 1000;
+}
+
+function texto(valor) {
+  return valor === undefined || valor === null ? '' : String(valor).trim();
+}
+
+// Lê um item (linha de planilha ou objeto JSON) pelos nomes canônicos acima
+function lerItem(registro) {
+  if (typeof registro === 'string') {
+    return { id: null, endereco: registro.trim(), cidade: null, lat: null, lng: null };
+  }
+
+  const porChave = {};
+  for (const [nome, valor] of Object.entries(registro || {})) {
+    porChave[chaveCabecalho(nome)] = valor;
+  }
+  const campo = (nome) => {
+    const apelido = COLUNAS[nome].find((a) => texto(porChave[a]) !== '');
+    return apelido ? porChave[apelido] : null;
+  };
+
+  let endereco = texto(campo('endereco'));
+  // A coluna do número completa o endereço quando ele ainda não tem número
+  // (um "25" em "Rua 25 de Março" não conta: vale o número que o parser encontra)
+  const numero = texto(campo('numero'));
+  if (endereco && numero && !parseEndereco(endereco).numero) {
+    endereco = `${endereco}, ${numero}`;
+  }
+  const coordenada = (nome) => {
+    const valor = campo(nome);
+    return typeof valor === 'number' ? valor : parseNumeroBr(valor);
+  };
+
+  return {
+    id: campo('id') === null ? null : texto(campo('id')),
+    endereco,
+    cidade: campo('cidade') === null ? null : texto(campo('cidade')),
+    lat: coordenada('lat'),
+    lng: coordenada('lng'),
+  };
+}
+
+// Itens de um arquivo enviado: .xlsx pelo nome ou pelo tipo, CSV nos demais casos
+function itensDoArquivo({ buffer, nome = '', tipo = '' }) {
+  const ehXlsx = /\.xlsx$/i.test(nome) || tipo.includes('spreadsheetml');
+  const linhas = ehXlsx ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  return registrosComCabecalho(linhas).map(lerItem);
+}
+
+// Itens de um JSON: lista de endereços (strings) ou de objetos { endereco | lat, lng }
+function itensDoJson(lista) {
+  return lista.map(lerItem);
+}
+
+// Texto que identifica a linha no resultado: o endereço ou "lat,lng"
+function entradaDoItem(item) {
+  if (item.endereco) {
+    return item.endereco;
+  }
+  return item.lat !== null && item.lng !== null ? `${item.lat},${item.lng}` : '';
+}
+
+async function processarItem(item, { cidade: cidadePadrao, data }) {
+  const resultado = {};
+
+  let cidade = cidadePadrao;
+  if (item.cidade) {
+    const escolha = cidadeDaRequisicao(item.cidade);
+    if (escolha.erro) {
+      throw new Error(escolha.erro);
+    }
+    cidade = escolha.cidade;
+  }
+
+  let { lat, lng } = item;
+  const porCoordenadas = lat !== null && lng !== null;
+  if (!porCoordenadas) {
+    if (!item.endereco) {
+      throw new Error('Linha sem endereço nem lat/lng.');
+    }
+    const geo = await geocodeEndereco(item.endereco, { cidade });
+    ({ lat, lng } = geo);
+    Object.assign(resultado, {
+      endereco_formatado: geo.enderecoFormatado,
+      precisao: geo.precisao.nivel,
+      ambiguo: geo.precisao.ambiguo,
+      geocoder: geo.provedor,
+    });
+  }
+
+  // Como nas rotas individuais: a cidade pedida vale para coordenadas; para
+  // endereços ela só orienta a geocodificação e o zoneamento é o do ponto
+  const zoneamento = await consultarZoneamento(lat, lng, {
+    cidade: porCoordenadas ? cidade : null,
+    data,
+  });
+
+  return {
+    ...resultado,
+    lat,
+    lng,
+    cidade: zoneamento.cidade ? zoneamento.cidade.id : null,
+    coberto: zoneamento.coberto,
+    cod_zoneamento: zoneamento.codigo,
+    txt_zoneamento: zoneamento.texto,
+    versao_zoneamento: zoneamento.versao ? zoneamento.versao.id : null,
+  };
+}
+
+async function processarLinha(tarefa, indice) {
+  const item = tarefa.itens[indice];
+  const linha = { linha: indice + 1, id: item.id, entrada: entradaDoItem(item) };
+  try {
+    const resultado = await auditar(
+      { rota: 'MASSA /zoneamento-massa', entrada: { tarefa: tarefa.id, ...linha } },
+      () => processarItem(item, tarefa.opcoes)
+    );
+    tarefa.resultados[indice] = { ...linha, status: 'ok', erro: null, ...resultado };
+  } catch (error) {
+    tarefa.falhas++;
+    tarefa.resultados[indice] = { ...linha, status: 'erro', erro: error.message };
+  }
+  tarefa.processados++;
+}
+
+async function executar(tarefa) {
+  tarefa.status = 'processando';
+  tarefa.iniciadaEm = new Date();
+
+  let proximo = 0;
+  const trabalhador = async () => {
+    while (proximo < tarefa.itens.length) {
+      await processarLinha(tarefa, proximo++);
+    }
+  };
+  // Erros de cada linha ficam na própria linha (processarLinha não rejeita)
+  await Promise.all(
+    Array.from({ length: Math.min(concorrencia(), tarefa.itens.length) }, trabalhador)
+  );
+  tarefa.status = 'concluida';
+  tarefa.concluidaEm = new Date();
+  // Os itens de entrada já estão refletidos nos resultados
+  tarefa.itens = [];
+}
+
+// Remove as tarefas encerradas há mais tempo que a retenção
+function limparTarefasAntigas() {
+  const limite = Date.now() - retencaoMs();
+  for (const [id, tarefa] of tarefas) {
+    if (tarefa.concluidaEm && tarefa.concluidaEm.getTime() < limite) {
+      tarefas.delete(id);
+    }
+  }
+}
+
+// Cria a tarefa e a coloca na fila. opcoes: { cidade, data } como nas rotas individuais
+// e chaveId, a chave de API dona da tarefa (null sem autenticação).
+function criarTarefa(itens, { chaveId = null, ...opcoes } = {}) {
+  if (itens.length === 0) {
+    throw new Error('Nenhuma linha para processar.');
+  }
+  if (itens.length > maxLinhas()) {
+    throw new Error(`Envie no máximo ${maxLinhas()} linhas por tarefa.`);
+  }
+  limparTarefasAntigas();
+
+  const tarefa = {
+    id: crypto.randomUUID(),
+    status: 'aguardando',
+    criadaEm: new Date(),
+    iniciadaEm: null,
+    concluidaEm: null,
+    total: itens.length,
+    processados: 0,
+    falhas: 0,
+    chaveId,
+    opcoes,
+    itens,
+    resultados: new Array(itens.length),
+  };
+  tarefas.set(tarefa.id, tarefa);
+  fila = fila.then(() => executar(tarefa));
+  return tarefa;
+}
+
+// Tarefa pelo id, ou null. Com a chave da requisição (req.chaveApi), só a chave que
+// criou a tarefa ou uma chave admin a encontram.
+function buscarTarefa(id, chave = null) {
+  limparTarefasAntigas();
+  const tarefa = tarefas.get(id) || null;
+  if (!tarefa || !chave || chave.escopos.includes('admin') || tarefa.chaveId === chave.id) {
+    return tarefa;
+  }
+  return null;
+}
+
+// Linhas já processadas, na ordem da entrada
+function resultadosDaTarefa(tarefa) {
+  return tarefa.resultados.filter(Boolean);
+}
+
+function tarefaParaResposta(tarefa) {
+  return {
+    id: tarefa.id,
+    status: tarefa.status,
+    total: tarefa.total,
+    processados: tarefa.processados,
+    falhas: tarefa.falhas,
+    progresso: Math.round((tarefa.processados / tarefa.total) * 100),
+    criada_em: tarefa.criadaEm.toISOString(),
+    iniciada_em: tarefa.iniciadaEm ? tarefa.iniciadaEm.toISOString() : null,
+    concluida_em: tarefa.concluidaEm ? tarefa.concluidaEm.toISOString() : null,
+  };
+}
+
+module.exports = {
+  COLUNAS_RESULTADO,
+  itensDoArquivo,
+  itensDoJson,
+  criarTarefa,
+  buscarTarefa,
+  resultadosDaTarefa,
+  tarefaParaResposta,
+};
@@ -0,0 +1,145 @@
+// 📈 Métricas da API no formato de texto do Prometheus (GET /metrics)
+//
+// Contadores e histogramas ficam em memória, por instância, e zeram num restart (o
+// Prometheus trata o reinício do contador). As rotas entram pelo caminho declarado
+// (/lote/:sql, não /lote/123), para não criar uma série por URL.
+const pool = require('./db');
+
+const PREFIXO = 'sitka';
+const TIPO_PROMETHEUS = 'text/plain; version=0.0.4; charset=utf-8';
+// Limites (s) do histograma de latência das requisições
+const BUCKETS_SEGUNDOS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Chave: valores dos rótulos em JSON → contagem (ou histograma)
+const requisicoes = new Map();
+const duracoes = new Map();
+const geocodificacoes = new Map();
+const zonas = new Map();
+
+function incrementar(mapa, rotulos) {
+  const chave = JSON.stringify(rotulos);
+  mapa.set(chave, (mapa.get(chave) || 0) + 1);
+}
+
+function observar(rotulos, segundos) {
+  const chave = JSON.stringify(rotulos);
+  let histograma = duracoes.get(chave);
+  if (!histograma) {
+    histograma = { buckets: BUCKETS_SEGUNDOS.map(() => 0), soma: 0, total: 0 };
+    duracoes.set(chave, histograma);
+  }
+  BUCKETS_SEGUNDOS.forEach((limite, i) => {
+    if (segundos <= limite) {
+      histograma.buckets[i]++;
+    }
+  });
+  histograma.soma += segundos;
+  histograma.total++;
+}
+
+// Middleware: requisições e latência por método, rota e status
+function medirRequisicoes(req, res, next) {
+  const inicio = process.hrtime.bigint();
+  res.on('finish', () => {
+    const segundos = Number(process.hrtime.bigint() - inicio) / 1e9;
+    const metodo = req.method;
+    const rota = req.route ? req.baseUrl + req.route.path : 'nao_mapeada';
+    incrementar(requisicoes, { metodo, rota, status: String(res.statusCode) });
+    observar({ metodo, rota }, segundos);
+  });
+  next();
+}
+
+// resultado: ok, nao_encontrado, erro ou nao_configurado
+function registrarGeocodificacao(provedor, resultado) {
+  incrementar(geocodificacoes, { provedor, resultado });
+}
+
+// Resultado da zona de um ponto: encontrada, nao_encontrada (dentro de uma cidade
+// atendida, sem zona) ou fora_da_cobertura
+function registrarZona(zoneamento) {
+  let resultado = 'encontrada';
+  if (!zoneamento.coberto) {
+    resultado = 'fora_da_cobertura';
+  } else if (!zoneamento.codigo) {
+    resultado = 'nao_encontrada';
+  }
+  incrementar(zonas, { resultado });
+}
+
+function escaparRotulo(valor) {
+  return String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function rotulosParaTexto(rotulos) {
+  const pares = Object.entries(rotulos).map(([nome, valor]) => `${nome}="${escaparRotulo(valor)}"`);
+  return pares.length ? `{${pares.join(',')}}` : '';
+}
+
+function cabecalho(linhas, nome, tipo, ajuda) {
+  linhas.push(`# HELP ${PREFIXO}_${nome} ${ajuda}`, `# TYPE ${PREFIXO}_${nome} ${tipo}`);
+}
+
+function contador(linhas, nome, ajuda, mapa) {
+  cabecalho(linhas, nome, 'counter', ajuda);
+  for (const [chave, valor] of mapa) {
+    linhas.push(`${PREFIXO}_${nome}${rotulosParaTexto(JSON.parse(chave))} ${valor}`);
+  }
+}
+
+function medidor(linhas, nome, ajuda, series) {
+  cabecalho(linhas, nome, 'gauge', ajuda);
+  for (const [rotulos, valor] of series) {
+    linhas.push(`${PREFIXO}_${nome}${rotulosParaTexto(rotulos)} ${valor}`);
+  }
+}
+
+// 📄 Texto de todas as métricas, no formato de exposição do Prometheus
+function textoMetricas() {
+  const linhas = [];
+
+  contador(linhas, 'http_requisicoes_total', 'Requisições HTTP por método, rota e status.', requisicoes);
+
+  const nome = 'http_duracao_segundos';
+  cabecalho(linhas, nome, 'histogram', 'Latência das requisições HTTP por método e rota.');
+  for (const [chave, histograma] of duracoes) {
+    const rotulos = JSON.parse(chave);
+    BUCKETS_SEGUNDOS.forEach((limite, i) => {
+      linhas.push(`${PREFIXO}_${nome}_bucket${rotulosParaTexto({ ...rotulos, le: limite })} ${histograma.buckets[i]}`);
+    });
+    linhas.push(`${PREFIXO}_${nome}_bucket${rotulosParaTexto({ ...rotulos, le: '+Inf' })} ${histograma.total}`);
+    linhas.push(`${PREFIXO}_${nome}_sum${rotulosParaTexto(rotulos)} ${histograma.soma}`);
+    linhas.push(`${PREFIXO}_${nome}_count${rotulosParaTexto(rotulos)} ${histograma.total}`);
+  }
+
+  contador(
+    linhas,
+    'geocodificacoes_total',
+    'Tentativas de geocodificação por provedor e resultado (ok, nao_encontrado, erro, nao_configurado).',
+    geocodificacoes
+  );
+  contador(
+    linhas,
+    'consultas_zona_total',
+    'Consultas de zona de um ponto por resultado (encontrada, nao_encontrada, fora_da_cobertura).',
+    zonas
+  );
+
+  medidor(linhas, 'db_pool_conexoes', 'Conexões do pool do Postgres por estado.', [
+    [{ estado: 'total' }, pool.totalCount],
+    [{ estado: 'ociosas' }, pool.idleCount],
+    [{ estado: 'em_uso' }, pool.totalCount - pool.idleCount],
+  ]);
+  medidor(linhas, 'db_pool_aguardando', 'Requisições aguardando uma conexão do pool.', [[{}, pool.waitingCount]]);
+  medidor(linhas, 'db_pool_maximo', 'Tamanho máximo do pool do Postgres.', [[{}, pool.options.max]]);
+
+  return `${linhas.join('\n')}\n`;
+}
+
+module.exports = {
+  TIPO_PROMETHEUS,
+  medirRequisicoes,
+  registrarGeocodificacao,
+  registrarZona,
+  textoMetricas,
+};
@@ -0,0 +1,329 @@
+// 📝 Modelos de mensagem do WhatsApp: campos da consulta, blocos condicionais e
+// explicações das zonas em linguagem simples
+//
+// O registro vem de config/modelos-mensagem.js ou do JSON apontado por
+// MODELOS_MENSAGEM_ARQUIVO. Sintaxe dos modelos (a mesma das mensagens inline dos
+// perfis WATI):
+//   {{campo}}                  valor do campo; vazio quando não há valor (nunca "null")
+//   {{#campo}} ... {{/campo}}  bloco exibido quando o campo tem valor; com uma lista,
+//                              repetido por item ({{.}} é o item, ou os campos dele)
+//   {{^campo}} ... {{/campo}}  bloco exibido quando o campo está vazio
+// São vazios: null, "", false, "nao" (as variáveis sim/nao do WATI) e listas vazias.
+// Linhas só com a marcação de um bloco somem da mensagem, espaços no fim das linhas
+// são removidos e sequências de linhas em branco viram uma só.
+const fs = require('fs');
+const path = require('path');
+const { variaveisWati } = require('./consulta');
+const { parametrosParaWati } = require('./parametros');
+const { familiaDoCodigo } = require('./coresZonas');
+const { buscarCidade, carregarCidades, nomesDasCidades } = require('./cidades');
+
+const ID_MODELO = /^[a-z0-9-]+$/;
+const MARCA = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+// Linha só com a abertura ou o fechamento de um bloco (some com a quebra de linha)
+const LINHA_DE_BLOCO = /^[ \t]*(\{\{\s*[#^/]\s*[\w.]+\s*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+let registro = null;
+
+// Árvore do modelo: textos, { tipo: 'campo', nome } e { tipo: '#' | '^', nome, filhos }
+function compilarModelo(texto) {
+  const raiz = { filhos: [] };
+  const pilha = [raiz];
+  const campos = new Set();
+  const fonte = texto.replace(LINHA_DE_BLOCO, '$1');
+  let posicao = 0;
+
+  for (const marca of fonte.matchAll(MARCA)) {
+    const [trecho, tipo, nome] = marca;
+    const atual = pilha[pilha.length - 1];
+    if (marca.index > posicao) {
+      atual.filhos.push(fonte.slice(posicao, marca.index));
+    }
+    posicao = marca.index + trecho.length;
+    if (nome !== '.') {
+      campos.add(nome);
+    }
+
+    if (tipo === '/') {
+      if (pilha.length === 1 || atual.nome !== nome) {
+        throw new Error(`{{/${nome}}} sem o {{#${nome}}} correspondente.`);
+      }
+      pilha.pop();
+    } else if (tipo) {
+      const bloco = { tipo, nome, filhos: [] };
+      atual.filhos.push(bloco);
+      pilha.push(bloco);
+    } else {
+      atual.filhos.push({ tipo: 'campo', nome });
+    }
+  }
+
+  if (pilha.length > 1) {
+    const aberto = pilha[pilha.length - 1];
+    throw new Error(`bloco {{${aberto.tipo}${aberto.nome}}} não foi fechado.`);
+  }
+  if (posicao < fonte.length) {
+    raiz.filhos.push(fonte.slice(posicao));
+  }
+  return { nos: raiz.filhos, campos };
+}
+
+function vazio(valor) {
+  return (
+    valor === undefined ||
+    valor === null ||
+    valor === '' ||
+    valor === false ||
+    valor === 'nao' ||
+    (Array.isArray(valor) && valor.length === 0)
+  );
+}
+
+// Procura o campo do escopo mais interno (item da lista) para o mais externo
+function valorDoCampo(escopos, nome) {
+  for (const escopo of escopos) {
+    if (nome === '.') {
+      return escopo.item;
+    }
+    if (escopo.campos && Object.prototype.hasOwnProperty.call(escopo.campos, nome)) {
+      return escopo.campos[nome];
+    }
+  }
+  return undefined;
+}
+
+function escopoDoItem(item) {
+  const objeto = item !== null && typeof item === 'object' && !Array.isArray(item);
+  return { item, campos: objeto ? item : null };
+}
+
+function renderizarNos(nos, escopos) {
+  let saida = '';
+  for (const no of nos) {
+    if (typeof no === 'string') {
+      saida += no;
+      continue;
+    }
+    const valor = valorDoCampo(escopos, no.nome);
+    if (no.tipo === 'campo') {
+      saida += vazio(valor) || typeof valor === 'object' ? '' : String(valor);
+    } else if (no.tipo === '^') {
+      saida += vazio(valor) ? renderizarNos(no.filhos, escopos) : '';
+    } else if (Array.isArray(valor)) {
+      for (const item of valor) {
+        saida += renderizarNos(no.filhos, [escopoDoItem(item), ...escopos]);
+      }
+    } else if (!vazio(valor)) {
+      saida += renderizarNos(no.filhos, escopos);
+    }
+  }
+  return saida;
+}
+
+// Texto final do modelo (compilado ou texto) com os campos da consulta
+function renderizarModelo(modelo, campos) {
+  const { nos } = typeof modelo === 'string' ? compilarModelo(modelo) : modelo;
+  return renderizarNos(nos, [{ item: campos, campos }])
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function textoDoModelo(texto) {
+  return Array.isArray(texto) ? texto.join('\n') : texto;
+}
+
+function validarModelo(modelo, indice) {
+  const problema = (msg) => new Error(`Modelo de mensagem ${modelo.id || indice}: ${msg}`);
+
+  if (!modelo.id || !ID_MODELO.test(modelo.id)) {
+    throw problema('id inválido (use letras minúsculas, números e -).');
+  }
+  const texto = textoDoModelo(modelo.texto);
+  const linhasValidas = !Array.isArray(modelo.texto) || modelo.texto.every((l) => typeof l === 'string');
+  if (!linhasValidas || typeof texto !== 'string' || texto.trim() === '') {
+    throw problema('texto deve ser uma string ou uma lista de linhas.');
+  }
+
+  let compilado;
+  try {
+    compilado = compilarModelo(texto);
+  } catch (error) {
+    throw problema(error.message);
+  }
+  return {
+    id: modelo.id,
+    descricao: modelo.descricao || '',
+    texto,
+    ...compilado,
+  };
+}
+
+// Lê e valida o registro uma única vez (erros de configuração aparecem no boot)
+function carregarModelosMensagem() {
+  if (registro) {
+    return registro;
+  }
+
+  const arquivo = process.env.MODELOS_MENSAGEM_ARQUIVO;
+  const conteudo = arquivo
+    ? JSON.parse(fs.readFileSync(path.resolve(arquivo), 'utf8'))
+    : require('../config/modelos-mensagem');
+
+  if (!conteudo || !Array.isArray(conteudo.modelos)) {
+    throw new Error('O registro de modelos de mensagem deve ter uma lista "modelos".');
+  }
+  const explicacoes = conteudo.explicacoes || {};
+  if (typeof explicacoes !== 'object' || !Object.values(explicacoes).every((v) => typeof v === 'string')) {
+    throw new Error('explicacoes dos modelos de mensagem deve ser um objeto { CODIGO: texto }.');
+  }
+
+  const modelos = new Map();
+  conteudo.modelos.forEach((modelo, indice) => {
+    const validado = validarModelo(modelo, indice);
+    if (modelos.has(validado.id)) {
+      throw new Error(`Modelo de mensagem ${validado.id} registrado mais de uma vez.`);
+    }
+    modelos.set(validado.id, validado);
+  });
+
+  // Chaves em maiúsculas; "cidade:CODIGO" guarda a cidade em minúsculas
+  const porCodigo = {};
+  for (const [chave, texto] of Object.entries(explicacoes)) {
+    const [cidade, codigo] = chave.includes(':') ? chave.split(':') : [null, chave];
+    porCodigo[cidade ? `${cidade.toLowerCase()}:${codigo.toUpperCase()}` : codigo.toUpperCase()] = texto;
+  }
+  const prefixos = Object.keys(porCodigo)
+    .filter((chave) => !chave.includes(':'))
+    .sort((a, b) => b.length - a.length);
+
+  registro = { modelos, explicacoes: porCodigo, prefixos };
+  return registro;
+}
+
+function buscarModelo(id) {
+  return carregarModelosMensagem().modelos.get(id) || null;
+}
+
+// Lê o modelo escolhido na requisição. Retorna { modelo } (null sem escolha) ou { erro }
+function modeloDaRequisicao(valor) {
+  if (valor === undefined || valor === null || valor === '') {
+    return { modelo: null };
+  }
+  const modelo = buscarModelo(String(valor).trim());
+  if (!modelo) {
+    const ids = [...carregarModelosMensagem().modelos.keys()].join(', ');
+    return { erro: `Modelo de mensagem "${valor}" não encontrado. Opções: ${ids}.` };
+  }
+  return { modelo };
+}
+
+// Explicação da zona em linguagem simples: código da cidade, código exato ou família
+function explicacaoDaZona(codigo, cidade = null) {
+  if (!codigo) {
+    return '';
+  }
+  const { explicacoes, prefixos } = carregarModelosMensagem();
+  const normalizado = String(codigo).replace(/\s+/g, '');
+  const maiusculo = normalizado.toUpperCase();
+  const daCidade = cidade ? explicacoes[`${cidade.id}:${maiusculo}`] : undefined;
+  if (daCidade !== undefined) {
+    return daCidade;
+  }
+  const familia = familiaDoCodigo(normalizado, prefixos);
+  return familia ? explicacoes[familia.prefixo] : '';
+}
+
+// "C.A. máximo 4", "T.O. 0.7"... dos parâmetros da zona
+function parametrosEmLista(parametros) {
+  const p = parametrosParaWati(parametros);
+  return [
+    p.ca_basico && `C.A. básico: ${p.ca_basico}`,
+    p.ca_maximo && `C.A. máximo: ${p.ca_maximo}`,
+    p.taxa_ocupacao && `Taxa de ocupação: ${p.taxa_ocupacao}`,
+    p.gabarito && `Gabarito: ${p.gabarito} m`,
+  ].filter(Boolean);
+}
+
+// Campos que os perfis e os modelos podem usar: os básicos da consulta, as variáveis
+// WATI, os campos dos blocos condicionais e o link curto do relatório (quando criado)
+function camposDaConsulta(enderecoOriginal, consulta, linkRelatorio = null) {
+  const { zoneamento, fronteira } = consulta;
+
+  return {
+    ...variaveisWati(consulta),
+    endereco_original: enderecoOriginal,
+    endereco_formatado: consulta.enderecoFormatado,
+    numero_imovel: consulta.numeroImovel,
+    lat: consulta.lat,
+    lng: consulta.lng,
+    cod_zoneamento: zoneamento.codigo,
+    txt_zoneamento: zoneamento.texto,
+    link_relatorio: linkRelatorio || null,
+    zona_encontrada: Boolean(zoneamento.coberto && zoneamento.codigo),
+    explicacao_zona: explicacaoDaZona(zoneamento.codigo, zoneamento.cidade),
+    zona_vizinha: fronteira.nearBoundary ? fronteira.vizinhas[0].codigo : '',
+    parametros_lista: parametrosEmLista(consulta.parametros),
+    precisao_baixa: consulta.precisao.nivel === 'baixa',
+    ambiguo: consulta.precisao.ambiguo,
+    candidatos: consulta.candidatos.map((c, i) => ({
+      numero: i + 1,
+      endereco: c.enderecoFormatado,
+      zona: c.zoneamento.codigo || 'não identificado',
+    })),
+    cidades_atendidas: nomesDasCidades(),
+  };
+}
+
+// Consulta fictícia (Av. Paulista, ZEU) para pré-visualizar modelos sem geocodificar
+function consultaDeExemplo() {
+  const cidade = buscarCidade('sao-paulo') || carregarCidades()[0];
+  const versao = cidade.versoes[cidade.versoes.length - 1];
+  return {
+    enderecoFormatado: 'Av. Paulista, 1578 - Bela Vista, São Paulo - SP, 01310-200, Brasil',
+    numeroImovel: '1578',
+    lat: -23.561414,
+    lng: -46.655881,
+    provedor: 'exemplo',
+    enderecoEstruturado: {
+      tipoLogradouro: 'Avenida',
+      logradouro: 'Paulista',
+      numero: '1578',
+      complemento: null,
+      bairro: 'Bela Vista',
+      cidade: 'São Paulo',
+      uf: 'SP',
+      cep: '01310-200',
+    },
+    precisao: {
+      nivel: 'alta',
+      locationType: 'ROOFTOP',
+      partialMatch: false,
+      cidadeDivergente: false,
+      totalCandidatos: 1,
+      ambiguo: false,
+    },
+    candidatos: [],
+    zoneamento: {
+      codigo: 'ZEU',
+      texto: 'Zona Eixo de Estruturação da Transformação Urbana',
+      cidade,
+      versao,
+      coberto: true,
+    },
+    parametros: { ca_minimo: 0.5, ca_basico: 1, ca_maximo: 4, to_maxima_ate_500: 0.85, gabarito_m: null },
+    fronteira: { nearBoundary: false, vizinhas: [] },
+    camadas: [],
+  };
+}
+
+module.exports = {
+  carregarModelosMensagem,
+  compilarModelo,
+  renderizarModelo,
+  buscarModelo,
+  modeloDaRequisicao,
+  explicacaoDaZona,
+  camposDaConsulta,
+  consultaDeExemplo,
+};
@@ -0,0 +1,98 @@
+// 🏗️ Parâmetros urbanísticos por zona (CA, TO, gabarito, recuos, cota-parte)
+const pool = require('./db');
+const LRUCache = require('./lru');
+
+// Os parâmetros só mudam com uma nova importação; 10 minutos de cache bastam
+const TTL_MS = 10 * 60 * 1000;
+const cache = new LRUCache(200);
+
+// Retorna os parâmetros da zona ou null (zona sem parâmetros ou tabela não carregada)
+async function buscarParametros(codigoZona) {
+  if (!codigoZona) {
+    return null;
+  }
+
+  const chave = String(codigoZona).trim().toUpperCase();
+  const emCache = cache.get(chave);
+  if (emCache !== undefined) {
+    return emCache;
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT zona, ca_minimo, ca_basico, ca_maximo,
+              to_maxima_ate_500, to_maxima_acima_500, gabarito_m,
+              recuo_frente_m, recuo_fundos_laterais_ate_10m, recuo_fundos_laterais_acima_10m,
+              cota_parte_m2, observacoes
+       FROM parametros_urbanisticos
+       WHERE UPPER(zona) = $1;`,
+      [chave]
+    );
+    const parametros = result.rows[0] || null;
+    cache.set(chave, parametros, TTL_MS);
+    return parametros;
+  } catch (error) {
+    // 42P01 = tabela ainda não criada/importada
+    if (error.code === '42P01') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function limparCacheParametros() {
+  cache.clear();
+}
+
+// O pg devolve NUMERIC como string; na resposta viram números
+function numero(valor) {
+  return valor === null || valor === undefined ? null : Number(valor);
+}
+
+function parametrosParaResposta(parametros) {
+  if (!parametros) {
+    return null;
+  }
+
+  return {
+    zona: parametros.zona,
+    coeficiente_aproveitamento: {
+      minimo: numero(parametros.ca_minimo),
+      basico: numero(parametros.ca_basico),
+      maximo: numero(parametros.ca_maximo),
+    },
+    taxa_ocupacao: {
+      lotes_ate_500m2: numero(parametros.to_maxima_ate_500),
+      lotes_acima_500m2: numero(parametros.to_maxima_acima_500),
+    },
+    gabarito_m: numero(parametros.gabarito_m),
+    recuos_m: {
+      frente: numero(parametros.recuo_frente_m),
+      fundos_laterais_ate_10m: numero(parametros.recuo_fundos_laterais_ate_10m),
+      fundos_laterais_acima_10m: numero(parametros.recuo_fundos_laterais_acima_10m),
+    },
+    cota_parte_m2: numero(parametros.cota_parte_m2),
+    observacoes: parametros.observacoes || null,
+  };
+}
+
+// Variáveis planas para o WATI ("" quando não há parâmetros)
+function parametrosParaWati(parametros) {
+  const valor = (v) => (v === null || v === undefined ? '' : String(Number(v)));
+  const p = parametros || {};
+
+  return {
+    ca_minimo: valor(p.ca_minimo),
+    ca_basico: valor(p.ca_basico),
+    ca_maximo: valor(p.ca_maximo),
+    taxa_ocupacao: valor(p.to_maxima_ate_500),
+    gabarito: valor(p.gabarito_m),
+  };
+}
+
+module.exports = {
+  buscarParametros,
+  limparCacheParametros,
+  parametrosParaResposta,
+  parametrosParaWati,
+};
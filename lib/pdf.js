@@ -0,0 +1,278 @@
+// 📄 Geração de PDF em JavaScript puro (sem navegador nem dependências)
+//
+// Só o necessário para relatórios simples: páginas A4, textos em Helvetica e
+// Helvetica-Bold (fontes padrão do PDF, sem embutir arquivos; acentos pela
+// codificação WinAnsi), retângulos, linhas, polígonos, círculos e recorte.
+// As coordenadas são em pontos (1/72"), com a origem no canto superior esquerdo.
+const zlib = require('zlib');
+
+const A4 = { largura: 595.28, altura: 841.89 };
+
+// Larguras (em milésimos do tamanho da fonte) dos caracteres 32–126, das métricas
+// AFM das fontes padrão. Letras acentuadas usam a largura da letra sem acento.
+const LARGURAS = {
+  Helvetica: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778,
+    722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  'Helvetica-Bold': [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778,
+    722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+const FONTES = { normal: 'Helvetica', negrito: 'Helvetica-Bold' };
+const LARGURA_PADRAO = 556;
+
+// Caracteres fora do Latin-1 que existem na WinAnsi (aspas curvas, travessão...)
+const WIN_ANSI_EXTRA = {
+  '€': 0x80,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+};
+
+// Texto → bytes WinAnsi (numa string "binária"); o que não existe vira "?"
+function paraWinAnsi(texto) {
+  let saida = '';
+  for (const caractere of String(texto)) {
+    const codigo = caractere.codePointAt(0);
+    if (WIN_ANSI_EXTRA[caractere]) {
+      saida += String.fromCharCode(WIN_ANSI_EXTRA[caractere]);
+    } else if ((codigo >= 32 && codigo <= 126) || (codigo >= 160 && codigo <= 255)) {
+      saida += caractere;
+    } else {
+      saida += caractere.trim() === '' ? ' ' : '?';
+    }
+  }
+  return saida;
+}
+
+// String literal do PDF: "(texto)" com \, ( e ) escapados
+function literal(texto) {
+  return `(${paraWinAnsi(texto).replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+function larguraDoCaractere(caractere, fonte) {
+  const base = caractere.normalize('NFD').charCodeAt(0);
+  const tabela = LARGURAS[FONTES[fonte]];
+  return base >= 32 && base <= 126 ? tabela[base - 32] : LARGURA_PADRAO;
+}
+
+// Largura (pt) do texto numa fonte e tamanho
+function larguraDoTexto(texto, fonte, tamanho) {
+  let total = 0;
+  for (const caractere of String(texto)) {
+    total += larguraDoCaractere(caractere, fonte);
+  }
+  return (total * tamanho) / 1000;
+}
+
+// Quebra o texto em linhas que cabem na largura (respeitando as quebras do texto)
+function quebrarLinhas(texto, fonte, tamanho, largura) {
+  const linhas = [];
+  for (const paragrafo of String(texto).split('\n')) {
+    let linha = '';
+    for (const palavra of paragrafo.split(/\s+/).filter(Boolean)) {
+      const tentativa = linha ? `${linha} ${palavra}` : palavra;
+      if (linha && larguraDoTexto(tentativa, fonte, tamanho) > largura) {
+        linhas.push(linha);
+        linha = palavra;
+      } else {
+        linha = tentativa;
+      }
+    }
+    linhas.push(linha);
+  }
+  return linhas;
+}
+
+function numero(valor) {
+  return Number(valor.toFixed(2)).toString();
+}
+
+// "#e4572e" → "0.894 0.341 0.18"
+function corPdf(hex) {
+  return [1, 3, 5].map((i) => numero(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+// Uma página: acumula os operadores do conteúdo
+class PaginaPdf {
+  constructor({ largura = A4.largura, altura = A4.altura } = {}) {
+    this.largura = largura;
+    this.altura = altura;
+    this.operacoes = [];
+  }
+
+  y(valor) {
+    return numero(this.altura - valor);
+  }
+
+  // Retângulo com preenchimento e/ou contorno: { preenchimento, contorno, espessura }
+  retangulo(x, y, largura, altura, estilo = {}) {
+    this.operacoes.push(`${numero(x)} ${this.y(y + altura)} ${numero(largura)} ${numero(altura)} re`);
+    return this.pintar(estilo);
+  }
+
+  linha(x1, y1, x2, y2, { contorno = '#000000', espessura = 1 } = {}) {
+    this.operacoes.push(`${numero(x1)} ${this.y(y1)} m ${numero(x2)} ${this.y(y2)} l`);
+    return this.pintar({ contorno, espessura });
+  }
+
+  // Polígonos: lista de anéis [[x, y], ...]; furos pela regra par-ímpar
+  poligono(aneis, estilo = {}) {
+    for (const anel of aneis) {
+      anel.forEach(([x, y], i) => {
+        this.operacoes.push(`${numero(x)} ${this.y(y)} ${i === 0 ? 'm' : 'l'}`);
+      });
+      this.operacoes.push('h');
+    }
+    return this.pintar(estilo, true);
+  }
+
+  // Círculo por quatro curvas de Bézier
+  circulo(cx, cy, raio, estilo = {}) {
+    const k = raio * 0.5523;
+    const [x, y] = [cx, this.altura - cy];
+    this.operacoes.push(
+      `${numero(x + raio)} ${numero(y)} m`,
+      `${numero(x + raio)} ${numero(y + k)} ${numero(x + k)} ${numero(y + raio)} ${numero(x)} ${numero(y + raio)} c`,
+      `${numero(x - k)} ${numero(y + raio)} ${numero(x - raio)} ${numero(y + k)} ${numero(x - raio)} ${numero(y)} c`,
+      `${numero(x - raio)} ${numero(y - k)} ${numero(x - k)} ${numero(y - raio)} ${numero(x)} ${numero(y - raio)} c`,
+      `${numero(x + k)} ${numero(y - raio)} ${numero(x + raio)} ${numero(y - k)} ${numero(x + raio)} ${numero(y)} c`
+    );
+    return this.pintar(estilo);
+  }
+
+  pintar({ preenchimento = null, contorno = null, espessura = 1 }, parImpar = false) {
+    const partes = [];
+    if (preenchimento) {
+      partes.push(`${corPdf(preenchimento)} rg`);
+    }
+    if (contorno) {
+      partes.push(`${corPdf(contorno)} RG`, `${numero(espessura)} w`);
+    }
+    const operador = preenchimento && contorno ? 'B' : preenchimento ? 'f' : contorno ? 'S' : 'n';
+    partes.push(parImpar && operador !== 'S' && operador !== 'n' ? `${operador}*` : operador);
+    this.operacoes.push(partes.join(' '));
+    return this;
+  }
+
+  // Texto numa linha, com a linha de base em y. opcoes: { fonte, tamanho, cor, alinhamento }
+  texto(x, y, conteudo, { fonte = 'normal', tamanho = 10, cor = '#000000', alinhamento = 'esquerda' } = {}) {
+    const largura = larguraDoTexto(conteudo, fonte, tamanho);
+    const inicio = alinhamento === 'direita' ? x - largura : alinhamento === 'centro' ? x - largura / 2 : x;
+    this.operacoes.push(
+      `BT /${fonte === 'negrito' ? 'F2' : 'F1'} ${numero(tamanho)} Tf ${corPdf(cor)} rg ` +
+        `${numero(inicio)} ${this.y(y)} Td ${literal(conteudo)} Tj ET`
+    );
+    return this;
+  }
+
+  // Parágrafo quebrado na largura; retorna o y logo abaixo da última linha
+  paragrafo(x, y, conteudo, largura, { fonte = 'normal', tamanho = 10, cor = '#000000', entrelinha = 1.3 } = {}) {
+    let atual = y;
+    for (const linha of quebrarLinhas(conteudo, fonte, tamanho, largura)) {
+      this.texto(x, atual + tamanho, linha, { fonte, tamanho, cor });
+      atual += tamanho * entrelinha;
+    }
+    return atual;
+  }
+
+  // Desenha o que "desenhar(pagina)" fizer recortado ao retângulo
+  recortar(x, y, largura, altura, desenhar) {
+    this.operacoes.push('q', `${numero(x)} ${this.y(y + altura)} ${numero(largura)} ${numero(altura)} re W n`);
+    desenhar(this);
+    this.operacoes.push('Q');
+    return this;
+  }
+}
+
+// Data no formato do PDF: D:AAAAMMDDHHmmSSZ
+function dataPdf(data) {
+  return `D:${data.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+// Monta o arquivo com as páginas. metadados: { titulo, autor }
+function gerarPdf(paginas, { titulo = '', autor = '' } = {}) {
+  const objetos = [];
+  const adicionar = (conteudo) => {
+    objetos.push(conteudo);
+    return objetos.length;
+  };
+
+  const catalogo = adicionar(null);
+  const raizPaginas = adicionar(null);
+  const fonteNormal = adicionar('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const fonteNegrito = adicionar('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const info = adicionar(
+    `<< /Title ${literal(titulo)} /Author ${literal(autor)} /Producer (sitka-zoneamento-api) ` +
+      `/CreationDate (${dataPdf(new Date())}) >>`
+  );
+
+  const idsPaginas = paginas.map((pagina) => {
+    const conteudo = zlib.deflateSync(Buffer.from(pagina.operacoes.join('\n'), 'latin1'));
+    const fluxo = adicionar(
+      Buffer.concat([
+        Buffer.from(`<< /Length ${conteudo.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        conteudo,
+        Buffer.from('\nendstream', 'latin1'),
+      ])
+    );
+    return adicionar(
+      `<< /Type /Page /Parent ${raizPaginas} 0 R /MediaBox [0 0 ${numero(pagina.largura)} ${numero(pagina.altura)}] ` +
+        `/Resources << /Font << /F1 ${fonteNormal} 0 R /F2 ${fonteNegrito} 0 R >> >> /Contents ${fluxo} 0 R >>`
+    );
+  });
+  objetos[catalogo - 1] = `<< /Type /Catalog /Pages ${raizPaginas} 0 R >>`;
+  objetos[raizPaginas - 1] =
+    `<< /Type /Pages /Kids [${idsPaginas.map((id) => `${id} 0 R`).join(' ')}] /Count ${idsPaginas.length} >>`;
+
+  const partes = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let tamanho = partes[0].length;
+  const posicoes = objetos.map((conteudo, i) => {
+    const posicao = tamanho;
+    const corpo = Buffer.isBuffer(conteudo) ? conteudo : Buffer.from(conteudo, 'latin1');
+    const objeto = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+      corpo,
+      Buffer.from('\nendobj\n', 'latin1'),
+    ]);
+    partes.push(objeto);
+    tamanho += objeto.length;
+    return posicao;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objetos.length + 1}`,
+    '0000000000 65535 f ',
+    ...posicoes.map((p) => `${String(p).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objetos.length + 1} /Root ${catalogo} 0 R /Info ${info} 0 R >>`,
+    'startxref',
+    String(tamanho),
+    '%%EOF',
+  ];
+  partes.push(Buffer.from(xref.join('\n') + '\n', 'latin1'));
+  return Buffer.concat(partes);
+}
+
+module.exports = {
+  A4,
+  PaginaPdf,
+  gerarPdf,
+  larguraDoTexto,
+  quebrarLinhas,
+};
@@ -0,0 +1,219 @@
+// 💬 Perfis de resposta do WATI: a mesma consulta por endereço, com as chaves que
+// cada integração espera
+//
+// O registro vem de config/perfis-wati.js ou do JSON apontado por PERFIS_WATI_ARQUIVO.
+const fs = require('fs');
+const path = require('path');
+const { variaveisWati, detalhesParaResposta } = require('./consulta');
+const {
+  compilarModelo,
+  renderizarModelo,
+  buscarModelo,
+  camposDaConsulta,
+} = require('./modelosMensagem');
+
+const ID_PERFIL = /^[a-z0-9-]+$/;
+const METODOS = ['get', 'post'];
+
+// Apelidos usados quando o perfil não informa de onde vêm o telefone e o nome do
+// contato (variáveis que o WATI costuma enviar)
+const TELEFONE_PADRAO = ['telefone', 'waId', 'wa_id', 'whatsapp', 'phone'];
+const NOME_PADRAO = ['nome', 'senderName', 'name'];
+const MODELO_PADRAO = ['modelo_mensagem'];
+// Chave da mensagem escolhida na requisição quando o perfil não declara mensagens
+const CHAVE_MENSAGEM_PADRAO = 'mensagem_whatsapp';
+
+let registro = null;
+
+function listaDeTextos(valor) {
+  return Array.isArray(valor) && valor.every((v) => typeof v === 'string' && v !== '');
+}
+
+function objetoDeTextos(valor) {
+  return (
+    valor !== null &&
+    typeof valor === 'object' &&
+    !Array.isArray(valor) &&
+    Object.values(valor).every((v) => typeof v === 'string')
+  );
+}
+
+// Mensagem do perfil: modelo inline (texto) ou { modelo: 'id' } do registro de modelos
+function modeloDaMensagem(valor, chave, problema) {
+  if (typeof valor === 'string') {
+    try {
+      return { id: null, texto: valor, ...compilarModelo(valor) };
+    } catch (error) {
+      throw problema(`mensagens.${chave}: ${error.message}`);
+    }
+  }
+  const modelo = valor !== null && typeof valor === 'object' ? buscarModelo(valor.modelo) : null;
+  if (!modelo) {
+    throw problema(`mensagens.${chave} deve ser um texto ou { modelo: "id" } de um modelo registrado.`);
+  }
+  return modelo;
+}
+
+function validarPerfil(perfil, indice) {
+  const problema = (msg) => new Error(`Perfil WATI ${perfil.id || indice}: ${msg}`);
+
+  if (!perfil.id || !ID_PERFIL.test(perfil.id)) {
+    throw problema('id inválido (use letras minúsculas, números e -).');
+  }
+  const rotas = perfil.rotas || [];
+  if (
+    rotas.length === 0 ||
+    !rotas.every((r) => METODOS.includes(r.metodo) && /^\/[\w\-/]*$/.test(r.caminho || ''))
+  ) {
+    throw problema('rotas devem ser [{ metodo: "get" | "post", caminho: "/..." }].');
+  }
+  const entrada = perfil.entrada || {};
+  if (!listaDeTextos(entrada.endereco) || entrada.endereco.length === 0) {
+    throw problema('entrada.endereco deve listar ao menos um nome de campo.');
+  }
+  for (const campo of ['cidade', 'data', 'telefone', 'nome', 'modelo']) {
+    if (entrada[campo] !== undefined && !listaDeTextos(entrada[campo])) {
+      throw problema(`entrada.${campo} deve ser uma lista de nomes de campo.`);
+    }
+  }
+  for (const campo of ['saida', 'padroes']) {
+    if (perfil[campo] !== undefined && !objetoDeTextos(perfil[campo])) {
+      throw problema(`${campo} deve ser um objeto { chave: texto }.`);
+    }
+  }
+  if (
+    perfil.mensagens !== undefined &&
+    (perfil.mensagens === null || typeof perfil.mensagens !== 'object' || Array.isArray(perfil.mensagens))
+  ) {
+    throw problema('mensagens deve ser um objeto { chave: texto | { modelo } }.');
+  }
+
+  const saida = perfil.saida || {};
+  const mensagens = {};
+  for (const [chave, valor] of Object.entries(perfil.mensagens || {})) {
+    mensagens[chave] = modeloDaMensagem(valor, chave, problema);
+  }
+
+  return {
+    id: perfil.id,
+    rotas: rotas.map((r) => ({ metodo: r.metodo, caminho: r.caminho })),
+    entrada: {
+      endereco: entrada.endereco,
+      cidade: entrada.cidade || [],
+      data: entrada.data || [],
+      telefone: entrada.telefone || TELEFONE_PADRAO,
+      nome: entrada.nome || NOME_PADRAO,
+      modelo: entrada.modelo || MODELO_PADRAO,
+    },
+    saida,
+    padroes: perfil.padroes || {},
+    fixos: perfil.fixos || {},
+    variaveis: perfil.variaveis !== false,
+    detalhes: perfil.detalhes !== false,
+    mensagens,
+    // O link do relatório grava a consulta: só é criado se o perfil o usa
+    relatorio:
+      Object.values(saida).includes('link_relatorio') ||
+      Object.values(mensagens).some((m) => m.campos.has('link_relatorio')),
+  };
+}
+
+// Lê e valida o registro uma única vez (erros de configuração aparecem no boot)
+function carregarPerfisWati() {
+  if (registro) {
+    return registro;
+  }
+
+  const arquivo = process.env.PERFIS_WATI_ARQUIVO;
+  const lista = arquivo
+    ? JSON.parse(fs.readFileSync(path.resolve(arquivo), 'utf8'))
+    : require('../config/perfis-wati');
+
+  if (!Array.isArray(lista)) {
+    throw new Error('O registro de perfis WATI deve ser uma lista.');
+  }
+
+  const perfis = lista.map(validarPerfil);
+  const ids = new Set();
+  const rotas = new Set();
+  for (const perfil of perfis) {
+    if (ids.has(perfil.id)) {
+      throw new Error(`Perfil WATI ${perfil.id} registrado mais de uma vez.`);
+    }
+    ids.add(perfil.id);
+    for (const rota of perfil.rotas) {
+      const chave = `${rota.metodo.toUpperCase()} ${rota.caminho}`;
+      if (rotas.has(chave)) {
+        throw new Error(`Rota ${chave} atendida por mais de um perfil WATI.`);
+      }
+      rotas.add(chave);
+    }
+  }
+
+  registro = perfis;
+  return registro;
+}
+
+// Primeiro valor não vazio entre os apelidos, ou null
+function valorDaEntrada(entrada, apelidos) {
+  for (const apelido of apelidos) {
+    const valor = entrada[apelido];
+    if (valor !== undefined && valor !== null && String(valor).trim() !== '') {
+      return valor;
+    }
+  }
+  return null;
+}
+
+function vazio(valor) {
+  return valor === undefined || valor === null || valor === '';
+}
+
+// Modelo escolhido na requisição vale para todas as mensagens do perfil (ou vai em
+// mensagem_whatsapp, se o perfil não tem mensagens)
+function mensagensDoPerfil(perfil, modelo) {
+  if (!modelo) {
+    return perfil.mensagens;
+  }
+  const chaves = Object.keys(perfil.mensagens);
+  return Object.fromEntries(
+    (chaves.length ? chaves : [CHAVE_MENSAGEM_PADRAO]).map((chave) => [chave, modelo])
+  );
+}
+
+// O perfil (com o modelo da requisição) usa o link do relatório?
+function usaLinkRelatorio(perfil, modelo = null) {
+  return perfil.relatorio || Boolean(modelo && modelo.campos.has('link_relatorio'));
+}
+
+// Monta a resposta do perfil: fixos, saída mapeada, variáveis WATI, detalhes e mensagens.
+// modelo: modelo de mensagem escolhido na requisição (substitui os do perfil)
+function respostaDoPerfil(perfil, enderecoOriginal, consulta, { linkRelatorio = null, modelo = null } = {}) {
+  const campos = camposDaConsulta(enderecoOriginal, consulta, linkRelatorio);
+
+  const saida = {};
+  for (const [chave, campo] of Object.entries(perfil.saida)) {
+    const valor = campos[campo];
+    saida[chave] = vazio(valor) && perfil.padroes[chave] !== undefined ? perfil.padroes[chave] : valor;
+  }
+
+  const mensagens = {};
+  for (const [chave, modeloDaChave] of Object.entries(mensagensDoPerfil(perfil, modelo))) {
+    mensagens[chave] = renderizarModelo(modeloDaChave, campos);
+  }
+
+  return {
+    ...perfil.fixos,
+    ...saida,
+    ...(perfil.variaveis ? variaveisWati(consulta) : {}),
+    ...(perfil.detalhes ? detalhesParaResposta(consulta) : {}),
+    ...mensagens,
+  };
+}
+
+module.exports = {
+  carregarPerfisWati,
+  valorDaEntrada,
+  usaLinkRelatorio,
+  respostaDoPerfil,
+};
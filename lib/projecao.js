@@ -0,0 +1,83 @@
+// 🌐 Projeção de coordenadas geográficas para UTM (SIRGAS 2000 / WGS84), sem PostGIS
+//
+// Transversa de Mercator pela série de Krüger até n⁴ (Karney, 2011): erro abaixo
+// de 1 mm dentro do fuso, o mesmo resultado do ST_Transform para estes SRIDs (o
+// PostGIS também não aplica mudança de datum entre WGS84 e SIRGAS 2000).
+// SRIDs suportados:
+//   4326 (WGS84) e 4674 (SIRGAS 2000) geográficos: sem projeção
+//   31978–31985: SIRGAS 2000 / UTM 18S–25S (31983 = UTM 23S, São Paulo)
+//   32718–32725: WGS 84 / UTM 18S–25S
+
+// GRS80 (SIRGAS 2000); o WGS84 difere só na 4ª casa do achatamento inverso
+const A = 6378137;
+const F = 1 / 298.257222101;
+
+const K0 = 0.9996;
+const FALSO_LESTE = 500000;
+const FALSO_NORTE = 10000000; // hemisfério sul
+
+const N = F / (2 - F);
+const EXCENTRICIDADE = Math.sqrt(F * (2 - F));
+const RAIO_RETIFICANTE = (A / (1 + N)) * (1 + N ** 2 / 4 + N ** 4 / 64);
+const ALFA = [
+  N / 2 - (2 / 3) * N ** 2 + (5 / 16) * N ** 3 + (41 / 180) * N ** 4,
+  (13 / 48) * N ** 2 - (3 / 5) * N ** 3 + (557 / 1440) * N ** 4,
+  (61 / 240) * N ** 3 - (103 / 140) * N ** 4,
+  (49561 / 161280) * N ** 4,
+];
+
+const GEOGRAFICOS = [4326, 4674];
+
+// Fuso UTM sul de um SRID, ou null se não for um dos suportados
+function fusoDoSrid(srid) {
+  if (srid >= 31978 && srid <= 31985) {
+    return srid - 31960;
+  }
+  if (srid >= 32718 && srid <= 32725) {
+    return srid - 32700;
+  }
+  return null;
+}
+
+function sridSuportado(srid) {
+  return GEOGRAFICOS.includes(srid) || fusoDoSrid(srid) !== null;
+}
+
+function sridGeografico(srid) {
+  return GEOGRAFICOS.includes(srid);
+}
+
+// [lng, lat] em graus → [x, y] no SRID (metros; graus nos SRIDs geográficos)
+function projetar(lng, lat, srid) {
+  if (sridGeografico(srid)) {
+    return [lng, lat];
+  }
+  const fuso = fusoDoSrid(srid);
+  if (fuso === null) {
+    throw new Error(`SRID ${srid} não suportado na projeção em memória.`);
+  }
+
+  const meridianoCentral = -183 + 6 * fuso;
+  const phi = (lat * Math.PI) / 180;
+  const lambda = ((lng - meridianoCentral) * Math.PI) / 180;
+
+  const senoPhi = Math.sin(phi);
+  const t = Math.sinh(Math.atanh(senoPhi) - EXCENTRICIDADE * Math.atanh(EXCENTRICIDADE * senoPhi));
+  const xi = Math.atan2(t, Math.cos(lambda));
+  const eta = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+  let somaX = eta;
+  let somaY = xi;
+  for (let j = 1; j <= ALFA.length; j++) {
+    somaX += ALFA[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    somaY += ALFA[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+  }
+
+  return [FALSO_LESTE + K0 * RAIO_RETIFICANTE * somaX, FALSO_NORTE + K0 * RAIO_RETIFICANTE * somaY];
+}
+
+module.exports = {
+  sridSuportado,
+  sridGeografico,
+  projetar,
+};
@@ -0,0 +1,395 @@
+// 📄 Relatório "Consulta de Zoneamento" em PDF, com mapa do ponto e link curto
+//
+// O PDF é montado em JavaScript (lib/pdf.js): cabeçalho da marca, endereço,
+// coordenadas, zona, aviso de divisa, um mapa esquemático do ponto sobre os
+// polígonos de zoneamento ao redor (desenhados em vetor, a partir do PostGIS) e o
+// aviso legal. Os links curtos (/r/<codigo>) guardam o resultado da consulta na
+// tabela relatorios (sql/relatorios.sql) por RELATORIOS_RETENCAO_DIAS (padrão: 90).
+const crypto = require('crypto');
+const pool = require('./db');
+const { A4, PaginaPdf, gerarPdf, larguraDoTexto } = require('./pdf');
+const { corDaZona, clarear } = require('./coresZonas');
+const {
+  buscarCidade,
+  sqlZoneamento,
+  cidadeParaResposta,
+  versaoParaResposta,
+} = require('./cidades');
+
+const MARGEM = 40;
+const LARGURA_UTIL = A4.largura - 2 * MARGEM;
+const COR_MARCA = '#1b3a4b';
+const COR_TEXTO = '#1f2933';
+const COR_SECUNDARIA = '#616e7c';
+const COR_AVISO = '#b45309';
+const COR_SEM_ZONA = '#cbd2d9';
+const FUSO = 'America/Sao_Paulo';
+
+// Mapa: largura útil da página, 400 m de terreno na horizontal
+const ALTURA_MAPA = 280;
+const MEIA_LARGURA_MAPA_M = 200;
+
+const AVISO_LEGAL =
+  'Documento informativo, gerado automaticamente a partir da base de zoneamento carregada ' +
+  'na data da consulta. Não substitui a certidão de uso e ocupação do solo nem a consulta ' +
+  'oficial à Prefeitura. A localização depende da geocodificação do endereço e pode ter ' +
+  'erro de alguns metros; perto da divisa entre zonas, confirme com um especialista. O mapa ' +
+  'é esquemático e não tem precisão cadastral.';
+
+let temporizadorLimpeza = null;
+
+function retencaoDias() {
+  return Number(process.env.RELATORIOS_RETENCAO_DIAS) || 90;
+}
+
+// Dados do relatório a partir de uma consulta (consultarEndereco, ou consultarPonto
+// com lat/lng). É o que fica gravado no link curto.
+function dadosDoRelatorio(consulta, enderecoOriginal = null) {
+  const { zoneamento, fronteira } = consulta;
+  return {
+    enderecoOriginal,
+    enderecoFormatado: consulta.enderecoFormatado || null,
+    lat: consulta.lat,
+    lng: consulta.lng,
+    cidade: cidadeParaResposta(zoneamento.cidade),
+    versao: versaoParaResposta(zoneamento.versao),
+    coberto: zoneamento.coberto,
+    codigo: zoneamento.codigo,
+    texto: zoneamento.texto,
+    vizinhaProxima: fronteira && fronteira.nearBoundary ? fronteira.vizinhas[0].codigo : null,
+    consultadoEm: new Date().toISOString(),
+  };
+}
+
+// "19/10/2026 14:32" no horário de Brasília
+function dataHora(iso) {
+  return new Intl.DateTimeFormat('pt-BR', {
+    timeZone: FUSO,
+    dateStyle: 'short',
+    timeStyle: 'short',
+  }).format(new Date(iso));
+}
+
+// 🗺️ Zonas ao redor do ponto, recortadas na caixa do mapa, no SRID da versão (m).
+// Retorna { x, y, zonas: [{ codigo, poligonos }] } ou null sem zoneamento para desenhar.
+async function zonasDoMapa(dados, meiaLarguraM, meiaAlturaM) {
+  const cidade = dados.cidade ? buscarCidade(dados.cidade.id) : null;
+  const versao = cidade && dados.versao ? cidade.versoes.find((v) => v.id === dados.versao.id) : null;
+  if (!versao || !process.env.DATABASE_URL) {
+    return null;
+  }
+
+  const z = sqlZoneamento(versao);
+  let result;
+  try {
+    result = await pool.query(
+      `WITH p AS (
+         SELECT ST_Transform(ST_SetSRID(ST_Point($1, $2), 4326), ${z.srid}) AS geom
+       ),
+       caixa AS (
+         SELECT
+           ST_X(geom) AS x,
+           ST_Y(geom) AS y,
+           ST_MakeEnvelope(ST_X(geom) - $3, ST_Y(geom) - $4, ST_X(geom) + $3, ST_Y(geom) + $4, ${z.srid}) AS geom
+         FROM p
+       )
+       SELECT
+         caixa.x,
+         caixa.y,
+         z.${z.codigo}::text AS codigo,
+         ST_AsGeoJSON(ST_CollectionExtract(ST_Intersection(z.${z.geom}, caixa.geom), 3), 2) AS geojson
+       FROM caixa
+       LEFT JOIN ${z.tabela} z ON ST_Intersects(z.${z.geom}, caixa.geom);`,
+      [dados.lng, dados.lat, meiaLarguraM, meiaAlturaM]
+    );
+  } catch (error) {
+    // 42P01 = tabela da versão não importada
+    if (error.code === '42P01') {
+      return null;
+    }
+    throw error;
+  }
+
+  const { x, y } = result.rows[0];
+  const zonas = result.rows
+    .filter((row) => row.geojson)
+    .map((row) => {
+      const geometria = JSON.parse(row.geojson);
+      const poligonos =
+        geometria.type === 'Polygon' ? [geometria.coordinates] : geometria.coordinates || [];
+      return { codigo: row.codigo, poligonos };
+    });
+  return { x: Number(x), y: Number(y), zonas };
+}
+
+function desenharCabecalho(pagina, dados, codigo) {
+  pagina.retangulo(0, 0, A4.largura, 78, { preenchimento: COR_MARCA });
+  pagina.texto(MARGEM, 36, 'SITKA', { fonte: 'negrito', tamanho: 20, cor: '#ffffff' });
+  pagina.texto(MARGEM, 58, 'Consulta de Zoneamento', { tamanho: 13, cor: '#ffffff' });
+  pagina.texto(A4.largura - MARGEM, 36, `Emitido em ${dataHora(dados.consultadoEm)}`, {
+    tamanho: 9,
+    cor: '#ffffff',
+    alinhamento: 'direita',
+  });
+  if (codigo) {
+    pagina.texto(A4.largura - MARGEM, 52, `Relatório ${codigo}`, {
+      tamanho: 9,
+      cor: '#ffffff',
+      alinhamento: 'direita',
+    });
+  }
+}
+
+function rotulo(pagina, x, y, texto) {
+  pagina.texto(x, y, texto.toUpperCase(), { fonte: 'negrito', tamanho: 8, cor: COR_SECUNDARIA });
+}
+
+// Endereço, coordenadas, cidade e lei; retorna o y seguinte
+function desenharIdentificacao(pagina, dados, y) {
+  rotulo(pagina, MARGEM, y, 'Endereço');
+  let atual = pagina.paragrafo(
+    MARGEM,
+    y + 4,
+    dados.enderecoFormatado || 'Consulta por coordenadas',
+    LARGURA_UTIL,
+    { fonte: 'negrito', tamanho: 13, cor: COR_TEXTO }
+  );
+  if (dados.enderecoOriginal && dados.enderecoOriginal !== dados.enderecoFormatado) {
+    atual = pagina.paragrafo(MARGEM, atual, `Informado: ${dados.enderecoOriginal}`, LARGURA_UTIL, {
+      tamanho: 9,
+      cor: COR_SECUNDARIA,
+    });
+  }
+
+  atual += 12;
+  const colunas = [
+    ['Coordenadas (WGS84)', `${dados.lat.toFixed(6)}, ${dados.lng.toFixed(6)}`],
+    ['Município', dados.cidade ? `${dados.cidade.nome}/${dados.cidade.uf}` : 'Fora das cidades atendidas'],
+    ['Legislação', (dados.versao && dados.versao.lei) || '—'],
+  ];
+  const largura = LARGURA_UTIL / colunas.length;
+  let fim = atual;
+  colunas.forEach(([titulo, valor], i) => {
+    const x = MARGEM + i * largura;
+    rotulo(pagina, x, atual, titulo);
+    fim = Math.max(fim, pagina.paragrafo(x, atual + 4, valor, largura - 12, { tamanho: 10, cor: COR_TEXTO }));
+  });
+  return fim + 14;
+}
+
+// Bloco da zona (cor, código e descrição) e aviso de divisa; retorna o y seguinte
+function desenharZona(pagina, dados, y) {
+  const temZona = dados.coberto && dados.codigo;
+  const altura = 66;
+  pagina.retangulo(MARGEM, y, LARGURA_UTIL, altura, { preenchimento: '#f5f7fa', contorno: '#e4e7eb', espessura: 0.8 });
+  pagina.retangulo(MARGEM, y, 8, altura, { preenchimento: temZona ? corDaZona(dados.codigo) : COR_SEM_ZONA });
+
+  const x = MARGEM + 22;
+  rotulo(pagina, x, y + 16, 'Zoneamento');
+  if (temZona) {
+    pagina.texto(x, y + 40, dados.codigo, { fonte: 'negrito', tamanho: 22, cor: COR_TEXTO });
+    const larguraCodigo = larguraDoTexto(dados.codigo, 'negrito', 22) + 14;
+    pagina.paragrafo(x + larguraCodigo, y + 24, dados.texto || '', LARGURA_UTIL - larguraCodigo - 34, {
+      tamanho: 10,
+      cor: COR_TEXTO,
+    });
+  } else {
+    pagina.paragrafo(x, y + 24, dados.texto || 'Zoneamento não identificado.', LARGURA_UTIL - 34, {
+      tamanho: 11,
+      cor: COR_TEXTO,
+    });
+  }
+
+  let atual = y + altura + 10;
+  if (dados.vizinhaProxima) {
+    atual = pagina.paragrafo(
+      MARGEM,
+      atual,
+      `Atenção: o imóvel fica perto da divisa com a zona ${dados.vizinhaProxima}. ` +
+        'Confirme o zoneamento com um especialista.',
+      LARGURA_UTIL,
+      { fonte: 'negrito', tamanho: 9, cor: COR_AVISO }
+    );
+  }
+  return atual + 10;
+}
+
+// Mapa esquemático: polígonos das zonas, ponto, norte, escala e legenda
+async function desenharMapa(pagina, dados, y) {
+  const escala = LARGURA_UTIL / (2 * MEIA_LARGURA_MAPA_M); // pt por metro
+  const meiaAlturaM = ALTURA_MAPA / 2 / escala;
+  const mapa = await zonasDoMapa(dados, MEIA_LARGURA_MAPA_M, meiaAlturaM);
+  const centroX = MARGEM + LARGURA_UTIL / 2;
+  const centroY = y + ALTURA_MAPA / 2;
+
+  rotulo(pagina, MARGEM, y - 6, 'Localização');
+  pagina.retangulo(MARGEM, y, LARGURA_UTIL, ALTURA_MAPA, { preenchimento: '#f4f1ea' });
+
+  const codigos = [];
+  pagina.recortar(MARGEM, y, LARGURA_UTIL, ALTURA_MAPA, () => {
+    for (const zona of mapa ? mapa.zonas : []) {
+      if (!codigos.includes(zona.codigo)) {
+        codigos.push(zona.codigo);
+      }
+      for (const poligono of zona.poligonos) {
+        const aneis = poligono.map((anel) =>
+          anel.map(([mx, my]) => [centroX + (mx - mapa.x) * escala, centroY - (my - mapa.y) * escala])
+        );
+        pagina.poligono(aneis, {
+          preenchimento: clarear(corDaZona(zona.codigo), 0.35),
+          contorno: '#ffffff',
+          espessura: 0.8,
+        });
+      }
+    }
+  });
+
+  if (!mapa || mapa.zonas.length === 0) {
+    pagina.texto(centroX, y + 24, 'Sem polígonos de zoneamento ao redor do ponto.', {
+      tamanho: 9,
+      cor: COR_SECUNDARIA,
+      alinhamento: 'centro',
+    });
+  }
+
+  // Ponto consultado, com o código da zona ao lado
+  pagina.circulo(centroX, centroY, 6, { preenchimento: '#d62828', contorno: '#ffffff', espessura: 2 });
+  if (dados.codigo) {
+    const largura = larguraDoTexto(dados.codigo, 'negrito', 9) + 8;
+    pagina.retangulo(centroX + 10, centroY - 8, largura, 14, { preenchimento: '#ffffff', contorno: COR_TEXTO, espessura: 0.5 });
+    pagina.texto(centroX + 14, centroY + 3, dados.codigo, { fonte: 'negrito', tamanho: 9, cor: COR_TEXTO });
+  }
+
+  // Norte
+  const norteX = MARGEM + LARGURA_UTIL - 20;
+  pagina.poligono([[[norteX, y + 12], [norteX - 6, y + 28], [norteX + 6, y + 28], [norteX, y + 12]]], {
+    preenchimento: COR_TEXTO,
+  });
+  pagina.texto(norteX, y + 40, 'N', { fonte: 'negrito', tamanho: 9, cor: COR_TEXTO, alinhamento: 'centro' });
+
+  // Escala de 100 m
+  const barra = 100 * escala;
+  const baseY = y + ALTURA_MAPA - 14;
+  pagina.retangulo(MARGEM + 10, baseY - 4, barra, 4, { preenchimento: COR_TEXTO });
+  pagina.texto(MARGEM + 10 + barra + 6, baseY, '100 m', { tamanho: 8, cor: COR_TEXTO });
+
+  pagina.retangulo(MARGEM, y, LARGURA_UTIL, ALTURA_MAPA, { contorno: '#9aa5b1', espessura: 0.8 });
+
+  // Legenda, com a zona do ponto primeiro
+  codigos.sort((a, b) => (b === dados.codigo) - (a === dados.codigo));
+  let x = MARGEM;
+  let linha = y + ALTURA_MAPA + 10;
+  for (const codigo of codigos) {
+    const texto = codigo || 'sem código';
+    const largura = 16 + larguraDoTexto(texto, 'normal', 8) + 14;
+    if (x + largura > MARGEM + LARGURA_UTIL) {
+      x = MARGEM;
+      linha += 14;
+    }
+    pagina.retangulo(x, linha, 10, 10, { preenchimento: clarear(corDaZona(codigo), 0.35), contorno: '#9aa5b1', espessura: 0.5 });
+    pagina.texto(x + 14, linha + 8, texto, { tamanho: 8, cor: COR_TEXTO });
+    x += largura;
+  }
+  return linha + 24;
+}
+
+function desenharRodape(pagina) {
+  const y = A4.altura - 96;
+  pagina.linha(MARGEM, y, A4.largura - MARGEM, y, { contorno: '#e4e7eb', espessura: 0.8 });
+  pagina.paragrafo(MARGEM, y + 8, AVISO_LEGAL, LARGURA_UTIL, { tamanho: 8, cor: COR_SECUNDARIA });
+  pagina.texto(MARGEM, A4.altura - 24, 'Sitka · Consulta de Zoneamento', { tamanho: 7, cor: COR_SECUNDARIA });
+}
+
+// 📄 PDF do relatório (Buffer). codigo: o do link curto, quando houver
+async function gerarPdfRelatorio(dados, { codigo = null } = {}) {
+  const pagina = new PaginaPdf();
+  desenharCabecalho(pagina, dados, codigo);
+  let y = desenharIdentificacao(pagina, dados, 108);
+  y = desenharZona(pagina, dados, y);
+  await desenharMapa(pagina, dados, y + 14);
+  desenharRodape(pagina);
+
+  return gerarPdf([pagina], {
+    titulo: `Consulta de Zoneamento - ${dados.enderecoFormatado || `${dados.lat}, ${dados.lng}`}`,
+    autor: 'Sitka',
+  });
+}
+
+// 🔗 Links curtos
+
+// URL base dos links: URL_PUBLICA ou, sem ela, o host da requisição
+function urlBase(req) {
+  if (process.env.URL_PUBLICA) {
+    return process.env.URL_PUBLICA.replace(/\/+$/, '');
+  }
+  return req ? `${req.protocol}://${req.get('host')}` : null;
+}
+
+// Grava o relatório e devolve { codigo, url, expiraEm }
+async function salvarRelatorio(dados, { origem = null, req = null } = {}) {
+  const codigo = crypto.randomBytes(8).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO relatorios (codigo, dados, origem)
+     VALUES ($1, $2, $3)
+     RETURNING criado_em + make_interval(days => $4) AS expira_em;`,
+    [codigo, JSON.stringify(dados), origem, retencaoDias()]
+  );
+  const base = urlBase(req);
+  return {
+    codigo,
+    url: base ? `${base}/r/${codigo}` : `/r/${codigo}`,
+    expiraEm: result.rows[0].expira_em,
+  };
+}
+
+// Link curto para as respostas do WATI e da conversa. Uma falha (sem Postgres, sem
+// URL pública) não pode derrubar a resposta: retorna null e registra o erro.
+async function linkDoRelatorio(dados, { origem = null, req = null } = {}) {
+  if (!process.env.DATABASE_URL || !urlBase(req)) {
+    return null;
+  }
+  try {
+    return (await salvarRelatorio(dados, { origem, req })).url;
+  } catch (error) {
+    console.error('Erro ao criar o link do relatório:', error.message);
+    return null;
+  }
+}
+
+// Dados de um relatório ainda dentro da retenção (e conta o acesso), ou null
+async function buscarRelatorio(codigo) {
+  const result = await pool.query(
+    `UPDATE relatorios
+     SET acessos = acessos + 1, ultimo_acesso_em = NOW()
+     WHERE codigo = $1 AND criado_em >= NOW() - make_interval(days => $2)
+     RETURNING dados;`,
+    [codigo, retencaoDias()]
+  );
+  return result.rows.length ? result.rows[0].dados : null;
+}
+
+// Apaga os relatórios além de RELATORIOS_RETENCAO_DIAS, na subida e uma vez por dia
+function iniciarLimpezaRelatorios() {
+  if (temporizadorLimpeza || !process.env.DATABASE_URL) {
+    return;
+  }
+  const limpar = () => {
+    pool
+      .query('DELETE FROM relatorios WHERE criado_em < NOW() - make_interval(days => $1);', [retencaoDias()])
+      .catch((error) => {
+        console.error('Erro ao limpar os relatórios:', error.message);
+      });
+  };
+  limpar();
+  temporizadorLimpeza = setInterval(limpar, 24 * 60 * 60 * 1000);
+  temporizadorLimpeza.unref();
+}
+
+module.exports = {
+  dadosDoRelatorio,
+  gerarPdfRelatorio,
+  salvarRelatorio,
+  linkDoRelatorio,
+  buscarRelatorio,
+  iniciarLimpezaRelatorios,
+};
@@ -0,0 +1,85 @@
+// 🌳 R-tree estática em memória, montada de uma vez pelo método STR
+// (Sort-Tile-Recursive): os itens são ordenados em faixas por x e, dentro de
+// cada faixa, por y, e agrupados em nós de até "capacidade" itens, nível a nível.
+// Serve para achar, sem varrer tudo, os itens cuja caixa contém um ponto ou cruza
+// uma caixa.
+const CAPACIDADE_PADRAO = 16;
+
+function centro(minimo, maximo) {
+  return (minimo + maximo) / 2;
+}
+
+// Nó com a caixa que envolve os filhos (itens ou outros nós)
+function criarNo(filhos, folha) {
+  const no = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, filhos, folha };
+  for (const filho of filhos) {
+    no.minX = Math.min(no.minX, filho.minX);
+    no.minY = Math.min(no.minY, filho.minY);
+    no.maxX = Math.max(no.maxX, filho.maxX);
+    no.maxY = Math.max(no.maxY, filho.maxY);
+  }
+  return no;
+}
+
+// Um nível da árvore: agrupa as entradas em nós de até "capacidade" entradas
+function agrupar(entradas, capacidade, folha) {
+  const totalNos = Math.ceil(entradas.length / capacidade);
+  const porFaixa = Math.ceil(Math.sqrt(totalNos)) * capacidade;
+  const ordenadas = [...entradas].sort((a, b) => centro(a.minX, a.maxX) - centro(b.minX, b.maxX));
+
+  const nos = [];
+  for (let i = 0; i < ordenadas.length; i += porFaixa) {
+    const faixa = ordenadas
+      .slice(i, i + porFaixa)
+      .sort((a, b) => centro(a.minY, a.maxY) - centro(b.minY, b.maxY));
+    for (let j = 0; j < faixa.length; j += capacidade) {
+      nos.push(criarNo(faixa.slice(j, j + capacidade), folha));
+    }
+  }
+  return nos;
+}
+
+class RTree {
+  // itens: objetos com { minX, minY, maxX, maxY } (a caixa do item) e o que mais
+  // o chamador quiser guardar neles
+  constructor(itens, capacidade = CAPACIDADE_PADRAO) {
+    this.total = itens.length;
+    if (itens.length === 0) {
+      this.raiz = null;
+      return;
+    }
+
+    let nivel = agrupar(itens, capacidade, true);
+    while (nivel.length > 1) {
+      nivel = agrupar(nivel, capacidade, false);
+    }
+    this.raiz = nivel[0];
+  }
+
+  // Itens cuja caixa contém o ponto (bordas incluídas)
+  buscar(x, y) {
+    return this.buscarNaCaixa(x, y, x, y);
+  }
+
+  // Itens cuja caixa cruza a caixa informada (bordas incluídas)
+  buscarNaCaixa(minX, minY, maxX, maxY) {
+    const encontrados = [];
+    const pendentes = this.raiz ? [this.raiz] : [];
+    while (pendentes.length > 0) {
+      const no = pendentes.pop();
+      for (const filho of no.filhos) {
+        if (maxX < filho.minX || minX > filho.maxX || maxY < filho.minY || minY > filho.maxY) {
+          continue;
+        }
+        if (no.folha) {
+          encontrados.push(filho);
+        } else {
+          pendentes.push(filho);
+        }
+      }
+    }
+    return encontrados;
+  }
+}
+
+module.exports = RTree;
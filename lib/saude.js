@@ -0,0 +1,141 @@
+// 🩺 Prontidão da API (GET /health/ready): Postgres, PostGIS, tabelas de zoneamento
+// com índice espacial e geocodificador configurado
+//
+// /health só diz que o processo está no ar; a prontidão diz se a API consegue
+// responder consultas. Cada verificação no banco tem o limite de PRONTIDAO_TIMEOUT_MS
+// (padrão: 3000), para a resposta não ficar presa com o Postgres fora do ar.
+const pool = require('./db');
+const { carregarCidades, cidadePadrao, versaoVigente } = require('./cidades');
+const { provedoresAtivos } = require('./geocoder');
+
+function timeoutMs() {
+  return Number(process.env.PRONTIDAO_TIMEOUT_MS) || 3000;
+}
+
+// Rejeita se a consulta passar do limite (a consulta em si segue até o fim)
+function comLimite(promessa) {
+  let temporizador;
+  const limite = new Promise((_, rejeitar) => {
+    temporizador = setTimeout(
+      () => rejeitar(new Error(`Sem resposta em ${timeoutMs()} ms.`)),
+      timeoutMs()
+    );
+  });
+  return Promise.race([promessa, limite]).finally(() => clearTimeout(temporizador));
+}
+
+async function verificarBanco() {
+  if (!process.env.DATABASE_URL) {
+    return { ok: false, erro: 'DATABASE_URL não configurada.' };
+  }
+  const inicio = Date.now();
+  try {
+    await comLimite(pool.query('SELECT 1;'));
+    return { ok: true, latencia_ms: Date.now() - inicio };
+  } catch (error) {
+    return { ok: false, erro: error.message };
+  }
+}
+
+async function verificarPostgis() {
+  try {
+    const result = await comLimite(
+      pool.query("SELECT extversion FROM pg_extension WHERE extname = 'postgis';")
+    );
+    return result.rows.length
+      ? { ok: true, versao: result.rows[0].extversion }
+      : { ok: false, erro: 'Extensão postgis não instalada.' };
+  } catch (error) {
+    return { ok: false, erro: error.message };
+  }
+}
+
+// Tabela da versão vigente de cada cidade e o índice GIST na coluna de geometria.
+// A da cidade padrão é obrigatória; as demais só geram aviso (cidades sem tabela
+// importada são ignoradas nas consultas).
+async function verificarZoneamento() {
+  const padrao = cidadePadrao();
+  const tabelas = [];
+  try {
+    for (const cidade of carregarCidades()) {
+      const versao = versaoVigente(cidade);
+      if (!versao) {
+        continue;
+      }
+      const result = await comLimite(
+        pool.query(
+          `SELECT
+             to_regclass($1) IS NOT NULL AS existe,
+             EXISTS (
+               SELECT 1
+               FROM pg_index i
+               JOIN pg_class c ON c.oid = i.indexrelid
+               JOIN pg_am am ON am.oid = c.relam
+               JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY (i.indkey)
+               WHERE i.indrelid = to_regclass($1) AND am.amname = 'gist' AND a.attname = $2
+             ) AS indice_espacial;`,
+          [versao.tabela, versao.geom]
+        )
+      );
+      const { existe, indice_espacial: indiceEspacial } = result.rows[0];
+      tabelas.push({
+        cidade: cidade.id,
+        versao: versao.id,
+        tabela: versao.tabela,
+        existe,
+        indice_espacial: indiceEspacial,
+        obrigatoria: cidade.id === padrao.id,
+      });
+    }
+  } catch (error) {
+    return { ok: false, erro: error.message, tabelas };
+  }
+
+  const problemas = tabelas.filter((t) => !t.existe || !t.indice_espacial);
+  const descrever = (t) => (t.existe ? `${t.tabela} sem índice espacial` : `${t.tabela} não existe`);
+  const erros = problemas.filter((t) => t.obrigatoria).map(descrever);
+  const avisos = problemas.filter((t) => !t.obrigatoria).map(descrever);
+  return {
+    ok: erros.length === 0,
+    ...(erros.length ? { erro: erros.join('; ') } : {}),
+    ...(avisos.length ? { avisos } : {}),
+    tabelas,
+  };
+}
+
+// Basta um provedor configurado na cadeia; os demais só geram aviso
+function verificarGeocoder() {
+  let provedores;
+  try {
+    provedores = provedoresAtivos().map((p) => ({ nome: p.nome, configurado: p.configurado() }));
+  } catch (error) {
+    return { ok: false, erro: error.message };
+  }
+  const semConfiguracao = provedores.filter((p) => !p.configurado).map((p) => p.nome);
+  const ok = semConfiguracao.length < provedores.length;
+  return {
+    ok,
+    ...(ok ? {} : { erro: 'Nenhum provedor de geocodificação configurado (ex.: GOOGLE_API_KEY).' }),
+    ...(ok && semConfiguracao.length ? { avisos: semConfiguracao.map((n) => `${n} não configurado`) } : {}),
+    provedores,
+  };
+}
+
+// { pronto, verificacoes: { banco, postgis, zoneamento, geocoder } }
+async function verificarProntidao() {
+  const banco = await verificarBanco();
+  const semBanco = { ok: false, erro: 'Banco indisponível.' };
+  const postgis = banco.ok ? await verificarPostgis() : semBanco;
+  const zoneamento = banco.ok ? await verificarZoneamento() : semBanco;
+  const geocoder = verificarGeocoder();
+
+  const verificacoes = { banco, postgis, zoneamento, geocoder };
+  return {
+    pronto: Object.values(verificacoes).every((v) => v.ok),
+    verificacoes,
+  };
+}
+
+module.exports = {
+  verificarProntidao,
+};
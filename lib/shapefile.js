@@ -0,0 +1,238 @@
+// 🗃️ Leitor de shapefile (.shp + .dbf) em JavaScript puro, só para polígonos
+//
+// Suficiente para os shapefiles de zoneamento do GeoSampa e das prefeituras:
+// lê Polygon, PolygonZ e PolygonM (Z e M são descartados) e os atributos do
+// .dbf. A codificação do .dbf vem do .cpg (padrão: latin1) e o .prj é devolvido
+// como texto para a detecção do SRID.
+const fs = require('fs');
+
+const TIPOS_POLIGONO = {
+  5: 'Polygon',
+  15: 'PolygonZ',
+  25: 'PolygonM',
+};
+
+// Mesmo caminho com outra extensão, respeitando a caixa usada pelo arquivo .shp
+function arquivoIrmao(caminhoShp, extensao) {
+  const base = caminhoShp.replace(/\.shp$/i, '');
+  const candidatos = [base + '.' + extensao, base + '.' + extensao.toUpperCase()];
+  return candidatos.find((c) => fs.existsSync(c)) || null;
+}
+
+// Área com sinal (fórmula do laço): negativa = sentido horário
+function areaComSinal(anel) {
+  let soma = 0;
+  for (let i = 0; i < anel.length - 1; i++) {
+    soma += anel[i][0] * anel[i + 1][1] - anel[i + 1][0] * anel[i][1];
+  }
+  return soma / 2;
+}
+
+function pontoNoAnel([x, y], anel) {
+  let dentro = false;
+  for (let i = 0, j = anel.length - 1; i < anel.length; j = i++) {
+    const [xi, yi] = anel[i];
+    const [xj, yj] = anel[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      dentro = !dentro;
+    }
+  }
+  return dentro;
+}
+
+// No shapefile, anéis externos são horários e buracos anti-horários; cada buraco
+// vai para o anel externo que o contém.
+function montarGeometria(aneis) {
+  const poligonos = [];
+  const buracos = [];
+  for (const anel of aneis) {
+    if (anel.length < 4) {
+      continue;
+    }
+    if (areaComSinal(anel) <= 0) {
+      poligonos.push([anel]);
+    } else {
+      buracos.push(anel);
+    }
+  }
+
+  for (const buraco of buracos) {
+    const externo = poligonos.find((p) => pontoNoAnel(buraco[0], p[0]));
+    if (externo) {
+      externo.push(buraco);
+    } else {
+      // Anel "ao contrário" sem externo: trata como polígono próprio
+      poligonos.push([buraco.slice().reverse()]);
+    }
+  }
+
+  if (poligonos.length === 0) {
+    return null;
+  }
+  return poligonos.length === 1
+    ? { type: 'Polygon', coordinates: poligonos[0] }
+    : { type: 'MultiPolygon', coordinates: poligonos };
+}
+
+function lerGeometrias(buffer) {
+  if (buffer.readInt32BE(0) !== 9994) {
+    throw new Error('Arquivo .shp inválido (código de arquivo diferente de 9994).');
+  }
+  const tipoArquivo = buffer.readInt32LE(32);
+  if (!TIPOS_POLIGONO[tipoArquivo]) {
+    throw new Error(`Tipo de shapefile ${tipoArquivo} não suportado; use uma camada de polígonos.`);
+  }
+
+  const geometrias = [];
+  let posicao = 100;
+  while (posicao + 8 <= buffer.length) {
+    const tamanho = buffer.readInt32BE(posicao + 4) * 2;
+    const inicio = posicao + 8;
+    const tipo = buffer.readInt32LE(inicio);
+
+    if (tipo === 0) {
+      geometrias.push(null);
+    } else if (TIPOS_POLIGONO[tipo]) {
+      const numPartes = buffer.readInt32LE(inicio + 36);
+      const numPontos = buffer.readInt32LE(inicio + 40);
+      const partes = [];
+      for (let i = 0; i < numPartes; i++) {
+        partes.push(buffer.readInt32LE(inicio + 44 + i * 4));
+      }
+      const inicioPontos = inicio + 44 + numPartes * 4;
+
+      const aneis = partes.map((primeiro, i) => {
+        const ultimo = i + 1 < numPartes ? partes[i + 1] : numPontos;
+        const anel = [];
+        for (let p = primeiro; p < ultimo; p++) {
+          const deslocamento = inicioPontos + p * 16;
+          anel.push([buffer.readDoubleLE(deslocamento), buffer.readDoubleLE(deslocamento + 8)]);
+        }
+        return anel;
+      });
+      geometrias.push(montarGeometria(aneis));
+    } else {
+      throw new Error(`Registro com tipo de geometria ${tipo} não suportado.`);
+    }
+
+    posicao = inicio + tamanho;
+  }
+  return geometrias;
+}
+
+function codificacaoDoCpg(caminhoCpg) {
+  if (!caminhoCpg) {
+    return 'latin1';
+  }
+  const cpg = fs.readFileSync(caminhoCpg, 'latin1').trim().toUpperCase();
+  return cpg.replace(/[^A-Z0-9]/g, '') === 'UTF8' ? 'utf8' : 'latin1';
+}
+
+function valorDbf(texto, tipo) {
+  const valor = texto.trim();
+  if (valor === '') {
+    return null;
+  }
+  switch (tipo) {
+    case 'N':
+    case 'F': {
+      const numero = Number(valor);
+      return Number.isFinite(numero) ? numero : null;
+    }
+    case 'L':
+      return 'TtYy'.includes(valor) ? true : 'FfNn'.includes(valor) ? false : null;
+    case 'D':
+      return /^\d{8}$/.test(valor)
+        ? `${valor.slice(0, 4)}-${valor.slice(4, 6)}-${valor.slice(6)}`
+        : valor;
+    default:
+      return valor;
+  }
+}
+
+function lerAtributos(buffer, codificacao) {
+  const totalRegistros = buffer.readUInt32LE(4);
+  const tamanhoCabecalho = buffer.readUInt16LE(8);
+  const tamanhoRegistro = buffer.readUInt16LE(10);
+
+  const campos = [];
+  for (let posicao = 32; posicao < tamanhoCabecalho - 1 && buffer[posicao] !== 0x0d; posicao += 32) {
+    campos.push({
+      nome: buffer.toString('latin1', posicao, posicao + 11).replace(/\0.*$/, '').trim(),
+      tipo: String.fromCharCode(buffer[posicao + 11]),
+      tamanho: buffer[posicao + 16],
+    });
+  }
+
+  const registros = [];
+  for (let r = 0; r < totalRegistros; r++) {
+    const inicio = tamanhoCabecalho + r * tamanhoRegistro;
+    // O primeiro byte marca registros apagados ("*"); a posição é mantida
+    // para casar com a geometria de mesmo índice
+    let posicao = inicio + 1;
+    const registro = {};
+    for (const campo of campos) {
+      const texto = buffer.toString(codificacao, posicao, posicao + campo.tamanho);
+      registro[campo.nome] = valorDbf(texto, campo.tipo);
+      posicao += campo.tamanho;
+    }
+    registros.push(buffer[inicio] === 0x2a ? null : registro);
+  }
+  return registros;
+}
+
+// Lê o shapefile e devolve { features, prj }, com features no formato GeoJSON
+// (coordenadas no sistema do arquivo, descrito pelo .prj)
+function lerShapefile(caminhoShp) {
+  const geometrias = lerGeometrias(fs.readFileSync(caminhoShp));
+
+  const caminhoDbf = arquivoIrmao(caminhoShp, 'dbf');
+  const atributos = caminhoDbf
+    ? lerAtributos(fs.readFileSync(caminhoDbf), codificacaoDoCpg(arquivoIrmao(caminhoShp, 'cpg')))
+    : [];
+
+  const caminhoPrj = arquivoIrmao(caminhoShp, 'prj');
+  const prj = caminhoPrj ? fs.readFileSync(caminhoPrj, 'latin1') : null;
+
+  const features = [];
+  geometrias.forEach((geometry, i) => {
+    if (atributos[i] === null) {
+      return;
+    }
+    features.push({ type: 'Feature', properties: atributos[i] || {}, geometry });
+  });
+
+  return { features, prj };
+}
+
+// SRID a partir do .prj, para os sistemas usuais de dados municipais em SP.
+// Retorna null quando não reconhece (o SRID deve ser informado na linha de comando).
+function sridDoPrj(prj) {
+  if (!prj) {
+    return null;
+  }
+  const texto = prj.toUpperCase().replace(/[\s_]+/g, ' ');
+  const utm = texto.match(/UTM ZONE (\d{2})S/);
+
+  if (texto.includes('SIRGAS')) {
+    if (utm) {
+      return { '22': 31982, '23': 31983, '24': 31984 }[utm[1]] || null;
+    }
+    return texto.startsWith('GEOGCS') ? 4674 : null;
+  }
+  if (texto.includes('SAD 1969') || texto.includes('SAD69')) {
+    return utm ? { '22': 29192, '23': 29193, '24': 29194 }[utm[1]] || null : null;
+  }
+  if (texto.includes('WGS 1984') || texto.includes('WGS 84')) {
+    if (utm) {
+      return { '22': 32722, '23': 32723, '24': 32724 }[utm[1]] || null;
+    }
+    return texto.startsWith('GEOGCS') ? 4326 : null;
+  }
+  return null;
+}
+
+module.exports = {
+  lerShapefile,
+  sridDoPrj,
+};
@@ -0,0 +1,17 @@
+// 🔤 Utilitários de texto compartilhados
+
+// Remove acentos, pontuação (exceto vírgula e hífen) e espaços extras, em minúsculas.
+// Usado para comparar endereços independentemente da forma como foram digitados.
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9,\- ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  normalizarTexto,
+};
@@ -0,0 +1,112 @@
+// 🏪 Verificação de uso permitido por zona (matriz do Quadro 4 + CNAE)
+const pool = require('./db');
+
+const REFERENCIA_PADRAO = 'Lei 16.402/2016, Quadro 4';
+// Categorias de uso são códigos como nR1, R2v, nR1-2 (sem curingas do LIKE)
+const REGEX_CATEGORIA = /^[A-Za-z0-9-]+$/;
+
+function categoriaValida(valor) {
+  return typeof valor === 'string' && REGEX_CATEGORIA.test(valor);
+}
+
+// "4711-3/02" → "4711302"
+function normalizarCnae(valor) {
+  const digitos = String(valor || '').replace(/\D/g, '');
+  return digitos.length >= 4 && digitos.length <= 7 ? digitos : null;
+}
+
+// Resolve um CNAE para a categoria de uso: o código exato ou, sem ele, o prefixo
+// cadastrado mais longo (classe/grupo, ex.: 4711 para 4711302). Um CNAE incompleto
+// não escolhe uma subclasse por conta própria (ver atividadesDoPrefixo).
+async function categoriaDoCnae(cnae) {
+  const result = await pool.query(
+    `SELECT cnae, descricao, categoria
+     FROM atividades_cnae
+     WHERE $1 LIKE cnae || '%'
+     ORDER BY LENGTH(cnae) DESC
+     LIMIT 1;`,
+    [cnae]
+  );
+  return result.rows[0] || null;
+}
+
+// Atividades cadastradas que começam com um CNAE incompleto (ex.: 4711 → 4711301,
+// 4711302), para pedir o código completo quando há mais de uma
+async function atividadesDoPrefixo(cnae, limite = 20) {
+  const result = await pool.query(
+    `SELECT cnae, descricao, categoria
+     FROM atividades_cnae
+     WHERE cnae LIKE $1 || '%'
+     ORDER BY cnae
+     LIMIT $2;`,
+    [cnae, limite]
+  );
+  return result.rows;
+}
+
+// Combina a situação de várias subcategorias (ex.: nR1 → nR1-1, nR1-2...)
+function situacaoAgregada(linhas) {
+  const situacoes = new Set(linhas.map((l) => l.situacao));
+  if (situacoes.size === 1) {
+    return linhas[0].situacao;
+  }
+  return situacoes.has('permitido') || situacoes.has('condicionado')
+    ? 'condicionado'
+    : 'nao_permitido';
+}
+
+// Retorna { situacao, categoria, condicao, referencia, subcategorias } ou null
+// quando a categoria não existe na matriz para essa zona.
+async function verificarUso(zona, categoria) {
+  const result = await pool.query(
+    `SELECT categoria, descricao, situacao, condicao, referencia
+     FROM usos_por_zona
+     WHERE UPPER(zona) = UPPER($1)
+       AND (UPPER(categoria) = UPPER($2) OR UPPER(categoria) LIKE UPPER($2) || '-%')
+     ORDER BY categoria;`,
+    [zona, categoria]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const exata = result.rows.find((r) => r.categoria.toUpperCase() === categoria.toUpperCase());
+  if (exata) {
+    return {
+      situacao: exata.situacao,
+      categoria: exata.categoria,
+      descricao: exata.descricao,
+      condicao: exata.condicao,
+      referencia: exata.referencia || REFERENCIA_PADRAO,
+      subcategorias: [],
+    };
+  }
+
+  // Categoria genérica: a resposta depende da subcategoria
+  return {
+    situacao: situacaoAgregada(result.rows),
+    categoria,
+    descricao: null,
+    condicao:
+      new Set(result.rows.map((r) => r.situacao)).size > 1
+        ? 'Depende da subcategoria de uso.'
+        : null,
+    referencia: result.rows[0].referencia || REFERENCIA_PADRAO,
+    subcategorias: result.rows.map((r) => ({
+      categoria: r.categoria,
+      descricao: r.descricao,
+      situacao: r.situacao,
+      condicao: r.condicao,
+    })),
+  };
+}
+
+module.exports = {
+  REFERENCIA_PADRAO,
+  categoriaValida,
+  normalizarCnae,
+  categoriaDoCnae,
+  atividadesDoPrefixo,
+  verificarUso,
+};
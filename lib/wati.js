@@ -0,0 +1,113 @@
+// 📤 Envio de mensagens pelo WATI (sendSessionMessage), com novas tentativas
+//
+// O cliente é trocável: WATI_CLIENTE=stub (ou definirClienteWati em testes) usa um
+// cliente local que só guarda as mensagens em memória, sem chamar o WATI.
+const axios = require('axios');
+
+const ESPERA_BASE_MS = 500;
+
+// Cliente real. A sessão do WhatsApp precisa estar aberta (mensagem do contato
+// nas últimas 24h), o que sempre vale para respostas ao webhook.
+const clienteHttp = {
+  nome: 'wati',
+
+  configurado() {
+    return Boolean(process.env.WATI_BASE_URL && process.env.WATI_TOKEN);
+  },
+
+  async enviarMensagem(numero, texto) {
+    const url =
+      process.env.WATI_BASE_URL.replace(/\/+$/, '') +
+      '/api/v1/sendSessionMessage/' +
+      encodeURIComponent(numero) +
+      '?messageText=' +
+      encodeURIComponent(texto);
+
+    const resp = await axios.post(url, null, {
+      headers: { Authorization: `Bearer ${process.env.WATI_TOKEN.replace(/^Bearer\s+/i, '')}` },
+      timeout: 10000,
+    });
+    // O WATI responde 200 com { result: false, info } quando recusa a mensagem
+    if (resp.data && resp.data.result === false) {
+      const error = new Error('WATI recusou a mensagem: ' + (resp.data.info || 'sem detalhes'));
+      error.definitivo = true;
+      throw error;
+    }
+    return resp.data;
+  },
+};
+
+// Cliente local: guarda as mensagens em "enviadas" (para testes e desenvolvimento)
+function criarClienteStub() {
+  const enviadas = [];
+  return {
+    nome: 'stub',
+    enviadas,
+    configurado() {
+      return true;
+    },
+    async enviarMensagem(numero, texto) {
+      enviadas.push({ numero, texto, enviadaEm: new Date() });
+      return { result: true };
+    },
+  };
+}
+
+let cliente = null;
+
+function clienteWati() {
+  if (!cliente) {
+    cliente = process.env.WATI_CLIENTE === 'stub' ? criarClienteStub() : clienteHttp;
+  }
+  return cliente;
+}
+
+// Troca o cliente (ex.: criarClienteStub() em testes); null volta ao padrão do ambiente
+function definirClienteWati(novoCliente) {
+  cliente = novoCliente;
+}
+
+// Erros de rede, 429 e 5xx valem nova tentativa; os demais 4xx e as recusas do
+// WATI não mudam tentando de novo
+function deveTentarDeNovo(error) {
+  if (error.definitivo) {
+    return false;
+  }
+  const status = error.response && error.response.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function esperar(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Envia com até WATI_TENTATIVAS tentativas (espera de 0,5s, 1s, 2s... entre elas)
+async function enviarMensagemWati(numero, texto) {
+  const atual = clienteWati();
+  if (!atual.configurado()) {
+    throw new Error('WATI não configurado (WATI_BASE_URL e WATI_TOKEN).');
+  }
+
+  const tentativas = Math.max(1, Number(process.env.WATI_TENTATIVAS) || 3);
+  for (let tentativa = 1; ; tentativa++) {
+    try {
+      return await atual.enviarMensagem(numero, texto);
+    } catch (error) {
+      if (tentativa >= tentativas || !deveTentarDeNovo(error)) {
+        throw error;
+      }
+      console.error(
+        `Falha ao enviar mensagem WATI (tentativa ${tentativa}/${tentativas}):`,
+        error.message
+      );
+      await esperar(ESPERA_BASE_MS * 2 ** (tentativa - 1));
+    }
+  }
+}
+
+module.exports = {
+  clienteWati,
+  criarClienteStub,
+  definirClienteWati,
+  enviarMensagemWati,
+};
@@ -0,0 +1,173 @@
+// 📗 Leitor de planilhas .xlsx em JavaScript puro (só a primeira aba, só valores)
+//
+// O .xlsx é um zip com XML dentro: lemos o diretório central do zip, descompactamos
+// com zlib as partes necessárias (workbook, relações, sharedStrings e a aba) e
+// devolvemos as linhas no mesmo formato de parseCsv (arrays de strings).
+// Fórmulas valem pelo último valor calculado gravado no arquivo.
+const zlib = require('zlib');
+
+const ASSINATURA_FIM_DIRETORIO = 0x06054b50;
+const ASSINATURA_DIRETORIO = 0x02014b50;
+const ASSINATURA_LOCAL = 0x04034b50;
+
+// { caminho: { metodo, tamanho, offset } } a partir do diretório central
+function lerDiretorioZip(buffer) {
+  let fim = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === ASSINATURA_FIM_DIRETORIO) {
+      fim = i;
+      break;
+    }
+  }
+  if (fim < 0) {
+    throw new Error('Arquivo .xlsx inválido (zip sem diretório central).');
+  }
+
+  const totalEntradas = buffer.readUInt16LE(fim + 10);
+  let posicao = buffer.readUInt32LE(fim + 16);
+  const entradas = {};
+  for (let i = 0; i < totalEntradas; i++) {
+    if (buffer.readUInt32LE(posicao) !== ASSINATURA_DIRETORIO) {
+      throw new Error('Arquivo .xlsx inválido (diretório central corrompido).');
+    }
+    const tamanhoNome = buffer.readUInt16LE(posicao + 28);
+    const tamanhoExtra = buffer.readUInt16LE(posicao + 30);
+    const tamanhoComentario = buffer.readUInt16LE(posicao + 32);
+    const nome = buffer.toString('utf8', posicao + 46, posicao + 46 + tamanhoNome);
+    entradas[nome] = {
+      metodo: buffer.readUInt16LE(posicao + 10),
+      tamanho: buffer.readUInt32LE(posicao + 20),
+      offset: buffer.readUInt32LE(posicao + 42),
+    };
+    posicao += 46 + tamanhoNome + tamanhoExtra + tamanhoComentario;
+  }
+  return entradas;
+}
+
+function lerEntrada(buffer, entradas, caminho) {
+  const entrada = entradas[caminho];
+  if (!entrada) {
+    return null;
+  }
+  if (buffer.readUInt32LE(entrada.offset) !== ASSINATURA_LOCAL) {
+    throw new Error(`Arquivo .xlsx inválido (${caminho}).`);
+  }
+  const inicio =
+    entrada.offset + 30 + buffer.readUInt16LE(entrada.offset + 26) + buffer.readUInt16LE(entrada.offset + 28);
+  const dados = buffer.subarray(inicio, inicio + entrada.tamanho);
+  if (entrada.metodo === 0) {
+    return dados.toString('utf8');
+  }
+  if (entrada.metodo === 8) {
+    return zlib.inflateRawSync(dados).toString('utf8');
+  }
+  throw new Error(`Compressão ${entrada.metodo} não suportada no .xlsx.`);
+}
+
+function decodificarXml(texto) {
+  return texto.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, entidade) => {
+    const nomes = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    if (entidade[0] === '#') {
+      return String.fromCodePoint(
+        entidade[1].toLowerCase() === 'x' ? parseInt(entidade.slice(2), 16) : Number(entidade.slice(1))
+      );
+    }
+    return nomes[entidade.toLowerCase()];
+  });
+}
+
+// Junta os <t> de um trecho (textos com formatação vêm quebrados em vários <t>)
+function textoDosNos(xml) {
+  let texto = '';
+  for (const [, valor] of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    texto += decodificarXml(valor);
+  }
+  return texto;
+}
+
+function lerTextosCompartilhados(xml) {
+  if (!xml) {
+    return [];
+  }
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, si]) =>
+    // Ignora a pronúncia fonética (<rPh>) que o Excel grava em textos japoneses
+    textoDosNos(si.replace(/<rPh[\s\S]*?<\/rPh>/g, ''))
+  );
+}
+
+// Caminho da primeira aba, seguindo workbook.xml → workbook.xml.rels
+function caminhoPrimeiraAba(buffer, entradas) {
+  const workbook = lerEntrada(buffer, entradas, 'xl/workbook.xml') || '';
+  const relacoes = lerEntrada(buffer, entradas, 'xl/_rels/workbook.xml.rels') || '';
+  const aba = workbook.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+  if (aba) {
+    const relacao = [...relacoes.matchAll(/<Relationship\s[^>]*>/g)]
+      .map(([tag]) => tag)
+      .find((tag) => tag.includes(`Id="${aba[1]}"`));
+    const alvo = relacao && relacao.match(/Target="([^"]+)"/);
+    if (alvo) {
+      return alvo[1].startsWith('/') ? alvo[1].slice(1) : `xl/${alvo[1]}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+// "AB12" → 27 (índice da coluna, a partir de 0)
+function indiceColuna(referencia) {
+  const letras = referencia.replace(/\d+$/, '');
+  let indice = 0;
+  for (const letra of letras) {
+    indice = indice * 26 + (letra.charCodeAt(0) - 64);
+  }
+  return indice - 1;
+}
+
+function valorCelula(atributos, conteudo, textos) {
+  const tipo = (atributos.match(/\st="([^"]+)"/) || [])[1];
+  if (tipo === 'inlineStr') {
+    return textoDosNos(conteudo);
+  }
+  const valor = conteudo.match(/<v>([\s\S]*?)<\/v>/);
+  if (!valor) {
+    return '';
+  }
+  if (tipo === 's') {
+    return textos[Number(valor[1])] || '';
+  }
+  if (tipo === 'b') {
+    return valor[1] === '1' ? 'TRUE' : 'FALSE';
+  }
+  return decodificarXml(valor[1]);
+}
+
+// Retorna uma matriz de linhas (arrays de strings), sem linhas vazias
+function parseXlsx(buffer) {
+  const entradas = lerDiretorioZip(buffer);
+  const textos = lerTextosCompartilhados(lerEntrada(buffer, entradas, 'xl/sharedStrings.xml'));
+  const aba = lerEntrada(buffer, entradas, caminhoPrimeiraAba(buffer, entradas));
+  if (!aba) {
+    throw new Error('Arquivo .xlsx sem planilhas.');
+  }
+
+  const linhas = [];
+  for (const [, conteudoLinha = ''] of aba.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const linha = [];
+    for (const [, atributos, conteudo = ''] of conteudoLinha.matchAll(
+      /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+    )) {
+      const referencia = (atributos.match(/\sr="([A-Z]+\d+)"/) || [])[1];
+      const indice = referencia ? indiceColuna(referencia) : linha.length;
+      while (linha.length < indice) {
+        linha.push('');
+      }
+      linha[indice] = valorCelula(atributos, conteudo, textos);
+    }
+    linhas.push(linha);
+  }
+
+  return linhas.filter((l) => l.some((v) => String(v).trim() !== ''));
+}
+
+module.exports = {
+  parseXlsx,
+};
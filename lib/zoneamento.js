@@ -0,0 +1,510 @@
+// 🗺️ Consultas de zoneamento no PostGIS, na tabela da cidade do ponto e da versão
+// do zoneamento vigente na data de referência (ver config/cidades.js). Com
+// ZONEAMENTO_MEMORIA=true, a zona do ponto e as zonas vizinhas saem do índice em
+// memória (lib/zoneamentoMemoria.js) e o PostGIS fica como reserva.
+const pool = require('./db');
+const {
+  cidadesNoPonto,
+  cidadesNaCaixa,
+  versaoVigente,
+  sqlZoneamento,
+  nomesDasCidades,
+  versaoParaResposta,
+  cidadeParaResposta,
+} = require('./cidades');
+const { caixaDaGeometria } = require('./geojson');
+const { anotarConsulta } = require('./auditoria');
+const { registrarZona } = require('./metricas');
+const { zonaEmMemoria, vizinhasEmMemoria } = require('./zoneamentoMemoria');
+
+const TEXTO_NAO_IDENTIFICADO = 'Zoneamento não identificado.';
+
+function mensagemNaoCoberto(cidade) {
+  return cidade
+    ? `O ponto fica fora de ${cidade.nome}.`
+    : `Ponto fora das cidades atendidas (${nomesDasCidades()}).`;
+}
+
+// 42P01 = tabela de zoneamento da cidade ainda não importada
+function tabelaAusente(error) {
+  return error.code === '42P01';
+}
+
+// Conexão do pool aberta só na primeira query: com o zoneamento em memória, a
+// consulta por ponto normalmente não chega ao PostGIS
+function conexaoSobDemanda() {
+  let client = null;
+  return {
+    async query(...args) {
+      client = client || (await pool.connect());
+      return client.query(...args);
+    },
+    release() {
+      if (client) {
+        client.release();
+      }
+    },
+  };
+}
+
+// Zona do ponto numa versão do zoneamento, pelo índice em memória quando ele
+// serve para a versão e pelo PostGIS nos demais casos (ou com memoria = false).
+// Retorna { disponivel, contem, codigo, texto }; disponivel = false sem a tabela da
+// versão e contem = false quando nenhum polígono da tabela contém o ponto.
+async function zonaNoPonto(client, versao, lat, lng, { memoria = true } = {}) {
+  const emMemoria = memoria ? zonaEmMemoria(versao, lat, lng) : null;
+  if (emMemoria) {
+    if (!emMemoria.disponivel || !emMemoria.zona) {
+      return { disponivel: emMemoria.disponivel, contem: false, codigo: null, texto: null };
+    }
+    return {
+      disponivel: true,
+      contem: true,
+      codigo: emMemoria.zona.codigo,
+      texto: emMemoria.zona.texto || TEXTO_NAO_IDENTIFICADO,
+    };
+  }
+
+  const z = sqlZoneamento(versao);
+  const query = `
+    SELECT
+      z.${z.codigo} AS cod_zoneamento,
+      z.${z.texto} AS texto_zoneamento
+    FROM ${z.tabela} z
+    WHERE ST_Contains(
+      z.${z.geom},
+      ST_Transform(
+        ST_SetSRID(ST_Point($1, $2), 4326),
+        ${z.srid}
+      )
+    )
+    LIMIT 1;
+  `;
+
+  const values = [lng, lat]; // ordem: longitude, latitude
+  try {
+    const result = await client.query(query, values);
+    if (result.rows.length === 0) {
+      return { disponivel: true, contem: false, codigo: null, texto: null };
+    }
+    return {
+      disponivel: true,
+      contem: true,
+      codigo: result.rows[0].cod_zoneamento,
+      texto: result.rows[0].texto_zoneamento || TEXTO_NAO_IDENTIFICADO,
+    };
+  } catch (error) {
+    if (!tabelaAusente(error)) {
+      throw error;
+    }
+    console.error(`Zoneamento não carregado: tabela ${versao.tabela} (versão ${versao.id}).`);
+    return { disponivel: false, contem: false, codigo: null, texto: null };
+  }
+}
+
+// 🗺️ Função para consultar zoneamento por latitude/longitude
+// opcoes.cidade: cidade do registro; sem ela, a cidade é detectada pelo ponto.
+// opcoes.data: data de referência (AAAA-MM-DD); sem ela, a versão vigente hoje.
+// Retorna { codigo, texto, cidade, versao, coberto }; coberto = false quando o ponto
+// está fora de todas as cidades atendidas (ou fora da cidade pedida), inclusive nos
+// municípios vizinhos dentro da caixa de limites de uma cidade (nenhuma tabela de
+// zoneamento contém o ponto), ou quando não há zoneamento carregado para a data.
+// opcoes.registrar = false não conta a consulta nas métricas nem na auditoria (ex.:
+// candidatos de um endereço ambíguo, que acompanham a consulta do ponto principal).
+async function consultarZoneamento(lat, lng, opcoes = {}) {
+  const zoneamento = await zoneamentoDoPonto(lat, lng, opcoes);
+  if (opcoes.registrar === false) {
+    return zoneamento;
+  }
+  registrarZona(zoneamento);
+  anotarConsulta({
+    lat,
+    lng,
+    cidade: zoneamento.cidade ? zoneamento.cidade.id : undefined,
+    codZoneamento: zoneamento.codigo || undefined,
+  });
+  return zoneamento;
+}
+
+// Consulta em si (consultarZoneamento acrescenta a anotação da auditoria)
+async function zoneamentoDoPonto(lat, lng, { cidade = null, data = null } = {}) {
+  const candidatas = cidadesNoPonto(lat, lng).filter((c) => !cidade || c.id === cidade.id);
+  if (candidatas.length === 0) {
+    return {
+      codigo: null,
+      texto: mensagemNaoCoberto(cidade),
+      cidade: null,
+      versao: null,
+      coberto: false,
+    };
+  }
+
+  const client = conexaoSobDemanda();
+  try {
+    let primeira = null;
+    let algumaCarregada = false;
+    for (const candidata of candidatas) {
+      const versao = versaoVigente(candidata, data);
+      if (!versao) {
+        continue;
+      }
+
+      const zona = await zonaNoPonto(client, versao, lat, lng);
+      if (!zona.disponivel) {
+        continue;
+      }
+      algumaCarregada = true;
+      if (zona.codigo) {
+        return { codigo: zona.codigo, texto: zona.texto, cidade: candidata, versao, coberto: true };
+      }
+      // Polígono sem código: o ponto está na cidade, mas a zona não foi identificada
+      if (zona.contem) {
+        primeira = primeira || { cidade: candidata, versao };
+      }
+    }
+
+    if (!algumaCarregada) {
+      const { nome } = candidatas[0];
+      return {
+        codigo: null,
+        texto: data
+          ? `Não há zoneamento de ${nome} carregado para ${data}.`
+          : `O zoneamento de ${nome} ainda não foi carregado.`,
+        cidade: null,
+        versao: null,
+        coberto: false,
+      };
+    }
+
+    // Os limites do registro são caixas: nenhum polígono com o ponto quer dizer que
+    // ele está num município vizinho dentro da caixa (ex.: Osasco, Diadema)
+    if (!primeira) {
+      return {
+        codigo: null,
+        texto: mensagemNaoCoberto(cidade),
+        cidade: null,
+        versao: null,
+        coberto: false,
+      };
+    }
+
+    return {
+      codigo: null,
+      texto: 'Zoneamento não encontrado para esse ponto.',
+      ...primeira,
+      coberto: true,
+    };
+  } finally {
+    client.release();
+  }
+}
+
+// 🕰️ Zona do ponto em cada versão do zoneamento da cidade, da mais antiga à atual.
+// Vale a primeira cidade (informada ou detectada) em que o ponto tem zona em
+// alguma versão. Retorna { cidade, versoes: [{ versao, disponivel, codigo, texto,
+// mudou }] }, com cidade null fora da cobertura; "mudou" compara com a versão
+// disponível anterior. Como em consultarZoneamento, a zona da versão vigente
+// entra nas métricas e na auditoria.
+async function historicoZoneamento(lat, lng, opcoes = {}) {
+  const historico = await historicoDoPonto(lat, lng, opcoes);
+  const zoneamento = zoneamentoVigenteDoHistorico(historico);
+  registrarZona(zoneamento);
+  anotarConsulta({
+    lat,
+    lng,
+    cidade: zoneamento.cidade ? zoneamento.cidade.id : undefined,
+    codZoneamento: zoneamento.codigo || undefined,
+  });
+  return historico;
+}
+
+// Resultado no formato de consultarZoneamento para a versão vigente do histórico
+function zoneamentoVigenteDoHistorico({ cidade, versoes }) {
+  const atual = cidade ? versaoVigente(cidade) : null;
+  const vigente = versoes.find((v) => v.versao === atual);
+  if (!vigente || !vigente.disponivel || !vigente.contem) {
+    return { codigo: null, texto: null, cidade: null, versao: null, coberto: false };
+  }
+  return {
+    codigo: vigente.codigo,
+    texto: vigente.texto,
+    cidade,
+    versao: vigente.versao,
+    coberto: true,
+  };
+}
+
+// Histórico em si (historicoZoneamento acrescenta métricas e auditoria)
+async function historicoDoPonto(lat, lng, { cidade = null } = {}) {
+  const candidatas = cidadesNoPonto(lat, lng).filter((c) => !cidade || c.id === cidade.id);
+  if (candidatas.length === 0) {
+    return { cidade: null, versoes: [] };
+  }
+
+  const client = conexaoSobDemanda();
+  try {
+    let primeiro = null;
+    for (const candidata of candidatas) {
+      const versoes = [];
+      let anterior;
+      for (const versao of candidata.versoes) {
+        const zona = await zonaNoPonto(client, versao, lat, lng);
+        versoes.push({
+          versao,
+          ...zona,
+          mudou: zona.disponivel && anterior !== undefined && zona.codigo !== anterior,
+        });
+        if (zona.disponivel) {
+          anterior = zona.codigo;
+        }
+      }
+
+      const historico = { cidade: candidata, versoes };
+      if (versoes.some((v) => v.codigo)) {
+        return historico;
+      }
+      primeiro = primeiro || historico;
+    }
+
+    return primeiro;
+  } finally {
+    client.release();
+  }
+}
+
+function historicoParaResposta(historico) {
+  const atual = historico.cidade ? versaoVigente(historico.cidade) : null;
+  return historico.versoes.map((v) => ({
+    versao: versaoParaResposta(v.versao),
+    vigente: v.versao === atual,
+    disponivel: v.disponivel,
+    cod_zoneamento: v.codigo,
+    txt_zoneamento: v.texto,
+    mudou: v.mudou,
+  }));
+}
+
+// Zonas diferentes de codigoAtual a até raioM metros do ponto, no PostGIS
+async function vizinhasNoPostgis(versao, lat, lng, raioM, codigoAtual) {
+  const z = sqlZoneamento(versao);
+  const result = await pool.query(
+    `WITH p AS (
+       SELECT ST_Transform(ST_SetSRID(ST_Point($1, $2), 4326), ${z.srid}) AS geom
+     )
+     SELECT
+       z.${z.codigo} AS codigo,
+       z.${z.texto} AS texto,
+       MIN(ST_Distance(z.${z.geom}, p.geom)) AS distancia_m
+     FROM ${z.tabela} z, p
+     WHERE ST_DWithin(z.${z.geom}, p.geom, $3)
+       AND z.${z.codigo} IS DISTINCT FROM $4
+     GROUP BY 1, 2
+     ORDER BY distancia_m;`,
+    [lng, lat, raioM, codigoAtual]
+  );
+
+  return result.rows.map((row) => ({
+    codigo: row.codigo,
+    texto: row.texto,
+    distanciaM: Number(row.distancia_m),
+  }));
+}
+
+// Distância (m) abaixo da qual o ponto é considerado próximo da divisa de zonas
+const PROXIMIDADE_FRONTEIRA_PADRAO_M = 20;
+// Raio (m) para listar zonas vizinhas
+const RAIO_VIZINHANCA_PADRAO_M = 50;
+const RAIO_VIZINHANCA_MAXIMO_M = 500;
+
+// 🧱 Zonas diferentes da zona do ponto num raio em torno dele. A distância até a
+// mais próxima é a distância até a divisa; pontos geocodificados costumam ter
+// erro de alguns metros, então perto da divisa a zona pode estar errada.
+// Retorna { distanciaM, nearBoundary, raioM, vizinhas: [{ codigo, texto, distanciaM }] }
+// opcoes.versao: versão do zoneamento do ponto (sem ela, isto é, ponto fora da
+// cobertura, não há vizinhas). Com o zoneamento em memória, as vizinhas saem do
+// índice, sem ir ao PostGIS.
+async function analisarFronteira(lat, lng, { codigoAtual = null, raio, versao = null } = {}) {
+  const raioPedido = Number(raio);
+  const raioM = Math.min(
+    Number.isFinite(raioPedido) && raioPedido > 0
+      ? raioPedido
+      : Number(process.env.ZONAS_VIZINHAS_RAIO_METROS || RAIO_VIZINHANCA_PADRAO_M),
+    RAIO_VIZINHANCA_MAXIMO_M
+  );
+  const proximidadeM = Number(
+    process.env.PROXIMIDADE_FRONTEIRA_METROS || PROXIMIDADE_FRONTEIRA_PADRAO_M
+  );
+
+  if (!versao) {
+    return { distanciaM: null, nearBoundary: false, raioM, vizinhas: [] };
+  }
+
+  const vizinhas =
+    vizinhasEmMemoria(versao, lat, lng, raioM, codigoAtual) ||
+    (await vizinhasNoPostgis(versao, lat, lng, raioM, codigoAtual));
+  const distanciaM = vizinhas.length ? vizinhas[0].distanciaM : null;
+
+  return {
+    distanciaM,
+    nearBoundary: distanciaM !== null && distanciaM <= proximidadeM,
+    raioM,
+    vizinhas,
+  };
+}
+
+// Área de um polígono GeoJSON (WGS84) em m², medida no SRID informado
+// (padrão: SIRGAS 2000 / UTM 23S, que cobre as cidades atendidas)
+async function calcularAreaM2(geometria, srid = 31983) {
+  const result = await pool.query(
+    `SELECT ST_Area(
+       ST_MakeValid(ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326), $2::int))
+     ) AS area_m2;`,
+    [JSON.stringify(geometria), srid]
+  );
+  return Number(result.rows[0].area_m2);
+}
+
+// 📐 Decompõe um lote (GeoJSON Polygon/MultiPolygon em WGS84) pelas zonas que ele
+// intercepta, na tabela da cidade (informada ou detectada pelos limites; vale a
+// primeira cidade cujo zoneamento o lote intercepta) e da versão vigente em
+// opcoes.data. Áreas em m², no SRID da versão.
+// Retorna { areaLoteM2, areaSemZoneamentoM2, zonas: [{ codigo, texto, areaM2, percentual }],
+// cidade, versao, coberto }
+async function zoneamentoPorArea(geometria, { cidade = null, data = null } = {}) {
+  const candidatas = cidade ? [cidade] : cidadesNaCaixa(caixaDaGeometria(geometria));
+
+  const client = await pool.connect();
+  try {
+    let primeiro = null;
+    for (const candidata of candidatas) {
+      const versao = versaoVigente(candidata, data);
+      if (!versao) {
+        continue;
+      }
+      const z = sqlZoneamento(versao);
+      const areaLoteM2 = await calcularAreaM2(geometria, z.srid);
+      const query = `
+        WITH lote AS (
+          SELECT ST_MakeValid(
+            ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326), ${z.srid})
+          ) AS geom
+        )
+        SELECT
+          z.${z.codigo} AS codigo,
+          z.${z.texto} AS texto,
+          SUM(ST_Area(ST_Intersection(z.${z.geom}, lote.geom))) AS area_m2
+        FROM ${z.tabela} z, lote
+        WHERE ST_Intersects(z.${z.geom}, lote.geom)
+        GROUP BY 1, 2
+        ORDER BY area_m2 DESC;
+      `;
+
+      let result;
+      try {
+        result = await client.query(query, [JSON.stringify(geometria)]);
+      } catch (error) {
+        if (!tabelaAusente(error)) {
+          throw error;
+        }
+        continue;
+      }
+      const zonas = result.rows
+        .map((row) => {
+          const areaM2 = Number(row.area_m2);
+          return {
+            codigo: row.codigo,
+            texto: row.texto,
+            areaM2,
+            percentual: areaLoteM2 > 0 ? (areaM2 / areaLoteM2) * 100 : 0,
+          };
+        })
+        // Toques na borda geram interseções de área zero
+        .filter((zona) => zona.areaM2 > 0);
+
+      const areaZoneada = zonas.reduce((total, zona) => total + zona.areaM2, 0);
+
+      const resultado = {
+        areaLoteM2,
+        areaSemZoneamentoM2: Math.max(areaLoteM2 - areaZoneada, 0),
+        zonas,
+        cidade: candidata,
+        versao,
+        coberto: true,
+      };
+      if (zonas.length > 0) {
+        return resultado;
+      }
+      primeiro = primeiro || resultado;
+    }
+
+    // Nenhuma cidade com zonas no lote: fica a primeira candidata com dados, sem zonas
+    if (primeiro) {
+      return primeiro;
+    }
+  } finally {
+    client.release();
+  }
+
+  // Fora das cidades atendidas (ou sem zoneamento carregado para a data)
+  const areaLoteM2 = await calcularAreaM2(geometria);
+  return {
+    areaLoteM2,
+    areaSemZoneamentoM2: areaLoteM2,
+    zonas: [],
+    cidade: null,
+    versao: null,
+    coberto: false,
+  };
+}
+
+function arredondar(valor, casas = 2) {
+  const fator = 10 ** casas;
+  return Math.round(valor * fator) / fator;
+}
+
+// Converte o resultado de zoneamentoPorArea para o formato da resposta
+function areaParaResposta(resultado) {
+  return {
+    cidade: cidadeParaResposta(resultado.cidade),
+    coberto: resultado.coberto,
+    versao_zoneamento: versaoParaResposta(resultado.versao),
+    area_lote_m2: arredondar(resultado.areaLoteM2),
+    area_sem_zoneamento_m2: arredondar(resultado.areaSemZoneamentoM2),
+    zona_predominante: resultado.zonas.length ? resultado.zonas[0].codigo : null,
+    multiplas_zonas: resultado.zonas.length > 1,
+    zonas: resultado.zonas.map((zona) => ({
+      cod_zoneamento: zona.codigo,
+      txt_zoneamento: zona.texto,
+      area_m2: arredondar(zona.areaM2),
+      percentual: arredondar(zona.percentual),
+    })),
+  };
+}
+
+function fronteiraParaResposta(fronteira) {
+  return {
+    // null = nenhuma outra zona dentro do raio
+    distancia_fronteira_m: fronteira.distanciaM === null ? null : arredondar(fronteira.distanciaM, 1),
+    near_boundary: fronteira.nearBoundary,
+    raio_m: fronteira.raioM,
+    zonas_vizinhas: fronteira.vizinhas.map((zona) => ({
+      cod_zoneamento: zona.codigo,
+      txt_zoneamento: zona.texto,
+      distancia_m: arredondar(zona.distanciaM, 1),
+    })),
+  };
+}
+
+module.exports = {
+  mensagemNaoCoberto,
+  zonaNoPonto,
+  consultarZoneamento,
+  historicoZoneamento,
+  historicoParaResposta,
+  vizinhasNoPostgis,
+  analisarFronteira,
+  fronteiraParaResposta,
+  calcularAreaM2,
+  zoneamentoPorArea,
+  areaParaResposta,
+};
@@ -0,0 +1,337 @@
+// 🧠 Zoneamento em memória: consulta por ponto sem ir ao PostGIS
+//
+// Com ZONEAMENTO_MEMORIA=true, os polígonos de cada tabela de zoneamento do
+// registro de cidades são carregados na subida do servidor, de
+// <ZONEAMENTO_MEMORIA_DIR>/<tabela>.geojson quando o arquivo existe ou do próprio
+// Postgres, e indexados numa R-tree. A consulta projeta o ponto para o SRID da
+// versão (lib/projecao.js) e testa os polígonos candidatos em Node.
+//
+// Vale para a zona do ponto (consultarZoneamento e o histórico) e para as zonas
+// vizinhas da análise de fronteira; área, tiles e relatórios continuam no PostGIS,
+// e parâmetros e camadas, quando o Postgres falha, saem marcados como indisponíveis
+// (lib/consulta.js). Enquanto o índice não fica pronto, ou para uma tabela que não
+// pôde ser carregada, a consulta cai no PostGIS.
+// A recarga (SIGHUP ou POST /admin/zoneamento-memoria/recarregar) monta um índice
+// novo e só então troca o antigo, sem interromper as consultas.
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+const RTree = require('./rtree');
+const { carregarCidades, sqlZoneamento } = require('./cidades');
+const { sridDoCrs } = require('./geojson');
+const { projetar, sridSuportado, sridGeografico } = require('./projecao');
+
+// tabela → { tabela, origem, arvore, ... } | { tabela, ausente } | { tabela, erro }
+let indice = null;
+let carregamento = null;
+let ultimaCarga = null;
+
+function memoriaHabilitada() {
+  return process.env.ZONEAMENTO_MEMORIA === 'true';
+}
+
+// Versões do registro agrupadas por tabela (várias versões podem usar a mesma)
+function tabelasDoRegistro() {
+  const tabelas = new Map();
+  for (const cidade of carregarCidades()) {
+    for (const versao of cidade.versoes) {
+      if (!tabelas.has(versao.tabela)) {
+        tabelas.set(versao.tabela, versao);
+      }
+    }
+  }
+  return tabelas;
+}
+
+// Anel GeoJSON → Float64Array [x0, y0, x1, y1, ...] já no SRID da versão
+function anelPlano(anel, converter) {
+  const plano = new Float64Array(anel.length * 2);
+  anel.forEach(([x, y], i) => {
+    const [px, py] = converter(x, y);
+    plano[i * 2] = px;
+    plano[i * 2 + 1] = py;
+  });
+  return plano;
+}
+
+// Itens da R-tree de uma feição: um por polígono, com a caixa do anel externo.
+// "ordem" desempata sobreposições (vale a feição que veio primeiro).
+function poligonosDaFeicao(geometria, zona, ordem, converter) {
+  if (!geometria || !['Polygon', 'MultiPolygon'].includes(geometria.type)) {
+    return [];
+  }
+  const poligonos = geometria.type === 'Polygon' ? [geometria.coordinates] : geometria.coordinates;
+
+  return poligonos
+    .filter((poligono) => poligono.length > 0 && poligono[0].length >= 4)
+    .map((poligono) => {
+      const aneis = poligono.map((anel) => anelPlano(anel, converter));
+      const externo = aneis[0];
+      const item = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, aneis, zona, ordem };
+      for (let i = 0; i < externo.length; i += 2) {
+        item.minX = Math.min(item.minX, externo[i]);
+        item.maxX = Math.max(item.maxX, externo[i]);
+        item.minY = Math.min(item.minY, externo[i + 1]);
+        item.maxY = Math.max(item.maxY, externo[i + 1]);
+      }
+      return item;
+    });
+}
+
+// Par-ímpar (ray casting) sobre todos os anéis: os furos entram naturalmente
+function poligonoContem(item, x, y) {
+  let dentro = false;
+  for (const anel of item.aneis) {
+    for (let i = 0, j = anel.length - 2; i < anel.length; j = i, i += 2) {
+      const xi = anel[i];
+      const yi = anel[i + 1];
+      const xj = anel[j];
+      const yj = anel[j + 1];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        dentro = !dentro;
+      }
+    }
+  }
+  return dentro;
+}
+
+// Distância do ponto ao segmento (x1, y1)-(x2, y2)
+function distanciaAoSegmento(x, y, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const comprimento2 = dx * dx + dy * dy;
+  const t = comprimento2 === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / comprimento2));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+// Distância do ponto ao polígono, como o ST_Distance: 0 dentro dele; fora (ou num
+// furo), a menor distância até as bordas de todos os anéis
+function distanciaAoPoligono(item, x, y) {
+  if (poligonoContem(item, x, y)) {
+    return 0;
+  }
+  let menor = Infinity;
+  for (const anel of item.aneis) {
+    for (let i = 2; i < anel.length; i += 2) {
+      menor = Math.min(menor, distanciaAoSegmento(x, y, anel[i - 2], anel[i - 1], anel[i], anel[i + 1]));
+    }
+  }
+  return menor;
+}
+
+// Feições { geometria, codigo, texto } e o SRID das coordenadas, do arquivo ou do banco
+async function lerFeicoes(versao) {
+  const dir = process.env.ZONEAMENTO_MEMORIA_DIR;
+  const arquivo = dir ? path.resolve(dir, `${versao.tabela}.geojson`) : null;
+
+  if (arquivo && fs.existsSync(arquivo)) {
+    const colecao = JSON.parse(await fs.promises.readFile(arquivo, 'utf8'));
+    const features = colecao.type === 'FeatureCollection' ? colecao.features : [colecao];
+    return {
+      origem: arquivo,
+      srid: sridDoCrs(colecao) || 4326,
+      feicoes: features.map((feature) => {
+        const propriedades = feature.properties || {};
+        return {
+          geometria: feature.geometry,
+          codigo: propriedades[versao.codigo] ?? null,
+          texto: propriedades[versao.texto] ?? null,
+        };
+      }),
+    };
+  }
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error(`sem DATABASE_URL e sem o arquivo ${versao.tabela}.geojson em ZONEAMENTO_MEMORIA_DIR`);
+  }
+  const z = sqlZoneamento(versao);
+  const result = await pool.query(
+    `SELECT
+       z.${z.codigo} AS codigo,
+       z.${z.texto} AS texto,
+       ST_AsGeoJSON(z.${z.geom}) AS geojson
+     FROM ${z.tabela} z
+     WHERE z.${z.geom} IS NOT NULL;`
+  );
+  return {
+    origem: 'postgres',
+    srid: versao.srid,
+    feicoes: result.rows.map((row) => ({
+      geometria: JSON.parse(row.geojson),
+      codigo: row.codigo,
+      texto: row.texto,
+    })),
+  };
+}
+
+// Índice de uma tabela. Coordenadas geográficas (arquivo em WGS84) são projetadas
+// para o SRID da versão; qualquer outro SRID precisa ser o da própria versão.
+async function carregarTabela(versao) {
+  const inicio = Date.now();
+  if (!sridSuportado(versao.srid)) {
+    throw new Error(`SRID ${versao.srid} sem projeção em memória`);
+  }
+
+  const { origem, srid, feicoes } = await lerFeicoes(versao);
+  let converter;
+  if (srid === versao.srid) {
+    converter = (x, y) => [x, y];
+  } else if (sridGeografico(srid)) {
+    converter = (lng, lat) => projetar(lng, lat, versao.srid);
+  } else {
+    throw new Error(`SRID ${srid} do arquivo difere do SRID ${versao.srid} da versão`);
+  }
+
+  const itens = feicoes.flatMap((feicao, ordem) =>
+    poligonosDaFeicao(feicao.geometria, { codigo: feicao.codigo, texto: feicao.texto }, ordem, converter)
+  );
+
+  return {
+    tabela: versao.tabela,
+    origem,
+    srid: versao.srid,
+    feicoes: feicoes.length,
+    poligonos: itens.length,
+    vertices: itens.reduce((total, item) => total + item.aneis.reduce((t, anel) => t + anel.length / 2, 0), 0),
+    arvore: new RTree(itens),
+    duracaoMs: Date.now() - inicio,
+  };
+}
+
+// Monta um índice novo com todas as tabelas e troca o atual por ele
+async function montarIndice() {
+  const inicio = Date.now();
+  const novo = new Map();
+  for (const [tabela, versao] of tabelasDoRegistro()) {
+    try {
+      novo.set(tabela, await carregarTabela(versao));
+    } catch (error) {
+      // 42P01 = tabela ainda não importada: a consulta responde "não carregado",
+      // como no PostGIS
+      if (error.code === '42P01') {
+        novo.set(tabela, { tabela, ausente: true });
+      } else {
+        console.error(`Zoneamento em memória: ${tabela} fica no PostGIS (${error.message}).`);
+        novo.set(tabela, { tabela, erro: error.message });
+      }
+    }
+  }
+
+  indice = novo;
+  ultimaCarga = { concluidaEm: new Date().toISOString(), duracaoMs: Date.now() - inicio };
+  const prontas = [...novo.values()].filter((t) => t.arvore);
+  console.log(
+    `🧠 Zoneamento em memória: ${prontas.length}/${novo.size} tabelas, ` +
+      `${prontas.reduce((total, t) => total + t.poligonos, 0)} polígonos em ${ultimaCarga.duracaoMs} ms.`
+  );
+  return estadoZoneamentoMemoria();
+}
+
+// (Re)carrega o índice; chamadas durante uma carga em andamento aguardam a mesma carga
+function recarregarZoneamentoMemoria() {
+  if (!carregamento) {
+    carregamento = montarIndice().finally(() => {
+      carregamento = null;
+    });
+  }
+  return carregamento;
+}
+
+// Carga inicial na subida do servidor e recarga a cada SIGHUP
+function iniciarZoneamentoMemoria() {
+  if (!memoriaHabilitada() || indice || carregamento) {
+    return;
+  }
+  const recarregar = () => {
+    recarregarZoneamentoMemoria().catch((error) => {
+      console.error('Erro ao carregar o zoneamento em memória:', error);
+    });
+  };
+  recarregar();
+  process.on('SIGHUP', recarregar);
+}
+
+// Zona do ponto numa versão, pelo índice em memória. Retorna null quando o índice
+// não serve para a versão (desligado, ainda carregando ou tabela com erro: use o
+// PostGIS); { disponivel: false } sem a tabela da versão; senão
+// { disponivel: true, zona: { codigo, texto } | null }.
+function zonaEmMemoria(versao, lat, lng) {
+  const entrada = memoriaHabilitada() && indice ? indice.get(versao.tabela) : null;
+  if (!entrada || entrada.erro) {
+    return null;
+  }
+  if (entrada.ausente) {
+    return { disponivel: false, zona: null };
+  }
+
+  const [x, y] = projetar(lng, lat, entrada.srid);
+  let escolhido = null;
+  for (const item of entrada.arvore.buscar(x, y)) {
+    if ((!escolhido || item.ordem < escolhido.ordem) && poligonoContem(item, x, y)) {
+      escolhido = item;
+    }
+  }
+  return { disponivel: true, zona: escolhido ? escolhido.zona : null };
+}
+
+// Zonas diferentes de codigoAtual a até raioM metros do ponto, pelo índice em
+// memória (o mesmo resultado da consulta da fronteira no PostGIS). Retorna null
+// quando o índice não serve para a versão; senão [{ codigo, texto, distanciaM }],
+// da mais próxima para a mais distante.
+function vizinhasEmMemoria(versao, lat, lng, raioM, codigoAtual) {
+  const entrada = memoriaHabilitada() && indice ? indice.get(versao.tabela) : null;
+  if (!entrada || entrada.erro) {
+    return null;
+  }
+  if (entrada.ausente) {
+    return [];
+  }
+
+  const [x, y] = projetar(lng, lat, entrada.srid);
+  const porZona = new Map();
+  for (const item of entrada.arvore.buscarNaCaixa(x - raioM, y - raioM, x + raioM, y + raioM)) {
+    if (item.zona.codigo === codigoAtual) {
+      continue;
+    }
+    const distanciaM = distanciaAoPoligono(item, x, y);
+    const chave = JSON.stringify([item.zona.codigo, item.zona.texto]);
+    const anterior = porZona.get(chave);
+    if (distanciaM <= raioM && (!anterior || distanciaM < anterior.distanciaM)) {
+      porZona.set(chave, { codigo: item.zona.codigo, texto: item.zona.texto, distanciaM });
+    }
+  }
+  return [...porZona.values()].sort((a, b) => a.distanciaM - b.distanciaM);
+}
+
+function estadoZoneamentoMemoria() {
+  return {
+    habilitado: memoriaHabilitada(),
+    pronto: Boolean(indice),
+    carregando: Boolean(carregamento),
+    ultima_carga: ultimaCarga,
+    tabelas: indice
+      ? [...indice.values()].map((t) =>
+          t.arvore
+            ? {
+                tabela: t.tabela,
+                origem: t.origem,
+                srid: t.srid,
+                feicoes: t.feicoes,
+                poligonos: t.poligonos,
+                vertices: t.vertices,
+                duracao_ms: t.duracaoMs,
+              }
+            : { tabela: t.tabela, ausente: Boolean(t.ausente), erro: t.erro || null }
+        )
+      : [],
+  };
+}
+
+module.exports = {
+  memoriaHabilitada,
+  iniciarZoneamentoMemoria,
+  recarregarZoneamentoMemoria,
+  zonaEmMemoria,
+  vizinhasEmMemoria,
+  estadoZoneamentoMemoria,
+};
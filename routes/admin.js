@@ -0,0 +1,231 @@
+// 🛠️ Rotas administrativas (exigem uma chave de API com escopo admin)
+const express = require('express');
+const { geocodeEndereco } = require('../lib/geocoder');
+const geocodeCache = require('../lib/geocoder/cache');
+const { gerarCsv } = require('../lib/csv');
+const { COLUNAS_CSV, listarLeads, estatisticasOutbox, processarOutbox } = require('../lib/leads');
+const { exigirChave } = require('../lib/chavesApi');
+const {
+  memoriaHabilitada,
+  recarregarZoneamentoMemoria,
+  estadoZoneamentoMemoria,
+} = require('../lib/zoneamentoMemoria');
+const { limparCacheMapa } = require('../lib/mapa');
+const estatisticasRoutes = require('./estatisticas');
+const chavesApiRoutes = require('./chavesApi');
+
+const router = express.Router();
+
+const DATA_ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use(exigirChave('admin'));
+
+// Chaves de API e estatísticas de uso (auditoria das consultas)
+router.use('/chaves', chavesApiRoutes);
+router.use('/estatisticas', estatisticasRoutes);
+
+// Inspeciona o cache de geocodificação (?busca=paulista&limite=50)
+router.get('/geocode-cache', async (req, res) => {
+  try {
+    const entradas = await geocodeCache.listar({
+      busca: req.query.busca,
+      limite: req.query.limite,
+    });
+
+    res.json({
+      success: true,
+      estatisticas: geocodeCache.estatisticas(),
+      total: entradas.length,
+      entradas,
+    });
+  } catch (error) {
+    console.error('Erro em GET /admin/geocode-cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar o cache de geocodificação.',
+      details: error.message,
+    });
+  }
+});
+
+// Remove entradas do cache: ?endereco=... (uma), ?expirados=true (vencidas) ou tudo
+router.delete('/geocode-cache', async (req, res) => {
+  try {
+    const removidos = await geocodeCache.purgar({
+      endereco: req.query.endereco,
+      expirados: req.query.expirados === 'true',
+    });
+
+    res.json({
+      success: true,
+      removidos,
+    });
+  } catch (error) {
+    console.error('Erro em DELETE /admin/geocode-cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao limpar o cache de geocodificação.',
+      details: error.message,
+    });
+  }
+});
+
+// Pré-aquece o cache com uma lista de endereços
+// Body: { "enderecos": ["Av. Paulista, 1578", ...], "forcar": false }
+router.post('/geocode-cache/aquecer', async (req, res) => {
+  const { enderecos, forcar } = req.body;
+
+  if (!Array.isArray(enderecos) || enderecos.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'O campo "enderecos" deve ser uma lista não vazia.',
+    });
+  }
+
+  if (enderecos.length > 200) {
+    return res.status(400).json({
+      success: false,
+      error: 'Envie no máximo 200 endereços por requisição.',
+    });
+  }
+
+  const resultados = [];
+  // Sequencial de propósito, para não estourar o limite dos provedores
+  for (const endereco of enderecos) {
+    try {
+      if (forcar) {
+        await geocodeCache.purgar({ endereco });
+      }
+      const { enderecoFormatado, provedor, cache } = await geocodeEndereco(String(endereco));
+      resultados.push({
+        endereco,
+        success: true,
+        endereco_formatado: enderecoFormatado,
+        geocoder: provedor,
+        ja_estava_em_cache: Boolean(cache),
+      });
+    } catch (error) {
+      resultados.push({
+        endereco,
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    total: resultados.length,
+    falhas: resultados.filter((r) => !r.success).length,
+    resultados,
+  });
+});
+
+// Exporta os leads em CSV (?desde=AAAA-MM-DD&ate=AAAA-MM-DD, pela última consulta)
+router.get('/leads.csv', async (req, res) => {
+  const { desde, ate } = req.query;
+  for (const [campo, valor] of Object.entries({ desde, ate })) {
+    if (valor !== undefined && !DATA_ISO.test(valor)) {
+      return res.status(400).json({
+        success: false,
+        error: `O parâmetro "${campo}" deve estar no formato AAAA-MM-DD.`,
+      });
+    }
+  }
+
+  try {
+    const leads = await listarLeads({ desde, ate });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="leads.csv"');
+    // BOM para o Excel reconhecer o UTF-8
+    res.send('\uFEFF' + gerarCsv(leads, COLUNAS_CSV, ';'));
+  } catch (error) {
+    console.error('Erro em GET /admin/leads.csv:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao exportar os leads.',
+      details: error.message,
+    });
+  }
+});
+
+// Situação da fila de envio dos leads para o Google Sheets
+router.get('/leads/outbox', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sheets_configurado: Boolean(process.env.GOOGLE_SHEETS_WEBHOOK_URL),
+      ...(await estatisticasOutbox()),
+    });
+  } catch (error) {
+    console.error('Erro em GET /admin/leads/outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar a fila de leads.',
+      details: error.message,
+    });
+  }
+});
+
+// Envia agora um lote da fila, sem esperar o próximo ciclo
+router.post('/leads/outbox/processar', async (req, res) => {
+  try {
+    const { enviados, falhas } = await processarOutbox();
+    res.json({
+      success: true,
+      enviados,
+      falhas,
+    });
+  } catch (error) {
+    console.error('Erro em POST /admin/leads/outbox/processar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao processar a fila de leads.',
+      details: error.message,
+    });
+  }
+});
+
+// Situação do zoneamento em memória (tabelas carregadas, origem, polígonos)
+router.get('/zoneamento-memoria', (req, res) => {
+  res.json({
+    success: true,
+    ...estadoZoneamentoMemoria(),
+  });
+});
+
+// Recarrega o zoneamento em memória (ex.: depois de importar uma tabela). As
+// consultas continuam no índice anterior até o novo ficar pronto.
+router.post('/zoneamento-memoria/recarregar', async (req, res) => {
+  if (!memoriaHabilitada()) {
+    return res.status(409).json({
+      success: false,
+      error: 'O zoneamento em memória está desligado (ZONEAMENTO_MEMORIA=true liga).',
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      ...(await recarregarZoneamentoMemoria()),
+    });
+  } catch (error) {
+    console.error('Erro em POST /admin/zoneamento-memoria/recarregar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao recarregar o zoneamento em memória.',
+      details: error.message,
+    });
+  }
+});
+
+// Descarta os tiles do mapa em cache (ex.: depois de importar uma tabela de zoneamento)
+router.delete('/mapa-cache', (req, res) => {
+  limparCacheMapa();
+  res.json({
+    success: true,
+    limpo: true,
+  });
+});
+
+module.exports = router;
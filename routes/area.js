@@ -0,0 +1,73 @@
+// 📐 Rota de zoneamento por área (lote em GeoJSON)
+const express = require('express');
+const { extrairPoligono } = require('../lib/geojson');
+const { cidadeDaRequisicao, dataDaRequisicao } = require('../lib/cidades');
+const {
+  calcularAreaM2,
+  zoneamentoPorArea,
+  areaParaResposta,
+} = require('../lib/zoneamento');
+const { auditarConsultas, anotarConsulta } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+// Lotes muito grandes tornam a interseção cara; 5 km² cobre qualquer gleba realista
+const AREA_MAXIMA_PADRAO_M2 = 5000000;
+
+// Rota POST para /zoneamento-area
+// Body: { "geometria": <Polygon|MultiPolygon|Feature>, "cidade": "campinas",
+// "data_referencia": "2020-01-01" } ou o próprio GeoJSON (sem "cidade", ela é
+// detectada pela localização do lote)
+router.post('/zoneamento-area', exigirChave('publico'), auditarConsultas, async (req, res) => {
+  const comGeometria = Boolean(req.body && req.body.geometria);
+  const entrada = comGeometria ? req.body.geometria : req.body;
+  const { geometria, erro } = extrairPoligono(entrada);
+
+  if (erro) {
+    return res.status(400).json({
+      success: false,
+      error: erro,
+    });
+  }
+
+  const { cidade, erro: erroCidade } = cidadeDaRequisicao(comGeometria ? req.body.cidade : null);
+  const { data, erro: erroData } = dataDaRequisicao(comGeometria ? req.body.data_referencia : null);
+  if (erroCidade || erroData) {
+    return res.status(400).json({
+      success: false,
+      error: erroCidade || erroData,
+    });
+  }
+
+  try {
+    const areaMaxima = Number(process.env.AREA_MAXIMA_M2 || AREA_MAXIMA_PADRAO_M2);
+    const areaM2 = await calcularAreaM2(geometria);
+    if (areaM2 > areaMaxima) {
+      return res.status(400).json({
+        success: false,
+        error: `Área de ${Math.round(areaM2)} m² excede o limite de ${areaMaxima} m².`,
+      });
+    }
+
+    const resultado = await zoneamentoPorArea(geometria, { cidade, data });
+    anotarConsulta({
+      cidade: resultado.cidade ? resultado.cidade.id : undefined,
+      codZoneamento: resultado.zonas.length ? resultado.zonas[0].codigo : undefined,
+    });
+
+    res.json({
+      success: true,
+      ...areaParaResposta(resultado),
+    });
+  } catch (error) {
+    console.error('Erro em /zoneamento-area:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar zoneamento da área.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// 📮 Rotas de consulta por CEP
+const express = require('express');
+const { consultarEndereco, detalhesParaResposta } = require('../lib/consulta');
+const {
+  normalizarCep,
+  formatarCep,
+  buscarCep,
+  montarEnderecoDoCep,
+  zonasCandidatasDoCep,
+} = require('../lib/cep');
+const { dataDaRequisicao } = require('../lib/cidades');
+const { auditarConsultas } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+// Rota GET para /cep/:cep (apenas resolve o CEP para o logradouro)
+router.get('/cep/:cep', exigirChave('publico'), auditarConsultas, async (req, res) => {
+  const cep = normalizarCep(req.params.cep);
+
+  if (!cep) {
+    return res.status(400).json({
+      success: false,
+      error: 'CEP inválido. Use 8 dígitos, com ou sem hífen.',
+    });
+  }
+
+  try {
+    const registro = await buscarCep(cep);
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        error: `CEP ${formatarCep(cep)} não encontrado na base local.`,
+      });
+    }
+
+    res.json({
+      success: true,
+      ...registro,
+      cep: formatarCep(registro.cep),
+    });
+  } catch (error) {
+    console.error('Erro em GET /cep/:cep:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar o CEP.',
+      details: error.message,
+    });
+  }
+});
+
+// Consulta zoneamento a partir de CEP + número (body no POST, query no GET)
+async function zoneamentoPorCep(req, res) {
+  const entrada = { ...req.query, ...req.body };
+  const cep = normalizarCep(entrada.cep);
+  const numero = entrada.numero ? String(entrada.numero).trim() : '';
+
+  if (!cep) {
+    return res.status(400).json({
+      success: false,
+      error: 'O campo "cep" é obrigatório e deve ter 8 dígitos.',
+    });
+  }
+
+  const { data, erro } = dataDaRequisicao(entrada.data_referencia);
+  if (erro) {
+    return res.status(400).json({
+      success: false,
+      error: erro,
+    });
+  }
+
+  try {
+    // 1) Resolve o CEP para o logradouro
+    const registro = await buscarCep(cep);
+    if (!registro) {
+      return res.status(404).json({
+        success: false,
+        error: `CEP ${formatarCep(cep)} não encontrado na base local.`,
+      });
+    }
+
+    // 2) Geocodifica logradouro + número e consulta o zoneamento do ponto
+    const enderecoCep = montarEnderecoDoCep(registro, numero);
+    const consulta = await consultarEndereco(enderecoCep, { data });
+    const { enderecoFormatado, lat, lng } = consulta;
+    const resultadoZoneamento = consulta.zoneamento;
+
+    // 3) Zonas que o CEP pode abranger
+    const candidatas = await zonasCandidatasDoCep(cep, lat, lng, resultadoZoneamento.versao);
+
+    res.json({
+      success: true,
+      cep: formatarCep(cep),
+      numero: numero || null,
+      endereco_cep: enderecoCep,
+      endereco_formatado: enderecoFormatado,
+      lat,
+      lng,
+      ...detalhesParaResposta(consulta),
+      cod_zoneamento: resultadoZoneamento.codigo,
+      txt_zoneamento: resultadoZoneamento.texto,
+      multiplas_zonas: candidatas.zonas.length > 1,
+      criterio_zonas_candidatas: candidatas.criterio,
+      zonas_candidatas: candidatas.zonas,
+    });
+  } catch (error) {
+    console.error('Erro em /zoneamento-cep:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao processar o CEP.',
+      details: error.message,
+    });
+  }
+}
+
+router.post('/zoneamento-cep', exigirChave('publico'), auditarConsultas, zoneamentoPorCep);
+router.get('/zoneamento-cep', exigirChave('publico'), auditarConsultas, zoneamentoPorCep);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// 🔑 Gestão das chaves de API (montadas em /admin/chaves, atrás da verificação das
+// rotas administrativas)
+const express = require('express');
+const {
+  validarNovaChave,
+  criarChave,
+  listarChaves,
+  revogarChave,
+  usoDaChave,
+} = require('../lib/chavesApi');
+
+const router = express.Router();
+
+function idDaRota(valor) {
+  const id = Number(valor);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Lista as chaves (sem o texto delas), com as requisições do mês
+router.get('/', async (req, res) => {
+  try {
+    const chaves = await listarChaves();
+    res.json({
+      success: true,
+      total: chaves.length,
+      chaves,
+    });
+  } catch (error) {
+    console.error('Erro em GET /admin/chaves:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar as chaves de API.',
+      details: error.message,
+    });
+  }
+});
+
+// Cria uma chave. Body: { "nome": "WATI produção", "escopos": ["wati"],
+// "limite_por_minuto": 120, "cota_mensal": 20000 }. O texto da chave só aparece aqui.
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const { dados, erro } = validarNovaChave({
+    nome: body.nome,
+    escopos: body.escopos,
+    limitePorMinuto: body.limite_por_minuto,
+    cotaMensal: body.cota_mensal,
+  });
+  if (erro) {
+    return res.status(400).json({
+      success: false,
+      error: erro,
+    });
+  }
+
+  try {
+    const chave = await criarChave(dados);
+    res.status(201).json({
+      success: true,
+      aviso: 'Guarde a chave agora: ela não pode ser consultada depois.',
+      ...chave,
+    });
+  } catch (error) {
+    console.error('Erro em POST /admin/chaves:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao criar a chave de API.',
+      details: error.message,
+    });
+  }
+});
+
+// Requisições por mês de uma chave
+router.get('/:id/uso', async (req, res) => {
+  const id = idDaRota(req.params.id);
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      error: 'Id de chave inválido.',
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      id,
+      meses: await usoDaChave(id),
+    });
+  } catch (error) {
+    console.error('Erro em GET /admin/chaves/:id/uso:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar o uso da chave de API.',
+      details: error.message,
+    });
+  }
+});
+
+// Revoga uma chave (o histórico de uso é mantido)
+router.delete('/:id', async (req, res) => {
+  const id = idDaRota(req.params.id);
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      error: 'Id de chave inválido.',
+    });
+  }
+
+  try {
+    if (!(await revogarChave(id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chave não encontrada ou já revogada.',
+      });
+    }
+    res.json({
+      success: true,
+      id,
+      revogada: true,
+    });
+  } catch (error) {
+    console.error('Erro em DELETE /admin/chaves/:id:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao revogar a chave de API.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// 🤖 Webhook de mensagens recebidas do WATI (conversa de consulta por WhatsApp)
+//
+// Configure no WATI o webhook "Message Received" apontando para
+// POST /webhook/wati-mensagens?api_key=<chave com escopo wati> (o WATI não envia
+// headers próprios nesse webhook). A resposta ao WATI é imediata; as mensagens ao
+// contato saem depois, pelo sendSessionMessage.
+const express = require('express');
+const LRUCache = require('../lib/lru');
+const { tratarMensagem } = require('../lib/conversa');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+// O WATI reenvia o webhook quando demora a receber resposta; ids já vistos são ignorados
+const TTL_MENSAGENS_VISTAS_MS = 10 * 60 * 1000;
+const mensagensVistas = new LRUCache(5000);
+
+// Texto da mensagem, inclusive respostas de botões e listas interativas
+function textoDaMensagem(evento) {
+  if (evento.buttonReply && evento.buttonReply.text) {
+    return evento.buttonReply.text;
+  }
+  if (evento.listReply && evento.listReply.title) {
+    return evento.listReply.title;
+  }
+  return typeof evento.text === 'string' ? evento.text : '';
+}
+
+// Motivo para ignorar o evento, ou null quando ele deve ser tratado
+function motivoParaIgnorar(evento) {
+  if (evento.eventType && evento.eventType !== 'message') {
+    return 'evento sem mensagem';
+  }
+  if (evento.owner === true) {
+    return 'mensagem enviada pelo próprio WATI';
+  }
+  if (!evento.waId) {
+    return 'mensagem sem waId';
+  }
+  if (!textoDaMensagem(evento).trim()) {
+    return 'mensagem sem texto';
+  }
+  const id = evento.whatsappMessageId || evento.id;
+  if (id && mensagensVistas.get(id)) {
+    return 'mensagem repetida';
+  }
+  return null;
+}
+
+router.post('/webhook/wati-mensagens', exigirChave('wati'), (req, res) => {
+  const evento = req.body || {};
+  const motivo = motivoParaIgnorar(evento);
+  if (motivo) {
+    return res.json({ success: true, ignorada: motivo });
+  }
+
+  const id = evento.whatsappMessageId || evento.id;
+  if (id) {
+    mensagensVistas.set(id, true, TTL_MENSAGENS_VISTAS_MS);
+  }
+
+  tratarMensagem({
+    numero: String(evento.waId),
+    nome: evento.senderName || null,
+    texto: textoDaMensagem(evento),
+  });
+  res.json({ success: true, recebida: true });
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// 📊 Estatísticas de uso a partir da auditoria das consultas (montadas em
+// /admin/estatisticas, atrás da mesma verificação das rotas administrativas)
+//
+// Todas aceitam ?desde=AAAA-MM-DD&ate=AAAA-MM-DD (padrão: os últimos 30 dias, no
+// fuso de Brasília) e ?rota=... (ex.: "POST /zoneamento-wati", "WHATSAPP conversa").
+const express = require('express');
+const {
+  periodo,
+  resumoConsultas,
+  consultasPorDia,
+  zonasMaisConsultadas,
+  estatisticasGeocodificacao,
+  enderecosComFalha,
+} = require('../lib/auditoria');
+
+const router = express.Router();
+
+const DATA_ISO = /^\d{4}-\d{2}-\d{2}$/;
+const LIMITE_MAXIMO = 200;
+
+// { filtros } ou { erro } a partir da query string
+function filtrosDaRequisicao(query) {
+  for (const campo of ['desde', 'ate']) {
+    const valor = query[campo];
+    if (valor !== undefined && (!DATA_ISO.test(valor) || Number.isNaN(Date.parse(valor)))) {
+      return { erro: `O parâmetro "${campo}" deve estar no formato AAAA-MM-DD.` };
+    }
+  }
+
+  const { desde, ate } = periodo({ desde: query.desde, ate: query.ate });
+  if (desde > ate) {
+    return { erro: 'O parâmetro "desde" deve ser anterior ou igual a "ate".' };
+  }
+  return { filtros: { desde, ate, rota: query.rota ? String(query.rota) : null } };
+}
+
+function limiteDaRequisicao(valor, padrao) {
+  const limite = Number.parseInt(valor, 10);
+  return Number.isInteger(limite) && limite > 0 ? Math.min(limite, LIMITE_MAXIMO) : padrao;
+}
+
+// Rota GET com filtros validados; consulta(filtros, req) monta o restante da resposta
+function estatistica(caminho, descricao, consulta) {
+  router.get(caminho, async (req, res) => {
+    const { filtros, erro } = filtrosDaRequisicao(req.query);
+    if (erro) {
+      return res.status(400).json({
+        success: false,
+        error: erro,
+      });
+    }
+
+    try {
+      res.json({
+        success: true,
+        periodo: { desde: filtros.desde, ate: filtros.ate },
+        rota: filtros.rota,
+        ...(await consulta(filtros, req)),
+      });
+    } catch (error) {
+      console.error(`Erro em GET /admin/estatisticas${caminho}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Erro ao consultar ${descricao}.`,
+        details: error.message,
+      });
+    }
+  });
+}
+
+// Totais, taxa de erro e latência (média, p50, p95), no geral e por rota
+estatistica('/resumo', 'o resumo das consultas', (filtros) => resumoConsultas(filtros));
+
+// Consultas, erros e falhas de geocodificação por dia
+estatistica('/consultas-por-dia', 'as consultas por dia', async (filtros) => ({
+  dias: await consultasPorDia(filtros),
+}));
+
+// Zonas mais consultadas (?limite=20)
+estatistica('/zonas', 'as zonas mais consultadas', async (filtros, req) => ({
+  zonas: await zonasMaisConsultadas(filtros, limiteDaRequisicao(req.query.limite, 20)),
+}));
+
+// Taxa de falha da geocodificação, por provedor e por nível de precisão
+estatistica('/geocodificacao', 'as estatísticas de geocodificação', (filtros) =>
+  estatisticasGeocodificacao(filtros)
+);
+
+// Endereços que mais falharam na geocodificação (?limite=50)
+estatistica('/enderecos-com-falha', 'os endereços com falha', async (filtros, req) => ({
+  enderecos: await enderecosComFalha(filtros, limiteDaRequisicao(req.query.limite, 50)),
+}));
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// 🕰️ Rota de histórico do zoneamento de um ponto/endereço entre as versões da lei
+const express = require('express');
+const { geocodeEndereco } = require('../lib/geocoder');
+const {
+  historicoZoneamento,
+  historicoParaResposta,
+  mensagemNaoCoberto,
+} = require('../lib/zoneamento');
+const { cidadeDaRequisicao, cidadeParaResposta, lerCoordenada } = require('../lib/cidades');
+const { auditarConsultas } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+async function historico(req, res) {
+  const entrada = { ...req.query, ...req.body };
+  const lat = lerCoordenada(entrada.lat);
+  const lng = lerCoordenada(entrada.lng);
+  const endereco = entrada.endereco || entrada.endereco_imovel;
+  const porEndereco = lat === null || lng === null;
+
+  if (porEndereco && !endereco) {
+    return res.status(400).json({
+      success: false,
+      error: 'Informe "lat" e "lng" ou "endereco".',
+    });
+  }
+
+  const { cidade, erro } = cidadeDaRequisicao(entrada.cidade);
+  if (erro) {
+    return res.status(400).json({
+      success: false,
+      error: erro,
+    });
+  }
+
+  try {
+    // 1) Ponto informado ou geocodificado (no endereço, "cidade" só orienta a
+    // geocodificação; a cidade do zoneamento é a do ponto encontrado)
+    const ponto = porEndereco
+      ? await geocodeEndereco(endereco, { cidade })
+      : { lat, lng, enderecoFormatado: null };
+    const cidadeDoPonto = porEndereco ? null : cidade;
+
+    // 2) Zona do ponto em cada versão do zoneamento da cidade
+    const resultado = await historicoZoneamento(ponto.lat, ponto.lng, { cidade: cidadeDoPonto });
+    const versoes = historicoParaResposta(resultado);
+    const vigente = versoes.find((v) => v.vigente);
+
+    res.json({
+      success: true,
+      endereco_formatado: ponto.enderecoFormatado || null,
+      lat: ponto.lat,
+      lng: ponto.lng,
+      cidade: cidadeParaResposta(resultado.cidade),
+      coberto: resultado.cidade !== null,
+      mensagem: resultado.cidade ? null : mensagemNaoCoberto(cidadeDoPonto),
+      mudou: versoes.some((v) => v.mudou),
+      cod_zoneamento_atual: vigente ? vigente.cod_zoneamento : null,
+      versoes,
+    });
+  } catch (error) {
+    console.error('Erro em /zoneamento-historico:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar o histórico do zoneamento.',
+      details: error.message,
+    });
+  }
+}
+
+router.post('/zoneamento-historico', exigirChave('publico'), auditarConsultas, historico);
+router.get('/zoneamento-historico', exigirChave('publico'), auditarConsultas, historico);
+
+module.exports = router;
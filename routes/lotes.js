@@ -0,0 +1,98 @@
+// 🧾 Rotas de consulta por SQL (setor-quadra-lote do IPTU)
+const express = require('express');
+const { normalizarSql, buscarLote, enderecoDoLote } = require('../lib/lotes');
+const { zoneamentoPorArea, areaParaResposta } = require('../lib/zoneamento');
+const { buscarParametros, parametrosParaResposta } = require('../lib/parametros');
+const { temParametros } = require('../lib/consulta');
+const { dataDaRequisicao } = require('../lib/cidades');
+const { auditarConsultas, anotarConsulta } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+// Lote + decomposição do zoneamento (sql vem do path, da query ou do body)
+async function zoneamentoPorSql(req, res) {
+  const entrada = { ...req.query, ...req.body, ...req.params };
+  const sql = normalizarSql(entrada.sql);
+
+  if (!sql) {
+    return res.status(400).json({
+      success: false,
+      error: 'SQL inválido. Use setor.quadra.lote com ou sem dígito (ex.: 008.045.0123-9).',
+    });
+  }
+
+  const { data, erro } = dataDaRequisicao(entrada.data_referencia);
+  if (erro) {
+    return res.status(400).json({
+      success: false,
+      error: erro,
+    });
+  }
+
+  try {
+    // 1) Lote fiscal
+    const lote = await buscarLote(sql.codigo);
+    if (!lote) {
+      return res.status(404).json({
+        success: false,
+        error: `SQL ${sql.formatado} não encontrado na base de lotes.`,
+      });
+    }
+
+    // 2) Zonas que o lote intercepta
+    const resultado = await zoneamentoPorArea(lote.geometria, { data });
+    const predominante = resultado.zonas.length ? resultado.zonas[0].codigo : null;
+    anotarConsulta({
+      cidade: resultado.cidade ? resultado.cidade.id : undefined,
+      codZoneamento: predominante || undefined,
+    });
+    const parametros = temParametros(resultado) ? await buscarParametros(predominante) : null;
+
+    const digitoValido =
+      sql.digitoInformado === null ? null : sql.digitoInformado === sql.digitoCalculado;
+
+    res.json({
+      success: true,
+      sql: sql.formatado,
+      digito_verificador_valido: digitoValido,
+      aviso:
+        digitoValido === false
+          ? `O dígito informado (${sql.digitoInformado}) não confere; o correto é ${sql.digitoCalculado}.`
+          : null,
+      endereco: enderecoDoLote(lote),
+      logradouro: lote.logradouro,
+      numero: lote.numero,
+      complemento: lote.complemento,
+      bairro: lote.bairro,
+      cep: lote.cep,
+      lat: lote.lat,
+      lng: lote.lng,
+      ...areaParaResposta(resultado),
+      parametros_urbanisticos: parametrosParaResposta(parametros),
+      geometria: lote.geometria,
+    });
+  } catch (error) {
+    // 42P01 = tabela lotes_fiscais ainda não criada/importada (o zoneamento ausente
+    // é tratado em zoneamentoPorArea)
+    if (error.code === '42P01') {
+      return res.status(503).json({
+        success: false,
+        error: 'Base de lotes fiscais não importada (sql/lotes_fiscais.sql e npm run importar:lotes).',
+        details: error.message,
+      });
+    }
+    console.error('Erro em /zoneamento-sql:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar o lote.',
+      details: error.message,
+    });
+  }
+}
+
+router.get('/lote/:sql', exigirChave('publico'), auditarConsultas, zoneamentoPorSql);
+router.post('/zoneamento-sql', exigirChave('publico'), auditarConsultas, zoneamentoPorSql);
+router.get('/zoneamento-sql', exigirChave('publico'), auditarConsultas, zoneamentoPorSql);
+
+module.exports = router;
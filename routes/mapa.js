@@ -0,0 +1,84 @@
+// 🗺️ Rotas do mapa de zoneamento: vector tiles (MVT) e GeoJSON por caixa
+const express = require('express');
+const {
+  TIPO_MVT,
+  ZOOM_MAXIMO,
+  tileDaRequisicao,
+  tileZoneamento,
+  caixaDaRequisicao,
+  zonasNaCaixa,
+} = require('../lib/mapa');
+const { cidadeDaRequisicao, dataDaRequisicao } = require('../lib/cidades');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+// Tiles da versão vigente podem ficar no cache do navegador (private: as rotas
+// exigem chave, então um CDN não pode servi-los a outros clientes); com
+// data_referencia, a versão não muda e o cache pode ser mais longo
+const MAX_AGE_S = 60 * 60;
+const MAX_AGE_DATA_S = 24 * 60 * 60;
+
+// Tile XYZ (Web Mercator) com a camada "zoneamento": zl_zona, zl_txt_zon, cor e
+// cidade. ?data_referencia=AAAA-MM-DD usa a versão vigente na data. Tiles sem
+// zonas (ou abaixo de MAPA_ZOOM_MINIMO) respondem 204.
+router.get('/tiles/:z/:x/:y.mvt', exigirChave('publico'), async (req, res) => {
+  const { z, x, y, erro } = tileDaRequisicao(req.params);
+  const { data, erro: erroData } = dataDaRequisicao(req.query.data_referencia);
+  if (erro || erroData) {
+    return res.status(400).json({
+      success: false,
+      error: erro || erroData,
+    });
+  }
+
+  try {
+    const tile = await tileZoneamento(z, x, y, { data });
+    res.set('Cache-Control', `private, max-age=${data ? MAX_AGE_DATA_S : MAX_AGE_S}`);
+    if (tile.length === 0) {
+      return res.status(204).end();
+    }
+    res.type(TIPO_MVT).send(tile);
+  } catch (error) {
+    console.error('Erro em GET /tiles/:z/:x/:y.mvt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao gerar o tile de zoneamento.',
+      details: error.message,
+    });
+  }
+});
+
+// Zonas que cruzam a caixa, em GeoJSON (WGS84), simplificadas para o zoom.
+// ?bbox=oeste,sul,leste,norte&zoom=16[&cidade=campinas][&data_referencia=AAAA-MM-DD]
+router.get('/zonas.geojson', exigirChave('publico'), async (req, res) => {
+  const { caixa, erro } = caixaDaRequisicao(req.query.bbox);
+  const zoom = req.query.zoom === undefined ? 16 : Number(req.query.zoom);
+  const { cidade, erro: erroCidade } = cidadeDaRequisicao(req.query.cidade);
+  const { data, erro: erroData } = dataDaRequisicao(req.query.data_referencia);
+  const erroZoom =
+    Number.isInteger(zoom) && zoom >= 0 && zoom <= ZOOM_MAXIMO
+      ? null
+      : `zoom deve ser inteiro entre 0 e ${ZOOM_MAXIMO}.`;
+  if (erro || erroZoom || erroCidade || erroData) {
+    return res.status(400).json({
+      success: false,
+      error: erro || erroZoom || erroCidade || erroData,
+    });
+  }
+
+  try {
+    const colecao = await zonasNaCaixa(caixa, zoom, { cidade, data });
+    res.set('Cache-Control', `private, max-age=${data ? MAX_AGE_DATA_S : MAX_AGE_S}`);
+    res.type('application/geo+json').send(JSON.stringify(colecao));
+  } catch (error) {
+    console.error('Erro em GET /zonas.geojson:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao consultar as zonas da caixa.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// 📦 Rotas de consulta em massa (planilha CSV/XLSX ou lista JSON) com acompanhamento
+const express = require('express');
+const multer = require('multer');
+const { gerarCsv } = require('../lib/csv');
+const {
+  COLUNAS_RESULTADO,
+  itensDoArquivo,
+  itensDoJson,
+  criarTarefa,
+  buscarTarefa,
+  resultadosDaTarefa,
+  tarefaParaResposta,
+} = require('../lib/massa');
+const { cidadeDaRequisicao, dataDaRequisicao } = require('../lib/cidades');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+const TAMANHO_MAXIMO_ARQUIVO = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TAMANHO_MAXIMO_ARQUIVO, files: 1 },
+});
+
+// Campo "arquivo" do multipart; requisições JSON passam direto
+function receberArquivo(req, res, next) {
+  upload.single('arquivo')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error:
+          error.code === 'LIMIT_FILE_SIZE'
+            ? 'Arquivo maior que 5 MB.'
+            : 'Não foi possível ler o arquivo enviado (use o campo "arquivo").',
+        details: error.message,
+      });
+    }
+    next();
+  });
+}
+
+function linksDaTarefa(tarefa) {
+  const base = `/zoneamento-massa/${tarefa.id}`;
+  return {
+    status: base,
+    resultado_csv: `${base}/resultado?formato=csv`,
+    resultado_json: `${base}/resultado?formato=json`,
+  };
+}
+
+// Envia a planilha (multipart, campo "arquivo") ou um JSON com "itens": lista de
+// endereços ou de objetos { id, endereco, cidade, lat, lng }.
+// cidade e data_referencia (opcionais) valem para todas as linhas.
+router.post('/zoneamento-massa', exigirChave('publico'), receberArquivo, (req, res) => {
+  const body = req.body || {};
+  const lista = Array.isArray(body) ? body : body.itens || body.enderecos;
+
+  if (!req.file && !Array.isArray(lista)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Envie um arquivo CSV/XLSX no campo "arquivo" ou uma lista em "itens".',
+    });
+  }
+
+  const { cidade, erro } = cidadeDaRequisicao(Array.isArray(body) ? null : body.cidade);
+  const { data, erro: erroData } = dataDaRequisicao(
+    Array.isArray(body) ? null : body.data_referencia
+  );
+  if (erro || erroData) {
+    return res.status(400).json({
+      success: false,
+      error: erro || erroData,
+    });
+  }
+
+  let itens;
+  try {
+    itens = req.file
+      ? itensDoArquivo({
+          buffer: req.file.buffer,
+          nome: req.file.originalname,
+          tipo: req.file.mimetype,
+        })
+      : itensDoJson(lista);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Não foi possível ler a planilha.',
+      details: error.message,
+    });
+  }
+
+  try {
+    const tarefa = criarTarefa(itens, {
+      cidade,
+      data,
+      chaveId: req.chaveApi ? req.chaveApi.id : null,
+    });
+    res.status(202).json({
+      success: true,
+      tarefa: tarefaParaResposta(tarefa),
+      links: linksDaTarefa(tarefa),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Status e progresso da tarefa
+router.get('/zoneamento-massa/:id', exigirChave('publico'), (req, res) => {
+  const tarefa = buscarTarefa(req.params.id, req.chaveApi);
+  if (!tarefa) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tarefa não encontrada (ou já expirada).',
+    });
+  }
+
+  res.json({
+    success: true,
+    tarefa: tarefaParaResposta(tarefa),
+    links: linksDaTarefa(tarefa),
+  });
+});
+
+// Resultado linha a linha (?formato=csv|json; padrão json), com o erro de cada linha
+router.get('/zoneamento-massa/:id/resultado', exigirChave('publico'), (req, res) => {
+  const tarefa = buscarTarefa(req.params.id, req.chaveApi);
+  if (!tarefa) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tarefa não encontrada (ou já expirada).',
+    });
+  }
+
+  if (tarefa.status !== 'concluida') {
+    return res.status(409).json({
+      success: false,
+      error: 'A tarefa ainda está em processamento.',
+      tarefa: tarefaParaResposta(tarefa),
+    });
+  }
+
+  const formato = req.query.formato || 'json';
+  const resultados = resultadosDaTarefa(tarefa);
+
+  if (formato === 'csv') {
+    // ";" e BOM para o Excel em pt-BR abrir com as colunas e os acentos certos
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="zoneamento-${tarefa.id}.csv"`);
+    return res.send('\uFEFF' + gerarCsv(resultados, COLUNAS_RESULTADO, ';'));
+  }
+
+  if (formato !== 'json') {
+    return res.status(400).json({
+      success: false,
+      error: 'formato deve ser "csv" ou "json".',
+    });
+  }
+
+  res.json({
+    success: true,
+    tarefa: tarefaParaResposta(tarefa),
+    resultados,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// 📝 Rotas dos modelos de mensagem do WhatsApp: lista e pré-visualização
+const express = require('express');
+const { consultarEndereco } = require('../lib/consulta');
+const {
+  carregarModelosMensagem,
+  compilarModelo,
+  renderizarModelo,
+  modeloDaRequisicao,
+  camposDaConsulta,
+  consultaDeExemplo,
+} = require('../lib/modelosMensagem');
+const { cidadeDaRequisicao, dataDaRequisicao } = require('../lib/cidades');
+const { auditarConsultas } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+// Modelos registrados, com os campos que cada um usa
+router.get('/modelos-mensagem', exigirChave('wati'), (req, res) => {
+  const { modelos } = carregarModelosMensagem();
+  res.json({
+    success: true,
+    modelos: [...modelos.values()].map((m) => ({
+      id: m.id,
+      descricao: m.descricao,
+      campos: [...m.campos],
+      texto: m.texto,
+    })),
+    campos_disponiveis: Object.keys(camposDaConsulta('', consultaDeExemplo())),
+  });
+});
+
+// Mensagem de um modelo ("modelo": id registrado, ou "texto": modelo inline) para um
+// endereço de verdade ("endereco") ou para a consulta de exemplo, com os valores de
+// "campos" por cima (ex.: { "zona_encontrada": false } para ver o caso sem zona)
+router.post('/modelos-mensagem/previa', exigirChave('wati'), auditarConsultas, async (req, res) => {
+  const { texto, endereco, campos: sobrescritos } = req.body;
+
+  const { modelo: registrado, erro: erroModelo } = modeloDaRequisicao(req.body.modelo);
+  let modelo = registrado;
+  let erro = erroModelo;
+  if (!erro && typeof texto === 'string' && texto.trim() !== '') {
+    try {
+      modelo = compilarModelo(texto);
+    } catch (error) {
+      erro = `Modelo inválido: ${error.message}`;
+    }
+  }
+  if (!erro && !modelo) {
+    erro = 'Informe "modelo" (id de um modelo registrado) ou "texto" (modelo inline).';
+  }
+  if (!erro && sobrescritos !== undefined && (sobrescritos === null || typeof sobrescritos !== 'object')) {
+    erro = '"campos" deve ser um objeto { campo: valor }.';
+  }
+
+  const { cidade, erro: erroCidade } = cidadeDaRequisicao(req.body.cidade);
+  const { data, erro: erroData } = dataDaRequisicao(req.body.data_referencia);
+  if (erro || erroCidade || erroData) {
+    return res.status(400).json({
+      success: false,
+      error: erro || erroCidade || erroData,
+    });
+  }
+
+  try {
+    const consulta = endereco
+      ? await consultarEndereco(String(endereco), { cidade, data })
+      : consultaDeExemplo();
+    const campos = {
+      ...camposDaConsulta(endereco ? String(endereco) : '', consulta),
+      ...(sobrescritos || {}),
+    };
+
+    res.json({
+      success: true,
+      modelo: registrado ? registrado.id : null,
+      exemplo: !endereco,
+      mensagem: renderizarModelo(modelo, campos),
+      campos,
+    });
+  } catch (error) {
+    console.error('Erro em /modelos-mensagem/previa:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao pré-visualizar a mensagem.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// 📄 Rotas do relatório "Consulta de Zoneamento" em PDF e dos links curtos
+const express = require('express');
+const { consultarPonto, consultarEndereco } = require('../lib/consulta');
+const {
+  dadosDoRelatorio,
+  gerarPdfRelatorio,
+  salvarRelatorio,
+  buscarRelatorio,
+} = require('../lib/relatorio');
+const { cidadeDaRequisicao, dataDaRequisicao, lerCoordenada } = require('../lib/cidades');
+const { auditarConsultas } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+function enviarPdf(res, pdf, codigo) {
+  res.set('Content-Disposition', `inline; filename="zoneamento-${codigo || 'consulta'}.pdf"`);
+  res.type('application/pdf').send(pdf);
+}
+
+// PDF da consulta (lat/lng ou endereco). Com link=true, grava o relatório e
+// responde o link curto em vez do PDF.
+async function relatorio(req, res) {
+  const entrada = { ...req.query, ...req.body };
+  const lat = lerCoordenada(entrada.lat);
+  const lng = lerCoordenada(entrada.lng);
+  const endereco = entrada.endereco || entrada.endereco_imovel;
+  const porEndereco = lat === null || lng === null;
+  const comLink = entrada.link === true || entrada.link === 'true';
+
+  if (porEndereco && !endereco) {
+    return res.status(400).json({
+      success: false,
+      error: 'Informe "lat" e "lng" ou "endereco".',
+    });
+  }
+
+  const { cidade, erro } = cidadeDaRequisicao(entrada.cidade);
+  const { data, erro: erroData } = dataDaRequisicao(entrada.data_referencia);
+  if (erro || erroData) {
+    return res.status(400).json({
+      success: false,
+      error: erro || erroData,
+    });
+  }
+
+  if (comLink && !process.env.DATABASE_URL) {
+    return res.status(503).json({
+      success: false,
+      error: 'Links de relatório indisponíveis: configure DATABASE_URL.',
+    });
+  }
+
+  try {
+    const dados = porEndereco
+      ? dadosDoRelatorio(await consultarEndereco(endereco, { cidade, data }), endereco)
+      : dadosDoRelatorio({ ...(await consultarPonto(lat, lng, { cidade, data })), lat, lng });
+
+    if (comLink) {
+      const { codigo, url, expiraEm } = await salvarRelatorio(dados, {
+        origem: `${req.method} /relatorio`,
+        req,
+      });
+      return res.status(201).json({
+        success: true,
+        codigo,
+        url,
+        expira_em: expiraEm,
+      });
+    }
+
+    enviarPdf(res, await gerarPdfRelatorio(dados), null);
+  } catch (error) {
+    console.error('Erro em /relatorio:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao gerar o relatório de zoneamento.',
+      details: error.message,
+    });
+  }
+}
+
+router.post('/relatorio', exigirChave('publico'), auditarConsultas, relatorio);
+router.get('/relatorio', exigirChave('publico'), auditarConsultas, relatorio);
+
+// Link curto: público (vai no WhatsApp), vale por RELATORIOS_RETENCAO_DIAS
+router.get('/r/:codigo', async (req, res) => {
+  const { codigo } = req.params;
+  if (!/^[A-Za-z0-9_-]{1,16}$/.test(codigo) || !process.env.DATABASE_URL) {
+    return res.status(404).json({
+      success: false,
+      error: 'Relatório não encontrado.',
+    });
+  }
+
+  try {
+    const dados = await buscarRelatorio(codigo);
+    if (!dados) {
+      return res.status(404).json({
+        success: false,
+        error: 'Relatório não encontrado ou expirado.',
+      });
+    }
+    enviarPdf(res, await gerarPdfRelatorio(dados, { codigo }), codigo);
+  } catch (error) {
+    console.error('Erro em GET /r/:codigo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao gerar o relatório de zoneamento.',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
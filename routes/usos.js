@@ -0,0 +1,171 @@
+// 🏪 Rota de verificação de uso permitido (categoria de uso ou CNAE) em um ponto/endereço
+const express = require('express');
+const { consultarEndereco, temParametros } = require('../lib/consulta');
+const { consultarZoneamento } = require('../lib/zoneamento');
+const {
+  categoriaValida,
+  normalizarCnae,
+  categoriaDoCnae,
+  atividadesDoPrefixo,
+  verificarUso,
+} = require('../lib/usos');
+const {
+  cidadeDaRequisicao,
+  dataDaRequisicao,
+  lerCoordenada,
+  cidadeParaResposta,
+  versaoParaResposta,
+} = require('../lib/cidades');
+const { auditarConsultas } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+async function usoPermitido(req, res) {
+  const entrada = { ...req.query, ...req.body };
+  const lat = lerCoordenada(entrada.lat);
+  const lng = lerCoordenada(entrada.lng);
+  const endereco = entrada.endereco || entrada.endereco_imovel;
+  const categoriaInformada = entrada.uso || entrada.categoria;
+  const cnae = entrada.cnae ? normalizarCnae(entrada.cnae) : null;
+
+  if ((lat === null || lng === null) && !endereco) {
+    return res.status(400).json({
+      success: false,
+      error: 'Informe "lat" e "lng" ou "endereco".',
+    });
+  }
+
+  if (!categoriaInformada && !cnae) {
+    return res.status(400).json({
+      success: false,
+      error: 'Informe a categoria de uso em "uso" (ex.: nR1, R2v) ou um "cnae" válido.',
+    });
+  }
+
+  if (categoriaInformada && !categoriaValida(categoriaInformada)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Categoria de uso inválida em "uso": use letras, números e hífen (ex.: nR1, R2v, nR1-2).',
+    });
+  }
+
+  const { cidade, erro } = cidadeDaRequisicao(entrada.cidade);
+  const { data, erro: erroData } = dataDaRequisicao(entrada.data_referencia);
+  if (erro || erroData) {
+    return res.status(400).json({
+      success: false,
+      error: erro || erroData,
+    });
+  }
+
+  try {
+    // 1) Categoria de uso (direta ou a partir do CNAE)
+    let categoria = categoriaInformada;
+    let atividade = null;
+    if (!categoria) {
+      atividade = await categoriaDoCnae(cnae);
+      if (!atividade) {
+        // CNAE incompleto: só vale se corresponder a uma única atividade
+        const atividades = await atividadesDoPrefixo(cnae);
+        if (atividades.length > 1) {
+          return res.status(400).json({
+            success: false,
+            error: `CNAE ${entrada.cnae} incompleto: corresponde a mais de uma atividade. Informe a subclasse (7 dígitos).`,
+            categorias: [...new Set(atividades.map((a) => a.categoria))],
+            atividades: atividades.map((a) => ({
+              cnae: a.cnae,
+              descricao: a.descricao,
+              categoria: a.categoria,
+            })),
+          });
+        }
+        atividade = atividades[0] || null;
+      }
+      if (!atividade) {
+        return res.status(422).json({
+          success: false,
+          error: `CNAE ${entrada.cnae} não encontrado na tabela de atividades.`,
+        });
+      }
+      categoria = atividade.categoria;
+    }
+
+    // 2) Zona do ponto ou do endereço
+    let localizacao;
+    if (lat !== null && lng !== null) {
+      localizacao = { lat, lng, zoneamento: await consultarZoneamento(lat, lng, { cidade, data }) };
+    } else {
+      const consulta = await consultarEndereco(endereco, { cidade, data });
+      localizacao = {
+        enderecoFormatado: consulta.enderecoFormatado,
+        lat: consulta.lat,
+        lng: consulta.lng,
+        zoneamento: consulta.zoneamento,
+      };
+    }
+
+    // 3) Consulta a matriz de usos (carregada só para a versão vigente do zoneamento
+    // das cidades marcadas no registro)
+    const zona = localizacao.zoneamento.codigo;
+    const cidadeDoPonto = localizacao.zoneamento.cidade;
+    const temMatriz = temParametros(localizacao.zoneamento);
+    const verificacao = zona && temMatriz ? await verificarUso(zona, categoria) : null;
+
+    let motivo = null;
+    if (!zona) {
+      motivo = localizacao.zoneamento.texto;
+    } else if (!temMatriz) {
+      motivo = `A matriz de usos de ${cidadeDoPonto.nome} não está carregada para essa versão do zoneamento.`;
+    } else if (!verificacao) {
+      motivo = `A categoria "${categoria}" não consta na matriz de usos da zona ${zona}.`;
+    }
+
+    const situacao = verificacao ? verificacao.situacao : 'indeterminado';
+
+    res.json({
+      success: true,
+      endereco_formatado: localizacao.enderecoFormatado || null,
+      lat: localizacao.lat,
+      lng: localizacao.lng,
+      cidade: cidadeParaResposta(cidadeDoPonto),
+      coberto: localizacao.zoneamento.coberto,
+      versao_zoneamento: versaoParaResposta(localizacao.zoneamento.versao),
+      cod_zoneamento: zona,
+      txt_zoneamento: localizacao.zoneamento.texto,
+      uso: {
+        categoria: verificacao ? verificacao.categoria : categoria,
+        descricao: verificacao ? verificacao.descricao : null,
+        cnae: atividade ? atividade.cnae : null,
+        atividade: atividade ? atividade.descricao : null,
+      },
+      situacao,
+      permitido: situacao === 'permitido' ? true : situacao === 'nao_permitido' ? false : null,
+      condicao: verificacao ? verificacao.condicao : null,
+      referencia_legal: verificacao ? verificacao.referencia : null,
+      subcategorias: verificacao ? verificacao.subcategorias : [],
+      motivo,
+    });
+  } catch (error) {
+    // 42P01 = tabelas usos_por_zona/atividades_cnae ainda não criadas/importadas (o
+    // zoneamento ausente é tratado na consulta da zona)
+    if (error.code === '42P01') {
+      return res.status(503).json({
+        success: false,
+        error: 'Matriz de usos não carregada (sql/usos.sql e npm run importar:usos).',
+        details: error.message,
+      });
+    }
+    console.error('Erro em /uso-permitido:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao verificar o uso permitido.',
+      details: error.message,
+    });
+  }
+}
+
+router.post('/uso-permitido', exigirChave('publico'), auditarConsultas, usoPermitido);
+router.get('/uso-permitido', exigirChave('publico'), auditarConsultas, usoPermitido);
+
+module.exports = router;
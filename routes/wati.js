@@ -0,0 +1,85 @@
+// 💬 Rotas por endereço do WATI/chatbots, geradas a partir dos perfis de resposta
+// (config/perfis-wati.js). Uma integração nova é um perfil novo, não uma rota nova.
+const express = require('express');
+const { consultarEndereco } = require('../lib/consulta');
+const { cidadeDaRequisicao, dataDaRequisicao } = require('../lib/cidades');
+const {
+  carregarPerfisWati,
+  valorDaEntrada,
+  usaLinkRelatorio,
+  respostaDoPerfil,
+} = require('../lib/perfisWati');
+const { modeloDaRequisicao } = require('../lib/modelosMensagem');
+const { registrarLeadEmSegundoPlano } = require('../lib/leads');
+const { dadosDoRelatorio, linkDoRelatorio } = require('../lib/relatorio');
+const { auditarConsultas } = require('../lib/auditoria');
+const { exigirChave } = require('../lib/chavesApi');
+
+const router = express.Router();
+
+function responderComPerfil(perfil, rota) {
+  const nomeRota = `${rota.metodo.toUpperCase()} ${rota.caminho}`;
+
+  return async (req, res) => {
+    // O WATI manda as variáveis ora no body, ora na query string
+    const entrada = { ...req.query, ...(req.body || {}) };
+    const endereco = valorDaEntrada(entrada, perfil.entrada.endereco);
+
+    if (!endereco) {
+      return res.status(400).json({
+        success: false,
+        error: `O campo "${perfil.entrada.endereco[0]}" é obrigatório.`,
+      });
+    }
+
+    const { cidade, erro } = cidadeDaRequisicao(valorDaEntrada(entrada, perfil.entrada.cidade));
+    const { data, erro: erroData } = dataDaRequisicao(valorDaEntrada(entrada, perfil.entrada.data));
+    const { modelo, erro: erroModelo } = modeloDaRequisicao(valorDaEntrada(entrada, perfil.entrada.modelo));
+    if (erro || erroData || erroModelo) {
+      return res.status(400).json({
+        success: false,
+        error: erro || erroData || erroModelo,
+      });
+    }
+
+    try {
+      const consulta = await consultarEndereco(String(endereco), { cidade, data });
+      const linkRelatorio = usaLinkRelatorio(perfil, modelo)
+        ? await linkDoRelatorio(dadosDoRelatorio(consulta, String(endereco)), { origem: nomeRota, req })
+        : null;
+      res.json(respostaDoPerfil(perfil, endereco, consulta, { linkRelatorio, modelo }));
+
+      // Consultas com o telefone do contato viram lead (sem telefone, nada é gravado)
+      registrarLeadEmSegundoPlano({
+        telefone: valorDaEntrada(entrada, perfil.entrada.telefone),
+        nome: valorDaEntrada(entrada, perfil.entrada.nome),
+        enderecoOriginal: endereco,
+        enderecoFormatado: consulta.enderecoFormatado,
+        lat: consulta.lat,
+        lng: consulta.lng,
+        zoneamento: consulta.zoneamento,
+        origem: nomeRota,
+      });
+    } catch (error) {
+      console.error(`Erro em ${nomeRota} (perfil ${perfil.id}):`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Erro ao processar o endereço.',
+        details: error.message,
+      });
+    }
+  };
+}
+
+for (const perfil of carregarPerfisWati()) {
+  for (const rota of perfil.rotas) {
+    router[rota.metodo](
+      rota.caminho,
+      exigirChave('wati'),
+      auditarConsultas,
+      responderComPerfil(perfil, rota)
+    );
+  }
+}
+
+module.exports = router;
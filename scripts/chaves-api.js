@@ -0,0 +1,101 @@
+// 🔑 Cria, lista e revoga chaves de API (a primeira chave admin sai daqui)
+//
+// Uso:
+//   node scripts/chaves-api.js criar --nome "WATI produção" --escopos wati[,publico]
+//                                    [--limite-minuto 120] [--cota-mensal 20000]
+//   node scripts/chaves-api.js listar
+//   node scripts/chaves-api.js revogar <id>
+//
+// Escopos: publico, wati, admin (admin vale para todos os grupos de rotas).
+require('dotenv').config();
+const pool = require('../lib/db');
+const { validarNovaChave, criarChave, listarChaves, revogarChave } = require('../lib/chavesApi');
+
+const USO =
+  'Uso: node scripts/chaves-api.js criar --nome <nome> --escopos <publico,wati,admin> ' +
+  '[--limite-minuto n] [--cota-mensal n] | listar | revogar <id>';
+
+const OPCOES_COM_VALOR = ['--nome', '--escopos', '--limite-minuto', '--cota-mensal'];
+
+function lerArgumentos(args) {
+  const opcoes = {};
+  const posicionais = [];
+  for (let i = 0; i < args.length; i++) {
+    if (OPCOES_COM_VALOR.includes(args[i])) {
+      opcoes[args[i].slice(2)] = args[++i];
+    } else {
+      posicionais.push(args[i]);
+    }
+  }
+  return { comando: posicionais[0], id: posicionais[1], opcoes };
+}
+
+async function criar(opcoes) {
+  const { dados, erro } = validarNovaChave({
+    nome: opcoes.nome,
+    escopos: opcoes.escopos,
+    limitePorMinuto: opcoes['limite-minuto'],
+    cotaMensal: opcoes['cota-mensal'],
+  });
+  if (erro) {
+    console.error(`${erro}\n${USO}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const chave = await criarChave(dados);
+  console.log(`✅ Chave ${chave.id} criada para "${chave.nome}" (${chave.escopos.join(', ')}).`);
+  console.log(`\n   ${chave.chave}\n`);
+  console.log('Guarde a chave agora: só o hash fica no banco.');
+}
+
+async function listar() {
+  const chaves = await listarChaves();
+  if (chaves.length === 0) {
+    console.log('Nenhuma chave cadastrada.');
+    return;
+  }
+  for (const c of chaves) {
+    const situacao = c.revogada_em ? 'revogada' : 'ativa';
+    const cota = c.cota_mensal ? `/${c.cota_mensal}` : '';
+    console.log(
+      `${String(c.id).padStart(4)}  ${c.prefixo}…  ${situacao.padEnd(8)}  ${c.escopos.join(',').padEnd(18)}  ` +
+        `${c.requisicoes_mes}${cota} no mês  ${c.nome}`
+    );
+  }
+}
+
+async function revogar(id) {
+  if (!Number.isInteger(Number(id)) || Number(id) <= 0) {
+    console.error(USO);
+    process.exitCode = 1;
+    return;
+  }
+  const revogada = await revogarChave(Number(id));
+  console.log(revogada ? `✅ Chave ${id} revogada.` : `Chave ${id} não encontrada ou já revogada.`);
+}
+
+async function main() {
+  const { comando, id, opcoes } = lerArgumentos(process.argv.slice(2));
+  const comandos = {
+    criar: () => criar(opcoes),
+    listar: () => listar(),
+    revogar: () => revogar(id),
+  };
+  if (!comandos[comando]) {
+    console.error(USO);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await comandos[comando]();
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao gerenciar chaves de API:', error);
+  process.exit(1);
+});
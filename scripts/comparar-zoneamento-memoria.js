@@ -0,0 +1,144 @@
+// 🧠 Compara o zoneamento em memória com o PostGIS em pontos aleatórios
+//
+// Uso: node scripts/comparar-zoneamento-memoria.js [--pontos 1000] [--cidade id]
+//
+// Carrega o índice como a API faria (ZONEAMENTO_MEMORIA_DIR ou Postgres) e, para
+// cada versão do zoneamento de cada cidade, sorteia pontos dentro dos limites da
+// cidade e consulta a zona e a zona vizinha mais próxima (com a distância até ela)
+// pelos dois caminhos. Diferenças só são esperadas em pontos praticamente sobre a
+// divisa entre zonas; sai com código 1 se houver alguma.
+require('dotenv').config();
+process.env.ZONEAMENTO_MEMORIA = 'true';
+
+const pool = require('../lib/db');
+const { carregarCidades, buscarCidade } = require('../lib/cidades');
+const { zonaNoPonto, vizinhasNoPostgis } = require('../lib/zoneamento');
+const { recarregarZoneamentoMemoria, vizinhasEmMemoria } = require('../lib/zoneamentoMemoria');
+
+const USO = 'Uso: node scripts/comparar-zoneamento-memoria.js [--pontos n] [--cidade id]';
+const LIMITE_LISTAGEM = 10;
+// Raio (m) das zonas vizinhas e diferença de distância (m) tolerada entre os caminhos
+const RAIO_VIZINHANCA_M = 50;
+const TOLERANCIA_DISTANCIA_M = 0.01;
+
+function lerArgumentos(args) {
+  const opcoes = {};
+  for (let i = 0; i < args.length; i++) {
+    if (['--pontos', '--cidade'].includes(args[i])) {
+      opcoes[args[i].slice(2)] = args[++i];
+    } else {
+      return null;
+    }
+  }
+  return opcoes;
+}
+
+// "ZM a 12.34 m" (zona vizinha mais próxima) ou null sem vizinhas no raio
+function descreverVizinha(vizinhas) {
+  return vizinhas.length ? `${vizinhas[0].codigo} a ${vizinhas[0].distanciaM.toFixed(2)} m` : null;
+}
+
+// Compara só a vizinha mais próxima: a que decide near_boundary
+function vizinhasDiferentes(a, b) {
+  if (!a.length || !b.length) {
+    return a.length !== b.length;
+  }
+  return a[0].codigo !== b[0].codigo || Math.abs(a[0].distanciaM - b[0].distanciaM) > TOLERANCIA_DISTANCIA_M;
+}
+
+function pontoAleatorio({ sul, oeste, norte, leste }) {
+  return {
+    lat: sul + Math.random() * (norte - sul),
+    lng: oeste + Math.random() * (leste - oeste),
+  };
+}
+
+async function compararVersao(client, versao, limites, pontos) {
+  const diferencas = [];
+  let comZona = 0;
+  for (let i = 0; i < pontos; i++) {
+    const { lat, lng } = pontoAleatorio(limites);
+    const postgis = await zonaNoPonto(client, versao, lat, lng, { memoria: false });
+    const memoria = await zonaNoPonto(client, versao, lat, lng);
+    if (postgis.codigo) {
+      comZona++;
+    }
+    if (postgis.disponivel !== memoria.disponivel || postgis.codigo !== memoria.codigo) {
+      diferencas.push({ lat, lng, postgis: postgis.codigo, memoria: memoria.codigo });
+      continue;
+    }
+    if (!postgis.codigo) {
+      continue;
+    }
+
+    const vizinhasPostgis = await vizinhasNoPostgis(versao, lat, lng, RAIO_VIZINHANCA_M, postgis.codigo);
+    const vizinhasMemoria = vizinhasEmMemoria(versao, lat, lng, RAIO_VIZINHANCA_M, postgis.codigo);
+    if (vizinhasDiferentes(vizinhasPostgis, vizinhasMemoria)) {
+      diferencas.push({
+        lat,
+        lng,
+        postgis: `vizinha ${descreverVizinha(vizinhasPostgis) || '—'}`,
+        memoria: `vizinha ${descreverVizinha(vizinhasMemoria) || '—'}`,
+      });
+    }
+  }
+  return { comZona, diferencas };
+}
+
+async function main() {
+  const opcoes = lerArgumentos(process.argv.slice(2));
+  const pontos = Number(opcoes && (opcoes.pontos || 1000));
+  if (!opcoes || !Number.isInteger(pontos) || pontos <= 0) {
+    console.error(USO);
+    process.exitCode = 1;
+    return;
+  }
+  const cidades = opcoes.cidade ? [buscarCidade(opcoes.cidade)] : carregarCidades();
+  if (!cidades[0]) {
+    console.error(`Cidade "${opcoes.cidade}" não está no registro de cidades.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const estado = await recarregarZoneamentoMemoria();
+  const carregadas = new Set(estado.tabelas.filter((t) => t.origem).map((t) => t.tabela));
+
+  const client = await pool.connect();
+  let totalDiferencas = 0;
+  try {
+    for (const cidade of cidades) {
+      for (const versao of cidade.versoes) {
+        if (!carregadas.has(versao.tabela)) {
+          console.log(`⏭️  ${cidade.nome}, ${versao.id}: ${versao.tabela} não está em memória.`);
+          continue;
+        }
+        const { comZona, diferencas } = await compararVersao(client, versao, cidade.limites, pontos);
+        totalDiferencas += diferencas.length;
+        console.log(
+          `${diferencas.length ? '⚠️ ' : '✅'} ${cidade.nome}, ${versao.id}: ${pontos} pontos ` +
+            `(${comZona} com zona), ${diferencas.length} diferença(s)`
+        );
+        for (const d of diferencas.slice(0, LIMITE_LISTAGEM)) {
+          console.log(
+            `   - ${d.lat.toFixed(7)}, ${d.lng.toFixed(7)}: PostGIS ${d.postgis || '—'} × memória ${d.memoria || '—'}`
+          );
+        }
+        if (diferencas.length > LIMITE_LISTAGEM) {
+          console.log(`   ... e mais ${diferencas.length - LIMITE_LISTAGEM}`);
+        }
+      }
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+
+  if (totalDiferencas > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao comparar o zoneamento em memória:', error);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+// 📮 Importa CEPs do DNE (Correios, formato "delimitado" com @) para a tabela ceps
+//
+// Uso: node scripts/importar-ceps.js <pasta-do-dne> [UF...]
+// Ex.: node scripts/importar-ceps.js ./eDNE_Basico/Delimitado SP
+//
+// Arquivos lidos (codificação ISO-8859-1):
+//   LOG_LOCALIDADE.TXT  → nomes das cidades
+//   LOG_BAIRRO.TXT      → nomes dos bairros
+//   LOG_LOGRADOURO_XX.TXT (um por UF) → logradouros e CEPs
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const pool = require('../lib/db');
+
+const TAMANHO_LOTE = 500;
+
+async function* lerLinhasDne(arquivo) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(arquivo, { encoding: 'latin1' }),
+    crlfDelay: Infinity,
+  });
+  for await (const linha of rl) {
+    if (linha.trim()) {
+      yield linha.split('@');
+    }
+  }
+}
+
+async function carregarMapa(arquivo, indiceChave, indiceValor) {
+  const mapa = new Map();
+  for await (const campos of lerLinhasDne(arquivo)) {
+    mapa.set(campos[indiceChave], campos[indiceValor]);
+  }
+  return mapa;
+}
+
+async function gravarLote(client, lote) {
+  const values = [];
+  const linhas = lote.map((r, i) => {
+    values.push(r.cep, r.tipo, r.logradouro, r.complemento, r.bairro, r.cidade, r.uf);
+    const b = i * 7;
+    return `($${b + 1}, $${b + 2}, $${b + 3}, $${b + 4}, $${b + 5}, $${b + 6}, $${b + 7}, NOW())`;
+  });
+
+  await client.query(
+    `INSERT INTO ceps (cep, tipo_logradouro, logradouro, complemento, bairro, cidade, uf, atualizado_em)
+     VALUES ${linhas.join(', ')}
+     ON CONFLICT (cep) DO UPDATE SET
+       tipo_logradouro = EXCLUDED.tipo_logradouro,
+       logradouro = EXCLUDED.logradouro,
+       complemento = EXCLUDED.complemento,
+       bairro = EXCLUDED.bairro,
+       cidade = EXCLUDED.cidade,
+       uf = EXCLUDED.uf,
+       atualizado_em = NOW();`,
+    values
+  );
+}
+
+async function main() {
+  const [pasta, ...ufsArg] = process.argv.slice(2);
+  if (!pasta) {
+    console.error('Uso: node scripts/importar-ceps.js <pasta-do-dne> [UF...]');
+    process.exit(1);
+  }
+
+  const ufs = ufsArg.map((uf) => uf.toUpperCase());
+  const arquivosLogradouro = fs
+    .readdirSync(pasta)
+    .filter((nome) => /^LOG_LOGRADOURO_[A-Z]{2}\.TXT$/i.test(nome))
+    .filter((nome) => !ufs.length || ufs.includes(nome.slice(-6, -4).toUpperCase()));
+
+  if (!arquivosLogradouro.length) {
+    console.error('Nenhum arquivo LOG_LOGRADOURO_XX.TXT encontrado em', pasta);
+    process.exit(1);
+  }
+
+  // LOG_LOCALIDADE: LOC_NU@UFE_SG@LOC_NO@...   LOG_BAIRRO: BAI_NU@UFE_SG@LOC_NU@BAI_NO@...
+  const localidades = await carregarMapa(path.join(pasta, 'LOG_LOCALIDADE.TXT'), 0, 2);
+  const bairros = await carregarMapa(path.join(pasta, 'LOG_BAIRRO.TXT'), 0, 3);
+
+  const client = await pool.connect();
+  let total = 0;
+  try {
+    await client.query('BEGIN');
+
+    for (const arquivo of arquivosLogradouro) {
+      // Map por CEP: o mesmo CEP repetido no lote quebraria o ON CONFLICT
+      let lote = new Map();
+      // LOG_NU@UFE_SG@LOC_NU@BAI_NU_INI@BAI_NU_FIM@LOG_NO@LOG_COMPLEMENTO@CEP@TLO_TX@LOG_STA_TLO@LOG_NO_ABREV
+      for await (const campos of lerLinhasDne(path.join(pasta, arquivo))) {
+        lote.set(campos[7], {
+          cep: campos[7],
+          tipo: campos[8] || null,
+          logradouro: campos[5],
+          complemento: campos[6] || null,
+          bairro: bairros.get(campos[3]) || null,
+          cidade: localidades.get(campos[2]) || '',
+          uf: campos[1],
+        });
+
+        if (lote.size >= TAMANHO_LOTE) {
+          await gravarLote(client, [...lote.values()]);
+          total += lote.size;
+          lote = new Map();
+        }
+      }
+      if (lote.size) {
+        await gravarLote(client, [...lote.values()]);
+        total += lote.size;
+      }
+      console.log(`✅ ${arquivo} importado (${total} CEPs até agora)`);
+    }
+
+    await client.query('COMMIT');
+    console.log(`📮 Importação concluída: ${total} CEPs.`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao importar CEPs:', error);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+// 🧾 Importa lotes fiscais (GeoJSON do GeoSampa) para a tabela lotes_fiscais
+//
+// Uso: node scripts/importar-lotes.js <lotes.geojson> [--srid 31983] [--substituir]
+//
+// --srid: SRID das coordenadas do arquivo (padrão 4326, como manda o GeoJSON);
+//         a geometria é sempre gravada em 31983.
+// O SQL vem da propriedade "sql" (ou equivalente) ou é montado com setor, quadra
+// e lote. Propriedades reconhecidas sem diferenciar caixa/pontuação, ex.:
+// lo_setor, lo_quadra, lo_lote, nm_logradouro, nr_imovel, cd_cep.
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('../lib/db');
+const { chaveCabecalho } = require('../lib/csv');
+const { normalizarSql } = require('../lib/lotes');
+
+const PROPRIEDADES = {
+  sql: ['sql', 'cdsql', 'losql', 'nrsql', 'numerosql'],
+  setor: ['setor', 'losetor', 'cdsetor', 'cdsetorfiscal'],
+  quadra: ['quadra', 'loquadra', 'cdquadra', 'cdquadrafiscal'],
+  lote: ['lote', 'lolote', 'cdlote'],
+  digito: ['digito', 'dv', 'lodigito', 'cddigito'],
+  logradouro: ['logradouro', 'nmlogradouro', 'nomelogradouro', 'lologradouro'],
+  numero: ['numero', 'nrimovel', 'numeroimovel', 'lonumero'],
+  complemento: ['complemento', 'dscomplemento'],
+  bairro: ['bairro', 'nmbairro'],
+  cep: ['cep', 'cdcep'],
+};
+
+// Lê as propriedades da feição pelos nomes canônicos acima
+function lerPropriedades(properties) {
+  const porChave = {};
+  for (const [nome, valor] of Object.entries(properties || {})) {
+    porChave[chaveCabecalho(nome)] = valor;
+  }
+
+  const dados = {};
+  for (const [campo, apelidos] of Object.entries(PROPRIEDADES)) {
+    const apelido = apelidos.find((a) => porChave[a] !== undefined && porChave[a] !== null);
+    dados[campo] = apelido ? String(porChave[apelido]).trim() : null;
+  }
+  return dados;
+}
+
+function codigoSql(dados) {
+  if (dados.sql) {
+    const sql = normalizarSql(dados.sql);
+    return sql ? sql.codigo : null;
+  }
+  if (dados.setor && dados.quadra && dados.lote) {
+    return (
+      dados.setor.padStart(3, '0') + dados.quadra.padStart(3, '0') + dados.lote.padStart(4, '0')
+    );
+  }
+  return null;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [arquivo] = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--srid');
+  const indiceSrid = args.indexOf('--srid');
+  const srid = indiceSrid >= 0 ? Number(args[indiceSrid + 1]) : 4326;
+
+  if (!arquivo || !Number.isInteger(srid)) {
+    console.error('Uso: node scripts/importar-lotes.js <lotes.geojson> [--srid 31983] [--substituir]');
+    process.exit(1);
+  }
+
+  const colecao = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  const features = colecao.type === 'FeatureCollection' ? colecao.features : [colecao];
+
+  const client = await pool.connect();
+  let total = 0;
+  let ignorados = 0;
+  try {
+    await client.query('BEGIN');
+    if (args.includes('--substituir')) {
+      await client.query('DELETE FROM lotes_fiscais;');
+    }
+
+    for (const feature of features) {
+      const dados = lerPropriedades(feature.properties);
+      const sql = codigoSql(dados);
+      if (!sql || !feature.geometry) {
+        ignorados++;
+        continue;
+      }
+
+      await client.query(
+        `INSERT INTO lotes_fiscais
+           (sql, digito, logradouro, numero, complemento, bairro, cep, geom, atualizado_em)
+         VALUES (
+           $1, $2, $3, $4, $5, $6, $7,
+           ST_Multi(ST_CollectionExtract(ST_MakeValid(
+             ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON($8), $9::int), 31983)
+           ), 3)),
+           NOW()
+         )
+         ON CONFLICT (sql) DO UPDATE SET
+           digito = EXCLUDED.digito,
+           logradouro = EXCLUDED.logradouro,
+           numero = EXCLUDED.numero,
+           complemento = EXCLUDED.complemento,
+           bairro = EXCLUDED.bairro,
+           cep = EXCLUDED.cep,
+           geom = EXCLUDED.geom,
+           atualizado_em = NOW();`,
+        [
+          sql,
+          dados.digito || normalizarSql(sql).digitoCalculado,
+          dados.logradouro,
+          dados.numero,
+          dados.complemento,
+          dados.bairro,
+          dados.cep ? dados.cep.replace(/\D/g, '').padStart(8, '0') : null,
+          JSON.stringify(feature.geometry),
+          srid,
+        ]
+      );
+      total++;
+    }
+
+    await client.query('COMMIT');
+    console.log(`🧾 ${total} lotes importados, ${ignorados} feições ignoradas (sem SQL ou geometria).`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao importar lotes:', error);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+// 🏗️ Importa os parâmetros urbanísticos por zona (Quadro 3 da Lei 16.402/2016)
+//
+// Uso: node scripts/importar-parametros.js <quadro3.csv> [--substituir]
+//
+// O CSV pode vir direto da planilha (separador ";" ou ","). Os cabeçalhos são
+// reconhecidos sem diferenciar acentos, pontuação e caixa: "C.A. básico",
+// "CA_BASICO" e "ca basico" são equivalentes. Com --substituir a tabela é
+// esvaziada antes da carga (tudo em uma transação).
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('../lib/db');
+const { parseCsvComCabecalho, parseNumeroBr, chaveCabecalho } = require('../lib/csv');
+
+// Coluna da tabela → cabeçalhos aceitos (já na forma de chaveCabecalho)
+const COLUNAS = {
+  zona: ['zona', 'sigla', 'siglazona', 'codigo', 'zlzona'],
+  ca_minimo: ['caminimo', 'camin', 'coeficientedeaproveitamentominimo'],
+  ca_basico: ['cabasico', 'cabas', 'coeficientedeaproveitamentobasico'],
+  ca_maximo: ['camaximo', 'camax', 'coeficientedeaproveitamentomaximo'],
+  to_maxima_ate_500: [
+    'to', 'toate500', 'tomaximaate500', 'tolotesate500m2', 'tomaximalotesate500m2',
+    'taxadeocupacao', 'taxadeocupacaomaxima',
+  ],
+  to_maxima_acima_500: [
+    'toacima500', 'tomaximaacima500', 'tolotesacima500m2', 'tomaximalotesacima500m2',
+    'tolotessuperioresa500m2',
+  ],
+  gabarito_m: ['gabarito', 'gabaritom', 'gabaritodealturamaxima', 'gabaritodealturamaximam'],
+  recuo_frente_m: ['recuofrente', 'recuofrentem', 'recuominimofrente', 'frente'],
+  recuo_fundos_laterais_ate_10m: [
+    'recuofundoslaterais', 'recuofundoslateraisate10m', 'fundoselateraisate10m',
+    'fundoslateraisalturaate10m',
+  ],
+  recuo_fundos_laterais_acima_10m: [
+    'recuofundoslateraisacima10m', 'fundoselateraisacima10m', 'fundoslateraisalturaacima10m',
+  ],
+  cota_parte_m2: [
+    'cotaparte', 'cotapartem2', 'cotapartemaxima', 'cotapartemaximadeterrenoporunidade',
+    'cotapartemaximadeterrenoporunidadem2',
+  ],
+  observacoes: ['observacoes', 'obs', 'notas'],
+};
+
+// Descobre qual cabeçalho do CSV corresponde a cada coluna da tabela
+function mapearCabecalhos(cabecalhos) {
+  const mapa = {};
+  const ignorados = [];
+  for (const cabecalho of cabecalhos) {
+    const chave = chaveCabecalho(cabecalho);
+    const coluna = Object.keys(COLUNAS).find((c) => COLUNAS[c].includes(chave));
+    if (coluna && !mapa[coluna]) {
+      mapa[coluna] = cabecalho;
+    } else {
+      ignorados.push(cabecalho);
+    }
+  }
+  return { mapa, ignorados };
+}
+
+async function main() {
+  const [arquivo, ...opcoes] = process.argv.slice(2);
+  if (!arquivo) {
+    console.error('Uso: node scripts/importar-parametros.js <quadro3.csv> [--substituir]');
+    process.exit(1);
+  }
+
+  const registros = parseCsvComCabecalho(fs.readFileSync(arquivo, 'utf8'));
+  if (!registros.length) {
+    console.error('CSV vazio:', arquivo);
+    process.exit(1);
+  }
+
+  const { mapa, ignorados } = mapearCabecalhos(Object.keys(registros[0]));
+  if (!mapa.zona) {
+    console.error('Coluna da zona não encontrada. Cabeçalhos:', Object.keys(registros[0]).join(', '));
+    process.exit(1);
+  }
+  if (ignorados.length) {
+    console.log('⚠️  Colunas ignoradas:', ignorados.join(', '));
+  }
+
+  const colunas = Object.keys(COLUNAS).filter((c) => mapa[c]);
+  const atualizacoes = colunas
+    .filter((c) => c !== 'zona')
+    .map((c) => `${c} = EXCLUDED.${c}`)
+    .concat('atualizado_em = NOW()')
+    .join(', ');
+  const client = await pool.connect();
+  let total = 0;
+  try {
+    await client.query('BEGIN');
+    if (opcoes.includes('--substituir')) {
+      await client.query('DELETE FROM parametros_urbanisticos;');
+    }
+
+    for (const registro of registros) {
+      const zona = registro[mapa.zona].trim();
+      if (!zona) {
+        continue;
+      }
+
+      const valores = colunas.map((coluna) => {
+        const bruto = registro[mapa[coluna]];
+        if (coluna === 'zona') {
+          return zona;
+        }
+        if (coluna === 'observacoes') {
+          return bruto || null;
+        }
+        return parseNumeroBr(bruto);
+      });
+
+      await client.query(
+        `INSERT INTO parametros_urbanisticos (${colunas.join(', ')}, atualizado_em)
+         VALUES (${colunas.map((_, i) => '$' + (i + 1)).join(', ')}, NOW())
+         ON CONFLICT (zona) DO UPDATE SET ${atualizacoes};`,
+        valores
+      );
+      total++;
+    }
+
+    await client.query('COMMIT');
+    console.log(`🏗️  ${total} zonas importadas (colunas: ${colunas.join(', ')}).`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao importar parâmetros:', error);
+  process.exit(1);
+});
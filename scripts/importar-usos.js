@@ -0,0 +1,166 @@
+// 🏪 Importa a matriz de usos por zona (Quadro 4) ou a tabela CNAE → categoria
+//
+// Uso:
+//   node scripts/importar-usos.js matriz <quadro4.csv> [--substituir]
+//   node scripts/importar-usos.js cnae <cnae.csv> [--substituir]
+//
+// Matriz: uma linha por categoria de uso e uma coluna por zona, além das colunas
+// opcionais "Descrição" e "Referência". Células:
+//   P, S, Sim, X            → permitido
+//   N, Não, NP, -           → nao_permitido
+//   vazia                   → ignorada (fica "indeterminado" na consulta)
+//   qualquer outro texto    → condicionado (o texto, ex. "(a)", vira a condição)
+//
+// CNAE: colunas "CNAE" (com ou sem máscara), "Descrição" e "Categoria".
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('../lib/db');
+const { parseCsvComCabecalho, chaveCabecalho } = require('../lib/csv');
+const { normalizarTexto } = require('../lib/texto');
+const { normalizarCnae, REFERENCIA_PADRAO } = require('../lib/usos');
+
+const CABECALHOS_MATRIZ = {
+  categoria: ['categoria', 'categoriadeuso', 'subcategoria', 'uso', 'sigla'],
+  descricao: ['descricao', 'descricaodouso'],
+  referencia: ['referencia', 'referencialegal', 'fonte'],
+};
+
+const CABECALHOS_CNAE = {
+  cnae: ['cnae', 'subclasse', 'codigo', 'codigocnae'],
+  descricao: ['descricao', 'atividade', 'denominacao'],
+  categoria: ['categoria', 'categoriadeuso', 'uso'],
+};
+
+function encontrarCabecalho(cabecalhos, apelidos) {
+  return cabecalhos.find((c) => apelidos.includes(chaveCabecalho(c)));
+}
+
+function situacaoDaCelula(valor) {
+  const texto = normalizarTexto(valor);
+  if (['p', 's', 'sim', 'x', 'permitido'].includes(texto)) {
+    return { situacao: 'permitido', condicao: null };
+  }
+  if (['n', 'nao', 'np', '-', 'nao permitido'].includes(texto)) {
+    return { situacao: 'nao_permitido', condicao: null };
+  }
+  return { situacao: 'condicionado', condicao: valor.trim() };
+}
+
+async function importarMatriz(client, registros) {
+  const cabecalhos = Object.keys(registros[0]);
+  const colCategoria = encontrarCabecalho(cabecalhos, CABECALHOS_MATRIZ.categoria);
+  const colDescricao = encontrarCabecalho(cabecalhos, CABECALHOS_MATRIZ.descricao);
+  const colReferencia = encontrarCabecalho(cabecalhos, CABECALHOS_MATRIZ.referencia);
+  if (!colCategoria) {
+    throw new Error('Coluna da categoria de uso não encontrada. Cabeçalhos: ' + cabecalhos.join(', '));
+  }
+
+  const zonas = cabecalhos.filter((c) => ![colCategoria, colDescricao, colReferencia].includes(c));
+  console.log(`Zonas encontradas (${zonas.length}): ${zonas.join(', ')}`);
+
+  let total = 0;
+  for (const registro of registros) {
+    const categoria = registro[colCategoria];
+    if (!categoria) {
+      continue;
+    }
+
+    for (const zona of zonas) {
+      const celula = registro[zona];
+      if (!celula) {
+        continue;
+      }
+      const { situacao, condicao } = situacaoDaCelula(celula);
+      await client.query(
+        `INSERT INTO usos_por_zona (categoria, descricao, zona, situacao, condicao, referencia, atualizado_em)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (categoria, zona) DO UPDATE SET
+           descricao = EXCLUDED.descricao,
+           situacao = EXCLUDED.situacao,
+           condicao = EXCLUDED.condicao,
+           referencia = EXCLUDED.referencia,
+           atualizado_em = NOW();`,
+        [
+          categoria,
+          (colDescricao && registro[colDescricao]) || null,
+          zona.trim(),
+          situacao,
+          condicao,
+          (colReferencia && registro[colReferencia]) || REFERENCIA_PADRAO,
+        ]
+      );
+      total++;
+    }
+  }
+  return total;
+}
+
+async function importarCnae(client, registros) {
+  const cabecalhos = Object.keys(registros[0]);
+  const colCnae = encontrarCabecalho(cabecalhos, CABECALHOS_CNAE.cnae);
+  const colDescricao = encontrarCabecalho(cabecalhos, CABECALHOS_CNAE.descricao);
+  const colCategoria = encontrarCabecalho(cabecalhos, CABECALHOS_CNAE.categoria);
+  if (!colCnae || !colCategoria) {
+    throw new Error('Colunas "CNAE" e "Categoria" são obrigatórias. Cabeçalhos: ' + cabecalhos.join(', '));
+  }
+
+  let total = 0;
+  for (const registro of registros) {
+    const cnae = normalizarCnae(registro[colCnae]);
+    if (!cnae || !registro[colCategoria]) {
+      continue;
+    }
+    await client.query(
+      `INSERT INTO atividades_cnae (cnae, descricao, categoria, atualizado_em)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (cnae) DO UPDATE SET
+         descricao = EXCLUDED.descricao,
+         categoria = EXCLUDED.categoria,
+         atualizado_em = NOW();`,
+      [cnae, (colDescricao && registro[colDescricao]) || null, registro[colCategoria]]
+    );
+    total++;
+  }
+  return total;
+}
+
+const TIPOS = {
+  matriz: { tabela: 'usos_por_zona', importar: importarMatriz },
+  cnae: { tabela: 'atividades_cnae', importar: importarCnae },
+};
+
+async function main() {
+  const [tipo, arquivo, ...opcoes] = process.argv.slice(2);
+  if (!TIPOS[tipo] || !arquivo) {
+    console.error('Uso: node scripts/importar-usos.js <matriz|cnae> <arquivo.csv> [--substituir]');
+    process.exit(1);
+  }
+
+  const registros = parseCsvComCabecalho(fs.readFileSync(arquivo, 'utf8'));
+  if (!registros.length) {
+    console.error('CSV vazio:', arquivo);
+    process.exit(1);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (opcoes.includes('--substituir')) {
+      await client.query(`DELETE FROM ${TIPOS[tipo].tabela};`);
+    }
+    const total = await TIPOS[tipo].importar(client, registros);
+    await client.query('COMMIT');
+    console.log(`🏪 ${total} registros importados em ${TIPOS[tipo].tabela}.`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao importar usos:', error);
+  process.exit(1);
+});
@@ -0,0 +1,418 @@
+// 🗺️ Importa o zoneamento de uma cidade (GeoJSON ou shapefile) para a tabela da
+// versão no registro de cidades, trocando a tabela sem tirar o serviço do ar
+//
+// Uso: node scripts/importar-zoneamento.js <zoneamento.geojson|zoneamento.shp> [opções]
+//
+// --cidade <id>          cidade do registro (padrão: a cidade padrão)
+// --versao <id>          versão do zoneamento (padrão: a vigente hoje)
+// --srid <n>             SRID das coordenadas do arquivo (padrão: "crs" do GeoJSON,
+//                        .prj do shapefile ou 4326); a geometria é gravada no SRID
+//                        da versão.
+// --coluna-zona <nome>   propriedade com o código da zona (padrão: detectada, ex.:
+//                        zl_zona, zona, sigla)
+// --coluna-texto <nome>  propriedade com a descrição (padrão: detectada, ex.:
+//                        zl_txt_zon, descricao, nome)
+// --simular              só carrega e mostra o relatório; a tabela atual fica intacta
+// --estrito              não troca a tabela se o relatório apontar problemas
+// --manter-anterior      guarda a tabela substituída como <tabela>_anterior
+//
+// A carga vai para <tabela>_importacao; geometrias inválidas são corrigidas e o
+// índice GIST é criado antes da troca, que é só um par de renomeações numa
+// transação. Consultas em andamento terminam na tabela antiga.
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('../lib/db');
+const { chaveCabecalho } = require('../lib/csv');
+const { lerShapefile, sridDoPrj } = require('../lib/shapefile');
+const { buscarCidade, cidadePadrao, versaoVigente } = require('../lib/cidades');
+const { aspas } = require('../lib/identificadores');
+const { sridDoCrs } = require('../lib/geojson');
+
+const PROPRIEDADES = {
+  codigo: ['zlzona', 'zona', 'codzona', 'codigozona', 'cdzona', 'siglazona', 'sigla', 'zoneamento'],
+  texto: ['zltxtzon', 'txtzona', 'descricao', 'descricaozona', 'dszona', 'nomezona', 'nome'],
+};
+
+// Sobreposições e lacunas menores que isso (m²) são ruído de digitalização
+const TOLERANCIA_M2 = 1;
+const LIMITE_LISTAGEM = 10;
+
+const USO =
+  'Uso: node scripts/importar-zoneamento.js <zoneamento.geojson|zoneamento.shp> [--cidade id] ' +
+  '[--versao id] [--srid n] [--coluna-zona nome] [--coluna-texto nome] [--simular] [--estrito] ' +
+  '[--manter-anterior]';
+
+const OPCOES_COM_VALOR = ['--cidade', '--versao', '--srid', '--coluna-zona', '--coluna-texto'];
+
+function lerArgumentos(args) {
+  const opcoes = {};
+  const posicionais = [];
+  for (let i = 0; i < args.length; i++) {
+    if (OPCOES_COM_VALOR.includes(args[i])) {
+      opcoes[args[i].slice(2)] = args[++i];
+    } else if (args[i].startsWith('--')) {
+      opcoes[args[i].slice(2)] = true;
+    } else {
+      posicionais.push(args[i]);
+    }
+  }
+  return { arquivo: posicionais[0], opcoes };
+}
+
+function lerArquivo(arquivo) {
+  if (/\.shp$/i.test(arquivo)) {
+    const { features, prj } = lerShapefile(arquivo);
+    return { features, sridArquivo: sridDoPrj(prj), origemSrid: prj ? '.prj' : null };
+  }
+  const colecao = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  const features = colecao.type === 'FeatureCollection' ? colecao.features : [colecao];
+  const srid = sridDoCrs(colecao);
+  return { features, sridArquivo: srid || 4326, origemSrid: srid ? 'crs' : 'padrão do GeoJSON' };
+}
+
+// Nome da propriedade usada para cada campo: a informada ou o primeiro apelido
+// presente em alguma feição
+function detectarColunas(features, opcoes) {
+  const nomes = new Map();
+  for (const feature of features) {
+    for (const nome of Object.keys(feature.properties || {})) {
+      if (!nomes.has(chaveCabecalho(nome))) {
+        nomes.set(chaveCabecalho(nome), nome);
+      }
+    }
+  }
+
+  const colunas = {};
+  for (const [campo, apelidos] of Object.entries(PROPRIEDADES)) {
+    const informada = opcoes[campo === 'codigo' ? 'coluna-zona' : 'coluna-texto'];
+    if (informada) {
+      if (!nomes.has(chaveCabecalho(informada))) {
+        throw new Error(`Propriedade "${informada}" não encontrada no arquivo.`);
+      }
+      colunas[campo] = nomes.get(chaveCabecalho(informada));
+    } else {
+      const apelido = apelidos.find((a) => nomes.has(a));
+      colunas[campo] = apelido ? nomes.get(apelido) : null;
+    }
+  }
+  if (!colunas.codigo) {
+    throw new Error(
+      `Coluna do código da zona não encontrada (propriedades: ${[...nomes.values()].join(', ')}). ` +
+        'Use --coluna-zona.'
+    );
+  }
+  return colunas;
+}
+
+function valorTexto(valor) {
+  return valor === undefined || valor === null || String(valor).trim() === ''
+    ? null
+    : String(valor).trim();
+}
+
+// "public.zoneamento" → { schema: 'public.', nome: 'zoneamento' }
+function separarSchema(tabela) {
+  const partes = tabela.split('.');
+  const nome = partes.pop();
+  return { schema: partes.length ? partes.join('.') + '.' : '', nome };
+}
+
+async function tabelaExiste(client, tabela) {
+  const result = await client.query('SELECT to_regclass($1) IS NOT NULL AS existe;', [tabela]);
+  return result.rows[0].existe;
+}
+
+async function carregarTabelaNova(client, features, colunas, { tabela, versao, sridArquivo }) {
+  const geom = aspas(versao.geom);
+  await client.query(`DROP TABLE IF EXISTS ${aspas(tabela)};`);
+  await client.query(
+    `CREATE TABLE ${aspas(tabela)} (
+       id SERIAL PRIMARY KEY,
+       ${aspas(versao.codigo)} TEXT,
+       ${aspas(versao.texto)} TEXT,
+       atributos JSONB,
+       ${geom} GEOMETRY(MultiPolygon, ${versao.srid})
+     );`
+  );
+
+  let total = 0;
+  let semGeometria = 0;
+  for (const feature of features) {
+    if (!feature.geometry) {
+      semGeometria++;
+      continue;
+    }
+    await client.query(
+      `INSERT INTO ${aspas(tabela)} (${aspas(versao.codigo)}, ${aspas(versao.texto)}, atributos, ${geom})
+       VALUES (
+         $1, $2, $3,
+         ST_Multi(ST_Transform(ST_SetSRID(ST_GeomFromGeoJSON($4), $5::int), ${versao.srid}))
+       );`,
+      [
+        valorTexto(feature.properties && feature.properties[colunas.codigo]),
+        colunas.texto ? valorTexto(feature.properties[colunas.texto]) : null,
+        JSON.stringify(feature.properties || {}),
+        JSON.stringify(feature.geometry),
+        sridArquivo,
+      ]
+    );
+    total++;
+  }
+
+  // ST_MakeValid pode devolver coleções com linhas/pontos; fica só a parte poligonal
+  const corrigidas = await client.query(
+    `UPDATE ${aspas(tabela)}
+     SET ${geom} = ST_Multi(ST_CollectionExtract(ST_MakeValid(${geom}), 3))
+     WHERE NOT ST_IsValid(${geom});`
+  );
+  const vazias = await client.query(
+    `DELETE FROM ${aspas(tabela)} WHERE ${geom} IS NULL OR ST_IsEmpty(${geom});`
+  );
+
+  return {
+    total: total - vazias.rowCount,
+    semGeometria,
+    corrigidas: corrigidas.rowCount,
+    descartadas: vazias.rowCount,
+  };
+}
+
+// Códigos que a API conhece: a tabela de parâmetros (cidades com parâmetros) ou,
+// na falta dela, a tabela que está sendo substituída
+async function codigosConhecidos(client, cidade, versao) {
+  if (cidade.parametros && (await tabelaExiste(client, 'parametros_urbanisticos'))) {
+    const result = await client.query('SELECT DISTINCT UPPER(zona) AS codigo FROM parametros_urbanisticos;');
+    return { origem: 'parametros_urbanisticos', codigos: new Set(result.rows.map((r) => r.codigo)) };
+  }
+  if (await tabelaExiste(client, versao.tabela)) {
+    const result = await client.query(
+      `SELECT DISTINCT UPPER(${aspas(versao.codigo)}) AS codigo FROM ${aspas(versao.tabela)};`
+    );
+    return { origem: versao.tabela, codigos: new Set(result.rows.map((r) => r.codigo)) };
+  }
+  return null;
+}
+
+async function validarTabelaNova(client, tabela, cidade, versao) {
+  const geom = aspas(versao.geom);
+  const codigo = aspas(versao.codigo);
+
+  const sobreposicoes = await client.query(
+    `WITH pares AS (
+       SELECT a.id AS id_a, b.id AS id_b, a.${codigo} AS zona_a, b.${codigo} AS zona_b,
+              ST_CollectionExtract(ST_Intersection(a.${geom}, b.${geom}), 3) AS geom
+       FROM ${aspas(tabela)} a
+       JOIN ${aspas(tabela)} b
+         ON a.id < b.id AND ST_Intersects(a.${geom}, b.${geom}) AND NOT ST_Touches(a.${geom}, b.${geom})
+     )
+     SELECT id_a, id_b, zona_a, zona_b, ROUND(ST_Area(geom)::numeric, 1) AS area_m2,
+            ST_Y(ST_Transform(ST_PointOnSurface(geom), 4326)) AS lat,
+            ST_X(ST_Transform(ST_PointOnSurface(geom), 4326)) AS lng
+     FROM pares
+     WHERE ST_Area(geom) > $1
+     ORDER BY ST_Area(geom) DESC;`,
+    [TOLERANCIA_M2]
+  );
+
+  // Lacunas: buracos da união de todas as zonas (áreas cercadas por zonas, sem zona)
+  const lacunas = await client.query(
+    `WITH uniao AS (SELECT ST_Union(${geom}) AS geom FROM ${aspas(tabela)}),
+     poligonos AS (SELECT (ST_Dump(geom)).geom AS geom FROM uniao),
+     aneis AS (SELECT (ST_DumpRings(geom)).* FROM poligonos)
+     SELECT ROUND(ST_Area(geom)::numeric, 1) AS area_m2,
+            ST_Y(ST_Transform(ST_PointOnSurface(geom), 4326)) AS lat,
+            ST_X(ST_Transform(ST_PointOnSurface(geom), 4326)) AS lng
+     FROM aneis
+     WHERE path[1] > 0 AND ST_Area(geom) > $1
+     ORDER BY ST_Area(geom) DESC;`,
+    [TOLERANCIA_M2]
+  );
+
+  const contagem = await client.query(
+    `SELECT UPPER(${codigo}) AS codigo, COUNT(*)::int AS total
+     FROM ${aspas(tabela)} GROUP BY 1 ORDER BY 1;`
+  );
+  const semCodigo = contagem.rows.find((r) => r.codigo === null);
+  const conhecidos = await codigosConhecidos(client, cidade, versao);
+  const desconhecidos = conhecidos
+    ? contagem.rows.filter((r) => r.codigo !== null && !conhecidos.codigos.has(r.codigo))
+    : [];
+
+  return {
+    zonas: contagem.rows.filter((r) => r.codigo !== null).length,
+    sobreposicoes: sobreposicoes.rows,
+    lacunas: lacunas.rows,
+    semCodigo: semCodigo ? semCodigo.total : 0,
+    referenciaCodigos: conhecidos ? conhecidos.origem : null,
+    desconhecidos,
+  };
+}
+
+function imprimirRelatorio(carga, relatorio) {
+  const local = (r) => `${Number(r.lat).toFixed(6)}, ${Number(r.lng).toFixed(6)}`;
+
+  console.log('\n📋 Relatório da importação');
+  console.log(`   Feições gravadas: ${carga.total} (${relatorio.zonas} códigos de zona distintos)`);
+  console.log(`   Sem geometria (ignoradas): ${carga.semGeometria}`);
+  console.log(`   Geometrias inválidas corrigidas: ${carga.corrigidas}`);
+  console.log(`   Descartadas (vazias após correção): ${carga.descartadas}`);
+  console.log(`   Sem código de zona: ${relatorio.semCodigo}`);
+
+  console.log(`\n   Sobreposições > ${TOLERANCIA_M2} m²: ${relatorio.sobreposicoes.length}`);
+  for (const s of relatorio.sobreposicoes.slice(0, LIMITE_LISTAGEM)) {
+    console.log(`   - ${s.zona_a} (#${s.id_a}) × ${s.zona_b} (#${s.id_b}): ${s.area_m2} m² em ${local(s)}`);
+  }
+
+  console.log(`\n   Lacunas > ${TOLERANCIA_M2} m²: ${relatorio.lacunas.length}`);
+  for (const l of relatorio.lacunas.slice(0, LIMITE_LISTAGEM)) {
+    console.log(`   - ${l.area_m2} m² em ${local(l)}`);
+  }
+
+  if (relatorio.referenciaCodigos) {
+    console.log(
+      `\n   Códigos desconhecidos (comparados com ${relatorio.referenciaCodigos}): ${relatorio.desconhecidos.length}`
+    );
+    for (const d of relatorio.desconhecidos) {
+      console.log(`   - ${d.codigo} (${d.total} feições)`);
+    }
+  } else {
+    console.log('\n   Códigos desconhecidos: não verificado (sem tabela de referência)');
+  }
+}
+
+function temProblemas(relatorio) {
+  return (
+    relatorio.sobreposicoes.length > 0 ||
+    relatorio.lacunas.length > 0 ||
+    relatorio.desconhecidos.length > 0 ||
+    relatorio.semCodigo > 0
+  );
+}
+
+// Troca a tabela em produção pela nova numa única transação. Os renomeios pegam
+// um lock exclusivo rápido; o lock_timeout evita ficar preso atrás de consultas longas.
+async function trocarTabelas(client, versao, { tabelaNova, manterAnterior }) {
+  const { schema, nome } = separarSchema(versao.tabela);
+  const anterior = `${nome}_anterior`;
+  const indice = `sidx_${nome}_geom`;
+  const existeAtual = await tabelaExiste(client, versao.tabela);
+
+  await client.query('BEGIN');
+  try {
+    await client.query("SET LOCAL lock_timeout = '15s';");
+    await client.query(`DROP TABLE IF EXISTS ${aspas(schema + anterior)};`);
+    if (existeAtual) {
+      await client.query(`ALTER INDEX IF EXISTS ${aspas(schema + indice)} RENAME TO ${aspas(`sidx_${anterior}_geom`)};`);
+      await client.query(`ALTER TABLE ${aspas(versao.tabela)} RENAME TO ${aspas(anterior)};`);
+    }
+    await client.query(`ALTER TABLE ${aspas(tabelaNova)} RENAME TO ${aspas(nome)};`);
+    await client.query(
+      `ALTER INDEX ${aspas(`${schema}sidx_${nome}_importacao_geom`)} RENAME TO ${aspas(indice)};`
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  if (existeAtual && !manterAnterior) {
+    await client.query(`DROP TABLE IF EXISTS ${aspas(schema + anterior)};`);
+  }
+  return existeAtual;
+}
+
+async function main() {
+  const { arquivo, opcoes } = lerArgumentos(process.argv.slice(2));
+  if (!arquivo) {
+    console.error(USO);
+    process.exit(1);
+  }
+
+  const cidade = opcoes.cidade ? buscarCidade(opcoes.cidade) : cidadePadrao();
+  if (!cidade) {
+    console.error(`Cidade "${opcoes.cidade}" não está no registro de cidades.`);
+    process.exit(1);
+  }
+  const versao = opcoes.versao
+    ? cidade.versoes.find((v) => v.id === opcoes.versao)
+    : versaoVigente(cidade);
+  if (!versao) {
+    const ids = cidade.versoes.map((v) => v.id).join(', ');
+    console.error(`Versão ${opcoes.versao || 'vigente'} não encontrada para ${cidade.nome}. Opções: ${ids}.`);
+    process.exit(1);
+  }
+
+  const { features, sridArquivo, origemSrid } = lerArquivo(arquivo);
+  const srid = opcoes.srid ? Number(opcoes.srid) : sridArquivo;
+  if (!Number.isInteger(srid)) {
+    console.error(`SRID do arquivo não reconhecido${origemSrid ? ` (${origemSrid})` : ''}; informe --srid.`);
+    process.exit(1);
+  }
+  const colunas = detectarColunas(features, opcoes);
+
+  console.log(`🗺️ ${cidade.nome}, versão ${versao.id} → ${versao.tabela} (SRID ${versao.srid})`);
+  console.log(
+    `   ${features.length} feições, SRID ${srid}${opcoes.srid ? ' (--srid)' : ` (${origemSrid})`}, ` +
+      `zona em "${colunas.codigo}", descrição em "${colunas.texto || '—'}"`
+  );
+
+  const { schema, nome } = separarSchema(versao.tabela);
+  const tabelaNova = `${schema}${nome}_importacao`;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const carga = await carregarTabelaNova(client, features, colunas, {
+      tabela: tabelaNova,
+      versao,
+      sridArquivo: srid,
+    });
+    await client.query(
+      `CREATE INDEX ${aspas(`sidx_${nome}_importacao_geom`)} ON ${aspas(tabelaNova)} USING GIST (${aspas(versao.geom)});`
+    );
+    await client.query('COMMIT');
+    await client.query(`ANALYZE ${aspas(tabelaNova)};`);
+
+    const relatorio = await validarTabelaNova(client, tabelaNova, cidade, versao);
+    imprimirRelatorio(carga, relatorio);
+
+    if (opcoes.simular || (opcoes.estrito && temProblemas(relatorio))) {
+      await client.query(`DROP TABLE IF EXISTS ${aspas(tabelaNova)};`);
+      console.log(
+        opcoes.simular
+          ? '\n🔎 Simulação: nada foi alterado.'
+          : '\n⛔ Problemas encontrados com --estrito: a tabela atual foi mantida.'
+      );
+      if (!opcoes.simular) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    const substituiu = await trocarTabelas(client, versao, {
+      tabelaNova,
+      manterAnterior: Boolean(opcoes['manter-anterior']),
+    });
+    console.log(
+      `\n✅ ${versao.tabela} ${substituiu ? 'substituída' : 'criada'} com ${carga.total} feições.` +
+        (substituiu && opcoes['manter-anterior'] ? ` Anterior guardada em ${schema}${nome}_anterior.` : '')
+    );
+    if (process.env.ZONEAMENTO_MEMORIA === 'true') {
+      console.log(
+        '   Zoneamento em memória: recarregue cada instância da API ' +
+          '(POST /admin/zoneamento-memoria/recarregar ou SIGHUP).'
+      );
+    }
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao importar zoneamento:', error);
+  process.exit(1);
+});
@@ -0,0 +1,13 @@
+-- Tabela local de CEPs, carregada a partir do DNE dos Correios
+-- (scripts/importar-ceps.js). Um CEP corresponde a um logradouro (ou a um trecho
+-- dele, descrito em "complemento", ex.: "- até 999/1000").
+CREATE TABLE IF NOT EXISTS ceps (
+  cep CHAR(8) PRIMARY KEY,
+  tipo_logradouro VARCHAR(72),
+  logradouro VARCHAR(254) NOT NULL,
+  complemento VARCHAR(100),
+  bairro VARCHAR(120),
+  cidade VARCHAR(120) NOT NULL,
+  uf CHAR(2) NOT NULL,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
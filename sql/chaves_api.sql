@@ -0,0 +1,22 @@
+-- Chaves de API (ver lib/chavesApi.js). A chave em si nunca é gravada: só o hash
+-- SHA-256 e um prefixo para identificá-la em listagens e logs.
+CREATE TABLE IF NOT EXISTS chaves_api (
+  id SERIAL PRIMARY KEY,
+  nome VARCHAR(120) NOT NULL,            -- cliente ou integração (ex.: "WATI produção")
+  prefixo VARCHAR(16) NOT NULL,          -- início da chave, ex.: "sitka_AbCdEf"
+  hash CHAR(64) NOT NULL UNIQUE,
+  escopos TEXT[] NOT NULL,               -- publico | wati | admin (admin vale para todos)
+  limite_por_minuto INTEGER,             -- NULL = API_LIMITE_POR_MINUTO
+  cota_mensal INTEGER,                   -- NULL = sem cota
+  criada_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revogada_em TIMESTAMPTZ
+);
+
+-- Requisições aceitas por chave e mês (mês de Brasília)
+CREATE TABLE IF NOT EXISTS chaves_api_uso (
+  chave_id INTEGER NOT NULL REFERENCES chaves_api (id) ON DELETE CASCADE,
+  mes DATE NOT NULL,                     -- primeiro dia do mês
+  requisicoes INTEGER NOT NULL DEFAULT 0,
+  ultimo_uso_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (chave_id, mes)
+);
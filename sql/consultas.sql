@@ -0,0 +1,28 @@
+-- Registro de auditoria das consultas (ver lib/auditoria.js): uma linha por consulta
+-- de zoneamento, com a rota, a entrada, o resultado da geocodificação, a zona, a
+-- latência e o erro. Base das rotas /admin/estatisticas.
+CREATE TABLE IF NOT EXISTS consultas (
+  id BIGSERIAL PRIMARY KEY,
+  rota VARCHAR(80) NOT NULL,             -- "POST /zoneamento-wati", "WHATSAPP conversa"...
+  cliente VARCHAR(80),                   -- IP da requisição ou telefone da conversa
+  entrada JSONB,                         -- body + query (campos grandes resumidos)
+  endereco TEXT,                         -- endereço enviado ao geocodificador
+  geocodificacao VARCHAR(10),            -- ok | falha (NULL = consulta sem endereço)
+  geocoder VARCHAR(30),
+  endereco_formatado TEXT,
+  precisao VARCHAR(30),
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  cidade VARCHAR(40),
+  cod_zoneamento VARCHAR(30),
+  status SMALLINT,                       -- status HTTP (NULL fora das rotas HTTP)
+  erro TEXT,
+  latencia_ms INTEGER NOT NULL,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consultas_criado_em ON consultas (criado_em);
+
+CREATE INDEX IF NOT EXISTS idx_consultas_falhas_geocodificacao
+  ON consultas (criado_em)
+  WHERE geocodificacao = 'falha';
@@ -0,0 +1,17 @@
+-- Tabela local de endereços usada pelo provedor de geocodificação "postgres".
+-- logradouro_normalizado deve conter tipo + nome por extenso, em minúsculas, sem
+-- acentos e sem pontuação (ex.: "rua augusta"; regra de lib/texto.js -> normalizarTexto).
+CREATE TABLE IF NOT EXISTS enderecos (
+  id SERIAL PRIMARY KEY,
+  logradouro VARCHAR(254) NOT NULL,
+  logradouro_normalizado VARCHAR(254) NOT NULL,
+  numero INTEGER,
+  bairro VARCHAR(120),
+  cidade VARCHAR(120),
+  uf CHAR(2),
+  cep CHAR(8),
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_enderecos_logradouro ON enderecos (logradouro_normalizado);
@@ -0,0 +1,16 @@
+-- Cache persistente de geocodificação (ver lib/geocoder/cache.js).
+-- chave = endereço normalizado; versao muda quando o formato do resultado muda,
+-- invalidando entradas antigas sem precisar apagar a tabela.
+CREATE TABLE IF NOT EXISTS geocode_cache (
+  chave TEXT PRIMARY KEY,
+  versao SMALLINT NOT NULL,
+  endereco_original TEXT NOT NULL,
+  resultado JSONB NOT NULL,
+  provedor VARCHAR(30),
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expira_em TIMESTAMPTZ NOT NULL,
+  acessos INTEGER NOT NULL DEFAULT 0,
+  ultimo_acesso TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_geocode_cache_expira_em ON geocode_cache (expira_em);
@@ -0,0 +1,36 @@
+-- Leads das consultas feitas pelo WhatsApp (ver lib/leads.js): um por contato,
+-- com a consulta mais recente. Cada consulta também entra na fila de envio para a
+-- planilha do Google Sheets (leads_outbox), reenviada até dar certo.
+CREATE TABLE IF NOT EXISTS leads (
+  id SERIAL PRIMARY KEY,
+  telefone VARCHAR(20) NOT NULL UNIQUE,  -- só dígitos, com DDI (waId do WATI)
+  nome VARCHAR(120),
+  endereco_original TEXT,
+  endereco_formatado TEXT,
+  cod_zoneamento VARCHAR(30),
+  txt_zoneamento TEXT,
+  cidade VARCHAR(40),
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  origem VARCHAR(60),                    -- rota ou fluxo que gerou a consulta
+  consultas INTEGER NOT NULL DEFAULT 1,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leads_atualizado_em ON leads (atualizado_em);
+
+CREATE TABLE IF NOT EXISTS leads_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  lead_id INTEGER NOT NULL REFERENCES leads (id) ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  tentativas INTEGER NOT NULL DEFAULT 0,
+  proxima_tentativa_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ultimo_erro TEXT,
+  enviado_em TIMESTAMPTZ,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leads_outbox_pendentes
+  ON leads_outbox (proxima_tentativa_em)
+  WHERE enviado_em IS NULL;
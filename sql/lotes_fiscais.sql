@@ -0,0 +1,15 @@
+-- Lotes fiscais do IPTU (SQL = setor-quadra-lote), carregados por
+-- scripts/importar-lotes.js a partir do GeoJSON de lotes do GeoSampa.
+CREATE TABLE IF NOT EXISTS lotes_fiscais (
+  sql CHAR(10) PRIMARY KEY,             -- setor (3) + quadra (3) + lote (4), sem dígito
+  digito CHAR(1),
+  logradouro VARCHAR(254),
+  numero VARCHAR(20),
+  complemento VARCHAR(100),
+  bairro VARCHAR(120),
+  cep CHAR(8),
+  geom GEOMETRY(MultiPolygon, 31983) NOT NULL,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS sidx_lotes_fiscais_geom ON lotes_fiscais USING GIST (geom);
@@ -0,0 +1,17 @@
+-- Parâmetros de ocupação por zona (Lei 16.402/2016, Quadro 3), carregados de CSV
+-- por scripts/importar-parametros.js. Valores "NA" na lei ficam NULL.
+CREATE TABLE IF NOT EXISTS parametros_urbanisticos (
+  zona VARCHAR(15) PRIMARY KEY,
+  ca_minimo NUMERIC(5, 2),
+  ca_basico NUMERIC(5, 2),
+  ca_maximo NUMERIC(5, 2),
+  to_maxima_ate_500 NUMERIC(4, 2),      -- taxa de ocupação, lotes até 500 m²
+  to_maxima_acima_500 NUMERIC(4, 2),    -- taxa de ocupação, lotes acima de 500 m²
+  gabarito_m NUMERIC(6, 2),             -- gabarito de altura máxima (m)
+  recuo_frente_m NUMERIC(5, 2),
+  recuo_fundos_laterais_ate_10m NUMERIC(5, 2),
+  recuo_fundos_laterais_acima_10m NUMERIC(5, 2),
+  cota_parte_m2 NUMERIC(7, 2),          -- cota-parte máxima de terreno por unidade
+  observacoes TEXT,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
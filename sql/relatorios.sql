@@ -0,0 +1,13 @@
+-- Relatórios em PDF com link curto (ver lib/relatorio.js). Cada linha guarda o
+-- resultado da consulta no momento em que o link foi criado: o PDF de /r/<codigo>
+-- mostra sempre esse resultado, mesmo que o zoneamento seja atualizado depois.
+CREATE TABLE IF NOT EXISTS relatorios (
+  codigo VARCHAR(16) PRIMARY KEY,        -- aleatório, vai na URL
+  dados JSONB NOT NULL,                  -- endereço, coordenadas, cidade, versão e zona
+  origem VARCHAR(80),                    -- rota ou "WHATSAPP conversa"
+  acessos INTEGER NOT NULL DEFAULT 0,
+  ultimo_acesso_em TIMESTAMPTZ,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_relatorios_criado_em ON relatorios (criado_em);
@@ -0,0 +1,21 @@
+-- Matriz de usos permitidos por zona (Lei 16.402/2016, Quadro 4) e correspondência
+-- CNAE → categoria de uso. Ambas carregadas por scripts/importar-usos.js.
+CREATE TABLE IF NOT EXISTS usos_por_zona (
+  categoria VARCHAR(20) NOT NULL,       -- ex.: R1, R2v, nR1, nR1-1, Ind-1a
+  descricao TEXT,
+  zona VARCHAR(15) NOT NULL,
+  situacao VARCHAR(15) NOT NULL CHECK (situacao IN ('permitido', 'nao_permitido', 'condicionado')),
+  condicao TEXT,                        -- texto original da célula quando condicionado (ex.: "(a)")
+  referencia TEXT,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (categoria, zona)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usos_por_zona_zona ON usos_por_zona (UPPER(zona));
+
+CREATE TABLE IF NOT EXISTS atividades_cnae (
+  cnae VARCHAR(7) PRIMARY KEY,          -- só dígitos, ex.: 4711302
+  descricao TEXT,
+  categoria VARCHAR(20) NOT NULL,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,120 @@
+// 💬 Conversa pelo WhatsApp com o cliente WATI local (criarClienteStub): geocodificação
+// e consulta do ponto simuladas, sem rede nem banco
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.DATABASE_URL;
+delete process.env.URL_PUBLICA;
+delete process.env.CONVERSA_MODELO_MENSAGEM;
+
+const geocoder = require('../lib/geocoder');
+const consulta = require('../lib/consulta');
+const { consultaDeExemplo } = require('../lib/modelosMensagem');
+const { criarClienteStub, definirClienteWati } = require('../lib/wati');
+
+const PAULISTA = {
+  enderecoFormatado: 'Av. Paulista, 1578 - Bela Vista, São Paulo - SP, 01310-200, Brasil',
+  numeroImovel: '1578',
+  lat: -23.561414,
+  lng: -46.655881,
+};
+const AUGUSTA = [
+  { enderecoFormatado: 'R. Augusta, 1500 - Consolação, São Paulo - SP', lat: -23.5557, lng: -46.6588 },
+  { enderecoFormatado: 'R. Augusta, 1500 - Cerqueira César, São Paulo - SP', lat: -23.5612, lng: -46.6626 },
+];
+
+// As funções são trocadas antes de carregar a conversa, que as importa por nome
+mock.method(geocoder, 'geocodeEndereco', async (texto) => {
+  if (/augusta/i.test(texto)) {
+    return { ...AUGUSTA[0], precisao: { nivel: 'media', ambiguo: true }, candidatos: AUGUSTA };
+  }
+  return { ...PAULISTA, precisao: { nivel: 'alta', ambiguo: false }, candidatos: [] };
+});
+const consultarPonto = mock.method(consulta, 'consultarPonto', async () => consultaDeExemplo());
+
+const { ESTADOS, tratarMensagem, conversaDoContato } = require('../lib/conversa');
+
+let wati;
+let contato = 0;
+let numero;
+
+async function enviar(texto) {
+  await tratarMensagem({ numero, nome: 'Maria', texto });
+  return wati.enviadas.at(-1).texto;
+}
+
+describe('conversa pelo WhatsApp', () => {
+  beforeEach(() => {
+    wati = criarClienteStub();
+    definirClienteWati(wati);
+    numero = `55119990000${++contato}`;
+  });
+
+  it('dá boas-vindas e pede o endereço', async () => {
+    const resposta = await enviar('Oi');
+    assert.match(resposta, /^Olá! Eu consulto o zoneamento de imóveis em .*São Paulo/);
+    assert.equal(conversaDoContato(numero).estado, ESTADOS.AGUARDANDO_ENDERECO);
+  });
+
+  it('confirma o endereço e responde a zona pelo modelo "conversa"', async () => {
+    await enviar('oi');
+    const confirmacao = await enviar('Av Paulista 1578');
+    assert.match(confirmacao, /Encontrei este endereço:\nAv\. Paulista, 1578[\s\S]*Responda \*SIM\* ou \*NÃO\*/);
+    assert.equal(conversaDoContato(numero).estado, ESTADOS.CONFIRMANDO_ENDERECO);
+
+    const resultado = await enviar('Sim');
+    assert.match(resultado, /^📍 Av\. Paulista, 1578/);
+    assert.match(resultado, /Zoneamento: ZEU/);
+    assert.doesNotMatch(resultado, /Relatório em PDF/);
+    assert.equal(conversaDoContato(numero).estado, ESTADOS.AGUARDANDO_ENDERECO);
+    assert.ok(wati.enviadas.every((m) => m.numero === numero));
+  });
+
+  it('aceita um endereço já na primeira mensagem', async () => {
+    assert.match(await enviar('Av. Paulista, 1578'), /^Encontrei este endereço:/);
+  });
+
+  it('lista os candidatos de um endereço ambíguo e consulta o escolhido', async () => {
+    await enviar('oi');
+    const lista = await enviar('rua augusta 1500');
+    assert.match(lista, /1\) R\. Augusta, 1500 - Consolação[\s\S]*2\) R\. Augusta, 1500 - Cerqueira César/);
+
+    assert.match(await enviar('3'), /Responda com um número de 1 a 2/);
+    await enviar('2');
+    const [lat, lng] = consultarPonto.mock.calls.at(-1).arguments;
+    assert.deepEqual([lat, lng], [AUGUSTA[1].lat, AUGUSTA[1].lng]);
+  });
+
+  it('volta a pedir o endereço com NÃO', async () => {
+    await enviar('Av. Paulista, 1578');
+    assert.match(await enviar('não'), /Envie o endereço completo de novo/);
+    assert.equal(conversaDoContato(numero).estado, ESTADOS.AGUARDANDO_ENDERECO);
+  });
+
+  it('pede desculpas e mantém a confirmação quando a consulta falha', async () => {
+    await enviar('Av. Paulista, 1578');
+    consultarPonto.mock.mockImplementationOnce(async () => {
+      throw new Error('Postgres fora do ar');
+    });
+    const erroOriginal = console.error;
+    console.error = () => {};
+    try {
+      assert.match(await enviar('sim'), /^Desculpe, tive um problema/);
+    } finally {
+      console.error = erroOriginal;
+    }
+    assert.equal(conversaDoContato(numero).estado, ESTADOS.CONFIRMANDO_ENDERECO);
+
+    assert.match(await enviar('sim'), /Zoneamento: ZEU/);
+  });
+
+  it('responde na ordem as mensagens do mesmo contato', async () => {
+    await Promise.all([
+      tratarMensagem({ numero, texto: 'oi' }),
+      tratarMensagem({ numero, texto: 'Av. Paulista, 1578' }),
+    ]);
+    assert.equal(wati.enviadas.length, 2);
+    assert.match(wati.enviadas[0].texto, /^Olá!/);
+    assert.match(wati.enviadas[1].texto, /^Encontrei este endereço:/);
+  });
+});
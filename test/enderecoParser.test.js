@@ -0,0 +1,82 @@
+// 🏠 Parser de endereços: exemplos reais de entrada e o endereço estruturado esperado
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEndereco, montarConsulta } = require('../lib/enderecoParser');
+
+const VAZIO = {
+  tipoLogradouro: null,
+  logradouro: null,
+  numero: null,
+  complemento: null,
+  bairro: null,
+  cidade: null,
+  uf: null,
+  cep: null,
+};
+
+// [entrada, campos esperados (os demais ficam null)]
+const EXEMPLOS = [
+  ['R. Augusta 1500 apto 32', { tipoLogradouro: 'Rua', logradouro: 'Augusta', numero: '1500', complemento: 'apto 32' }],
+  ['Rua X, 100 - Pinheiros', { tipoLogradouro: 'Rua', logradouro: 'X', numero: '100', bairro: 'Pinheiros' }],
+  [
+    'Av. Paulista, 1578 - Bela Vista, São Paulo - SP, 01310-200',
+    {
+      tipoLogradouro: 'Avenida',
+      logradouro: 'Paulista',
+      numero: '1578',
+      bairro: 'Bela Vista',
+      cidade: 'São Paulo',
+      uf: 'SP',
+      cep: '01310200',
+    },
+  ],
+  ['Al. Santos, 200', { tipoLogradouro: 'Alameda', logradouro: 'Santos', numero: '200' }],
+  ['Trav. Olinda 45', { tipoLogradouro: 'Travessa', logradouro: 'Olinda', numero: '45' }],
+  ['Rua 25 de Março, 25', { tipoLogradouro: 'Rua', logradouro: '25 de Março', numero: '25' }],
+  ['Rua Tabapuã nº 80', { tipoLogradouro: 'Rua', logradouro: 'Tabapuã', numero: '80' }],
+  ['Rua das Palmeiras s/n, Campinas', { tipoLogradouro: 'Rua', logradouro: 'das Palmeiras', cidade: 'Campinas' }],
+  [
+    'Rua Vergueiro 1000 São Paulo/SP',
+    { tipoLogradouro: 'Rua', logradouro: 'Vergueiro', numero: '1000', cidade: 'São Paulo', uf: 'SP' },
+  ],
+  [
+    'Rua das Flores 12 casa 2 Campinas SP',
+    { tipoLogradouro: 'Rua', logradouro: 'das Flores', numero: '12', complemento: 'casa 2', cidade: 'Campinas', uf: 'SP' },
+  ],
+  [
+    'R. Augusta 1500 apto 32 Santo André',
+    { tipoLogradouro: 'Rua', logradouro: 'Augusta', numero: '1500', complemento: 'apto 32', cidade: 'Santo André' },
+  ],
+  [
+    'Rua Vergueiro São Paulo - SP',
+    { tipoLogradouro: 'Rua', logradouro: 'Vergueiro', cidade: 'São Paulo', uf: 'SP' },
+  ],
+  // Nome de rua igual ao de uma cidade não vira cidade
+  ['Alameda Campinas', { tipoLogradouro: 'Alameda', logradouro: 'Campinas' }],
+  ['Rua São Paulo 100', { tipoLogradouro: 'Rua', logradouro: 'São Paulo', numero: '100' }],
+];
+
+describe('parseEndereco', () => {
+  for (const [entrada, esperado] of EXEMPLOS) {
+    it(entrada, () => {
+      assert.deepEqual(parseEndereco(entrada), { ...VAZIO, ...esperado });
+    });
+  }
+
+  it('retorna todos os campos null para texto vazio', () => {
+    assert.deepEqual(parseEndereco(''), VAZIO);
+    assert.deepEqual(parseEndereco(null), VAZIO);
+  });
+});
+
+describe('montarConsulta', () => {
+  it('deixa o complemento de fora e completa cidade e UF com o padrão', () => {
+    const endereco = parseEndereco('R. Augusta 1500 apto 32');
+    assert.equal(montarConsulta(endereco, { cidade: 'São Paulo', uf: 'SP' }), 'Rua Augusta, 1500, São Paulo - SP');
+  });
+
+  it('usa a cidade encontrada no texto, sem separadores', () => {
+    const endereco = parseEndereco('Rua das Flores 12 casa 2 Campinas SP');
+    assert.equal(montarConsulta(endereco, { cidade: 'São Paulo', uf: 'SP' }), 'Rua das Flores, 12, Campinas - SP');
+  });
+});
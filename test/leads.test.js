@@ -0,0 +1,173 @@
+// 📇 Leads: gravação com a fila na mesma transação e envio da fila ao Google Sheets,
+// com o Postgres e o webhook da planilha simulados
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+process.env.DATABASE_URL = 'postgres://teste@127.0.0.1:1/teste';
+process.env.GOOGLE_SHEETS_WEBHOOK_URL = 'https://planilha.exemplo/webhook';
+
+const pool = require('../lib/db');
+const { normalizarTelefone, registrarLead, processarOutbox } = require('../lib/leads');
+
+const LEAD = {
+  id: 7,
+  telefone: '5511988887777',
+  nome: 'Maria',
+  endereco_original: 'av paulista 1578',
+  endereco_formatado: 'Av. Paulista, 1578 - Bela Vista, São Paulo - SP',
+  cod_zoneamento: 'ZEU',
+  txt_zoneamento: 'Zona Eixo de Estruturação da Transformação Urbana',
+  cidade: 'sao-paulo',
+  lat: -23.561414,
+  lng: -46.655881,
+  origem: 'conversa whatsapp',
+  consultas: 1,
+  atualizado_em: new Date('2024-05-02T13:00:00Z'),
+};
+
+// Consultas feitas ao "Postgres" e a resposta de cada uma, pelo início do SQL
+let consultas;
+let respostas;
+
+function responderConsulta(sql, valores) {
+  const comando = sql.trim().split(/\s+/).slice(0, 2).join(' ');
+  consultas.push({ comando, valores });
+  const resposta = respostas[comando];
+  if (resposta instanceof Error) {
+    return Promise.reject(resposta);
+  }
+  return Promise.resolve(typeof resposta === 'function' ? resposta(valores) : resposta || { rows: [] });
+}
+
+const cliente = { query: responderConsulta, release: mock.fn() };
+mock.method(pool, 'connect', async () => cliente);
+mock.method(pool, 'query', responderConsulta);
+const post = mock.method(axios, 'post', async () => ({ status: 200 }));
+
+function comandos() {
+  return consultas.map((c) => c.comando);
+}
+
+// O envio em segundo plano disparado por registrarLead termina antes do próximo teste
+function aguardarSegundoPlano() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('normalizarTelefone', () => {
+  it('guarda só os dígitos de telefones com 10 a 20 dígitos', () => {
+    assert.equal(normalizarTelefone('+55 (11) 98888-7777'), '5511988887777');
+    assert.equal(normalizarTelefone('98888-77'), null);
+    assert.equal(normalizarTelefone(null), null);
+  });
+});
+
+describe('registrarLead', () => {
+  beforeEach(async () => {
+    await aguardarSegundoPlano();
+    consultas = [];
+    respostas = { 'INSERT INTO': { rows: [LEAD] } };
+    cliente.release.mock.resetCalls();
+    post.mock.resetCalls();
+  });
+
+  it('grava o lead e a linha da planilha na mesma transação', async () => {
+    const lead = await registrarLead({
+      telefone: '+55 11 98888-7777',
+      nome: '  Maria ',
+      enderecoOriginal: 'av paulista 1578',
+      zoneamento: { codigo: 'ZEU', texto: 'Zona Eixo', cidade: { id: 'sao-paulo' } },
+      lat: -23.561414,
+      lng: Number.NaN,
+      origem: 'conversa whatsapp',
+    });
+
+    assert.equal(lead, LEAD);
+    assert.deepEqual(comandos().slice(0, 4), ['BEGIN', 'INSERT INTO', 'INSERT INTO', 'COMMIT']);
+    const [telefone, nome, , , codigo, , cidade, lat, lng] = consultas[1].valores;
+    assert.deepEqual(
+      [telefone, nome, codigo, cidade, lat, lng],
+      ['5511988887777', 'Maria', 'ZEU', 'sao-paulo', -23.561414, null]
+    );
+
+    const [leadId, payload] = consultas[2].valores;
+    assert.equal(leadId, 7);
+    const linha = { ...LEAD, data_hora: '2024-05-02T13:00:00.000Z' };
+    delete linha.id;
+    delete linha.atualizado_em;
+    assert.deepEqual(JSON.parse(payload), linha);
+    assert.equal(cliente.release.mock.callCount(), 1);
+  });
+
+  it('não grava nada sem telefone válido', async () => {
+    assert.equal(await registrarLead({ telefone: '123', enderecoOriginal: 'x' }), null);
+    assert.deepEqual(consultas, []);
+  });
+
+  it('desfaz a transação e repassa o erro original mesmo se o ROLLBACK falhar', async () => {
+    respostas['INSERT INTO'] = new Error('violação de restrição');
+    respostas.ROLLBACK = new Error('conexão perdida');
+    await assert.rejects(registrarLead({ telefone: '11988887777' }), /violação de restrição/);
+    assert.deepEqual(comandos(), ['BEGIN', 'INSERT INTO', 'ROLLBACK']);
+    assert.equal(cliente.release.mock.callCount(), 1);
+  });
+});
+
+describe('processarOutbox', () => {
+  const reservados = [
+    { id: '12', payload: { telefone: 'b' }, tentativas: 3 },
+    { id: '11', payload: { telefone: 'a' }, tentativas: 0 },
+    { id: '13', payload: { telefone: 'c' }, tentativas: 0 },
+  ];
+
+  // A reserva do lote é o UPDATE com [maxTentativas, LOTE_OUTBOX, RESERVA_MINUTOS]
+  const reserva = (valores) => valores.length === 3 && valores[1] === 20;
+
+  beforeEach(async () => {
+    await aguardarSegundoPlano();
+    consultas = [];
+    respostas = { 'UPDATE leads_outbox': (valores) => (reserva(valores) ? { rows: reservados } : { rows: [] }) };
+    post.mock.resetCalls();
+  });
+
+  it('envia os itens reservados em ordem e reagenda as falhas com espera crescente', async () => {
+    post.mock.mockImplementationOnce(async () => {
+      throw new Error('HTTP 500');
+    }, 1);
+    const erroOriginal = console.error;
+    console.error = () => {};
+    let resultado;
+    try {
+      resultado = await processarOutbox();
+    } finally {
+      console.error = erroOriginal;
+    }
+
+    assert.deepEqual(resultado, { enviados: 2, falhas: 1 });
+    assert.deepEqual(post.mock.calls.map((c) => c.arguments[1].telefone), ['a', 'b', 'c']);
+    const [, enviadoA, falhaB, enviadoC] = consultas.map((c) => c.valores);
+    assert.deepEqual(enviadoA, ['11']);
+    assert.deepEqual(falhaB, ['12', 8, 'HTTP 500']);
+    assert.deepEqual(enviadoC, ['13']);
+  });
+
+  it('mantém os envios já feitos quando o Postgres falha no meio do lote', async () => {
+    let atualizacoes = 0;
+    respostas['UPDATE leads_outbox'] = (valores) => {
+      if (reserva(valores)) {
+        return { rows: reservados };
+      }
+      if (++atualizacoes === 2) {
+        throw new Error('conexão perdida');
+      }
+      return { rows: [] };
+    };
+    await assert.rejects(processarOutbox(), /conexão perdida/);
+    assert.equal(post.mock.callCount(), 2);
+
+    // A trava de processamento é liberada: a próxima rodada volta a enviar
+    respostas['UPDATE leads_outbox'] = { rows: [] };
+    assert.deepEqual(await processarOutbox(), { enviados: 0, falhas: 0 });
+    assert.equal(consultas.at(-1).comando, 'UPDATE leads_outbox');
+  });
+});
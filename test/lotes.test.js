@@ -0,0 +1,38 @@
+// 🧾 SQL do IPTU: dígito verificador e formatos aceitos
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calcularDigitoSql, normalizarSql } = require('../lib/lotes');
+
+describe('calcularDigitoSql', () => {
+  it('soma os dígitos com pesos 1 a 10, módulo 11', () => {
+    assert.equal(calcularDigitoSql('0080450123'), '9');
+    assert.equal(calcularDigitoSql('0000000000'), '0');
+  });
+
+  it('troca o resto 10 por 1', () => {
+    assert.equal(calcularDigitoSql('0000000001'), '1');
+    assert.equal(calcularDigitoSql('1000000002'), '1');
+  });
+});
+
+describe('normalizarSql', () => {
+  it('aceita o SQL com ou sem pontuação e dígito', () => {
+    for (const entrada of ['008.045.0123-9', '0080450123-9', '00804501239', '0080450123', ' 008 045 0123 ']) {
+      const sql = normalizarSql(entrada);
+      assert.equal(sql.codigo, '0080450123', entrada);
+      assert.equal(sql.digitoCalculado, '9');
+      assert.equal(sql.formatado, '008.045.0123-9');
+    }
+  });
+
+  it('guarda o dígito informado para a rota comparar', () => {
+    assert.equal(normalizarSql('008.045.0123-4').digitoInformado, '4');
+    assert.equal(normalizarSql('0080450123').digitoInformado, null);
+  });
+
+  it('recusa quantidades de dígitos diferentes de 10 ou 11', () => {
+    assert.equal(normalizarSql('008.045.012'), null);
+    assert.equal(normalizarSql('008.045.0123-45'), null);
+    assert.equal(normalizarSql(null), null);
+  });
+});
@@ -0,0 +1,110 @@
+// 📝 Modelos de mensagem: sintaxe dos modelos e os modelos do registro inicial
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  compilarModelo,
+  renderizarModelo,
+  buscarModelo,
+  modeloDaRequisicao,
+  explicacaoDaZona,
+  camposDaConsulta,
+  consultaDeExemplo,
+} = require('../lib/modelosMensagem');
+
+describe('renderizarModelo', () => {
+  it('troca os campos e deixa vazios os que não têm valor', () => {
+    assert.equal(renderizarModelo('Zona {{codigo}}{{sufixo}}.', { codigo: 'ZM', sufixo: null }), 'Zona ZM.');
+  });
+
+  it('mostra {{#campo}} só com valor e {{^campo}} só sem valor', () => {
+    const modelo = '{{#achou}}Zona {{codigo}}{{/achou}}{{^achou}}Não encontrada{{/achou}}';
+    assert.equal(renderizarModelo(modelo, { achou: true, codigo: 'ZEU' }), 'Zona ZEU');
+    assert.equal(renderizarModelo(modelo, { achou: 'nao', codigo: 'ZEU' }), 'Não encontrada');
+  });
+
+  it('repete o bloco por item da lista, com os campos do item e {{.}}', () => {
+    const modelo = [
+      '{{#itens}}',
+      '{{numero}}) {{nome}} de {{cidade}}',
+      '{{/itens}}',
+      '{{#tags}}[{{.}}]{{/tags}}',
+    ].join('\n');
+    const campos = {
+      cidade: 'Campinas',
+      itens: [
+        { numero: 1, nome: 'A' },
+        { numero: 2, nome: 'B' },
+      ],
+      tags: ['x', 'y'],
+    };
+    assert.equal(renderizarModelo(modelo, campos), '1) A de Campinas\n2) B de Campinas\n[x][y]');
+  });
+
+  it('remove as linhas dos blocos e junta as linhas em branco', () => {
+    const modelo = ['Início', '{{#nada}}', 'oculto', '{{/nada}}', '', '', '', 'Fim   '].join('\n');
+    assert.equal(renderizarModelo(modelo, { nada: [] }), 'Início\n\nFim');
+  });
+});
+
+describe('compilarModelo', () => {
+  it('lista os campos usados', () => {
+    assert.deepEqual([...compilarModelo('{{#a}}{{b}}{{.}}{{/a}}').campos].sort(), ['a', 'b']);
+  });
+
+  it('recusa blocos não fechados ou fechados fora de ordem', () => {
+    assert.throws(() => compilarModelo('{{#a}}texto'), /não foi fechado/);
+    assert.throws(() => compilarModelo('{{#a}}{{#b}}{{/a}}{{/b}}'), /sem o \{\{#a\}\}/);
+  });
+});
+
+describe('explicacaoDaZona', () => {
+  it('usa o código exato ou a família do código', () => {
+    assert.match(explicacaoDaZona('ZEU'), /metrô/);
+    assert.equal(explicacaoDaZona('zeis-1'), explicacaoDaZona('ZEIS'));
+  });
+
+  it('fica vazia sem explicação registrada', () => {
+    assert.equal(explicacaoDaZona('XYZ'), '');
+    assert.equal(explicacaoDaZona(null), '');
+  });
+});
+
+describe('modelos do registro inicial', () => {
+  const campos = camposDaConsulta('av paulista 1578', consultaDeExemplo(), 'https://exemplo.com/r/abc123');
+
+  it('conversa: zona, explicação, lei, parâmetros e link do relatório', () => {
+    const texto = renderizarModelo(buscarModelo('conversa'), campos);
+    assert.match(texto, /^📍 Av\. Paulista, 1578/);
+    assert.match(texto, /Zoneamento: ZEU - Zona Eixo de Estruturação/);
+    assert.match(texto, /Lei 18\.081\/2024/);
+    assert.match(texto, /• C\.A\. máximo: 4/);
+    assert.match(texto, /Relatório em PDF: https:\/\/exemplo\.com\/r\/abc123/);
+  });
+
+  it('curto: uma linha com a zona, ou o aviso sem zona', () => {
+    assert.equal(
+      renderizarModelo(buscarModelo('curto'), campos),
+      '*ZEU* - Zona Eixo de Estruturação da Transformação Urbana'
+    );
+    const semZona = renderizarModelo(buscarModelo('curto'), { ...campos, zona_encontrada: false });
+    assert.match(semZona, /^Zoneamento não encontrado/);
+  });
+
+  it('confirmar-endereco: lista os candidatos quando o endereço é ambíguo', () => {
+    const candidatos = [
+      { numero: 1, endereco: 'R. Augusta, 1500', zona: 'ZC' },
+      { numero: 2, endereco: 'R. Augusta, 150', zona: 'ZM' },
+    ];
+    const texto = renderizarModelo(buscarModelo('confirmar-endereco'), { ...campos, ambiguo: true, candidatos });
+    assert.match(texto, /^Encontrei mais de um endereço parecido com \*av paulista 1578\*:/);
+    assert.match(texto, /1\) R\. Augusta, 1500 - \*ZC\*\n2\) R\. Augusta, 150 - \*ZM\*/);
+  });
+});
+
+describe('modeloDaRequisicao', () => {
+  it('aceita um id registrado e recusa os demais', () => {
+    assert.equal(modeloDaRequisicao(' curto ').modelo.id, 'curto');
+    assert.deepEqual(modeloDaRequisicao(''), { modelo: null });
+    assert.match(modeloDaRequisicao('inexistente').erro, /não encontrado/);
+  });
+});
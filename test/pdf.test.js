@@ -0,0 +1,80 @@
+// 📄 Gerador de PDF: estrutura do arquivo, conteúdo das páginas e métricas do texto
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PaginaPdf, gerarPdf, larguraDoTexto, quebrarLinhas } = require('../lib/pdf');
+
+// Conteúdo (descomprimido) dos fluxos do arquivo, na ordem
+function fluxos(pdf) {
+  const texto = pdf.toString('latin1');
+  const conteudos = [];
+  const regex = /\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  let marca;
+  while ((marca = regex.exec(texto))) {
+    const inicio = marca.index + marca[0].length;
+    conteudos.push(zlib.inflateSync(pdf.subarray(inicio, inicio + Number(marca[1]))).toString('latin1'));
+  }
+  return conteudos;
+}
+
+describe('gerarPdf', () => {
+  const primeira = new PaginaPdf()
+    .texto(40, 60, 'Zoneamento (ZEU) – São Paulo', { fonte: 'negrito', tamanho: 14 })
+    .retangulo(40, 80, 100, 50, { preenchimento: '#e4572e', contorno: '#000000' });
+  const segunda = new PaginaPdf().poligono(
+    [
+      [[0, 0], [100, 0], [100, 100], [0, 100]],
+      [[25, 25], [75, 25], [75, 75], [25, 75]],
+    ],
+    { preenchimento: '#ffffff' }
+  );
+  const pdf = gerarPdf([primeira, segunda], { titulo: 'Relatório', autor: 'Sitka' });
+  const texto = pdf.toString('latin1');
+
+  it('tem cabeçalho, páginas e fim de arquivo', () => {
+    assert.ok(texto.startsWith('%PDF-1.4\n'));
+    assert.ok(texto.endsWith('%%EOF\n'));
+    assert.match(texto, /\/Type \/Pages \/Kids \[\d+ 0 R \d+ 0 R\] \/Count 2/);
+    assert.match(texto, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+    assert.match(texto, /\/Title \(Relat\xf3rio\) \/Author \(Sitka\)/);
+  });
+
+  it('aponta a tabela xref para o início de cada objeto', () => {
+    const inicioXref = Number(texto.match(/startxref\n(\d+)\n/)[1]);
+    assert.ok(texto.startsWith('xref\n', inicioXref));
+
+    const entradas = texto.slice(inicioXref).match(/^\d{10} 00000 n $/gm);
+    assert.ok(entradas.length > 0);
+    entradas.forEach((entrada, i) => {
+      assert.ok(texto.startsWith(`${i + 1} 0 obj\n`, Number(entrada.slice(0, 10))), `objeto ${i + 1}`);
+    });
+  });
+
+  it('escreve o texto em WinAnsi, com parênteses escapados, medido de cima para baixo', () => {
+    const [conteudo] = fluxos(pdf);
+    assert.match(conteudo, /BT \/F2 14 Tf 0 0 0 rg 40 781\.89 Td \(Zoneamento \\\(ZEU\\\) \x96 S\xe3o Paulo\) Tj ET/);
+    assert.match(conteudo, /40 711\.89 100 50 re\n0\.89 0\.34 0\.18 rg 0 0 0 RG 1 w B/);
+  });
+
+  it('preenche polígonos com furos pela regra par-ímpar', () => {
+    const [, conteudo] = fluxos(pdf);
+    assert.equal((conteudo.match(/ m\n/g) || []).length, 2);
+    assert.match(conteudo, /h\n1 1 1 rg f\*$/);
+  });
+});
+
+describe('larguraDoTexto e quebrarLinhas', () => {
+  it('usa as métricas da Helvetica, com acentos na largura da letra base', () => {
+    assert.equal(larguraDoTexto('AB', 'normal', 10), 13.34);
+    assert.equal(larguraDoTexto('ÁB', 'normal', 10), larguraDoTexto('AB', 'normal', 10));
+    assert.ok(larguraDoTexto('AB', 'negrito', 10) > larguraDoTexto('AB', 'normal', 10));
+  });
+
+  it('quebra nas palavras que não cabem e respeita as quebras do texto', () => {
+    const linhas = quebrarLinhas('Zona Eixo de Estruturação da Transformação Urbana\nZEU', 'normal', 10, 120);
+    assert.deepEqual(linhas, ['Zona Eixo de Estruturação', 'da Transformação Urbana', 'ZEU']);
+    for (const linha of linhas) {
+      assert.ok(larguraDoTexto(linha, 'normal', 10) <= 120);
+    }
+  });
+});
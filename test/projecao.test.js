@@ -0,0 +1,39 @@
+// 🌐 Projeção UTM: valores de referência do ST_Transform
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { projetar, sridSuportado, sridGeografico } = require('../lib/projecao');
+
+function perto(atual, esperado, toleranciaM) {
+  assert.ok(
+    Math.abs(atual[0] - esperado[0]) <= toleranciaM && Math.abs(atual[1] - esperado[1]) <= toleranciaM,
+    `${atual} deveria estar a até ${toleranciaM} m de ${esperado}`
+  );
+}
+
+describe('projetar', () => {
+  it('projeta a Praça da Sé em SIRGAS 2000 / UTM 23S', () => {
+    perto(projetar(-46.6333, -23.5505, 31983), [333288, 7394588], 1);
+  });
+
+  it('dá o mesmo resultado em WGS 84 / UTM 23S', () => {
+    perto(projetar(-46.6333, -23.5505, 32723), projetar(-46.6333, -23.5505, 31983), 0.001);
+  });
+
+  it('põe o meridiano central de cada fuso no falso leste', () => {
+    perto(projetar(-45, 0, 31983), [500000, 10000000], 0.001);
+    const [x] = projetar(-51, -25, 31982);
+    assert.ok(Math.abs(x - 500000) < 0.001);
+  });
+
+  it('devolve as coordenadas nos SRIDs geográficos', () => {
+    assert.deepEqual(projetar(-46.6333, -23.5505, 4674), [-46.6333, -23.5505]);
+    assert.deepEqual(projetar(-46.6333, -23.5505, 4326), [-46.6333, -23.5505]);
+  });
+
+  it('recusa SRIDs sem projeção em memória', () => {
+    assert.throws(() => projetar(-46.6333, -23.5505, 3857), /3857 não suportado/);
+    assert.equal(sridSuportado(3857), false);
+    assert.equal(sridSuportado(31985), true);
+    assert.equal(sridGeografico(31983), false);
+  });
+});
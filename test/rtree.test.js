@@ -0,0 +1,58 @@
+// 🌳 R-tree: mesmos itens que uma varredura linear, em árvores de vários níveis
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RTree = require('../lib/rtree');
+
+// Grade de 30 x 30 quadrados de lado 1, com 0,5 de espaço entre eles
+function grade() {
+  const itens = [];
+  for (let i = 0; i < 30; i++) {
+    for (let j = 0; j < 30; j++) {
+      itens.push({ minX: i * 1.5, minY: j * 1.5, maxX: i * 1.5 + 1, maxY: j * 1.5 + 1, id: `${i}-${j}` });
+    }
+  }
+  return itens;
+}
+
+function varrer(itens, minX, minY, maxX, maxY) {
+  return itens.filter((c) => !(maxX < c.minX || minX > c.maxX || maxY < c.minY || minY > c.maxY));
+}
+
+function ids(itens) {
+  return itens.map((item) => item.id).sort();
+}
+
+describe('RTree', () => {
+  const itens = grade();
+  const arvore = new RTree(itens, 4);
+
+  it('acha o item cuja caixa contém o ponto, bordas incluídas', () => {
+    assert.deepEqual(ids(arvore.buscar(0.5, 0.5)), ['0-0']);
+    assert.deepEqual(ids(arvore.buscar(1, 1)), ['0-0']);
+    assert.deepEqual(ids(arvore.buscar(1.25, 1.25)), []);
+  });
+
+  it('busca na caixa o mesmo que a varredura linear', () => {
+    const caixas = [
+      [0, 0, 44, 44],
+      [3.2, 7.9, 10.1, 12],
+      [1.1, 1.1, 1.4, 1.4],
+      [-5, -5, -1, -1],
+      [20, -3, 20.5, 50],
+    ];
+    for (const caixa of caixas) {
+      assert.deepEqual(ids(arvore.buscarNaCaixa(...caixa)), ids(varrer(itens, ...caixa)));
+    }
+  });
+
+  it('guarda os campos extras dos itens', () => {
+    const [item] = arvore.buscar(3.5, 0.5);
+    assert.equal(item.id, '2-0');
+  });
+
+  it('aceita uma lista vazia', () => {
+    const vazia = new RTree([]);
+    assert.equal(vazia.total, 0);
+    assert.deepEqual(vazia.buscar(0, 0), []);
+  });
+});
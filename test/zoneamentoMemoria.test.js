@@ -0,0 +1,70 @@
+// 🧠 Zoneamento em memória: paridade com o PostGIS em pontos de referência
+//
+// fixtures/zoneamento_paridade.geojson (SIRGAS 2000 / UTM 23S, perto da Praça da
+// Sé) tem ZEU com um furo, ZM encostada nela e uma ZEIS-1 em dois polígonos. Para
+// cada ponto, o esperado é o que o PostGIS responde: a zona do ST_Contains e a
+// zona vizinha mais próxima do ST_Distance a até RAIO_M metros (como na fronteira
+// e em scripts/comparar-zoneamento-memoria.js). Pontos sobre a divisa entre zonas
+// ficam de fora: ali os dois caminhos podem divergir.
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ZONEAMENTO_MEMORIA = 'true';
+process.env.ZONEAMENTO_MEMORIA_DIR = path.join(__dirname, 'fixtures');
+process.env.CIDADES_ARQUIVO = path.join(__dirname, 'fixtures', 'cidades.json');
+
+const { carregarCidades } = require('../lib/cidades');
+const {
+  recarregarZoneamentoMemoria,
+  zonaEmMemoria,
+  vizinhasEmMemoria,
+} = require('../lib/zoneamentoMemoria');
+
+const RAIO_M = 50;
+const TOLERANCIA_DISTANCIA_M = 0.01;
+
+// [descrição, lat, lng, zona, vizinha mais próxima { codigo, distanciaM } | null]
+const PONTOS = [
+  ['ZEU a 30 m da ZM', -23.550499799, -46.633593025, 'ZEU', { codigo: 'ZM', distanciaM: 30 }],
+  ['ZM a 10 m da ZEU', -23.550052458, -46.633195685, 'ZM', { codigo: 'ZEU', distanciaM: 10 }],
+  ['no furo da ZEU', -23.550497741, -46.633788906, null, null],
+  ['ZEU ao lado do furo', -23.550362819, -46.633738262, 'ZEU', { codigo: 'ZM', distanciaM: 45 }],
+  ['ZM a 25 m da ZEIS-1 e a 95 m da ZEU', -23.550512656, -46.63236877, 'ZM', { codigo: 'ZEIS-1', distanciaM: 25 }],
+  ['ZM sem vizinhas no raio', -23.550509057, -46.632711562, 'ZM', null],
+  ['ZEIS-1 a 45 m da ZM', -23.550517795, -46.631879068, 'ZEIS-1', { codigo: 'ZM', distanciaM: 45 }],
+  ['ZEIS-1 a 25 m da ZM', -23.550335157, -46.632072719, 'ZEIS-1', { codigo: 'ZM', distanciaM: 25 }],
+  ['segundo polígono da ZEIS-1', -23.550536286, -46.630116138, 'ZEIS-1', null],
+  ['entre os polígonos da ZEIS-1', -23.550526529, -46.631046573, null, null],
+  ['fora de todas as zonas', -23.549340411, -46.632207363, null, null],
+];
+
+describe('zoneamento em memória x PostGIS', () => {
+  let versao;
+  before(async () => {
+    [versao] = carregarCidades()[0].versoes;
+    await recarregarZoneamentoMemoria();
+  });
+
+  for (const [descricao, lat, lng, codigo, vizinha] of PONTOS) {
+    it(descricao, () => {
+      const resultado = zonaEmMemoria(versao, lat, lng);
+      assert.equal(resultado.disponivel, true);
+      assert.equal(resultado.zona ? resultado.zona.codigo : null, codigo);
+      if (!codigo) {
+        return;
+      }
+
+      const [maisProxima] = vizinhasEmMemoria(versao, lat, lng, RAIO_M, codigo);
+      if (!vizinha) {
+        assert.equal(maisProxima, undefined);
+        return;
+      }
+      assert.equal(maisProxima.codigo, vizinha.codigo);
+      assert.ok(
+        Math.abs(maisProxima.distanciaM - vizinha.distanciaM) <= TOLERANCIA_DISTANCIA_M,
+        `distância ${maisProxima.distanciaM} m, esperada ${vizinha.distanciaM} m`
+      );
+    });
+  }
+});